@@ -1,4 +1,5 @@
 ﻿using Newtonsoft.Json;
+using System.Collections.Concurrent;
 using System.Diagnostics;
 using System.Security.Cryptography;
 using System.Text;
@@ -8,27 +9,35 @@ namespace UltimateServer.Services
 {
     public class CommandHandler
     {
+        /// <summary>
+        /// Source of the commands the server registers itself; plugin commands use the plugin's name.
+        /// </summary>
+        public const string ServerSource = "server";
+
         private readonly AuthenticationService _authenticationService;
         private readonly UserService _userService;
         private readonly Logger _logger;
-        private readonly Dictionary<string, Func<Data, Data>> _commandHandlers;
+
+        // Plugins register and remove commands while TCP clients are being served
+        private readonly ConcurrentDictionary<string, (CommandInfo Info, Func<Data, Data> Handler)> _commandHandlers;
 
         public CommandHandler(UserService userService, Logger logger, AuthenticationService authenticationService)
         {
             _authenticationService = authenticationService;
             _userService = userService;
             _logger = logger;
-            _commandHandlers = new Dictionary<string, Func<Data, Data>>(StringComparer.OrdinalIgnoreCase);
+            _commandHandlers = new ConcurrentDictionary<string, (CommandInfo, Func<Data, Data>)>(StringComparer.OrdinalIgnoreCase);
             RegisterCommands();
         }
 
         private void RegisterCommands()
         {
-            AddCommand("createUser", CreateUserCommand);
-            AddCommand("listUsers", ListUsersCommand);
-            AddCommand("say", SayCommand);
-            AddCommand("makeUUID", MakeUUIDCommand);
-            AddCommand("stats", StatsCommand);
+            AddCommand("createUser", "Create a user account. Fails if the name or email is taken or the password is too weak.", CreateUserCommand,
+                "{\"Username\": \"player1\", \"Email\": \"player1@example.com\", \"Password\": \"Secret#123\", \"Role\": \"player\"}");
+            AddCommand("listUsers", "Return every user account as JSON.", ListUsersCommand);
+            AddCommand("say", "Write jsonData to the server log and echo it back.", SayCommand, "Hello from the console");
+            AddCommand("makeUUID", "Generate a new UUID.", MakeUUIDCommand);
+            AddCommand("stats", "Return server uptime, user count and protocol version.", StatsCommand);
         }
 
         private Data CreateUserCommand(Data req)
@@ -90,7 +99,44 @@ namespace UltimateServer.Services
             return new Data { protocolVersion = 1, theCommand = "stats", jsonData = JsonConvert.SerializeObject(stats) };
         }
 
-        private void AddCommand(string name, Func<Data, Data> handler) => _commandHandlers[name] = handler;
+        private void AddCommand(string name, string description, Func<Data, Data> handler, string example = null) =>
+            RegisterCommand(name, description, handler, ServerSource, example);
+
+        /// <summary>
+        /// Adds a command for TCP clients and the dashboard console. A source may replace its own commands,
+        /// but not take over a name registered by another source.
+        /// </summary>
+        /// <param name="example">A sample <c>jsonData</c> shown in the console, or null if the command takes none.</param>
+        public void RegisterCommand(string name, string description, Func<Data, Data> handler, string source, string example = null)
+        {
+            if (string.IsNullOrWhiteSpace(name))
+                throw new ArgumentException("Command name is required", nameof(name));
+            if (handler == null)
+                throw new ArgumentNullException(nameof(handler));
+
+            var info = new CommandInfo { Name = name, Description = description ?? "", Source = source, Example = example };
+            _commandHandlers.AddOrUpdate(name, (info, handler), (key, existing) =>
+            {
+                if (existing.Info.Source != source)
+                    throw new InvalidOperationException($"Command '{key}' is already registered by {existing.Info.Source}");
+                return (info, handler);
+            });
+        }
+
+        /// <summary>
+        /// Removes a command if it was registered by <paramref name="source"/>.
+        /// </summary>
+        public bool UnregisterCommand(string name, string source)
+        {
+            return _commandHandlers.TryGetValue(name, out var existing) &&
+                   existing.Info.Source == source &&
+                   _commandHandlers.TryRemove(new KeyValuePair<string, (CommandInfo, Func<Data, Data>)>(name, existing));
+        }
+
+        public IReadOnlyList<CommandInfo> GetCommands()
+        {
+            return _commandHandlers.Values.Select(c => c.Info).OrderBy(c => c.Source != ServerSource).ThenBy(c => c.Name).ToList();
+        }
 
         public bool TryHandleCommand(Data request, out Data response)
         {
@@ -100,10 +146,19 @@ namespace UltimateServer.Services
                 return false;
             }
 
+            return TryExecute(request, out response);
+        }
+
+        /// <summary>
+        /// Runs a command without checking the requester's credentials. Callers must have authenticated the
+        /// request some other way, like the dashboard console does with the admin's token.
+        /// </summary>
+        public bool TryExecute(Data request, out Data response)
+        {
             response = null;
-            if (_commandHandlers.TryGetValue(request.theCommand, out var handler))
+            if (_commandHandlers.TryGetValue(request.theCommand ?? "", out var command))
             {
-                response = handler(request);
+                response = command.Handler(request);
                 return true;
             }
             return false;
@@ -1,22 +1,43 @@
 ﻿using System;
+using System.ComponentModel.DataAnnotations;
 using System.IO;
+using System.Reflection;
 using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
 using UltimateServer.Models;
 
 namespace UltimateServer.Services
 {
     public class ConfigManager
     {
+        private const string SecretMask = "********";
+        private const int MaxHistoryEntries = 200;
+
+        private static readonly PropertyInfo[] SettingProperties = typeof(ServerConfig).GetProperties()
+            .Where(p => p.IsDefined(typeof(ConfigSettingAttribute)))
+            .ToArray();
+
         private readonly string _configFile;
+        private readonly string _historyFile;
         private readonly Logger _logger;
+        private readonly object _updateLock = new();
+        private JObject _startupValues;
 
         public ServerConfig Config { get; private set; }
 
+        /// <summary>
+        /// Raised with the names of the settings that changed, after they were saved from the Settings tab or
+        /// reloaded from disk. Services that copy a setting when they start can subscribe to pick up the new value.
+        /// </summary>
+        public event Action<IReadOnlyList<string>> SettingsChanged;
+
         public ConfigManager(string configFile = "config.json", Logger logger = null)
         {
             _configFile = configFile;
+            _historyFile = Path.Combine(Path.GetDirectoryName(Path.GetFullPath(configFile)), Path.GetFileNameWithoutExtension(configFile) + ".history.json");
             _logger = logger ?? new Logger();
             LoadConfig();
+            _startupValues = JObject.FromObject(Config);
         }
 
         private void LoadConfig()
@@ -42,6 +63,233 @@ namespace UltimateServer.Services
             }
         }
 
+        /// <summary>
+        /// Re-reads the config file into the existing <see cref="Config"/> instance, which every service shares.
+        /// Values that services copied when they were created still need a restart to take effect.
+        /// </summary>
+        public void ReloadConfig()
+        {
+            try
+            {
+                var before = JObject.FromObject(Config);
+                string json = File.ReadAllText(_configFile);
+                JsonConvert.PopulateObject(json, Config, new JsonSerializerSettings { ObjectCreationHandling = ObjectCreationHandling.Replace });
+                _logger.Log("✅ Config reloaded.");
+
+                var after = JObject.FromObject(Config);
+                var changed = after.Properties().Where(p => !JToken.DeepEquals(p.Value, before[p.Name])).Select(p => p.Name).ToList();
+                if (changed.Count > 0)
+                    SettingsChanged?.Invoke(changed);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error reloading config: {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Every setting marked with <see cref="ConfigSettingAttribute"/>, with secrets masked.
+        /// </summary>
+        public List<ConfigSetting> GetSettings()
+        {
+            return SettingProperties.Select(property =>
+            {
+                var setting = property.GetCustomAttribute<ConfigSettingAttribute>();
+                var range = property.GetCustomAttribute<RangeAttribute>();
+                object value = property.GetValue(Config);
+
+                return new ConfigSetting
+                {
+                    Key = property.Name,
+                    Section = setting.Section,
+                    Label = setting.Label,
+                    Description = setting.Description,
+                    Type = GetSettingType(property.PropertyType),
+                    Value = setting.Secret ? (string.IsNullOrEmpty(value as string) ? "" : SecretMask) : value,
+                    Min = range?.Minimum,
+                    Max = range?.Maximum,
+                    Required = property.IsDefined(typeof(RequiredAttribute)),
+                    Secret = setting.Secret,
+                    RequiresRestart = setting.RequiresRestart,
+                    PendingRestart = setting.RequiresRestart && !JToken.DeepEquals(ToToken(value), _startupValues[property.Name])
+                };
+            }).ToList();
+        }
+
+        /// <summary>
+        /// Validates every change before applying any of them, so a bad value leaves the config untouched.
+        /// A secret sent back as its mask keeps its current value. Applied changes are saved, added to the
+        /// history and announced through <see cref="SettingsChanged"/>.
+        /// </summary>
+        public (bool success, string message, Dictionary<string, string> errors, List<ConfigChange> changes) UpdateSettings(
+            IDictionary<string, JToken> values, string changedBy)
+        {
+            var errors = new Dictionary<string, string>();
+            var pending = new List<(PropertyInfo property, ConfigSettingAttribute setting, object value)>();
+
+            foreach (var (key, token) in values ?? new Dictionary<string, JToken>())
+            {
+                var property = SettingProperties.FirstOrDefault(p => p.Name.Equals(key, StringComparison.OrdinalIgnoreCase));
+                if (property == null)
+                {
+                    errors[key] = "Unknown setting";
+                    continue;
+                }
+
+                var setting = property.GetCustomAttribute<ConfigSettingAttribute>();
+                if (setting.Secret && token?.Type == JTokenType.String && (string)token == SecretMask)
+                    continue;
+
+                if (!TryConvert(token, property.PropertyType, out object value))
+                {
+                    errors[property.Name] = $"{setting.Label} must be {DescribeType(property.PropertyType)}";
+                    continue;
+                }
+
+                var results = new List<ValidationResult>();
+                var context = new ValidationContext(Config) { MemberName = property.Name, DisplayName = setting.Label };
+                if (!Validator.TryValidateValue(value, context, results, property.GetCustomAttributes<ValidationAttribute>()))
+                {
+                    errors[property.Name] = results[0].ErrorMessage;
+                    continue;
+                }
+
+                if (!JToken.DeepEquals(ToToken(value), ToToken(property.GetValue(Config))))
+                    pending.Add((property, setting, value));
+            }
+
+            if (errors.Count > 0)
+                return (false, "Some settings are invalid", errors, new List<ConfigChange>());
+            if (pending.Count == 0)
+                return (true, "No changes to save", errors, new List<ConfigChange>());
+
+            var changes = new List<ConfigChange>();
+            lock (_updateLock)
+            {
+                foreach (var (property, setting, value) in pending)
+                {
+                    changes.Add(new ConfigChange
+                    {
+                        Key = property.Name,
+                        Label = setting.Label,
+                        OldValue = setting.Secret ? SecretMask : FormatValue(property.GetValue(Config)),
+                        NewValue = setting.Secret ? SecretMask : FormatValue(value),
+                        RequiresRestart = setting.RequiresRestart
+                    });
+                    property.SetValue(Config, value);
+                }
+
+                SaveConfig();
+                AppendHistory(new ConfigHistoryEntry { ChangedAt = DateTime.UtcNow, ChangedBy = changedBy, Changes = changes });
+            }
+
+            _logger.Log($"⚙️ Settings changed by {changedBy}: {string.Join(", ", changes.Select(c => c.Key))}");
+            SettingsChanged?.Invoke(changes.Select(c => c.Key).ToList());
+
+            int restartCount = changes.Count(c => c.RequiresRestart);
+            string message = restartCount == 0
+                ? $"{changes.Count} setting(s) saved and applied"
+                : $"{changes.Count} setting(s) saved; {restartCount} take effect after a restart";
+            return (true, message, errors, changes);
+        }
+
+        /// <summary>
+        /// Changes made from the Settings tab, newest first.
+        /// </summary>
+        public List<ConfigHistoryEntry> GetHistory(int count = 50)
+        {
+            lock (_updateLock)
+                return ReadHistory().Take(count).ToList();
+        }
+
+        private List<ConfigHistoryEntry> ReadHistory()
+        {
+            try
+            {
+                if (File.Exists(_historyFile))
+                    return JsonConvert.DeserializeObject<List<ConfigHistoryEntry>>(File.ReadAllText(_historyFile)) ?? new List<ConfigHistoryEntry>();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error reading config history: {ex.Message}");
+            }
+            return new List<ConfigHistoryEntry>();
+        }
+
+        private void AppendHistory(ConfigHistoryEntry entry)
+        {
+            try
+            {
+                var history = ReadHistory();
+                history.Insert(0, entry);
+                File.WriteAllText(_historyFile, JsonConvert.SerializeObject(history.Take(MaxHistoryEntries), Formatting.Indented));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error writing config history: {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Lists may be sent as arrays or as text with one entry per line; entries are trimmed and blanks dropped.
+        /// </summary>
+        private static bool TryConvert(JToken token, Type type, out object value)
+        {
+            value = null;
+            try
+            {
+                if (token == null || token.Type == JTokenType.Null)
+                    return false;
+
+                if (type == typeof(string[]))
+                {
+                    var items = token.Type == JTokenType.String
+                        ? ((string)token).Split('\n')
+                        : token.ToObject<string[]>();
+                    value = items.Select(i => i?.Trim()).Where(i => !string.IsNullOrEmpty(i)).ToArray();
+                    return true;
+                }
+
+                if (type == typeof(int) && token.Type == JTokenType.Float && (double)token % 1 != 0)
+                    return false;
+
+                value = token.ToObject(type);
+                if (value is string text)
+                    value = text.Trim();
+                return true;
+            }
+            catch (Exception ex) when (ex is JsonException || ex is FormatException || ex is InvalidCastException || ex is OverflowException || ex is ArgumentException)
+            {
+                return false;
+            }
+        }
+
+        private static string GetSettingType(Type type)
+        {
+            if (type == typeof(bool)) return "bool";
+            if (type == typeof(int)) return "int";
+            if (type == typeof(string[])) return "list";
+            return "string";
+        }
+
+        private static string DescribeType(Type type) => GetSettingType(type) switch
+        {
+            "bool" => "true or false",
+            "int" => "a whole number",
+            "list" => "a list of text entries",
+            _ => "text"
+        };
+
+        private static string FormatValue(object value) => value switch
+        {
+            null => "",
+            string[] items => string.Join(", ", items),
+            bool flag => flag ? "true" : "false",
+            _ => value.ToString()
+        };
+
+        private static JToken ToToken(object value) => value == null ? JValue.CreateNull() : JToken.FromObject(value);
+
         public void SaveConfig()
         {
             try
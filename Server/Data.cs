@@ -1,5 +1,9 @@
 ﻿using System.ComponentModel.DataAnnotations;
 using System.Diagnostics;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+using Newtonsoft.Json.Linq;
+using Newtonsoft.Json.Serialization;
 using UltimateServer.Services;
 
 namespace UltimateServer.Models
@@ -23,6 +27,7 @@ namespace UltimateServer.Models
         public string Role { get; set; } = "player";
         public bool TwoFactorEnabled { get; set; } = false;
         public string TwoFactorSecret { get; set; } = "";
+        public List<string> TwoFactorBackupCodes { get; set; } = new List<string>();
         public DateTime LastLogin { get; set; } = DateTime.UtcNow;
         public int FailedLoginAttempts { get; set; } = 0;
         public DateTime? LockedUntil { get; set; }
@@ -34,30 +39,230 @@ namespace UltimateServer.Models
 
     public class ServerConfig
     {
+        [ConfigSetting("General", "Debug logging")]
         public bool DebugMode { get; set; } = false;
+
+        [Required]
+        [ConfigSetting("General", "Panel domain", Description = "Used in password reset links")]
         public string PanelDomain { get; set; } = "example.com";
+
+        [Required]
+        [ConfigSetting("Network", "Listen IP", RequiresRestart = true)]
         public string Ip { get; set; } = "0.0.0.0";
+
+        [Range(1, 100_000)]
+        [ConfigSetting("Network", "Max connections")]
         public int MaxConnections { get; set; } = 50;
         public string DashboardPasswordHash { get; set; } = "12345678";
+
+        [Range(4, 128)]
+        [ConfigSetting("Accounts & Login", "Minimum password length")]
         public int PasswordMinLength { get; set; } = 8;
+
+        [ConfigSetting("Accounts & Login", "Require special characters")]
         public bool RequireSpecialChars { get; set; } = true;
+
+        [Range(1, 100)]
+        [ConfigSetting("Accounts & Login", "Failed logins before lockout")]
         public int MaxFailedLoginAttempts { get; set; } = 5;
+
+        [Range(1, 10_080)]
+        [ConfigSetting("Accounts & Login", "Lockout duration (minutes)")]
         public int LockoutDurationMinutes { get; set; } = 30;
+
+        [Range(1, 720)]
+        [ConfigSetting("Accounts & Login", "Access token lifetime (hours)")]
         public int JwtExpiryHours { get; set; } = 24;
+
+        [Range(1, 365)]
+        [ConfigSetting("Accounts & Login", "Refresh token lifetime (days)")]
         public int RefreshTokenDays { get; set; } = 7;
+
+        [Range(1, 10_240)]
+        [ConfigSetting("Network", "Max request size (MB)", RequiresRestart = true)]
         public int MaxRequestSizeMB { get; set; } = 100;
+
+        [ConfigSetting("Performance", "Response compression", RequiresRestart = true)]
         public bool EnableCompression { get; set; } = true;
+
+        [Range(1, 10_080)]
+        [ConfigSetting("Performance", "Cache expiry (minutes)")]
         public int CacheExpiryMinutes { get; set; } = 15;
+
+        [Range(1, 1000)]
+        [ConfigSetting("Performance", "Connection pool size", RequiresRestart = true)]
         public int ConnectionPoolSize { get; set; } = 10;
+
+        [ConfigSetting("Email", "SMTP host")]
         public string email_host { get; set; } = "smtp.gmail.com";
+
+        [Range(1, 65_535)]
+        [ConfigSetting("Email", "SMTP port")]
         public int email_port { get; set; } = 587;
+
+        [ConfigSetting("Email", "SMTP username", Description = "Also used as the sender address")]
         public string email_username { get; set; } = "your-smtp-email-username";
+
+        [ConfigSetting("Email", "SMTP password", Secret = true)]
         public string email_password { get; set; } = "your-smtp-email-password";
+
+        [ConfigSetting("Email", "Use STARTTLS")]
         public bool email_useSsl { get; set; } = false;
         public MiniDBOptions MiniDB_Options { get; set; } = new MiniDBOptions();
+
+        [Range(0, 720)]
+        [ConfigSetting("Backups", "Back up every (hours)", Description = "0 turns scheduled backups off")]
         public int BackupPerHour { get; set; } = 12;
+
+        [Required]
+        [ConfigSetting("Backups", "Backup folder")]
         public string BackupFolder { get; set; } = "Backups";
+
+        [ConfigSetting("Backups", "Include site files")]
         public bool BackupSites { get; set; } = false;
+
+        /// <summary>
+        /// How many snapshots to keep in <see cref="BackupFolder"/>; older ones are deleted after each backup. 0 keeps all.
+        /// </summary>
+        [Range(0, 1000)]
+        [ConfigSetting("Backups", "Snapshots to keep", Description = "0 keeps all")]
+        public int BackupRetention { get; set; } = 30;
+
+        /// <summary>
+        /// Requests per minute each client may make before it is blocked, with the block growing by
+        /// <see cref="BlockMinutesBase"/> minutes for every repeat offence.
+        /// </summary>
+        [Range(10, 100_000)]
+        [ConfigSetting("Rate Limiting", "Requests per minute per IP")]
+        public int RateLimitPerMinute { get; set; } = 240;
+
+        [Range(1, 1000)]
+        [ConfigSetting("Rate Limiting", "Concurrent uploads per IP")]
+        public int MaxConcurrentRequestsPerIp { get; set; } = 3;
+
+        [Range(1, 1440)]
+        [ConfigSetting("Rate Limiting", "Block minutes per strike")]
+        public int BlockMinutesBase { get; set; } = 3;
+
+        /// <summary>
+        /// Addresses or CIDR ranges that are never rate limited or blocked automatically, e.g. monitoring or a load balancer.
+        /// </summary>
+        public List<IpAllowEntry> AllowedIps { get; set; } = new();
+
+        /// <summary>
+        /// Addresses or CIDR ranges banned from the Security tab. Bans apply even to allow-listed clients.
+        /// </summary>
+        public List<IpBan> BannedIps { get; set; } = new();
+
+        [Range(1, 3600)]
+        [ConfigSetting("Performance", "Metrics sample interval (seconds)", RequiresRestart = true)]
+        public int MetricsSampleSeconds { get; set; } = 10;
+
+        [Range(1, 365)]
+        [ConfigSetting("Performance", "Metrics retention (days)", RequiresRestart = true)]
+        public int MetricsRetentionDays { get; set; } = 7;
+
+        [ConfigSetting("Processes & Plugins", "Protected processes", Description = "One process name per line")]
+        public string[] ProtectedProcesses { get; set; } = { "systemd", "init", "sshd", "nginx", "dockerd", "containerd" };
+
+        [ConfigSetting("Processes & Plugins", "Marketplace registries", Description = "One URL, JSON file or directory per line")]
+        public string[] MarketplaceRegistries { get; set; } = { "https://dashboard.voidgames.ir/api/market/plugins" };
+
+        [ConfigSetting("Processes & Plugins", "Require plugin signatures")]
+        public bool RequirePluginSignatures { get; set; } = false;
+        public TrustedPluginKey[] TrustedPluginKeys { get; set; } = Array.Empty<TrustedPluginKey>();
+
+        /// <summary>
+        /// Public address of the file manager, e.g. "https://files.example.com/". Leave empty to use
+        /// the dashboard's host name with the SFTP panel port.
+        /// </summary>
+        [ConfigSetting("General", "File manager URL", Description = "Leave empty to use the dashboard host with the SFTP panel port")]
+        public string FileManagerUrl { get; set; } = "";
+
+        /// <summary>
+        /// How often every enabled site is probed over HTTP(S).
+        /// </summary>
+        [Range(10, 86_400)]
+        [ConfigSetting("Sites & Videos", "Site health check interval (seconds)", RequiresRestart = true)]
+        public int SiteHealthCheckSeconds { get; set; } = 60;
+
+        /// <summary>
+        /// Lifetime of the signed links the dashboard plays videos through.
+        /// </summary>
+        [Range(1, 10_080)]
+        [ConfigSetting("Sites & Videos", "Video link lifetime (minutes)")]
+        public int VideoLinkMinutes { get; set; } = 240;
+
+        /// <summary>
+        /// Longest lifetime a shared video link may be given.
+        /// </summary>
+        [Range(1, 8760)]
+        [ConfigSetting("Sites & Videos", "Longest shared video link (hours)")]
+        public int MaxVideoLinkHours { get; set; } = 168;
+    }
+
+    /// <summary>
+    /// Marks a <see cref="ServerConfig"/> property as editable from the Settings tab. Validation comes from the
+    /// property's data annotations; settings that services only read at startup set <see cref="RequiresRestart"/>.
+    /// </summary>
+    [AttributeUsage(AttributeTargets.Property)]
+    public sealed class ConfigSettingAttribute : Attribute
+    {
+        public string Section { get; }
+        public string Label { get; }
+        public string Description { get; set; }
+        public bool RequiresRestart { get; set; }
+
+        /// <summary>
+        /// The value is never sent to the dashboard and is left out of the change history.
+        /// </summary>
+        public bool Secret { get; set; }
+
+        public ConfigSettingAttribute(string section, string label)
+        {
+            Section = section;
+            Label = label;
+        }
+    }
+
+    public class ConfigSetting
+    {
+        public string Key { get; set; }
+        public string Section { get; set; }
+        public string Label { get; set; }
+        public string Description { get; set; }
+
+        /// <summary>
+        /// "bool", "int", "string" or "list".
+        /// </summary>
+        public string Type { get; set; }
+        public object Value { get; set; }
+        public object Min { get; set; }
+        public object Max { get; set; }
+        public bool Required { get; set; }
+        public bool Secret { get; set; }
+        public bool RequiresRestart { get; set; }
+
+        /// <summary>
+        /// Saved with a value the running server hasn't picked up yet.
+        /// </summary>
+        public bool PendingRestart { get; set; }
+    }
+
+    public class ConfigChange
+    {
+        public string Key { get; set; }
+        public string Label { get; set; }
+        public string OldValue { get; set; }
+        public string NewValue { get; set; }
+        public bool RequiresRestart { get; set; }
+    }
+
+    public class ConfigHistoryEntry
+    {
+        public DateTime ChangedAt { get; set; }
+        public string ChangedBy { get; set; }
+        public List<ConfigChange> Changes { get; set; } = new();
     }
 
     public class LoginRequest
@@ -73,6 +278,21 @@ namespace UltimateServer.Models
         public bool RememberMe { get; set; } = false;
     }
 
+    public class TwoFactorVerifyRequest
+    {
+        [Required]
+        public string ChallengeToken { get; set; }
+
+        [Required]
+        public string Code { get; set; }
+    }
+
+    public class TwoFactorCodeRequest
+    {
+        [Required]
+        public string Code { get; set; }
+    }
+
     public class RegisterRequest
     {
         [Required]
@@ -106,6 +326,328 @@ namespace UltimateServer.Models
 
         [Length(50000, 1000)]
         [Required] public int Port { get; set; }
+
+        /// <summary>
+        /// Domains and aliases for the server block. Defaults to the site name.
+        /// </summary>
+        public List<string> Domains { get; set; } = new();
+        public SiteType Type { get; set; } = SiteType.Php;
+        public string IndexFile { get; set; }
+        public string Upstream { get; set; }
+        public string CustomDirectives { get; set; }
+        public bool EnableTls { get; set; } = true;
+    }
+
+    public enum SiteType
+    {
+        Static,
+        Php,
+        Proxy
+    }
+
+    public class Site
+    {
+        public string Name { get; set; } = "";
+        public int Port { get; set; }
+        public List<string> Domains { get; set; } = new();
+
+        [JsonConverter(typeof(StringEnumConverter), typeof(CamelCaseNamingStrategy))]
+        public SiteType Type { get; set; } = SiteType.Php;
+        public string IndexFile { get; set; } = "index.php index.html";
+
+        /// <summary>
+        /// Local address requests are proxied to when <see cref="Type"/> is <see cref="SiteType.Proxy"/>.
+        /// </summary>
+        public string Upstream { get; set; } = "";
+        public string CustomDirectives { get; set; } = "";
+        public bool Tls { get; set; }
+
+        /// <summary>
+        /// Disabled sites keep their files and config but are unlinked from Nginx's sites-enabled.
+        /// </summary>
+        public bool Enabled { get; set; } = true;
+        public DateTime CreatedAt { get; set; }
+    }
+
+    public class VideoInfo
+    {
+        public string FileName { get; set; } = "";
+        public long Size { get; set; }
+        public DateTime UploadedAt { get; set; }
+
+        /// <summary>
+        /// Filled in by ffprobe in the background; null until the video has been analysed.
+        /// </summary>
+        public double? Duration { get; set; }
+        public int? Width { get; set; }
+        public int? Height { get; set; }
+        public string VideoCodec { get; set; }
+        public string AudioCodec { get; set; }
+        public bool HasThumbnail { get; set; }
+        public bool Processing { get; set; }
+
+        /// <summary>
+        /// Set when ffprobe/ffmpeg failed on this file; it is not retried until the file size changes.
+        /// </summary>
+        public bool AnalysisFailed { get; set; }
+    }
+
+    public class VideoImportJob
+    {
+        public string Id { get; set; } = "";
+        public string Url { get; set; } = "";
+        public string FileName { get; set; } = "";
+
+        /// <summary>
+        /// queued, downloading, completed, failed or cancelled.
+        /// </summary>
+        public string Status { get; set; } = "queued";
+        public long DownloadedBytes { get; set; }
+
+        /// <summary>
+        /// Null when the source doesn't send a Content-Length, in which case there is no percentage either.
+        /// </summary>
+        public long? TotalBytes { get; set; }
+        public double? Percent { get; set; }
+        public long BytesPerSecond { get; set; }
+        public string Error { get; set; }
+        public string StartedBy { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime? FinishedAt { get; set; }
+    }
+
+    public class VideoUpload
+    {
+        public string Id { get; set; } = "";
+        public string FileName { get; set; } = "";
+        public long Size { get; set; }
+
+        /// <summary>
+        /// Bytes stored so far; the next chunk must start at this offset.
+        /// </summary>
+        public long ReceivedBytes { get; set; }
+        public int ChunkSize { get; set; }
+        public string StartedBy { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime UpdatedAt { get; set; }
+    }
+
+    public class BackupSnapshot
+    {
+        public string Name { get; set; } = "";
+        public DateTime CreatedAt { get; set; }
+        public long Size { get; set; }
+
+        /// <summary>
+        /// scheduled, manual or pre-restore. Empty for archives made before snapshots carried a manifest.
+        /// </summary>
+        public string Trigger { get; set; } = "";
+        public List<string> Components { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Stored as manifest.json inside each backup archive.
+    /// </summary>
+    public class BackupManifest
+    {
+        public DateTime CreatedAt { get; set; }
+        public string Trigger { get; set; } = "";
+        public List<string> Components { get; set; } = new();
+
+        /// <summary>
+        /// Archive entry name to the path the file was copied from.
+        /// </summary>
+        public Dictionary<string, string> Files { get; set; } = new();
+    }
+
+    public class IpAllowEntry
+    {
+        public string Range { get; set; } = "";
+        public string Note { get; set; } = "";
+    }
+
+    public class IpBan
+    {
+        public string Range { get; set; } = "";
+        public string Reason { get; set; } = "";
+        public string CreatedBy { get; set; }
+        public DateTime CreatedAt { get; set; }
+
+        /// <summary>
+        /// Null for a permanent ban.
+        /// </summary>
+        public DateTime? ExpiresAt { get; set; }
+    }
+
+    public class BlockedClient
+    {
+        public string Ip { get; set; } = "";
+        public string Reason { get; set; } = "";
+        public DateTime BlockedAt { get; set; }
+        public DateTime ExpiresAt { get; set; }
+        public int Strikes { get; set; }
+    }
+
+    public class RequesterStats
+    {
+        public string Ip { get; set; } = "";
+        public int RequestsPerMinute { get; set; }
+        public long TotalRequests { get; set; }
+        public int Strikes { get; set; }
+        public DateTime LastSeen { get; set; }
+        public bool AllowListed { get; set; }
+    }
+
+    public class CommandInfo
+    {
+        public string Name { get; set; } = "";
+        public string Description { get; set; } = "";
+
+        /// <summary>
+        /// <c>server</c> for built-in commands, otherwise the name of the plugin that registered it.
+        /// </summary>
+        public string Source { get; set; } = "";
+
+        public string Example { get; set; }
+    }
+
+    public class WebSocketClientInfo
+    {
+        public string Id { get; set; } = "";
+        public string RemoteAddress { get; set; }
+        public string Username { get; set; }
+        public string State { get; set; } = "";
+        public DateTime ConnectedAt { get; set; }
+        public DateTime LastActivity { get; set; }
+        public long MessagesIn { get; set; }
+        public long MessagesOut { get; set; }
+    }
+
+    public class VoiceStatus
+    {
+        public int Port { get; set; }
+        public bool Running { get; set; }
+        public int TotalClients { get; set; }
+        public List<VoiceRoomInfo> Rooms { get; set; } = new();
+        public List<VoiceKick> Kicks { get; set; } = new();
+    }
+
+    public class VoiceRoomInfo
+    {
+        public string Id { get; set; } = "";
+        public string Name { get; set; } = "";
+        public int ClientCount { get; set; }
+        public List<VoiceChannelInfo> Channels { get; set; } = new();
+    }
+
+    public class VoiceChannelInfo
+    {
+        public string Id { get; set; } = "";
+        public string Name { get; set; } = "";
+        public bool Muted { get; set; }
+        public List<VoiceClientInfo> Clients { get; set; } = new();
+    }
+
+    public class VoiceClientInfo
+    {
+        public string Endpoint { get; set; } = "";
+        public DateTime? ConnectedAt { get; set; }
+        public DateTime? LastSeen { get; set; }
+        public double PacketsPerSecond { get; set; }
+        public long Packets { get; set; }
+        public long Bytes { get; set; }
+    }
+
+    public class VoiceKick
+    {
+        public string Address { get; set; } = "";
+        public string Reason { get; set; } = "";
+        public string KickedBy { get; set; }
+        public DateTime Until { get; set; }
+    }
+
+    public class CacheStats
+    {
+        public int Entries { get; set; }
+        public long ApproximateBytes { get; set; }
+        public long Hits { get; set; }
+        public long Misses { get; set; }
+        public double HitRate { get; set; }
+        public long Sets { get; set; }
+        public long Expirations { get; set; }
+        public long Evictions { get; set; }
+        public int DefaultExpiryMinutes { get; set; }
+        public DateTime Since { get; set; }
+    }
+
+    public class CacheEntryInfo
+    {
+        public string Key { get; set; } = "";
+        public string Type { get; set; } = "";
+        public long Size { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime ExpiresAt { get; set; }
+        public DateTime? LastAccess { get; set; }
+        public long Hits { get; set; }
+    }
+
+    public class DataEntryInfo
+    {
+        public string Key { get; set; } = "";
+        public string Type { get; set; } = "";
+        public long Size { get; set; }
+
+        /// <summary>
+        /// Null for DataBox, which doesn't track when a key was written.
+        /// </summary>
+        public DateTime? LastModified { get; set; }
+    }
+
+    public class DataExport
+    {
+        public string Store { get; set; } = "";
+        public DateTime ExportedAt { get; set; }
+        public List<DataExportEntry> Entries { get; set; } = new();
+    }
+
+    public class DataExportEntry
+    {
+        public string Key { get; set; } = "";
+
+        /// <summary>
+        /// Assembly-qualified name of the stored .NET type for MiniDB entries; null for DataBox.
+        /// </summary>
+        public string Type { get; set; }
+        public JToken Value { get; set; }
+    }
+
+    public class DataImportResult
+    {
+        public int Imported { get; set; }
+        public int Skipped { get; set; }
+        public List<string> Errors { get; set; } = new();
+    }
+
+    public class SiteHealth
+    {
+        public string Name { get; set; } = "";
+        public bool Enabled { get; set; }
+
+        /// <summary>
+        /// Whether the site's server block is linked into sites-enabled.
+        /// </summary>
+        public bool NginxActive { get; set; }
+
+        /// <summary>
+        /// Result of the last probe; null for disabled sites and sites that haven't been checked yet.
+        /// </summary>
+        public bool? Up { get; set; }
+        public int? StatusCode { get; set; }
+        public long? ResponseTimeMs { get; set; }
+        public string Error { get; set; } = "";
+        public DateTime? CertificateExpiry { get; set; }
+        public DateTime? DownSince { get; set; }
+        public DateTime? CheckedAt { get; set; }
     }
 
     public class DeleteSiteRequest
@@ -214,6 +756,124 @@ namespace UltimateServer.Models
 
     public class StopProcessRequest
     {
+        [Range(1, int.MaxValue)]
+        public int Pid { get; set; }
+
         public string ProcessName { get; set; }
+
+        public string Signal { get; set; } = "SIGTERM";
+    }
+
+    public class UpdateUserRequest
+    {
+        [EmailAddress]
+        public string Email { get; set; }
+
+        public string Role { get; set; }
+    }
+
+    public class LockUserRequest
+    {
+        [Range(1, 525600)]
+        public int Minutes { get; set; } = 30;
+    }
+
+    /// <summary>
+    /// A single parsed line (plus any continuation lines) from latest.log.
+    /// </summary>
+    public class LogEntry
+    {
+        public long Id { get; set; }
+        public DateTime? Timestamp { get; set; }
+        public string Level { get; set; } = "INFO";
+        public string Source { get; set; } = "";
+        public string Message { get; set; } = "";
+    }
+
+    public class LogQuery
+    {
+        public long? Since { get; set; }
+        public string SinceFileId { get; set; }
+        public HashSet<string> Levels { get; set; } = new(StringComparer.OrdinalIgnoreCase);
+        public string Text { get; set; }
+        public DateTime? From { get; set; }
+        public DateTime? To { get; set; }
+        public int Limit { get; set; } = 200;
+    }
+
+    public class MetricSample
+    {
+        public DateTime Timestamp { get; set; }
+        public double CpuUsage { get; set; }
+        public double MemoryMB { get; set; }
+        public double DiskUsedGB { get; set; }
+        public double DiskTotalGB { get; set; }
+        public double NetReceivedKBps { get; set; }
+        public double NetSentKBps { get; set; }
+        public int OnlineUsers { get; set; }
+        public int Connections { get; set; }
+    }
+
+    public class ProcessInfo
+    {
+        public int Pid { get; set; }
+        public string Name { get; set; } = "";
+        public string User { get; set; } = "";
+        public double CpuPercent { get; set; }
+        public double RssMB { get; set; }
+        public DateTime? StartTime { get; set; }
+        public string CommandLine { get; set; } = "";
+        public bool Protected { get; set; }
+    }
+
+    public class PluginInfo
+    {
+        public string Id { get; set; } = "";
+        public string Name { get; set; } = "";
+        public string Version { get; set; } = "";
+        public bool Loaded { get; set; }
+        public bool Enabled { get; set; }
+        public string AssemblyPath { get; set; } = "";
+        public List<string> Routes { get; set; } = new();
+        public List<string> Subscriptions { get; set; } = new();
+        public List<string> Commands { get; set; } = new();
+        public string LoadError { get; set; }
+        public bool HasSettings { get; set; }
+    }
+
+    public class TrustedPluginKey
+    {
+        public string Name { get; set; } = "";
+
+        /// <summary>
+        /// PEM or base64 SubjectPublicKeyInfo of an RSA or ECDSA key.
+        /// </summary>
+        public string PublicKey { get; set; } = "";
+    }
+
+    public class PluginVerificationResult
+    {
+        public bool Valid { get; set; }
+        public string Sha256 { get; set; } = "";
+        public bool ChecksumVerified { get; set; }
+        public bool Signed { get; set; }
+        public string Publisher { get; set; }
+        public string Error { get; set; }
+    }
+
+    public class PluginVerification
+    {
+        public string FileName { get; set; } = "";
+        public string Sha256 { get; set; } = "";
+        public bool ChecksumVerified { get; set; }
+        public bool Signed { get; set; }
+        public string Publisher { get; set; }
+        public string Source { get; set; } = "";
+        public DateTime VerifiedAt { get; set; }
+    }
+
+    public class PluginSettingsUpdateRequest
+    {
+        public Dictionary<string, JToken> Values { get; set; }
     }
 }
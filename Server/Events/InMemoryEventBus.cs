@@ -35,6 +35,21 @@ namespace UltimateServer.Services
             }
         }
 
+        public void Unsubscribe<T>(IEventHandler<T> handler) where T : IEvent
+        {
+            var eventType = typeof(T);
+            if (!_handlers.TryGetValue(eventType, out var handlers))
+                return;
+
+            lock (handlers)
+            {
+                if (handlers.Remove(handler))
+                {
+                    _logger.Log($"👂 EventBus: Handler unsubscribed from event '{eventType.Name}'.");
+                }
+            }
+        }
+
         public async Task PublishAsync<T>(T eventData) where T : IEvent
         {
             if (eventData == null) return;
@@ -0,0 +1,19 @@
+﻿namespace UltimateServer.Events
+{
+    /// <summary>
+    /// Event published when a site's health probe starts failing or recovers.
+    /// </summary>
+    public class SiteStatusChangedEvent : BaseEvent
+    {
+        public string SiteName { get; }
+        public bool IsUp { get; }
+        public string Error { get; }
+
+        public SiteStatusChangedEvent(string siteName, bool isUp, string error)
+        {
+            SiteName = siteName;
+            IsUp = isUp;
+            Error = error;
+        }
+    }
+}
@@ -6,6 +6,10 @@
     public class VideoUploadedEvent : BaseEvent
     {
         public string FileName { get; }
+
+        /// <summary>
+        /// The URL the video was imported from, or null when it was uploaded from the dashboard.
+        /// </summary>
         public string SourceUrl { get; }
 
         public VideoUploadedEvent(string fileName, string sourceUrl)
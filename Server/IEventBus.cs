@@ -43,5 +43,12 @@ namespace UltimateServer.Services
         /// <typeparam name="T">The type of event to subscribe to.</typeparam>
         /// <param name="handler">The handler that will process the event.</param>
         void Subscribe<T>(IEventHandler<T> handler) where T : IEvent;
+
+        /// <summary>
+        /// Removes a handler that was previously subscribed to a specific type of event.
+        /// </summary>
+        /// <typeparam name="T">The type of event the handler was subscribed to.</typeparam>
+        /// <param name="handler">The handler to remove.</param>
+        void Unsubscribe<T>(IEventHandler<T> handler) where T : IEvent;
     }
 }
\ No newline at end of file
@@ -1,11 +1,41 @@
 ﻿using System;
 using System.IO;
 using System.IO.Compression;
+using System.Reflection;
+using System.Runtime.CompilerServices;
+using System.Text.RegularExpressions;
 using System.Threading.Tasks;
 
 namespace UltimateServer.Services
 {
-    public class Logger
+    /// <summary>
+    /// Holds the original one-argument log methods so plugins compiled against them keep working.
+    /// <see cref="Logger"/> declares overloads with caller info, and C# only falls back to base class
+    /// methods when none on the derived class fit, so code compiled today never binds to these.
+    /// </summary>
+    public abstract class LoggerBase
+    {
+        [MethodImpl(MethodImplOptions.NoInlining)]
+        public void Log(string message) => WriteLog("INFO", message, SourceFromAssembly(Assembly.GetCallingAssembly()));
+        [MethodImpl(MethodImplOptions.NoInlining)]
+        public void LogError(string message) => WriteLog("ERROR", message, SourceFromAssembly(Assembly.GetCallingAssembly()));
+        [MethodImpl(MethodImplOptions.NoInlining)]
+        public void LogWarning(string message) => WriteLog("WARNING", message, SourceFromAssembly(Assembly.GetCallingAssembly()));
+        [MethodImpl(MethodImplOptions.NoInlining)]
+        public void LogSecurity(string message) => WriteLog("SECURITY", message, SourceFromAssembly(Assembly.GetCallingAssembly()));
+
+        protected abstract void WriteLog(string level, string message, string source);
+
+        /// <summary>
+        /// Strips anything LogService can't parse back out of the line, such as spaces in plugin file names.
+        /// </summary>
+        protected static string SanitizeSource(string source)
+            => string.IsNullOrEmpty(source) ? "Server" : Regex.Replace(source, @"[^A-Za-z0-9_.`+-]", "_");
+
+        private static string SourceFromAssembly(Assembly assembly) => SanitizeSource(assembly.GetName().Name);
+    }
+
+    public class Logger : LoggerBase
     {
         private readonly string _logsFolder;
         private readonly string _logFile;
@@ -13,12 +43,26 @@ namespace UltimateServer.Services
 
         private static readonly object _prepareLock = new object();
 
+        /// <summary>
+        /// Raised after every entry is written, with the formatted line and its byte offset in latest.log.
+        /// </summary>
+        public event Action<string, long> EntryWritten;
+
+        public string LogFilePath => _logFile;
+
+        /// <summary>
+        /// Changes whenever latest.log is started afresh, so readers can tell a rotated file from the one their offset points into.
+        /// </summary>
+        public string LogFileId { get; private set; } = NewLogFileId();
+
         public Logger(string logsFolder = "logs")
         {
             _logsFolder = logsFolder;
             _logFile = Path.Combine(_logsFolder, "latest.log");
         }
 
+        private static string NewLogFileId() => DateTime.UtcNow.Ticks.ToString("x");
+
         public void PrepareLogs()
         {
             lock (_prepareLock)
@@ -41,6 +85,8 @@ namespace UltimateServer.Services
 
                         File.WriteAllText(_logFile, string.Empty);
                     }
+
+                    LogFileId = NewLogFileId();
                 }
                 catch (Exception ex)
                 {
@@ -49,20 +95,53 @@ namespace UltimateServer.Services
             }
         }
 
-        public void Log(string message) => WriteLog("INFO", message);
-        public void LogError(string message) => WriteLog("ERROR", message);
-        public void LogWarning(string message) => WriteLog("WARNING", message);
-        public void LogSecurity(string message) => WriteLog("SECURITY", message);
+        public void Log(string message, [CallerFilePath] string callerFile = "", [CallerMemberName] string callerMember = "")
+            => WriteLog("INFO", message, ResolveSource(callerFile, callerMember));
+        public void LogError(string message, [CallerFilePath] string callerFile = "", [CallerMemberName] string callerMember = "")
+            => WriteLog("ERROR", message, ResolveSource(callerFile, callerMember));
+        public void LogWarning(string message, [CallerFilePath] string callerFile = "", [CallerMemberName] string callerMember = "")
+            => WriteLog("WARNING", message, ResolveSource(callerFile, callerMember));
+        public void LogSecurity(string message, [CallerFilePath] string callerFile = "", [CallerMemberName] string callerMember = "")
+            => WriteLog("SECURITY", message, ResolveSource(callerFile, callerMember));
 
-        private void WriteLog(string level, string message)
+        /// <summary>
+        /// Builds the "HttpServer.HandleLoginAsync" source tag from the compiler-supplied caller info.
+        /// The path is split by hand because it uses the separators of the machine the caller was built on.
+        /// </summary>
+        private static string ResolveSource(string callerFile, string callerMember)
         {
-            string logEntry = $"[{DateTime.Now:yyyy-MM-dd HH:mm:ss}] [{level}] {message}";
+            string file = callerFile ?? "";
+            file = file.Substring(file.LastIndexOfAny(new[] { '/', '\\' }) + 1);
+            int extension = file.LastIndexOf('.');
+            if (extension > 0)
+                file = file.Substring(0, extension);
+
+            if (string.IsNullOrEmpty(file))
+                file = "Server";
+
+            return SanitizeSource(string.IsNullOrEmpty(callerMember) ? file : $"{file}.{callerMember.Trim('.')}");
+        }
+
+        protected override void WriteLog(string level, string message, string source)
+        {
+            string logEntry = $"[{DateTime.Now:yyyy-MM-dd HH:mm:ss}] [{level}] [{source}] {message}";
             Console.WriteLine(logEntry);
 
+            long offset;
             lock (_logLock)
             {
+                offset = File.Exists(_logFile) ? new FileInfo(_logFile).Length : 0;
                 File.AppendAllText(_logFile, logEntry + Environment.NewLine);
             }
+
+            try
+            {
+                EntryWritten?.Invoke(logEntry, offset);
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"❌ Log listener failed: {ex.Message}");
+            }
         }
     }
 }
\ No newline at end of file
@@ -15,7 +15,11 @@ namespace UltimateServer
             config = configManager.Config;
         }
 
-        public async Task RunCommand(string command, string arguments)
+        /// <summary>
+        /// Runs a command and returns its exit code and output. Failures to start the process are reported
+        /// as exit code -1 so callers such as the config test can tell them apart from a passing run.
+        /// </summary>
+        public async Task<(int exitCode, string output, string error)> RunCommand(string command, string arguments)
         {
             try
             {
@@ -29,10 +33,12 @@ namespace UltimateServer
 
                 process.Start();
 
-                string output = process.StandardOutput.ReadToEnd();
-                string error = process.StandardError.ReadToEnd();
+                var outputTask = process.StandardOutput.ReadToEndAsync();
+                var errorTask = process.StandardError.ReadToEndAsync();
+                string output = await outputTask;
+                string error = await errorTask;
 
-                process.WaitForExit();
+                await process.WaitForExitAsync();
 
                 if (config.DebugMode)
                 {
@@ -40,54 +46,86 @@ namespace UltimateServer
                     if (!string.IsNullOrEmpty(error))
                         Console.WriteLine("Error: " + error);
                 }
+
+                return (process.ExitCode, output, error);
             }
             catch (Exception ex)
             {
                 Console.WriteLine("Exception: " + ex.Message);
+                return (-1, "", ex.Message);
             }
         }
 
+        /// <summary>
+        /// Runs <c>nginx -t</c>. nginx writes its verdict to stderr, so that is what gets returned.
+        /// </summary>
+        public async Task<(bool ok, string output)> TestConfig()
+        {
+            var (exitCode, output, error) = await RunCommand("sudo", "nginx -t");
+            return (exitCode == 0, string.IsNullOrWhiteSpace(error) ? output.Trim() : error.Trim());
+        }
+
+        /// <summary>
+        /// Renders the server block(s) for a site from <see cref="configHttp"/> or <see cref="configSSL"/>
+        /// with the location rules for its <see cref="SiteType"/>.
+        /// </summary>
+        public string BuildSiteConfig(Site site, string sitePath, bool ssl)
+        {
+            var locations = site.Type switch
+            {
+                SiteType.Static => locationsStatic,
+                SiteType.Proxy => locationsProxy,
+                _ => locationsPhp
+            };
+
+            var directives = string.IsNullOrWhiteSpace(site.CustomDirectives)
+                ? ""
+                : "\n    # Custom directives\n" + string.Join("\n", site.CustomDirectives.Trim().Split('\n').Select(l => "    " + l.TrimEnd('\r'))) + "\n";
+
+            return (ssl ? configSSL : configHttp)
+                .Replace("%Locations%", locations)
+                .Replace("%CustomDirectives%", directives)
+                .Replace("%ServerNames%", string.Join(" ", site.Domains))
+                .Replace("%IndexFile%", site.IndexFile)
+                .Replace("%Upstream%", site.Upstream)
+                .Replace("%SiteName%", site.Name)
+                .Replace("%SitePath%", sitePath)
+                .Replace("%SitePort%", site.Port.ToString());
+        }
+
 
         public string configHttp = @"
 server {
     listen %SitePort%;
-    server_name %SiteName%;
+    server_name %ServerNames%;
 
     root %SitePath%;
-    index index.php index.html;
-
-    location / {
-        try_files $uri $uri/ /index.php?$query_string;
-    }
-
-    location ~ \.php$ {
-        include snippets/fastcgi-php.conf;
-        fastcgi_pass unix:/run/php/php8.3-fpm-%SiteName%.sock;
-        fastcgi_param SCRIPT_FILENAME $document_root$fastcgi_script_name;
-        include fastcgi_params;
-    }
+    index %IndexFile%;
 
-    location ~ /\.ht {
-        deny all;
-    }
-}";
+    access_log /var/log/nginx/%SiteName%.access.log;
+    error_log /var/log/nginx/%SiteName%.error.log;
+%Locations%%CustomDirectives%}";
         public string configSSL = @"
 server {
     listen 80;
-    server_name %SiteName%;
+    server_name %ServerNames%;
     return 301 https://$host$request_uri;
 }
 
 server {
     listen 443 ssl;
-    server_name %SiteName%;
+    server_name %ServerNames%;
 
     ssl_certificate /etc/letsencrypt/live/%SiteName%/fullchain.pem;
     ssl_certificate_key /etc/letsencrypt/live/%SiteName%/privkey.pem;
 
     root %SitePath%;
-    index index.php index.html;
+    index %IndexFile%;
 
+    access_log /var/log/nginx/%SiteName%.access.log;
+    error_log /var/log/nginx/%SiteName%.error.log;
+%Locations%%CustomDirectives%}";
+        public string locationsPhp = @"
     location / {
         try_files $uri $uri/ /index.php?$query_string;
     }
@@ -102,7 +140,28 @@ server {
     location ~ /\.ht {
         deny all;
     }
-}";
+";
+        public string locationsStatic = @"
+    location / {
+        try_files $uri $uri/ =404;
+    }
+
+    location ~ /\. {
+        deny all;
+    }
+";
+        public string locationsProxy = @"
+    location / {
+        proxy_pass %Upstream%;
+        proxy_http_version 1.1;
+        proxy_set_header Host $host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto $scheme;
+        proxy_set_header Upgrade $http_upgrade;
+        proxy_set_header Connection ""upgrade"";
+    }
+";
         public string poolConfig = @"
 [%SiteName%]
 user = www-data
@@ -4,6 +4,7 @@ using System;
 using System.Collections.Generic;
 using System.Net;
 using System.Threading.Tasks;
+using UltimateServer.Models;
 using UltimateServer.Services;
 
 namespace UltimateServer.Plugins
@@ -18,5 +19,28 @@ namespace UltimateServer.Plugins
         IServiceProvider ServiceProvider { get; }
         void RegisterApiRoute(string path, Func<HttpListenerRequest, Task> handler);
         Func<HttpListenerRequest, Task> GetRouteHandler(string path);
+
+        /// <summary>
+        /// Declares the settings this plugin exposes in the dashboard. Call it from OnLoadAsync.
+        /// Saved values are validated against the schema and persisted by the server.
+        /// </summary>
+        /// <param name="settings">The settings schema.</param>
+        /// <param name="onChanged">Called with the new values after an administrator saves them.</param>
+        void RegisterSettings(IEnumerable<PluginSetting> settings, Func<IReadOnlyDictionary<string, object>, Task> onChanged = null);
+
+        /// <summary>
+        /// Returns the saved value of a setting, or its default when nothing was saved.
+        /// </summary>
+        T GetSetting<T>(string key);
+
+        /// <summary>
+        /// Adds a command that TCP clients can send and admins can run from the dashboard console.
+        /// It is removed again when the plugin is disabled or unloaded.
+        /// </summary>
+        /// <param name="name">The <c>theCommand</c> value clients send. Can't reuse a name the server or another plugin registered.</param>
+        /// <param name="description">Shown in the console's command list.</param>
+        /// <param name="handler">Receives the request and returns the reply.</param>
+        /// <param name="example">A sample <c>jsonData</c> the console can fill in.</param>
+        void RegisterCommand(string name, string description, Func<Data, Data> handler, string example = null);
     }
 }
\ No newline at end of file
@@ -2,8 +2,11 @@
 using Microsoft.Extensions.Logging;
 using System;
 using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
 using System.Net;
 using System.Threading.Tasks;
+using UltimateServer.Models;
 using UltimateServer.Plugins;
 using UltimateServer.Services;
 
@@ -19,23 +22,207 @@ namespace UltimateServer.Services
         public IServiceProvider ServiceProvider { get; }
 
         private readonly Dictionary<string, Func<HttpListenerRequest, Task>> _routes = new();
+        private readonly List<string> _commands = new();
+        private readonly string _pluginName;
+        private readonly List<(string eventName, object handler, Action unsubscribe)> _subscriptions = new();
+        private List<PluginSetting> _settings = new();
+        private Func<IReadOnlyDictionary<string, object>, Task> _onSettingsChanged;
+        private Dictionary<string, object> _settingValues;
 
-        public PluginContext(Logger serverLogger, IEventBus eventBus, IServiceProvider serviceProvider)
+        public PluginContext(Logger serverLogger, IEventBus eventBus, IServiceProvider serviceProvider, Dictionary<string, object> settingValues = null, string pluginName = null)
         {
+            _pluginName = pluginName ?? "plugin";
             Logger = serverLogger;
-            EventBus = eventBus;
+            EventBus = new TrackingEventBus(eventBus, this);
             ServiceProvider = serviceProvider;
+            _settingValues = settingValues ?? new Dictionary<string, object>();
+        }
+
+        /// <summary>
+        /// The schema registered through <see cref="RegisterSettings"/>.
+        /// </summary>
+        public IReadOnlyList<PluginSetting> Settings => _settings;
+
+        /// <summary>
+        /// Values saved by an administrator. Settings without an entry use their default.
+        /// </summary>
+        public IReadOnlyDictionary<string, object> SavedSettings => _settingValues;
+
+        /// <summary>
+        /// Paths registered through <see cref="RegisterApiRoute"/>.
+        /// </summary>
+        public IReadOnlyList<string> Routes
+        {
+            get { lock (_routes) return _routes.Keys.OrderBy(r => r).ToList(); }
+        }
+
+        /// <summary>
+        /// Names of the events this plugin subscribed to through <see cref="EventBus"/>.
+        /// </summary>
+        public IReadOnlyList<string> Subscriptions
+        {
+            get { lock (_subscriptions) return _subscriptions.Select(s => s.eventName).ToList(); }
+        }
+
+        /// <summary>
+        /// Names of the commands registered through <see cref="RegisterCommand"/>.
+        /// </summary>
+        public IReadOnlyList<string> Commands
+        {
+            get { lock (_commands) return _commands.OrderBy(c => c).ToList(); }
+        }
+
+        public void RegisterCommand(string name, string description, Func<Data, Data> handler, string example = null)
+        {
+            ServiceProvider.GetRequiredService<CommandHandler>().RegisterCommand(name, description, handler, _pluginName, example);
+            lock (_commands)
+            {
+                if (!_commands.Contains(name))
+                    _commands.Add(name);
+            }
+            Logger.Log($"🔌 Plugin registered command: {name}");
         }
 
         public void RegisterApiRoute(string path, Func<HttpListenerRequest, Task> handler)
         {
-            _routes[path] = handler;
+            lock (_routes) _routes[path] = handler;
             Logger.Log($"🔌 Plugin registered route: {path}");
         }
 
         public Func<HttpListenerRequest, Task> GetRouteHandler(string path)
         {
-            return _routes.TryGetValue(path, out var handler) ? handler : null;
+            lock (_routes) return _routes.TryGetValue(path, out var handler) ? handler : null;
+        }
+
+        public void RegisterSettings(IEnumerable<PluginSetting> settings, Func<IReadOnlyDictionary<string, object>, Task> onChanged = null)
+        {
+            var list = settings?.ToList() ?? new List<PluginSetting>();
+
+            var invalid = list.FirstOrDefault(s => string.IsNullOrWhiteSpace(s.Key));
+            if (invalid != null)
+                throw new ArgumentException("Every plugin setting needs a key", nameof(settings));
+
+            var duplicate = list.GroupBy(s => s.Key).FirstOrDefault(g => g.Count() > 1);
+            if (duplicate != null)
+                throw new ArgumentException($"Duplicate plugin setting key '{duplicate.Key}'", nameof(settings));
+
+            _settings = list;
+            _onSettingsChanged = onChanged;
+        }
+
+        public T GetSetting<T>(string key)
+        {
+            var setting = _settings.FirstOrDefault(s => s.Key == key);
+            if (setting == null)
+                throw new KeyNotFoundException($"Plugin setting '{key}' is not registered");
+
+            object value = _settingValues.TryGetValue(key, out var saved)
+                ? PluginSettingsService.Normalize(setting, saved)
+                : setting.Default;
+
+            if (value == null)
+                return default;
+            if (value is T typed)
+                return typed;
+
+            var target = Nullable.GetUnderlyingType(typeof(T)) ?? typeof(T);
+            return (T)Convert.ChangeType(value, target, CultureInfo.InvariantCulture);
+        }
+
+        /// <summary>
+        /// Every registered setting with its saved value or default.
+        /// </summary>
+        public IReadOnlyDictionary<string, object> GetEffectiveSettings()
+        {
+            return _settings.ToDictionary(
+                s => s.Key,
+                s => _settingValues.TryGetValue(s.Key, out var saved) ? PluginSettingsService.Normalize(s, saved) : s.Default);
+        }
+
+        /// <summary>
+        /// Swaps in newly saved values and tells the plugin. A failing callback is logged but
+        /// does not undo the save, since the values already passed validation.
+        /// </summary>
+        public async Task ApplySettingsAsync(Dictionary<string, object> values)
+        {
+            _settingValues = values;
+
+            if (_onSettingsChanged == null)
+                return;
+
+            try
+            {
+                await _onSettingsChanged(GetEffectiveSettings());
+            }
+            catch (Exception ex)
+            {
+                Logger.LogError($"❌ Plugin settings callback failed: {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Drops every route, command and event subscription the plugin made, so a disabled or unloaded
+        /// plugin stops receiving requests and events and its assembly can be collected.
+        /// </summary>
+        public void Detach()
+        {
+            lock (_routes) _routes.Clear();
+            _onSettingsChanged = null;
+
+            List<string> commands;
+            lock (_commands)
+            {
+                commands = _commands.ToList();
+                _commands.Clear();
+            }
+
+            if (commands.Count > 0)
+            {
+                var commandHandler = ServiceProvider.GetRequiredService<CommandHandler>();
+                foreach (var command in commands)
+                    commandHandler.UnregisterCommand(command, _pluginName);
+            }
+
+            List<(string eventName, object handler, Action unsubscribe)> subscriptions;
+            lock (_subscriptions)
+            {
+                subscriptions = _subscriptions.ToList();
+                _subscriptions.Clear();
+            }
+
+            foreach (var subscription in subscriptions)
+                subscription.unsubscribe();
+        }
+
+        /// <summary>
+        /// Forwards to the server's event bus and remembers what the plugin subscribed to.
+        /// </summary>
+        private sealed class TrackingEventBus : IEventBus
+        {
+            private readonly IEventBus _inner;
+            private readonly PluginContext _context;
+
+            public TrackingEventBus(IEventBus inner, PluginContext context)
+            {
+                _inner = inner;
+                _context = context;
+            }
+
+            public Task PublishAsync<T>(T eventData) where T : IEvent => _inner.PublishAsync(eventData);
+
+            public void Subscribe<T>(IEventHandler<T> handler) where T : IEvent
+            {
+                _inner.Subscribe(handler);
+                lock (_context._subscriptions)
+                    _context._subscriptions.Add((typeof(T).Name, handler, () => _inner.Unsubscribe(handler)));
+            }
+
+            public void Unsubscribe<T>(IEventHandler<T> handler) where T : IEvent
+            {
+                _inner.Unsubscribe(handler);
+                lock (_context._subscriptions)
+                    _context._subscriptions.RemoveAll(s => ReferenceEquals(s.handler, handler));
+            }
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,59 @@
+﻿using System.Collections.Generic;
+
+namespace UltimateServer.Plugins
+{
+    /// <summary>
+    /// The kinds of value a plugin setting can hold.
+    /// </summary>
+    public enum PluginSettingType
+    {
+        String,
+        Number,
+        Boolean,
+        Select
+    }
+
+    /// <summary>
+    /// Describes one setting a plugin exposes in the dashboard. Register them with
+    /// <see cref="IPluginContext.RegisterSettings"/>.
+    /// </summary>
+    public class PluginSetting
+    {
+        /// <summary>
+        /// Unique key used to read the value with <see cref="IPluginContext.GetSetting{T}"/>.
+        /// </summary>
+        public string Key { get; set; } = string.Empty;
+
+        public string Label { get; set; } = string.Empty;
+        public string Description { get; set; } = string.Empty;
+        public PluginSettingType Type { get; set; } = PluginSettingType.String;
+
+        /// <summary>
+        /// Value used until an administrator saves one.
+        /// </summary>
+        public object? Default { get; set; }
+
+        public bool Required { get; set; }
+
+        /// <summary>
+        /// Secret values (API keys, passwords) are never sent back to the dashboard.
+        /// </summary>
+        public bool Secret { get; set; }
+
+        /// <summary>
+        /// Inclusive bounds for <see cref="PluginSettingType.Number"/>, or length bounds for <see cref="PluginSettingType.String"/>.
+        /// </summary>
+        public double? Min { get; set; }
+        public double? Max { get; set; }
+
+        /// <summary>
+        /// Regular expression a <see cref="PluginSettingType.String"/> value must match.
+        /// </summary>
+        public string? Pattern { get; set; }
+
+        /// <summary>
+        /// Allowed values for <see cref="PluginSettingType.Select"/>.
+        /// </summary>
+        public List<string> Options { get; set; } = new();
+    }
+}
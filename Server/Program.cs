@@ -34,6 +34,7 @@ namespace UltimateServer
             var services = new ServiceCollection();
 
             services.AddSingleton<Logger>();
+            services.AddSingleton<LogService>();
             services.AddSingleton(provider => new ConfigManager(logger: provider.GetRequiredService<Logger>()));
             services.AddSingleton(provider => new EmailService(config: provider.GetRequiredService<ConfigManager>().Config));
             services.AddSingleton(provider => provider.GetRequiredService<ConfigManager>().Config);
@@ -42,17 +43,26 @@ namespace UltimateServer
             services.AddSingleton<CacheService>();
             services.AddSingleton<IEventBus, InMemoryEventBus>();
             services.AddSingleton<Services.EventHandler>();
+            services.AddSingleton<PluginSettingsService>();
+            services.AddSingleton<PluginVerificationService>();
             services.AddSingleton<PluginManager>();
+            services.AddSingleton<MarketplaceService>();
             services.AddSingleton<SitePress>();
+            services.AddSingleton<SiteHealthService>();
             services.AddSingleton<SftpServer>();
             services.AddSingleton<DataBox>();
             services.AddSingleton<MiniDB>();
+            services.AddSingleton<MetricsHistoryService>();
+            services.AddSingleton<DataBrowserService>();
+            services.AddSingleton<ProcessService>();
             services.AddSingleton<DataBackuper>();
             services.AddSingleton<WebSocketServer>();
             services.AddSingleton<UserService>();
             services.AddSingleton<HttpServer>();
             services.AddSingleton<TcpServer>();
             services.AddSingleton<UdpServer>();
+            // One registry for the whole process, so commands added by plugins are seen by the TCP server and the console alike
+            services.AddSingleton<CommandHandler>();
 
 
             services.AddScoped<AuthenticationService>(provider =>
@@ -63,7 +73,8 @@ namespace UltimateServer
 
             services.AddScoped<ValidationService>();
             services.AddScoped<VideoService>();
-            services.AddScoped<CommandHandler>();
+            services.AddSingleton<VideoImportService>();
+            services.AddSingleton<VideoUploadService>();
             services.AddScoped<Nginx>();
 
             var serviceProvider = services.BuildServiceProvider();
@@ -85,6 +96,7 @@ namespace UltimateServer
             var tcpServer = serviceProvider.GetRequiredService<TcpServer>();
             var udpServer = serviceProvider.GetRequiredService<UdpServer>();
             var sitePress = serviceProvider.GetRequiredService<SitePress>();
+            var siteHealth = serviceProvider.GetRequiredService<SiteHealthService>();
             var sftpServer = serviceProvider.GetRequiredService<SftpServer>();
             var dataBox = serviceProvider.GetRequiredService<DataBox>();
             var miniDB = serviceProvider.GetRequiredService<MiniDB>();
@@ -101,6 +113,7 @@ namespace UltimateServer
             await tcpServer.Start();
             await udpServer.Start();
             await sitePress.Start();
+            siteHealth.Start();
             await sftpServer.Start();
             await dataBackuper.Start();
             await webSocketServer.Start();
@@ -173,10 +186,14 @@ namespace UltimateServer
                 await httpServer.StopAsync();
                 await tcpServer.StopAsync();
                 await udpServer.StopAsync();
+                serviceProvider.GetRequiredService<SiteHealthService>().Stop();
                 await sitePressService.StopAsync();
                 await sftpServerService.StopAsync();
                 await webSocketServer.Stop();
 
+                var metricsHistory = serviceProvider.GetRequiredService<MetricsHistoryService>();
+                await metricsHistory.FlushAsync();
+
                 await dataBox.Stop();
                 await miniDB.Stop();
 
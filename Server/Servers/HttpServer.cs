@@ -1,8 +1,10 @@
 ﻿using Microsoft.Extensions.DependencyInjection;
 using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
 using UltimateServer.Services;
 using System.Collections.Concurrent;
 using System.Diagnostics;
+using System.Globalization;
 using System.Net;
 using System.Net.Sockets;
 using System.Text;
@@ -18,15 +20,24 @@ namespace UltimateServer.Servers
         private readonly UserService _userService;
         private readonly AuthenticationService _authService;
         private readonly VideoService _videoService;
+        private readonly VideoImportService _videoImports;
+        private readonly VideoUploadService _videoUploads;
         private readonly CompressionService _compressionService;
         private readonly PluginManager _pluginManager;
         private readonly ConfigManager _configManager;
         private readonly DownloadJobProcessor _downloadJobProcessor;
         private readonly DDoSProtectionService _ddosProtection;
+        private readonly EventStreamService _eventStream;
+        private readonly MetricsHistoryService _metricsHistory;
+        private readonly CacheService _cache;
+        private readonly MarketplaceService _marketplace;
+        private readonly PluginVerificationService _pluginVerification;
         private readonly IServiceProvider _serviceProvider;
         private HttpListener _httpListener;
         private CancellationTokenSource _cts;
         private double _lastCpuUsage = 0;
+        private int _activeConnections = 0;
+        private (DateTime time, long sent, long received)? _lastNetworkTotals;
         private readonly ConcurrentDictionary<TcpClient, bool> _activeClients = new();
         private bool useCompression = false;
 
@@ -36,9 +47,15 @@ namespace UltimateServer.Servers
             UserService userService,
             AuthenticationService authService,
             VideoService videoService,
+            VideoImportService videoImports,
+            VideoUploadService videoUploads,
             PluginManager pluginManager,
             IServiceProvider serviceProvider,
-            ConfigManager configManager)
+            ConfigManager configManager,
+            MetricsHistoryService metricsHistory,
+            CacheService cache,
+            MarketplaceService marketplace,
+            PluginVerificationService pluginVerification)
         {
             _port = settings.httpPort;
             _ip = settings.Ip;
@@ -47,22 +64,33 @@ namespace UltimateServer.Servers
             _logger.Log($"🌐 HttpServer initialized for port {_port}.");
             _authService = authService;
             _videoService = videoService;
+            _videoImports = videoImports;
+            _videoUploads = videoUploads;
             _pluginManager = pluginManager;
             _serviceProvider = serviceProvider;
             _compressionService = new CompressionService(new ServerConfig(), logger);
             _cts = new CancellationTokenSource();
             _configManager = configManager;
             useCompression = configManager.Config.EnableCompression;
-            _downloadJobProcessor = new DownloadJobProcessor(_logger, _pluginManager);
+            _marketplace = marketplace;
+            _pluginVerification = pluginVerification;
+            _downloadJobProcessor = new DownloadJobProcessor(_logger, _pluginManager, _marketplace, _pluginVerification);
+            _eventStream = new EventStreamService(logger);
+            _metricsHistory = metricsHistory;
+            _cache = cache;
+            _logger.EntryWritten += (line, offset) => _eventStream.Broadcast("log", LogService.ParseLine(line, offset));
 
             _ddosProtection = new DDoSProtectionService(
                 logger,
-                maxRequestsPerMinute: 240,
-                maxConcurrentConnections: 3,
+                maxRequestsPerMinute: configManager.Config.RateLimitPerMinute,
+                maxConcurrentConnections: configManager.Config.MaxConcurrentRequestsPerIp,
                 maxRequestSizeKB: configManager.Config.MaxRequestSizeMB * 1024,
                 maxHeaderSizeKB: configManager.Config.MaxRequestSizeMB * 2,
-                blockMinutesBase: 3
+                blockMinutesBase: configManager.Config.BlockMinutesBase
             );
+            _ddosProtection.SetAllowList(configManager.Config.AllowedIps);
+            _ddosProtection.SetBans(configManager.Config.BannedIps);
+            configManager.SettingsChanged += ApplyProtectionSettings;
         }
 
         public async Task Start()
@@ -77,23 +105,20 @@ namespace UltimateServer.Servers
                 _httpListener.Start();
                 _logger.Log($"🌐 HTTP server listening on {prefix}");
 
-                var activeConnections = 0;
-                var maxConnections = _configManager.Config.MaxConnections;
-
                 _ = Task.Run(async () =>
                 {
                     while (!_cts.Token.IsCancellationRequested)
                     {
                         try
                         {
-                            if (activeConnections >= maxConnections)
+                            if (_activeConnections >= _configManager.Config.MaxConnections)
                             {
                                 await Task.Delay(100, _cts.Token);
                                 continue;
                             }
 
                             var context = await _httpListener.GetContextAsync();
-                            Interlocked.Increment(ref activeConnections);
+                            Interlocked.Increment(ref _activeConnections);
 
                             _ = Task.Run(async () =>
                             {
@@ -103,7 +128,7 @@ namespace UltimateServer.Servers
                                 }
                                 finally
                                 {
-                                    Interlocked.Decrement(ref activeConnections);
+                                    Interlocked.Decrement(ref _activeConnections);
                                 }
                             }).ContinueWith(t =>
                             {
@@ -144,6 +169,9 @@ namespace UltimateServer.Servers
                         prevTime = currTime;
                     }
                 });
+
+                _ = Task.Run(PushLiveUpdatesAsync);
+                _ = Task.Run(RecordMetricsAsync);
             }
             catch (HttpListenerException ex)
             {
@@ -153,6 +181,100 @@ namespace UltimateServer.Servers
             }
         }
 
+        private async Task PushLiveUpdatesAsync()
+        {
+            string lastVideos = null;
+            string lastPlugins = null;
+            string lastSiteHealth = null;
+            string lastImports = null;
+
+            while (!_cts.Token.IsCancellationRequested)
+            {
+                try
+                {
+                    await Task.Delay(2000, _cts.Token);
+                    if (_eventStream.ClientCount == 0)
+                    {
+                        lastVideos = null;
+                        lastPlugins = null;
+                        lastSiteHealth = null;
+                        lastImports = null;
+                        continue;
+                    }
+
+                    _eventStream.Broadcast("stats", GetStatsSnapshot());
+                    _eventStream.Broadcast("system", GetSystemSnapshot());
+
+                    var videos = _videoService.GetVideoInfos();
+                    string videosSignature = JsonConvert.SerializeObject(videos);
+                    if (videosSignature != lastVideos)
+                    {
+                        if (lastVideos != null)
+                            _eventStream.Broadcast("videos", videos);
+                        lastVideos = videosSignature;
+                    }
+
+                    var plugins = GetPluginList();
+                    string pluginsSignature = JsonConvert.SerializeObject(plugins);
+                    if (pluginsSignature != lastPlugins)
+                    {
+                        if (lastPlugins != null)
+                            _eventStream.Broadcast("plugins", plugins);
+                        lastPlugins = pluginsSignature;
+                    }
+
+                    var siteHealth = _serviceProvider.GetRequiredService<SiteHealthService>().GetAll();
+                    string siteHealthSignature = JsonConvert.SerializeObject(siteHealth);
+                    if (siteHealthSignature != lastSiteHealth)
+                    {
+                        if (lastSiteHealth != null)
+                            _eventStream.Broadcast("sites", siteHealth);
+                        lastSiteHealth = siteHealthSignature;
+                    }
+
+                    var imports = _videoImports.GetJobs();
+                    string importsSignature = JsonConvert.SerializeObject(imports);
+                    if (importsSignature != lastImports)
+                    {
+                        if (lastImports != null)
+                            _eventStream.Broadcast("imports", imports);
+                        lastImports = importsSignature;
+                    }
+                }
+                catch (OperationCanceledException)
+                {
+                    break;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError($"Live update error: {ex.Message}");
+                }
+            }
+        }
+
+        private async Task RecordMetricsAsync()
+        {
+            while (!_cts.Token.IsCancellationRequested)
+            {
+                try
+                {
+                    await Task.Delay(_metricsHistory.SampleInterval, _cts.Token);
+
+                    var sample = CaptureMetricSample();
+                    await _metricsHistory.RecordAsync(sample);
+                    _eventStream.Broadcast("metrics", sample);
+                }
+                catch (OperationCanceledException)
+                {
+                    break;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError($"Metrics sampling error: {ex.Message}");
+                }
+            }
+        }
+
         public async Task StopAsync()
         {
             _cts.Cancel();
@@ -160,6 +282,7 @@ namespace UltimateServer.Servers
             _logger.Log("🌐 HTTP server stopped.");
 
             await _downloadJobProcessor.StopAsync();
+            await _videoImports.StopAsync();
         }
 
         private async Task HandleRequestAsync(HttpListenerContext context)
@@ -237,6 +360,41 @@ namespace UltimateServer.Servers
                         await HandleTwoFactorVerificationAsync(request, response);
                         break;
 
+                    case "/api/2fa/status":
+                        if (ValidateUserAuthentication(request))
+                            await HandleTwoFactorStatusAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/2fa/setup":
+                        if (ValidateUserAuthentication(request))
+                            await HandleTwoFactorSetupAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/2fa/enable":
+                        if (ValidateUserAuthentication(request))
+                            await HandleTwoFactorEnableAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/2fa/disable":
+                        if (ValidateUserAuthentication(request))
+                            await HandleTwoFactorDisableAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/events":
+                        if (IsAdminToken(request.QueryString["access_token"]))
+                            await HandleEventStreamAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
                     case "/api/plugins":
                         if (ValidateAdminAuthentication(request))
                             await HandlePluginsListAsync(request, response);
@@ -272,6 +430,13 @@ namespace UltimateServer.Servers
                             SendUnauthorized(response);
                         break;
 
+                    case "/system/history":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleSystemHistoryAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
                     case "/logs":
                         if (ValidateAdminAuthentication(request))
                             await HandleLogsAsync(request, response);
@@ -293,6 +458,126 @@ namespace UltimateServer.Servers
                             SendUnauthorized(response);
                         break;
 
+                    case "/api/videos/imports":
+                        if (ValidateAdminAuthentication(request))
+                            await WriteJsonResponseAsync(response, _videoImports.GetJobs());
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/videos/revoke-links":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleRevokeVideoLinksAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/backups":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleBackupsAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/backups/settings":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleBackupSettingsAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/data":
+                    case "/api/data/entry":
+                    case "/api/data/compact":
+                    case "/api/data/export":
+                    case "/api/data/import":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleDataAsync(request, response, request.Url.AbsolutePath.Substring("/api/data".Length).TrimStart('/'));
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/commands":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleCommandListAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/commands/run":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleCommandRunAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/websockets":
+                    case "/api/websockets/send":
+                    case "/api/websockets/broadcast":
+                    case "/api/websockets/disconnect":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleWebSocketsAsync(request, response, request.Url.AbsolutePath.Substring("/api/websockets".Length).TrimStart('/'));
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/voice":
+                    case "/api/voice/rooms":
+                    case "/api/voice/move":
+                    case "/api/voice/kick":
+                    case "/api/voice/mute":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleVoiceAsync(request, response, request.Url.AbsolutePath.Substring("/api/voice".Length).TrimStart('/'));
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/cache":
+                    case "/api/cache/entry":
+                    case "/api/cache/reset-stats":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleCacheAsync(request, response, request.Url.AbsolutePath.Substring("/api/cache".Length).TrimStart('/'));
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/config":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleConfigAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/security":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleSecurityStatusAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/security/limits":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleSecurityLimitsAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/security/bans":
+                    case "/api/security/allow-list":
+                    case "/api/security/blocks":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleSecurityListAsync(request, response, request.Url.AbsolutePath.Substring("/api/security/".Length));
+                        else
+                            SendUnauthorized(response);
+                        break;
+
+                    case "/api/videos/uploads":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleVideoUploadsAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
 
                     case "/api/request-password-reset":
                         await HandleRequestPasswordResetAsync(request, response);
@@ -308,6 +593,18 @@ namespace UltimateServer.Servers
                         else
                             SendUnauthorized(response);
                         break;
+                    case "/api/sites/health":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleSiteHealthAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+                    case "/api/sites/port-check":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleSitePortCheckAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
 
                     case "/api/marketplace":
                         if (ValidateAdminAuthentication(request))
@@ -323,6 +620,13 @@ namespace UltimateServer.Servers
                             SendUnauthorized(response);
                         break;
 
+                    case "/api/users":
+                        if (ValidateAdminAuthentication(request))
+                            await HandleUsersAsync(request, response);
+                        else
+                            SendUnauthorized(response);
+                        break;
+
                     case "/api/process/list":
                         if (ValidateAdminAuthentication(request))
                             await HandleProcessListAsync(request, response);
@@ -339,16 +643,18 @@ namespace UltimateServer.Servers
 
                     default:
                         if (request.Url.AbsolutePath.StartsWith("/api/plugins/") &&
-                            (request.Url.AbsolutePath.EndsWith("/enable") || request.Url.AbsolutePath.EndsWith("/disable")))
+                            (PluginActions.Any(a => request.Url.AbsolutePath.EndsWith("/" + a)) || request.Url.AbsolutePath.EndsWith("/settings")))
                         {
                             if (ValidateAdminAuthentication(request))
                             {
                                 var pathParts = request.Url.AbsolutePath.Split('/');
-                                if (pathParts.Length >= 4)
+                                if (pathParts.Length == 5 && !string.IsNullOrEmpty(pathParts[3]))
                                 {
-                                    var pluginId = pathParts[3];
-                                    var enable = request.Url.AbsolutePath.EndsWith("/enable");
-                                    await HandlePluginToggleAsync(request, response, pluginId, enable);
+                                    var pluginId = Uri.UnescapeDataString(pathParts[3]);
+                                    if (pathParts[4] == "settings")
+                                        await HandlePluginSettingsAsync(request, response, pluginId);
+                                    else
+                                        await HandlePluginActionAsync(request, response, pluginId, pathParts[4]);
                                 }
                                 else
                                 {
@@ -359,9 +665,117 @@ namespace UltimateServer.Servers
                             else
                                 SendUnauthorized(response);
                         }
-                        else if (request.Url.AbsolutePath.StartsWith("/videos/"))
+                        else if (request.Url.AbsolutePath.StartsWith("/api/sites/") && SiteActions.Any(a => request.Url.AbsolutePath.EndsWith("/" + a)))
+                        {
+                            if (ValidateAdminAuthentication(request))
+                            {
+                                var pathParts = request.Url.AbsolutePath.Split('/');
+                                if (pathParts.Length == 5 && !string.IsNullOrEmpty(pathParts[3]))
+                                    await HandleSiteActionAsync(request, response, Uri.UnescapeDataString(pathParts[3]), pathParts[4]);
+                                else
+                                {
+                                    response.StatusCode = 400;
+                                    await WriteJsonResponseAsync(response, new { success = false, message = "Invalid site name" });
+                                }
+                            }
+                            else
+                                SendUnauthorized(response);
+                        }
+                        else if (request.Url.AbsolutePath.StartsWith("/api/sites/") && request.Url.AbsolutePath.EndsWith("/files"))
+                        {
+                            if (ValidateUserAuthentication(request))
+                            {
+                                var pathParts = request.Url.AbsolutePath.Split('/');
+                                if (pathParts.Length == 5 && !string.IsNullOrEmpty(pathParts[3]))
+                                    await HandleSiteFilesAsync(request, response, Uri.UnescapeDataString(pathParts[3]));
+                                else
+                                {
+                                    response.StatusCode = 400;
+                                    await WriteJsonResponseAsync(response, new { success = false, message = "Invalid site name" });
+                                }
+                            }
+                            else
+                                SendUnauthorized(response);
+                        }
+                        else if (request.Url.AbsolutePath.StartsWith("/api/users/"))
+                        {
+                            if (ValidateAdminAuthentication(request))
+                                await HandleUserActionAsync(request, response);
+                            else
+                                SendUnauthorized(response);
+                        }
+                        else if (request.Url.AbsolutePath.StartsWith("/api/backups/"))
+                        {
+                            var pathParts = request.Url.AbsolutePath.Split('/');
+
+                            if (ValidateAdminAuthentication(request))
+                            {
+                                if (pathParts.Length == 5 && !string.IsNullOrEmpty(pathParts[3]))
+                                    await HandleBackupActionAsync(request, response, Uri.UnescapeDataString(pathParts[3]), pathParts[4]);
+                                else
+                                {
+                                    response.StatusCode = 400;
+                                    await WriteJsonResponseAsync(response, new { success = false, message = "Invalid backup name" });
+                                }
+                            }
+                            else
+                                SendUnauthorized(response);
+                        }
+                        else if (request.Url.AbsolutePath.StartsWith("/api/videos/uploads/"))
+                        {
+                            var pathParts = request.Url.AbsolutePath.Split('/');
+
+                            if (ValidateAdminAuthentication(request))
+                            {
+                                if (pathParts.Length == 5 && !string.IsNullOrEmpty(pathParts[4]))
+                                    await HandleVideoUploadChunkAsync(request, response, pathParts[4]);
+                                else
+                                {
+                                    response.StatusCode = 400;
+                                    await WriteJsonResponseAsync(response, new { success = false, message = "Invalid upload ID" });
+                                }
+                            }
+                            else
+                                SendUnauthorized(response);
+                        }
+                        else if (request.Url.AbsolutePath.StartsWith("/api/videos/imports/"))
                         {
+                            var pathParts = request.Url.AbsolutePath.Split('/');
+
                             if (ValidateAdminAuthentication(request))
+                            {
+                                if ((pathParts.Length == 5 || pathParts.Length == 6) && !string.IsNullOrEmpty(pathParts[4]))
+                                    await HandleVideoImportActionAsync(request, response, pathParts[4], pathParts.Length == 6 ? pathParts[5] : null);
+                                else
+                                {
+                                    response.StatusCode = 400;
+                                    await WriteJsonResponseAsync(response, new { success = false, message = "Invalid import ID" });
+                                }
+                            }
+                            else
+                                SendUnauthorized(response);
+                        }
+                        else if (request.Url.AbsolutePath.StartsWith("/api/videos/"))
+                        {
+                            var pathParts = request.Url.AbsolutePath.Split('/');
+                            bool thumbnail = pathParts.Length == 5 && pathParts[4] == "thumbnail";
+
+                            if (thumbnail ? ValidateUserAuthentication(request) : ValidateAdminAuthentication(request))
+                            {
+                                if ((pathParts.Length == 4 || pathParts.Length == 5) && !string.IsNullOrEmpty(pathParts[3]))
+                                    await HandleVideoActionAsync(request, response, Uri.UnescapeDataString(pathParts[3]), pathParts.Length == 5 ? pathParts[4] : null);
+                                else
+                                {
+                                    response.StatusCode = 400;
+                                    await WriteJsonResponseAsync(response, new { success = false, message = "Invalid video name" });
+                                }
+                            }
+                            else
+                                SendUnauthorized(response);
+                        }
+                        else if (request.Url.AbsolutePath.StartsWith("/videos/"))
+                        {
+                            if (request.QueryString["sig"] != null || ValidateAdminAuthentication(request))
                                 await ServeVideoAsync(request, response);
                             else
                                 SendUnauthorized(response);
@@ -408,28 +822,27 @@ namespace UltimateServer.Servers
                     await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
                 }
             }
-            else if (request.HttpMethod == "POST")
+            else if (request.HttpMethod == "POST" || request.HttpMethod == "PUT")
             {
+                bool creating = request.HttpMethod == "POST";
                 try
                 {
                     using var reader = new StreamReader(request.InputStream);
                     string body = await reader.ReadToEndAsync();
                     var data = JsonConvert.DeserializeObject<CreateSiteRequest>(body);
 
-                    if (data != null && data.Port >= 1000 && data.Port <= 50000 && !string.IsNullOrEmpty(data.Name))
+                    if (data != null && !string.IsNullOrEmpty(data.Name))
                     {
-                        bool success;
-                        string message;
+                        var sitePress = _serviceProvider.GetRequiredService<SitePress>();
+                        var (success, message) = creating
+                            ? await sitePress.CreateSite(data)
+                            : await sitePress.UpdateSite(data);
 
-                        if (_serviceProvider.GetRequiredService<SitePress>().sites.TryGetValue(data.Name, out _))
-                            (success, message) = (false, "Failed to create site - already exist");
-
-                        if (await _serviceProvider.GetRequiredService<SitePress>().CreateSite(data.Name, data.Port))
-                            (success, message) = (true, "Site created successfully");
-                        else
-                            (success, message) = (false, "Failed to create site - port may be in use");
+                        if (!success)
+                            response.StatusCode = 400;
 
-                        await WriteJsonResponseAsync(response, new { success, message });
+                        sitePress.sites.TryGetValue(data.Name, out var site);
+                        await WriteJsonResponseAsync(response, new { success, message, site });
                     }
                     else
                     {
@@ -437,9 +850,14 @@ namespace UltimateServer.Servers
                         await WriteJsonResponseAsync(response, new { success = false, message = "Name and Port are required" });
                     }
                 }
+                catch (JsonException)
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Invalid site data" });
+                }
                 catch (Exception ex)
                 {
-                    _logger.LogError($"Site creation error: {ex.Message}");
+                    _logger.LogError($"Site {(creating ? "creation" : "update")} error: {ex.Message}");
                     response.StatusCode = 500;
                     await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
                 }
@@ -485,15 +903,170 @@ namespace UltimateServer.Servers
             }
         }
 
-        private async Task HandleRequestPasswordResetAsync(HttpListenerRequest request, HttpListenerResponse response)
+        private async Task HandleSitePortCheckAsync(HttpListenerRequest request, HttpListenerResponse response)
         {
-            if (request.HttpMethod != "POST")
-            {
-                response.StatusCode = 405;
-                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST allowed" });
-                return;
-            }
-
+            try
+            {
+                var sitePress = _serviceProvider.GetRequiredService<SitePress>();
+                int suggested = sitePress.SuggestPort();
+
+                if (!int.TryParse(request.QueryString["port"], out int port))
+                {
+                    await WriteJsonResponseAsync(response, new { success = true, available = false, message = "Port must be a number", suggested });
+                    return;
+                }
+
+                var (available, message) = sitePress.CheckPort(port, request.QueryString["site"]);
+                await WriteJsonResponseAsync(response, new { success = true, available, message, suggested });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Port check error: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        private async Task HandleSiteHealthAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            try
+            {
+                var siteHealth = _serviceProvider.GetRequiredService<SiteHealthService>();
+                var sites = request.QueryString["refresh"] == "true"
+                    ? await siteHealth.CheckAllAsync()
+                    : siteHealth.GetAll();
+
+                await WriteJsonResponseAsync(response, new { success = true, sites });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error fetching site health: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        private async Task HandleSiteActionAsync(HttpListenerRequest request, HttpListenerResponse response, string siteName, string action)
+        {
+            try
+            {
+                var sitePress = _serviceProvider.GetRequiredService<SitePress>();
+                if (!sitePress.sites.TryGetValue(siteName, out var site))
+                {
+                    response.StatusCode = 404;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Site not found" });
+                    return;
+                }
+
+                if (action == "logs")
+                {
+                    if (request.HttpMethod != "GET")
+                    {
+                        response.StatusCode = 405;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "Only GET method is allowed." });
+                        return;
+                    }
+
+                    string type = request.QueryString["type"] == "error" ? "error" : "access";
+                    int lines = int.TryParse(request.QueryString["lines"], out var l) ? Math.Clamp(l, 1, 1000) : 200;
+                    var (found, logLines) = sitePress.ReadSiteLog(siteName, type, lines);
+
+                    await WriteJsonResponseAsync(response, new
+                    {
+                        success = true,
+                        type,
+                        found,
+                        lines = logLines,
+                        message = found ? "" : $"No {type} log yet. Sites created before per-site logging need to be saved once to start writing it."
+                    });
+                    return;
+                }
+
+                if (request.HttpMethod != "POST")
+                {
+                    response.StatusCode = 405;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Only POST method is allowed." });
+                    return;
+                }
+
+                var (success, message) = await sitePress.SetSiteEnabled(siteName, action == "enable");
+                if (!success)
+                    response.StatusCode = 400;
+                else
+                    _logger.LogSecurity($"Site {siteName} {action}d by {GetUsernameFromRequest(request)}");
+
+                var health = await _serviceProvider.GetRequiredService<SiteHealthService>().CheckAsync(site);
+                await WriteJsonResponseAsync(response, new { success, message, health });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Site {action} error for {siteName}: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        /// <summary>
+        /// Exchanges the caller's dashboard token for a one-time file manager ticket scoped to the site's
+        /// folder. Admins can open any site; other users only the site named after their account, which
+        /// is the SFTP user SitePress creates for each site.
+        /// </summary>
+        private async Task HandleSiteFilesAsync(HttpListenerRequest request, HttpListenerResponse response, string siteName)
+        {
+            if (request.HttpMethod != "POST")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST method is allowed." });
+                return;
+            }
+
+            try
+            {
+                string username = GetUsernameFromRequest(request);
+                var sitePress = _serviceProvider.GetRequiredService<SitePress>();
+
+                if (!sitePress.sites.ContainsKey(siteName))
+                {
+                    response.StatusCode = 404;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Site not found" });
+                    return;
+                }
+
+                if (!ValidateAdminAuthentication(request) && username != siteName)
+                {
+                    _logger.LogSecurity($"User {username} was refused file access to site {siteName}");
+                    response.StatusCode = 403;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "You can only manage your own site's files" });
+                    return;
+                }
+
+                var sftpServer = _serviceProvider.GetRequiredService<SftpServer>();
+                string ticket = sftpServer.IssueTicket(username, siteName);
+
+                string baseUrl = _configManager.Config.FileManagerUrl;
+                if (string.IsNullOrWhiteSpace(baseUrl))
+                    baseUrl = $"{request.Url.Scheme}://{request.Url.Host}:{sftpServer.Port}/";
+
+                _logger.LogSecurity($"File manager opened for site {siteName} by {username}");
+                await WriteJsonResponseAsync(response, new { success = true, url = $"{baseUrl.TrimEnd('/')}/#ticket={ticket}" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error opening file manager for site {siteName}: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        private async Task HandleRequestPasswordResetAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "POST")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST allowed" });
+                return;
+            }
+
             try
             {
                 using var reader = new StreamReader(request.InputStream);
@@ -575,7 +1148,17 @@ namespace UltimateServer.Servers
                 if (loginRequest != null)
                 {
                     var (user, message) = await _userService.AuthenticateUserAsync(loginRequest);
-                    if (user != null)
+                    if (user != null && user.TwoFactorEnabled)
+                    {
+                        await WriteJsonResponseAsync(response, new
+                        {
+                            success = false,
+                            twoFactorRequired = true,
+                            challengeToken = _authService.CreateTwoFactorChallenge(user.Username),
+                            message = "Enter the code from your authenticator app"
+                        });
+                    }
+                    else if (user != null)
                     {
                         var token = _authService.GenerateJwtToken(user);
                         var responseData = new
@@ -661,37 +1244,97 @@ namespace UltimateServer.Servers
 
         private async Task HandleTwoFactorVerificationAsync(HttpListenerRequest request, HttpListenerResponse response)
         {
-            await WriteJsonResponseAsync(response, new { success = false, message = "2FA not implemented" });
-        }
-
+            if (request.HttpMethod != "POST")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST allowed" });
+                return;
+            }
 
-        private async Task HandlePluginsListAsync(HttpListenerRequest request, HttpListenerResponse response)
-        {
             try
             {
-                var plugins = _pluginManager.GetLoadedPlugins();
-                var pluginList = plugins.Select(p => new
+                using var reader = new StreamReader(request.InputStream);
+                string body = await reader.ReadToEndAsync();
+                var verifyRequest = JsonConvert.DeserializeObject<TwoFactorVerifyRequest>(body);
+
+                if (verifyRequest == null || string.IsNullOrEmpty(verifyRequest.ChallengeToken) || string.IsNullOrEmpty(verifyRequest.Code))
                 {
-                    id = p.Key,
-                    name = p.Value.Name,
-                    version = p.Value.Version,
-                    enabled = true
-                }).ToList();
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Invalid request" });
+                    return;
+                }
+
+                var username = _authService.GetTwoFactorChallengeUser(verifyRequest.ChallengeToken);
+                if (username == null)
+                {
+                    response.StatusCode = 401;
+                    await WriteJsonResponseAsync(response, new { success = false, sessionExpired = true, message = "Login session expired, please sign in again" });
+                    return;
+                }
 
-                await WriteJsonResponseAsync(response, new { success = true, plugins = pluginList });
+                if (await _authService.IsAccountLocked(username))
+                {
+                    _authService.RemoveTwoFactorChallenge(verifyRequest.ChallengeToken);
+                    response.StatusCode = 401;
+                    await WriteJsonResponseAsync(response, new { success = false, sessionExpired = true, message = "Account is temporarily locked due to multiple failed login attempts" });
+                    return;
+                }
+
+                var (verified, message) = await _userService.VerifyTwoFactorAsync(username, verifyRequest.Code);
+                if (!verified)
+                {
+                    _authService.RecordFailedLoginAttempt(username);
+                    _logger.LogSecurity($"Failed 2FA attempt for {username}");
+                    bool sessionExpired = !_authService.RecordTwoFactorChallengeFailure(verifyRequest.ChallengeToken);
+                    if (sessionExpired)
+                        message = "Too many invalid codes, please sign in again";
+                    response.StatusCode = 401;
+                    await WriteJsonResponseAsync(response, new { success = false, sessionExpired, message });
+                    return;
+                }
+
+                _authService.RemoveTwoFactorChallenge(verifyRequest.ChallengeToken);
+                await _userService.CompleteTwoFactorLoginAsync(username);
+
+                var user = _userService.GetUserByUsername(username);
+                var token = _authService.GenerateJwtToken(user);
+                await WriteJsonResponseAsync(response, new
+                {
+                    success = true,
+                    token,
+                    refreshToken = user.RefreshToken,
+                    message,
+                    user = new { username = user.Username, role = user.Role, email = user.Email }
+                });
+                _logger.Log($"✅ User logged in with 2FA: {user.Username}");
             }
             catch (Exception ex)
             {
-                _logger.LogError($"Error listing plugins: {ex.Message}");
+                _logger.LogError($"2FA verification error: {ex.Message}");
                 response.StatusCode = 500;
-                await WriteJsonResponseAsync(response, new { success = false, message = "Failed to list plugins" });
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
             }
         }
 
-        /// <summary>
-        /// Handles the upload of a plugin file using a safe, temporary-file process.
-        /// </summary>
-        private async Task HandlePluginUploadAsync(HttpListenerRequest request, HttpListenerResponse response)
+        private async Task HandleTwoFactorStatusAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            var user = _userService.GetUserByUsername(GetUsernameFromRequest(request));
+            if (user == null)
+            {
+                response.StatusCode = 404;
+                await WriteJsonResponseAsync(response, new { success = false, message = "User not found" });
+                return;
+            }
+
+            await WriteJsonResponseAsync(response, new
+            {
+                success = true,
+                enabled = user.TwoFactorEnabled,
+                backupCodesRemaining = user.TwoFactorBackupCodes.Count
+            });
+        }
+
+        private async Task HandleTwoFactorSetupAsync(HttpListenerRequest request, HttpListenerResponse response)
         {
             if (request.HttpMethod != "POST")
             {
@@ -700,84 +1343,426 @@ namespace UltimateServer.Servers
                 return;
             }
 
-            if (!request.HasEntityBody)
+            try
             {
-                response.StatusCode = 400;
-                await WriteJsonResponseAsync(response, new { success = false, message = "No file uploaded" });
-                return;
+                var (success, message, secret, setupUri) = await _userService.BeginTwoFactorSetupAsync(GetUsernameFromRequest(request));
+                if (!success)
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message });
+                    return;
+                }
+
+                await WriteJsonResponseAsync(response, new { success = true, message, secret, setupUri });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"2FA setup error: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
             }
+        }
 
-            var contentType = request.ContentType;
-            if (string.IsNullOrEmpty(contentType) || !contentType.StartsWith("multipart/form-data"))
+        private async Task HandleTwoFactorEnableAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "POST")
             {
-                response.StatusCode = 400;
-                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid content type" });
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST allowed" });
                 return;
             }
 
-            string pluginsDirectory = Path.Combine(AppContext.BaseDirectory, "plugins");
-            if (!Directory.Exists(pluginsDirectory))
-                Directory.CreateDirectory(pluginsDirectory);
-
-            string tempFilePath = null;
-            string finalFilePath = null;
-
             try
             {
-                _logger.Log("📤 Receiving plugin file...");
-                var (filename, fileContent) = await ReadMultipartFileAsync(request);
-                if (string.IsNullOrEmpty(filename))
+                using var reader = new StreamReader(request.InputStream);
+                string body = await reader.ReadToEndAsync();
+                var codeRequest = JsonConvert.DeserializeObject<TwoFactorCodeRequest>(body);
+
+                if (codeRequest == null || string.IsNullOrWhiteSpace(codeRequest.Code))
                 {
                     response.StatusCode = 400;
-                    await WriteJsonResponseAsync(response, new { success = false, message = "No filename found in upload." });
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Verification code is required" });
                     return;
                 }
 
-                tempFilePath = Path.Combine(pluginsDirectory, $"{filename}.tmp");
-                finalFilePath = Path.Combine(pluginsDirectory, filename);
-                await File.WriteAllBytesAsync(tempFilePath, fileContent);
-                _logger.Log($"✅ Plugin temporarily saved to '{tempFilePath}'");
-
-                _logger.Log("🔄 Unloading existing plugins before replacement...");
-                await _pluginManager.UnloadAllPluginsAsync();
-
-                if (File.Exists(finalFilePath))
+                var (success, message, backupCodes) = await _userService.EnableTwoFactorAsync(GetUsernameFromRequest(request), codeRequest.Code);
+                if (!success)
                 {
-                    File.Delete(finalFilePath);
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message });
+                    return;
                 }
-                File.Move(tempFilePath, finalFilePath);
-                _logger.Log($"✅ Replaced old plugin with '{finalFilePath}'");
-                tempFilePath = null;
 
-                await _pluginManager.LoadPluginsAsync();
-
-                _logger.Log("✅ Plugin upload and reload complete.");
-                await WriteJsonResponseAsync(response, new { success = true, message = "Plugin uploaded and reloaded successfully." });
+                await WriteJsonResponseAsync(response, new { success = true, message, backupCodes });
             }
             catch (Exception ex)
             {
-                _logger.LogError($"Error uploading plugin: {ex.Message}");
+                _logger.LogError($"2FA enable error: {ex.Message}");
                 response.StatusCode = 500;
-                await WriteJsonResponseAsync(response, new { success = false, message = "Failed to upload plugin." });
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
             }
-            finally
+        }
+
+        private async Task HandleTwoFactorDisableAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "POST")
             {
-                if (tempFilePath != null && File.Exists(tempFilePath))
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST allowed" });
+                return;
+            }
+
+            try
+            {
+                using var reader = new StreamReader(request.InputStream);
+                string body = await reader.ReadToEndAsync();
+                var codeRequest = JsonConvert.DeserializeObject<TwoFactorCodeRequest>(body);
+
+                if (codeRequest == null || string.IsNullOrWhiteSpace(codeRequest.Code))
                 {
-                    try
-                    {
-                        File.Delete(tempFilePath);
-                        _logger.Log($"🧹 Cleaned up temporary file '{tempFilePath}'");
-                    }
-                    catch (Exception ex)
-                    {
-                        _logger.LogError($"Failed to clean up temporary file: {ex.Message}");
-                    }
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Verification code is required" });
+                    return;
+                }
+
+                var (success, message) = await _userService.DisableTwoFactorAsync(GetUsernameFromRequest(request), codeRequest.Code);
+                if (!success)
+                {
+                    response.StatusCode = 400;
                 }
+
+                await WriteJsonResponseAsync(response, new { success, message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"2FA disable error: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
             }
         }
 
-        /// <summary>
+
+        private async Task HandleUsersAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod == "GET")
+            {
+                try
+                {
+                    int page = int.TryParse(request.QueryString["page"], out var p) ? Math.Max(1, p) : 1;
+                    int pageSize = int.TryParse(request.QueryString["pageSize"], out var ps) ? Math.Clamp(ps, 1, 200) : 25;
+
+                    var (users, total) = _userService.QueryUsers(request.QueryString["search"], request.QueryString["role"], page, pageSize);
+                    var roles = UserService.KnownRoles.Concat(_userService.Users.Select(u => u.Role)).Distinct(StringComparer.OrdinalIgnoreCase).OrderBy(r => r).ToList();
+
+                    var summaries = new List<object>();
+                    foreach (var user in users)
+                        summaries.Add(await ToUserSummaryAsync(user));
+
+                    await WriteJsonResponseAsync(response, new { success = true, users = summaries, total, page, pageSize, roles });
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError($"Error listing users: {ex.Message}");
+                    response.StatusCode = 500;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+                }
+            }
+            else if (request.HttpMethod == "POST")
+            {
+                try
+                {
+                    using var reader = new StreamReader(request.InputStream);
+                    string body = await reader.ReadToEndAsync();
+                    var data = JsonConvert.DeserializeObject<RegisterRequest>(body);
+
+                    if (data == null)
+                    {
+                        response.StatusCode = 400;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "Invalid request" });
+                        return;
+                    }
+
+                    var (user, message) = await _userService.CreateUserAsync(data);
+                    if (user == null)
+                    {
+                        response.StatusCode = 400;
+                        await WriteJsonResponseAsync(response, new { success = false, message });
+                        return;
+                    }
+
+                    if (!string.IsNullOrWhiteSpace(data.Role) && !data.Role.Equals(user.Role, StringComparison.OrdinalIgnoreCase))
+                    {
+                        var (roleChanged, roleMessage) = await _userService.ChangeUserRoleAsync(user.Username, data.Role);
+                        if (!roleChanged)
+                            message = $"{message}, but the role was not applied: {roleMessage}";
+                    }
+
+                    _logger.LogSecurity($"User {user.Username} created by {GetUsernameFromRequest(request)}");
+                    await WriteJsonResponseAsync(response, new { success = true, message, user = await ToUserSummaryAsync(user) });
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError($"User creation error: {ex.Message}");
+                    response.StatusCode = 500;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+                }
+            }
+            else
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+            }
+        }
+
+        private async Task HandleUserActionAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            // /api/users/{username}[/lock|/unlock]
+            var pathParts = request.Url.AbsolutePath.Split('/', StringSplitOptions.RemoveEmptyEntries);
+            string username = pathParts.Length >= 3 ? Uri.UnescapeDataString(pathParts[2]) : null;
+            string action = pathParts.Length >= 4 ? pathParts[3] : null;
+
+            var user = _userService.GetUserByUsername(username);
+            if (user == null)
+            {
+                response.StatusCode = 404;
+                await WriteJsonResponseAsync(response, new { success = false, message = "User not found" });
+                return;
+            }
+
+            string actingUser = GetUsernameFromRequest(request);
+            bool isSelf = user.Username.Equals(actingUser, StringComparison.OrdinalIgnoreCase);
+
+            try
+            {
+                using var reader = new StreamReader(request.InputStream);
+                string body = await reader.ReadToEndAsync();
+                bool success;
+                string message;
+
+                if (action == null && request.HttpMethod == "GET")
+                {
+                    await WriteJsonResponseAsync(response, new { success = true, user = await ToUserSummaryAsync(user) });
+                    return;
+                }
+                else if (action == null && request.HttpMethod == "PUT")
+                {
+                    var data = JsonConvert.DeserializeObject<UpdateUserRequest>(body) ?? new UpdateUserRequest();
+                    (success, message) = (true, "User updated successfully");
+
+                    if (!string.IsNullOrWhiteSpace(data.Email) && !data.Email.Equals(user.Email, StringComparison.OrdinalIgnoreCase))
+                    {
+                        if (!_serviceProvider.GetRequiredService<ValidationService>().IsSafeEmail(data.Email))
+                            (success, message) = (false, "Invalid email address");
+                        else
+                            (success, message) = await _userService.UpdateUserProfileAsync(user.Username, new User { Email = data.Email });
+                    }
+
+                    if (success && !string.IsNullOrWhiteSpace(data.Role) && !data.Role.Equals(user.Role, StringComparison.OrdinalIgnoreCase))
+                    {
+                        if (isSelf)
+                            (success, message) = (false, "You cannot change your own role");
+                        else
+                            (success, message) = await _userService.ChangeUserRoleAsync(user.Username, data.Role);
+                    }
+                }
+                else if (action == null && request.HttpMethod == "DELETE")
+                {
+                    (success, message) = isSelf
+                        ? (false, "You cannot delete your own account")
+                        : await _userService.DeleteUserAsync(user.Username);
+                }
+                else if (action == "lock" && request.HttpMethod == "POST")
+                {
+                    var data = string.IsNullOrWhiteSpace(body) ? new LockUserRequest() : JsonConvert.DeserializeObject<LockUserRequest>(body) ?? new LockUserRequest();
+                    (success, message) = isSelf
+                        ? (false, "You cannot lock your own account")
+                        : await _userService.LockUserAsync(user.Username, Math.Clamp(data.Minutes, 1, 525600));
+                }
+                else if (action == "unlock" && request.HttpMethod == "POST")
+                {
+                    (success, message) = await _userService.UnlockUserAsync(user.Username);
+                }
+                else
+                {
+                    response.StatusCode = 405;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+                    return;
+                }
+
+                if (success)
+                    _logger.LogSecurity($"User {user.Username}: {request.HttpMethod} {action ?? "profile"} by {actingUser}");
+                else
+                    response.StatusCode = 400;
+
+                await WriteJsonResponseAsync(response, new { success, message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"User management error: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        private async Task<object> ToUserSummaryAsync(User user)
+        {
+            bool locked = (user.LockedUntil.HasValue && user.LockedUntil > DateTime.UtcNow) || await _authService.IsAccountLocked(user.Username);
+            return new
+            {
+                username = user.Username,
+                email = user.Email,
+                uuid = user.uuid,
+                role = user.Role,
+                lastLogin = user.LastLogin,
+                failedLoginAttempts = user.FailedLoginAttempts,
+                lockedUntil = user.LockedUntil,
+                locked,
+                twoFactorEnabled = user.TwoFactorEnabled
+            };
+        }
+
+        private async Task HandlePluginsListAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            try
+            {
+                await WriteJsonResponseAsync(response, new { success = true, plugins = GetPluginList() });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error listing plugins: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Failed to list plugins" });
+            }
+        }
+
+        /// <summary>
+        /// Handles the upload of a plugin file using a safe, temporary-file process.
+        /// </summary>
+        private async Task HandlePluginUploadAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "POST")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST allowed" });
+                return;
+            }
+
+            if (!request.HasEntityBody)
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "No file uploaded" });
+                return;
+            }
+
+            var contentType = request.ContentType;
+            if (string.IsNullOrEmpty(contentType) || !contentType.StartsWith("multipart/form-data"))
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid content type" });
+                return;
+            }
+
+            string pluginsDirectory = _pluginManager.PluginsDirectory;
+            if (!Directory.Exists(pluginsDirectory))
+                Directory.CreateDirectory(pluginsDirectory);
+
+            string tempFilePath = null;
+            string finalFilePath = null;
+
+            try
+            {
+                _logger.Log("📤 Receiving plugin file...");
+                var (filename, fileContent) = await ReadMultipartFileAsync(request);
+                filename = Path.GetFileName(filename);
+                if (string.IsNullOrEmpty(filename))
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "No filename found in upload." });
+                    return;
+                }
+
+                // Verify before the file goes anywhere near the plugins directory.
+                var verification = _pluginVerification.Verify(fileContent, request.Headers["X-Plugin-Sha256"], request.Headers["X-Plugin-Signature"]);
+                if (!verification.Valid)
+                {
+                    _logger.LogSecurity($"Rejected plugin upload '{filename}' by {GetUsernameFromRequest(request)}: {verification.Error}");
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = verification.Error, verification });
+                    return;
+                }
+
+                if (!verification.Signed)
+                {
+                    if (_pluginVerification.RequireSignatures)
+                    {
+                        _logger.LogSecurity($"Rejected unsigned plugin upload '{filename}' by {GetUsernameFromRequest(request)}");
+                        response.StatusCode = 403;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "This server only accepts plugins signed by a trusted publisher.", verification });
+                        return;
+                    }
+
+                    if (request.QueryString["allowUnsigned"] != "true")
+                    {
+                        response.StatusCode = 409;
+                        await WriteJsonResponseAsync(response, new
+                        {
+                            success = false,
+                            requiresConfirmation = true,
+                            message = $"'{filename}' is not signed by a trusted publisher. Confirm to install it anyway.",
+                            verification
+                        });
+                        return;
+                    }
+
+                    _logger.LogSecurity($"Unsigned plugin '{filename}' (sha256 {verification.Sha256}) accepted by {GetUsernameFromRequest(request)}");
+                }
+
+                tempFilePath = Path.Combine(pluginsDirectory, $"{filename}.tmp");
+                finalFilePath = Path.Combine(pluginsDirectory, filename);
+                await File.WriteAllBytesAsync(tempFilePath, fileContent);
+                _logger.Log($"✅ Plugin temporarily saved to '{tempFilePath}'");
+
+                _logger.Log("🔄 Unloading existing plugins before replacement...");
+                await _pluginManager.UnloadAllPluginsAsync();
+
+                if (File.Exists(finalFilePath))
+                {
+                    File.Delete(finalFilePath);
+                }
+                File.Move(tempFilePath, finalFilePath);
+                _logger.Log($"✅ Replaced old plugin with '{finalFilePath}'");
+                tempFilePath = null;
+                await _pluginVerification.RecordAsync(finalFilePath, verification, "upload");
+
+                await _pluginManager.LoadPluginsAsync(pluginsDirectory);
+
+                _logger.Log("✅ Plugin upload and reload complete.");
+                await WriteJsonResponseAsync(response, new { success = true, message = "Plugin uploaded and reloaded successfully.", verification });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error uploading plugin: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Failed to upload plugin." });
+            }
+            finally
+            {
+                if (tempFilePath != null && File.Exists(tempFilePath))
+                {
+                    try
+                    {
+                        File.Delete(tempFilePath);
+                        _logger.Log($"🧹 Cleaned up temporary file '{tempFilePath}'");
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError($"Failed to clean up temporary file: {ex.Message}");
+                    }
+                }
+            }
+        }
+
+        /// <summary>
         /// Parses multipart/form-data to extract a single file.
         /// </summary>
         private async Task<(string filename, byte[] data)> ReadMultipartFileAsync(HttpListenerRequest request)
@@ -808,6 +1793,10 @@ namespace UltimateServer.Servers
             var filenameMatch = System.Text.RegularExpressions.Regex.Match(headerText, @"filename=""([^""]+)""");
             var filename = filenameMatch.Success ? filenameMatch.Groups[1].Value : null;
 
+            // The CRLF before the closing boundary belongs to the multipart framing, not the file.
+            if (endIndex - 2 >= fileContentStartIndex && requestData[endIndex - 2] == 0x0D && requestData[endIndex - 1] == 0x0A)
+                endIndex -= 2;
+
             var fileContentLength = endIndex - fileContentStartIndex;
             var fileContent = new byte[fileContentLength];
             Array.Copy(requestData, fileContentStartIndex, fileContent, 0, fileContentLength);
@@ -882,31 +1871,17 @@ namespace UltimateServer.Servers
 
             try
             {
-                using (HttpClient client = new HttpClient())
-                {
-                    var marketResponse = await client.GetAsync("https://dashboard.voidgames.ir/api/market/plugins");
-                    marketResponse.EnsureSuccessStatusCode();
-
-                    var content = await marketResponse.Content.ReadAsStringAsync();
-                    var marketPlugins = JsonConvert.DeserializeObject<List<MarketPlugin>>(content);
-
-                    foreach (var plugin in Directory.GetFiles(Path.Combine(AppContext.BaseDirectory, "plugins")))
-                    {
-                        var exited = marketPlugins.FirstOrDefault(p => p.Name == Path.GetFileNameWithoutExtension(plugin), new MarketPlugin() { Name = string.Empty});
-                        if (string.IsNullOrEmpty(exited.Name))
-                            continue;
+                var (plugins, errors) = await _marketplace.GetCatalogAsync();
 
-                        marketPlugins.Remove(exited);
-                    }
-
-                    var responseData = new
-                    {
-                        success = true,
-                        plugins = marketPlugins
-                    };
+                var responseData = new
+                {
+                    success = true,
+                    registries = _marketplace.Registries,
+                    plugins,
+                    errors
+                };
 
-                    await WriteJsonResponseAsync(response, responseData);
-                }
+                await WriteJsonResponseAsync(response, responseData);
             }
             catch (Exception ex)
             {
@@ -931,19 +1906,52 @@ namespace UltimateServer.Servers
                 string body = await reader.ReadToEndAsync();
                 var downloadRequest = JsonConvert.DeserializeObject<MarketPlugin>(body);
 
-                if (downloadRequest == null || string.IsNullOrWhiteSpace(downloadRequest.DownloadLink) || string.IsNullOrWhiteSpace(downloadRequest.Name))
+                if (downloadRequest == null || string.IsNullOrWhiteSpace(downloadRequest.Name))
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Request body must contain a valid 'Name' property." });
+                    return;
+                }
+
+                // The link always comes from a configured registry, never from the request.
+                var (plugin, version, error) = await _marketplace.ResolveAsync(downloadRequest.Name, downloadRequest.Version);
+                if (plugin == null)
+                {
+                    response.StatusCode = 404;
+                    await WriteJsonResponseAsync(response, new { success = false, message = error });
+                    return;
+                }
+
+                if (string.IsNullOrWhiteSpace(version.Sha256))
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = $"'{plugin.Name}' v{version.Version} has no SHA-256 checksum in its registry and can't be verified." });
+                    return;
+                }
+
+                if (_pluginVerification.RequireSignatures && string.IsNullOrWhiteSpace(version.Signature))
                 {
                     response.StatusCode = 400;
-                    await WriteJsonResponseAsync(response, new { success = false, message = "Request body must contain a valid 'DownloadLink' and 'Name' property." });
+                    await WriteJsonResponseAsync(response, new { success = false, message = $"'{plugin.Name}' v{version.Version} is not signed and this server requires signed plugins." });
                     return;
                 }
-                _downloadJobProcessor.EnqueueJob(downloadRequest);
+
+                _downloadJobProcessor.EnqueueJob(new MarketPlugin
+                {
+                    Name = plugin.Name,
+                    Version = version.Version,
+                    DownloadLink = version.DownloadLink,
+                    Sha256 = version.Sha256,
+                    Signature = version.Signature,
+                    Registry = plugin.Registry
+                });
+                _logger.LogSecurity($"Marketplace install queued: {plugin.Name} v{version.Version} by {GetUsernameFromRequest(request)}");
 
                 response.StatusCode = 202;
                 await WriteJsonResponseAsync(response, new
                 {
                     success = true,
-                    message = $"Download request for '{downloadRequest.Name}.dll' has been queued and will be processed."
+                    message = $"Installing '{plugin.Name}' v{version.Version}. Plugins will reload when the download finishes."
                 });
             }
             catch (Exception ex)
@@ -956,13 +1964,23 @@ namespace UltimateServer.Servers
 
         private async Task HandleProcessListAsync(HttpListenerRequest request, HttpListenerResponse response)
         {
-            Process[] processes = Process.GetProcesses();
-            var processesData = new
+            try
             {
-                processesName = processes.Select(p => p.ProcessName).ToList()
-            };
-
-            await WriteJsonResponseAsync(response, processesData);
+                var processService = _serviceProvider.GetRequiredService<ProcessService>();
+                await WriteJsonResponseAsync(response, new
+                {
+                    success = true,
+                    serverPid = Environment.ProcessId,
+                    protectedNames = processService.ProtectedNames,
+                    processes = processService.GetProcesses()
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error listing processes: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "An internal error occurred while listing processes." });
+            }
         }
 
         private async Task HandleProcessKill(HttpListenerRequest request, HttpListenerResponse response)
@@ -980,212 +1998,1583 @@ namespace UltimateServer.Servers
                 string body = await reader.ReadToEndAsync();
                 var processStopRequest = JsonConvert.DeserializeObject<StopProcessRequest>(body);
 
-                if (processStopRequest == null || string.IsNullOrWhiteSpace(processStopRequest.ProcessName))
+                if (processStopRequest == null || processStopRequest.Pid <= 0)
                 {
                     response.StatusCode = 400;
-                    await WriteJsonResponseAsync(response, new { success = false, message = "Request body must contain a valid 'ProcessName' property." });
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Request body must contain a valid 'Pid' property." });
                     return;
                 }
 
-                var processes = Process.GetProcessesByName(processStopRequest.ProcessName);
+                var (success, message) = await _serviceProvider.GetRequiredService<ProcessService>()
+                    .SendSignalAsync(processStopRequest.Pid, processStopRequest.Signal, processStopRequest.ProcessName);
+
+                response.StatusCode = success ? 200 : 400;
+                await WriteJsonResponseAsync(response, new { success, message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in stopping process: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "An internal error occurred while stopping the process." });
+            }
+        }
+
+        private static readonly string[] PluginActions = { "enable", "disable", "unload", "uninstall" };
+        private static readonly string[] SiteActions = { "enable", "disable", "logs" };
+
+        private async Task HandlePluginActionAsync(HttpListenerRequest request, HttpListenerResponse response, string pluginId, string action)
+        {
+            if (request.HttpMethod != "POST")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST method is allowed." });
+                return;
+            }
+
+            try
+            {
+                var (success, message) = action switch
+                {
+                    "enable" => await _pluginManager.EnablePluginAsync(pluginId),
+                    "disable" => await _pluginManager.DisablePluginAsync(pluginId),
+                    "unload" => await _pluginManager.UnloadPluginAsync(pluginId),
+                    _ => await _pluginManager.UninstallPluginAsync(pluginId)
+                };
+
+                if (success)
+                    _logger.LogSecurity($"Plugin {action}: {pluginId} by {GetUsernameFromRequest(request)}");
+
+                response.StatusCode = success ? 200 : 400;
+                await WriteJsonResponseAsync(response, new { success, message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in plugin {action} for {pluginId}: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        /// <summary>
+        /// GET returns the plugin's settings schema with current values; PUT saves new values.
+        /// Secret values are never returned, only whether one is set.
+        /// </summary>
+        private async Task HandlePluginSettingsAsync(HttpListenerRequest request, HttpListenerResponse response, string pluginId)
+        {
+            if (request.HttpMethod != "GET" && request.HttpMethod != "PUT")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only GET and PUT methods are allowed." });
+                return;
+            }
+
+            try
+            {
+                if (request.HttpMethod == "PUT")
+                {
+                    using var reader = new StreamReader(request.InputStream);
+                    string body = await reader.ReadToEndAsync();
+                    var updateRequest = JsonConvert.DeserializeObject<PluginSettingsUpdateRequest>(body);
+
+                    if (updateRequest?.Values == null)
+                    {
+                        response.StatusCode = 400;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "Request body must contain a 'values' object." });
+                        return;
+                    }
+
+                    var (saved, saveMessage, errors) = await _pluginManager.UpdatePluginSettingsAsync(pluginId, updateRequest.Values);
+                    if (saved)
+                        _logger.LogSecurity($"Plugin settings updated: {pluginId} by {GetUsernameFromRequest(request)}");
+
+                    response.StatusCode = saved ? 200 : 400;
+                    await WriteJsonResponseAsync(response, new { success = saved, message = saveMessage, errors });
+                    return;
+                }
 
-                if (!processes.Any())
+                var (success, message, schema, values) = _pluginManager.GetPluginSettings(pluginId);
+                if (!success)
                 {
                     response.StatusCode = 404;
-                    await WriteJsonResponseAsync(response, new { success = false, message = $"Process '{processStopRequest.ProcessName}' not found." });
+                    await WriteJsonResponseAsync(response, new { success = false, message });
                     return;
                 }
 
-                foreach (var process in processes)
+                var settings = schema.Select(setting =>
+                {
+                    bool hasValue = values.TryGetValue(setting.Key, out var saved);
+                    return new
+                    {
+                        key = setting.Key,
+                        label = string.IsNullOrEmpty(setting.Label) ? setting.Key : setting.Label,
+                        description = setting.Description,
+                        type = setting.Type.ToString().ToLowerInvariant(),
+                        required = setting.Required,
+                        secret = setting.Secret,
+                        min = setting.Min,
+                        max = setting.Max,
+                        pattern = setting.Pattern,
+                        options = setting.Options,
+                        defaultValue = setting.Secret ? null : setting.Default,
+                        value = setting.Secret ? null : (hasValue ? PluginSettingsService.Normalize(setting, saved) : setting.Default),
+                        hasValue
+                    };
+                }).ToList();
+
+                await WriteJsonResponseAsync(response, new { success = true, settings });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in plugin settings for {pluginId}: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        private bool ValidateAdminAuthentication(HttpListenerRequest request)
+        {
+            string authHeader = request.Headers["Authorization"];
+            if (string.IsNullOrEmpty(authHeader) || !authHeader.StartsWith("Bearer "))
+            {
+                return false;
+            }
+
+            return IsAdminToken(authHeader.Substring("Bearer ".Length));
+        }
+
+        private bool IsAdminToken(string token)
+        {
+            if (string.IsNullOrEmpty(token))
+                return false;
+
+            // The role is read from the account rather than the token, so a demotion takes effect straight away
+            if (_authService.ValidateJwtToken(token))
+                if (string.Equals(GetActiveUser(token)?.Role, "admin", StringComparison.OrdinalIgnoreCase))
+                    return true;
+
+            return false;
+        }
+
+        /// <summary>
+        /// Access tokens outlive admin changes to the account, so every request looks the account up again:
+        /// deleted and locked users get null even while their token is still valid.
+        /// </summary>
+        private User GetActiveUser(string token)
+        {
+            var user = _userService.GetUserByUsername(_authService.GetUsernameFromToken(token) ?? "");
+            if (user == null || (user.LockedUntil.HasValue && user.LockedUntil > DateTime.UtcNow))
+                return null;
+
+            return user;
+        }
+
+        private bool ValidateUserAuthentication(HttpListenerRequest request)
+        {
+            string authHeader = request.Headers["Authorization"];
+            if (string.IsNullOrEmpty(authHeader) || !authHeader.StartsWith("Bearer "))
+            {
+                return false;
+            }
+
+            string token = authHeader.Substring("Bearer ".Length);
+            return _authService.ValidateJwtToken(token) && GetActiveUser(token) != null;
+        }
+
+        private string GetUsernameFromRequest(HttpListenerRequest request)
+        {
+            string authHeader = request.Headers["Authorization"];
+            if (string.IsNullOrEmpty(authHeader) || !authHeader.StartsWith("Bearer "))
+            {
+                return null;
+            }
+
+            return _authService.GetUsernameFromToken(authHeader.Substring("Bearer ".Length));
+        }
+
+        private void SendUnauthorized(HttpListenerResponse response)
+        {
+            response.StatusCode = 401;
+            response.AddHeader("WWW-Authenticate", "Bearer");
+        }
+
+
+        private async Task HandleStatsAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            await WriteJsonResponseAsync(response, GetStatsSnapshot());
+        }
+
+        private object GetStatsSnapshot()
+        {
+            return new
+            {
+                uptime = (DateTime.Now - Process.GetCurrentProcess().StartTime).ToString(@"hh\:mm\:ss"),
+                users = _userService.Users.Count,
+                maxConnections = _configManager.Config.MaxConnections,
+                protocol = 1
+            };
+        }
+
+        private async Task HandleSystemAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            await WriteJsonResponseAsync(response, GetSystemSnapshot());
+        }
+
+        private object GetSystemSnapshot()
+        {
+            var proc = Process.GetCurrentProcess();
+            double cpuUse = _lastCpuUsage;
+            double memUsage = proc.WorkingSet64 / 1024.0 / 1024.0;
+            object systemStats;
+
+            if (!OperatingSystem.IsWindows())
+            {
+                try
+                {
+                    string memInfo = File.ReadAllText("/proc/meminfo");
+                    string totalLine = memInfo.Split('\n').FirstOrDefault(l => l.StartsWith("MemTotal:"));
+                    string freeLine = memInfo.Split('\n').FirstOrDefault(l => l.StartsWith("MemAvailable:"));
+                    double totalMem = totalLine != null ? double.Parse(new string(totalLine.Where(char.IsDigit).ToArray())) / 1024.0 : memUsage;
+                    double freeMem = freeLine != null ? double.Parse(new string(freeLine.Where(char.IsDigit).ToArray())) / 1024.0 : 0;
+                    memUsage = totalMem - freeMem;
+
+                    DriveInfo drive = new DriveInfo("/");
+                    long totalSpace = drive.TotalSize;
+                    long usedSpace = totalSpace - drive.AvailableFreeSpace;
+
+                    long totalBytesSent = 0, totalBytesReceived = 0;
+                    foreach (var nic in System.Net.NetworkInformation.NetworkInterface.GetAllNetworkInterfaces())
+                    {
+                        var nicStats = nic.GetIPv4Statistics();
+                        totalBytesSent += nicStats.BytesSent;
+                        totalBytesReceived += nicStats.BytesReceived;
+                    }
+
+                    systemStats = new { cpuUsage = cpuUse, memoryMB = memUsage, diskUsedGB = usedSpace / (1024.0 * 1024 * 1024), diskTotalGB = totalSpace / (1024.0 * 1024 * 1024), netSentMB = totalBytesSent / (1024.0 * 1024), netReceivedMB = totalBytesReceived / (1024.0 * 1024) };
+                }
+                catch { systemStats = new { cpuUsage = cpuUse, memoryMB = memUsage }; }
+            }
+            else
+            {
+                systemStats = new { cpuUsage = cpuUse, memoryMB = memUsage };
+            }
+
+            return systemStats;
+        }
+
+        private MetricSample CaptureMetricSample()
+        {
+            var now = DateTime.UtcNow;
+            var sample = new MetricSample
+            {
+                Timestamp = now,
+                CpuUsage = _lastCpuUsage,
+                MemoryMB = Math.Round(Process.GetCurrentProcess().WorkingSet64 / 1024.0 / 1024.0, 2),
+                OnlineUsers = _serviceProvider.GetRequiredService<TcpServer>().ClientCount,
+                Connections = _activeConnections + _serviceProvider.GetRequiredService<WebSocketServer>().ClientCount
+            };
+
+            if (OperatingSystem.IsWindows())
+                return sample;
+
+            try
+            {
+                string[] memInfo = File.ReadAllLines("/proc/meminfo");
+                string totalLine = memInfo.FirstOrDefault(l => l.StartsWith("MemTotal:"));
+                string freeLine = memInfo.FirstOrDefault(l => l.StartsWith("MemAvailable:"));
+                if (totalLine != null && freeLine != null)
+                {
+                    double totalMem = double.Parse(new string(totalLine.Where(char.IsDigit).ToArray())) / 1024.0;
+                    double freeMem = double.Parse(new string(freeLine.Where(char.IsDigit).ToArray())) / 1024.0;
+                    sample.MemoryMB = Math.Round(totalMem - freeMem, 2);
+                }
+
+                DriveInfo drive = new DriveInfo("/");
+                sample.DiskTotalGB = Math.Round(drive.TotalSize / (1024.0 * 1024 * 1024), 2);
+                sample.DiskUsedGB = Math.Round((drive.TotalSize - drive.AvailableFreeSpace) / (1024.0 * 1024 * 1024), 2);
+
+                long totalBytesSent = 0, totalBytesReceived = 0;
+                foreach (var nic in System.Net.NetworkInformation.NetworkInterface.GetAllNetworkInterfaces())
                 {
-                    process.Kill();
+                    var nicStats = nic.GetIPv4Statistics();
+                    totalBytesSent += nicStats.BytesSent;
+                    totalBytesReceived += nicStats.BytesReceived;
                 }
 
-                response.StatusCode = 200;
+                // Interface counters are totals since boot, so the rate comes from the previous sample.
+                if (_lastNetworkTotals is { } last && totalBytesSent >= last.sent && totalBytesReceived >= last.received)
+                {
+                    double seconds = Math.Max(1, (now - last.time).TotalSeconds);
+                    sample.NetSentKBps = Math.Round((totalBytesSent - last.sent) / 1024.0 / seconds, 2);
+                    sample.NetReceivedKBps = Math.Round((totalBytesReceived - last.received) / 1024.0 / seconds, 2);
+                }
+                _lastNetworkTotals = (now, totalBytesSent, totalBytesReceived);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning($"Could not read host metrics: {ex.Message}");
+            }
+
+            return sample;
+        }
+
+        private async Task HandleSystemHistoryAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            try
+            {
+                DateTime to = DateTime.UtcNow;
+                DateTime from = to.AddHours(-1);
+                TimeSpan? step = null;
+
+                if (!string.IsNullOrEmpty(request.QueryString["to"]))
+                {
+                    if (!DateTime.TryParse(request.QueryString["to"], null, System.Globalization.DateTimeStyles.RoundtripKind, out to))
+                    {
+                        response.StatusCode = 400;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "Invalid 'to' time" });
+                        return;
+                    }
+                    to = to.ToUniversalTime();
+                    from = to.AddHours(-1);
+                }
+
+                if (!string.IsNullOrEmpty(request.QueryString["from"]))
+                {
+                    if (!DateTime.TryParse(request.QueryString["from"], null, System.Globalization.DateTimeStyles.RoundtripKind, out from))
+                    {
+                        response.StatusCode = 400;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "Invalid 'from' time" });
+                        return;
+                    }
+                    from = from.ToUniversalTime();
+                }
+
+                if (!string.IsNullOrEmpty(request.QueryString["step"]))
+                {
+                    if (!int.TryParse(request.QueryString["step"], out int stepSeconds) || stepSeconds < 1)
+                    {
+                        response.StatusCode = 400;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "'step' must be a positive number of seconds" });
+                        return;
+                    }
+                    step = TimeSpan.FromSeconds(stepSeconds);
+                }
+
+                if (from >= to)
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "'from' must be earlier than 'to'" });
+                    return;
+                }
+
+                if (to - from > _metricsHistory.Retention)
+                    from = to - _metricsHistory.Retention;
+
+                var (samples, effectiveStep) = await _metricsHistory.QueryAsync(from, to, step);
                 await WriteJsonResponseAsync(response, new
                 {
                     success = true,
-                    message = $"Process '{processStopRequest.ProcessName}' has been terminated."
+                    from,
+                    to,
+                    step = (int)effectiveStep.TotalSeconds,
+                    sampleInterval = (int)_metricsHistory.SampleInterval.TotalSeconds,
+                    samples
                 });
             }
             catch (Exception ex)
             {
-                _logger.LogError($"Error in stopping process: {ex.Message}");
+                _logger.LogError($"Error in HandleSystemHistoryAsync: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        private async Task HandleEventStreamAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            string token = request.QueryString["access_token"];
+            var initialEvents = new List<(string, object)>
+            {
+                ("stats", GetStatsSnapshot()),
+                ("system", GetSystemSnapshot()),
+                ("videos", _videoService.GetVideoInfos()),
+                ("imports", _videoImports.GetJobs()),
+                ("plugins", GetPluginList())
+            };
+
+            await _eventStream.StreamAsync(response, () => IsAdminToken(token), initialEvents, _cts.Token);
+        }
+
+        private List<object> GetPluginList()
+        {
+            return _pluginManager.GetPluginInfos().Select(p => (object)new
+            {
+                id = p.Id,
+                name = p.Name,
+                version = p.Version,
+                loaded = p.Loaded,
+                enabled = p.Enabled,
+                assemblyPath = p.AssemblyPath,
+                routes = p.Routes,
+                subscriptions = p.Subscriptions,
+                commands = p.Commands,
+                loadError = p.LoadError,
+                hasSettings = p.HasSettings,
+                verification = GetVerificationSummary(p.AssemblyPath)
+            }).ToList();
+        }
+
+        private object GetVerificationSummary(string assemblyPath)
+        {
+            if (string.IsNullOrEmpty(assemblyPath))
+                return new { status = "unverified" };
+
+            var (status, record) = _pluginVerification.GetStatus(assemblyPath);
+            return new
+            {
+                status,
+                sha256 = record?.Sha256,
+                publisher = record?.Publisher,
+                source = record?.Source,
+                verifiedAt = record?.VerifiedAt
+            };
+        }
+
+        private async Task HandleLogsAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            try
+            {
+                var query = new LogQuery { Text = request.QueryString["q"] };
+
+                if (LogService.TryParseCursor(request.QueryString["since"], out string sinceFileId, out long since))
+                {
+                    query.Since = since;
+                    query.SinceFileId = sinceFileId;
+                }
+
+                if (int.TryParse(request.QueryString["limit"], out int limit))
+                    query.Limit = Math.Clamp(limit, 1, 2000);
+
+                if (DateTime.TryParse(request.QueryString["from"], null, System.Globalization.DateTimeStyles.RoundtripKind, out var from))
+                    query.From = from.Kind == DateTimeKind.Unspecified ? from : from.ToLocalTime();
+
+                if (DateTime.TryParse(request.QueryString["to"], null, System.Globalization.DateTimeStyles.RoundtripKind, out var to))
+                    query.To = to.Kind == DateTimeKind.Unspecified ? to : to.ToLocalTime();
+
+                string levels = request.QueryString["level"];
+                if (!string.IsNullOrWhiteSpace(levels))
+                {
+                    foreach (var level in levels.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+                        query.Levels.Add(level);
+                }
+
+                var logService = _serviceProvider.GetRequiredService<LogService>();
+
+                if (request.QueryString["download"] == "true")
+                {
+                    byte[] buffer = Encoding.UTF8.GetBytes(logService.Export(query));
+                    response.ContentType = "text/plain; charset=utf-8";
+                    response.AddHeader("Content-Disposition", $"attachment; filename=\"server-log-{DateTime.Now:yyyyMMdd-HHmmss}.log\"");
+                    response.ContentLength64 = buffer.Length;
+                    await response.OutputStream.WriteAsync(buffer, 0, buffer.Length);
+                    return;
+                }
+
+                var (entries, cursor, reset, hasMore) = logService.Query(query);
+                await WriteJsonResponseAsync(response, new { success = true, entries, cursor, reset, hasMore });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error reading logs: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Failed to read logs" });
+            }
+        }
+
+        private async Task HandleVideosAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            try
+            {
+                if (request.HttpMethod == "GET")
+                {
+                    await WriteJsonResponseAsync(response, _videoService.GetVideoInfos());
+                }
+                else
+                {
+                    response.StatusCode = 405;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in HandleVideos: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Internal server error" });
+            }
+        }
+
+        private async Task HandleVideoUploadAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "POST")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST allowed" });
+                return;
+            }
+
+            try
+            {
+                using var reader = new StreamReader(request.InputStream);
+                string body = await reader.ReadToEndAsync();
+                var json = JsonConvert.DeserializeObject<Dictionary<string, string>>(body);
+
+                if (json != null && json.TryGetValue("url", out var videoUrl))
+                {
+                    // The download runs as a background job; progress is reported through /api/videos/imports.
+                    var (success, message, job) = _videoImports.StartImport(videoUrl, GetUsernameFromRequest(request));
+                    if (success)
+                    {
+                        response.StatusCode = 202;
+                        await WriteJsonResponseAsync(response, new { success = true, message, job });
+                    }
+                    else
+                    {
+                        response.StatusCode = 400;
+                        await WriteJsonResponseAsync(response, new { success = false, message });
+                    }
+                }
+                else
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON body - url required" });
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"URL Download failed: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Download failed: " + ex.Message });
+            }
+        }
+
+        private object GetBackupSettings()
+        {
+            var config = _configManager.Config;
+            return new { intervalHours = config.BackupPerHour, retention = config.BackupRetention, includeSites = config.BackupSites, folder = config.BackupFolder };
+        }
+
+        private async Task HandleBackupsAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            try
+            {
+                var backuper = _serviceProvider.GetRequiredService<DataBackuper>();
+
+                if (request.HttpMethod == "GET")
+                {
+                    await WriteJsonResponseAsync(response, new
+                    {
+                        success = true,
+                        running = backuper.IsRunning,
+                        settings = GetBackupSettings(),
+                        restorableComponents = DataBackuper.RestorableComponents,
+                        snapshots = backuper.GetSnapshots()
+                    });
+                    return;
+                }
+                if (request.HttpMethod != "POST")
+                {
+                    response.StatusCode = 405;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+                    return;
+                }
+
+                var snapshot = await backuper.CreateBackupAsync("manual");
+                _logger.LogSecurity($"Manual backup {snapshot.Name} created by {GetUsernameFromRequest(request)}");
+                await WriteJsonResponseAsync(response, new { success = true, message = $"Backup {snapshot.Name} created", snapshot });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in HandleBackupsAsync: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Backup failed: " + ex.Message });
+            }
+        }
+
+        private async Task HandleBackupSettingsAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "PUT")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only PUT method is allowed." });
+                return;
+            }
+
+            try
+            {
+                using var reader = new StreamReader(request.InputStream);
+                var body = JObject.Parse(await reader.ReadToEndAsync());
+                string username = GetUsernameFromRequest(request);
+
+                var changes = new Dictionary<string, JToken>();
+                if (body["intervalHours"] != null) changes[nameof(ServerConfig.BackupPerHour)] = body["intervalHours"];
+                if (body["retention"] != null) changes[nameof(ServerConfig.BackupRetention)] = body["retention"];
+                if (body["includeSites"] != null) changes[nameof(ServerConfig.BackupSites)] = body["includeSites"];
+
+                var (success, message, errors, _) = _configManager.UpdateSettings(changes, username);
+                if (!success)
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success, message = string.Join(" ", errors.Values) });
+                    return;
+                }
+
+                var settings = GetBackupSettings();
+                _logger.LogSecurity($"Backup schedule changed by {username}: every {_configManager.Config.BackupPerHour}h, keep {_configManager.Config.BackupRetention}, sites {_configManager.Config.BackupSites}");
+                await WriteJsonResponseAsync(response, new { success = true, message = "Backup settings saved", settings });
+            }
+            catch (JsonException)
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON body" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in HandleBackupSettingsAsync: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        /// <summary>
+        /// <c>GET download</c> streams a snapshot's zip; <c>POST restore</c> restores it, optionally limited to
+        /// <c>{ "components": ["users", "sites"] }</c>, after saving the current state as a pre-restore snapshot.
+        /// </summary>
+        private async Task HandleBackupActionAsync(HttpListenerRequest request, HttpListenerResponse response, string name, string action)
+        {
+            try
+            {
+                var backuper = _serviceProvider.GetRequiredService<DataBackuper>();
+
+                if (action == "download" && request.HttpMethod == "GET")
+                {
+                    string path = backuper.GetSnapshotPath(name);
+                    if (path == null)
+                    {
+                        response.StatusCode = 404;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "Backup not found" });
+                        return;
+                    }
+
+                    response.ContentType = "application/zip";
+                    response.AddHeader("Content-Disposition", $"attachment; filename=\"{name}\"");
+                    using var file = File.OpenRead(path);
+                    response.ContentLength64 = file.Length;
+                    await file.CopyToAsync(response.OutputStream);
+                    return;
+                }
+
+                if (action == "restore" && request.HttpMethod == "POST")
+                {
+                    using var reader = new StreamReader(request.InputStream);
+                    var body = JsonConvert.DeserializeObject<Dictionary<string, List<string>>>(await reader.ReadToEndAsync());
+                    var (success, message, safetySnapshot) = await backuper.RestoreAsync(name, body?.GetValueOrDefault("components"));
+
+                    if (success)
+                        _logger.LogSecurity($"Backup {name} restored by {GetUsernameFromRequest(request)}");
+                    else
+                        response.StatusCode = message == "Backup not found" ? 404 : 400;
+                    await WriteJsonResponseAsync(response, new { success, message, safetySnapshot });
+                    return;
+                }
+
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Backup {action} error for {name}: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        private async Task HandleCommandListAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "GET")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only GET method is allowed." });
+                return;
+            }
+
+            var commands = _serviceProvider.GetRequiredService<CommandHandler>().GetCommands();
+            await WriteJsonResponseAsync(response, new { success = true, commands });
+        }
+
+        /// <summary>
+        /// Runs a <see cref="CommandHandler"/> command for the console with <c>{command, jsonData}</c>. The admin's token
+        /// stands in for the encrypted password TCP clients send, and the admin's name is passed as <c>userName</c>.
+        /// </summary>
+        private async Task HandleCommandRunAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "POST")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST method is allowed." });
+                return;
+            }
+
+            string command = null;
+            try
+            {
+                Dictionary<string, string> body;
+                using (var reader = new StreamReader(request.InputStream))
+                    body = JsonConvert.DeserializeObject<Dictionary<string, string>>(await reader.ReadToEndAsync()) ?? new();
+
+                command = body.GetValueOrDefault("command")?.Trim();
+                string username = GetUsernameFromRequest(request);
+                var commandRequest = new Data { userName = username ?? "", theCommand = command ?? "", jsonData = body.GetValueOrDefault("jsonData") ?? "" };
+
+                // Command handlers are synchronous and some block on IO, so keep them off the listener thread
+                var stopwatch = Stopwatch.StartNew();
+                var (handled, reply) = await Task.Run(() =>
+                {
+                    bool found = _serviceProvider.GetRequiredService<CommandHandler>().TryExecute(commandRequest, out var result);
+                    return (found, result);
+                });
+                stopwatch.Stop();
+
+                if (!handled)
+                {
+                    response.StatusCode = 404;
+                    await WriteJsonResponseAsync(response, new { success = false, message = $"Unknown command: {command}" });
+                    return;
+                }
+
+                _logger.LogSecurity($"Command {command} run from the console by {username}");
+                await WriteJsonResponseAsync(response, new { success = true, response = reply, durationMs = stopwatch.ElapsedMilliseconds });
+            }
+            catch (JsonException)
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON body" });
+            }
+            catch (Exception ex)
+            {
+                // Surface the exception, since the console is where plugin authors test their commands
+                _logger.LogError($"Command {command} failed: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = $"Command failed: {ex.GetType().Name}: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// WebSocket monitor endpoints. <c>GET /api/websockets</c> lists connections; <c>send</c> takes
+        /// <c>{clientId, theCommand, jsonData}</c>, <c>broadcast</c> the same without <c>clientId</c>, and
+        /// <c>disconnect</c> takes <c>{clientId, reason}</c>. All but the list are POST.
+        /// </summary>
+        private async Task HandleWebSocketsAsync(HttpListenerRequest request, HttpListenerResponse response, string action)
+        {
+            try
+            {
+                var webSockets = _serviceProvider.GetRequiredService<WebSocketServer>();
+
+                if (action == "" && request.HttpMethod == "GET")
+                {
+                    var clients = webSockets.GetClients().Select(c => new WebSocketClientInfo
+                    {
+                        Id = c.Id,
+                        RemoteAddress = c.RemoteAddress,
+                        Username = c.Username,
+                        State = c.Socket.State.ToString(),
+                        ConnectedAt = c.ConnectedAt,
+                        LastActivity = c.LastActivity,
+                        MessagesIn = c.MessagesIn,
+                        MessagesOut = c.MessagesOut
+                    }).ToList();
+                    await WriteJsonResponseAsync(response, new { success = true, clients });
+                    return;
+                }
+
+                if (action == "" || request.HttpMethod != "POST")
+                {
+                    response.StatusCode = 405;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+                    return;
+                }
+
+                Dictionary<string, string> body;
+                using (var reader = new StreamReader(request.InputStream))
+                    body = JsonConvert.DeserializeObject<Dictionary<string, string>>(await reader.ReadToEndAsync()) ?? new();
+                string username = GetUsernameFromRequest(request);
+                string clientId = body.GetValueOrDefault("clientId");
+
+                if (action == "disconnect")
+                {
+                    string reason = body.GetValueOrDefault("reason")?.Trim();
+                    bool disconnected = await webSockets.Disconnect(clientId, string.IsNullOrEmpty(reason) ? "Disconnected by an administrator" : reason);
+                    if (disconnected)
+                        _logger.LogSecurity($"WebSocket client {clientId} disconnected by {username}");
+                    else
+                        response.StatusCode = 404;
+                    await WriteJsonResponseAsync(response, new { success = disconnected, message = disconnected ? "Client disconnected" : "Client not connected" });
+                    return;
+                }
+
+                string command = body.GetValueOrDefault("theCommand")?.Trim();
+                if (string.IsNullOrEmpty(command))
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "theCommand is required" });
+                    return;
+                }
+
+                var data = new Data { userName = username ?? "", theCommand = command, jsonData = body.GetValueOrDefault("jsonData") ?? "" };
+
+                if (action == "broadcast")
+                {
+                    int delivered = await webSockets.Broadcast(data);
+                    _logger.LogSecurity($"WebSocket broadcast \"{command}\" sent by {username} to {delivered} clients");
+                    await WriteJsonResponseAsync(response, new { success = true, message = $"Sent to {delivered} clients", delivered });
+                    return;
+                }
+
+                bool sent = await webSockets.Send(clientId, data);
+                if (sent)
+                    _logger.LogSecurity($"WebSocket message \"{command}\" sent by {username} to {clientId}");
+                else
+                    response.StatusCode = 404;
+                await WriteJsonResponseAsync(response, new { success = sent, message = sent ? "Message sent" : "Client not connected", delivered = sent ? 1 : 0 });
+            }
+            catch (JsonException)
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON body" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in HandleWebSocketsAsync: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        /// <summary>
+        /// Voice tab endpoints. <c>GET /api/voice</c> returns rooms, channels and clients; the rest take a JSON body:
+        /// <c>rooms</c> (POST <c>{id, name}</c>, DELETE <c>{id}</c>), <c>move</c> <c>{client, room, channel}</c>,
+        /// <c>kick</c> (POST <c>{client, minutes, reason}</c>, DELETE <c>{address}</c> to lift it) and
+        /// <c>mute</c> (PUT <c>{room, channel, muted}</c>).
+        /// </summary>
+        private async Task HandleVoiceAsync(HttpListenerRequest request, HttpListenerResponse response, string action)
+        {
+            try
+            {
+                var voice = _serviceProvider.GetRequiredService<UdpServer>();
+
+                if (action == "" && request.HttpMethod == "GET")
+                {
+                    await WriteJsonResponseAsync(response, new { success = true, voice = voice.GetStatus() });
+                    return;
+                }
+
+                Dictionary<string, string> body;
+                using (var reader = new StreamReader(request.InputStream))
+                    body = JsonConvert.DeserializeObject<Dictionary<string, string>>(await reader.ReadToEndAsync()) ?? new();
+                string username = GetUsernameFromRequest(request);
+
+                (bool success, string message) result;
+                switch ((action, request.HttpMethod))
+                {
+                    case ("rooms", "POST"):
+                        result = voice.CreateRoom(body.GetValueOrDefault("id")?.Trim(), body.GetValueOrDefault("name")?.Trim());
+                        break;
+                    case ("rooms", "DELETE"):
+                        result = await voice.CloseRoomAsync(body.GetValueOrDefault("id"));
+                        break;
+                    case ("move", "POST"):
+                        result = await voice.MoveClientAsync(body.GetValueOrDefault("client"), body.GetValueOrDefault("room"), body.GetValueOrDefault("channel"));
+                        break;
+                    case ("kick", "POST"):
+                        int minutes = int.TryParse(body.GetValueOrDefault("minutes"), out var m) ? m : 0;
+                        result = await voice.KickClientAsync(body.GetValueOrDefault("client"), minutes, username, body.GetValueOrDefault("reason")?.Trim());
+                        break;
+                    case ("kick", "DELETE"):
+                        string address = body.GetValueOrDefault("address");
+                        bool lifted = voice.LiftKick(address);
+                        result = (lifted, lifted ? $"Kick on {address} lifted" : $"{address} is not kicked");
+                        break;
+                    case ("mute", "PUT"):
+                        bool muted = !bool.TryParse(body.GetValueOrDefault("muted"), out var mu) || mu;
+                        result = await voice.SetChannelMutedAsync(body.GetValueOrDefault("room"), body.GetValueOrDefault("channel"), muted);
+                        break;
+                    default:
+                        response.StatusCode = 405;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+                        return;
+                }
+
+                if (result.success)
+                    _logger.LogSecurity($"Voice {action} by {username}: {result.message}");
+                else
+                    response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = result.success, message = result.message, voice = voice.GetStatus() });
+            }
+            catch (JsonException)
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON body" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in HandleVoiceAsync: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        /// <summary>
+        /// Cache panel endpoints. <c>GET /api/cache?prefix=&amp;limit=</c> returns counters and live keys,
+        /// <c>DELETE /api/cache/entry?key=</c> evicts one key and <c>DELETE /api/cache?prefix=</c> evicts a prefix,
+        /// or everything when the prefix is empty.
+        /// </summary>
+        private async Task HandleCacheAsync(HttpListenerRequest request, HttpListenerResponse response, string action)
+        {
+            try
+            {
+                string username = GetUsernameFromRequest(request);
+                string prefix = request.QueryString["prefix"] ?? "";
+
+                switch ((action, request.HttpMethod))
+                {
+                    case ("", "GET"):
+                        int limit = int.TryParse(request.QueryString["limit"], out var l) ? Math.Clamp(l, 1, 5000) : 500;
+                        var (entries, total) = _cache.GetEntries(prefix, limit);
+                        await WriteJsonResponseAsync(response, new { success = true, stats = _cache.GetStats(), entries, total, truncated = total > entries.Count });
+                        return;
+
+                    case ("", "DELETE"):
+                        int removed = prefix.Length == 0 ? _cache.Clear() : _cache.RemoveByPrefix(prefix);
+                        _logger.LogSecurity(prefix.Length == 0
+                            ? $"Cache flushed by {username} ({removed} keys)"
+                            : $"Cache prefix {prefix} evicted by {username} ({removed} keys)");
+                        await WriteJsonResponseAsync(response, new { success = true, message = $"Evicted {removed} keys", removed });
+                        return;
+
+                    case ("entry", "DELETE"):
+                        string key = request.QueryString["key"] ?? "";
+                        bool evicted = _cache.Remove(key);
+                        if (evicted)
+                            _logger.LogSecurity($"Cache key {key} evicted by {username}");
+                        else
+                            response.StatusCode = 404;
+                        await WriteJsonResponseAsync(response, new { success = evicted, message = evicted ? $"{key} evicted" : "Key not found" });
+                        return;
+
+                    case ("reset-stats", "POST"):
+                        _cache.ResetStats();
+                        await WriteJsonResponseAsync(response, new { success = true, message = "Cache counters reset", stats = _cache.GetStats() });
+                        return;
+                }
+
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in HandleCacheAsync: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        /// <summary>
+        /// Data tab endpoints. Every call names the store with <c>?store=minidb|databox</c>; keys go in <c>?key=</c>
+        /// because they may contain slashes. The list is <c>GET /api/data?prefix=&amp;limit=</c>, a single value is
+        /// <c>GET|PUT|DELETE /api/data/entry</c>, and <c>export</c>/<c>import</c> move matching entries as a JSON file.
+        /// </summary>
+        private async Task HandleDataAsync(HttpListenerRequest request, HttpListenerResponse response, string action)
+        {
+            try
+            {
+                var browser = _serviceProvider.GetRequiredService<DataBrowserService>();
+                string store = request.QueryString["store"] ?? DataBrowserService.MiniDBStore;
+                string key = request.QueryString["key"];
+                string username = GetUsernameFromRequest(request);
+
+                if (!DataBrowserService.IsKnownStore(store))
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Unknown store" });
+                    return;
+                }
+
+                switch ((action, request.HttpMethod))
+                {
+                    case ("", "GET"):
+                        int limit = int.TryParse(request.QueryString["limit"], out var l) ? Math.Clamp(l, 1, 5000) : 500;
+                        var (entries, total) = await browser.ListAsync(store, request.QueryString["prefix"], limit);
+                        await WriteJsonResponseAsync(response, new { success = true, store, entries, total, truncated = total > entries.Count, stats = await browser.GetStatsAsync(store) });
+                        return;
+
+                    case ("entry", "GET"):
+                        var (found, info, value, raw) = await browser.GetAsync(store, key ?? "");
+                        if (!found)
+                            response.StatusCode = 404;
+                        await WriteJsonResponseAsync(response, new { success = found, message = found ? null : "Key not found", entry = info, value, raw });
+                        return;
+
+                    case ("entry", "PUT"):
+                        using (var reader = new StreamReader(request.InputStream))
+                        {
+                            var body = JToken.Parse(await reader.ReadToEndAsync());
+                            var (success, message) = await browser.SetAsync(store, key, body);
+                            if (success)
+                                _logger.LogSecurity($"{store} key {key} edited by {username}");
+                            else
+                                response.StatusCode = 400;
+                            await WriteJsonResponseAsync(response, new { success, message });
+                        }
+                        return;
+
+                    case ("entry", "DELETE"):
+                        bool deleted = await browser.DeleteAsync(store, key ?? "");
+                        if (deleted)
+                            _logger.LogSecurity($"{store} key {key} deleted by {username}");
+                        else
+                            response.StatusCode = 404;
+                        await WriteJsonResponseAsync(response, new { success = deleted, message = deleted ? $"{key} deleted" : "Key not found" });
+                        return;
+
+                    case ("compact", "POST") when store == DataBrowserService.MiniDBStore:
+                        await browser.CompactAsync();
+                        _logger.LogSecurity($"MiniDB compacted by {username}");
+                        await WriteJsonResponseAsync(response, new { success = true, message = "Database compacted", stats = await browser.GetStatsAsync(store) });
+                        return;
+
+                    case ("export", "GET"):
+                        var (export, skipped) = await browser.ExportAsync(store, request.QueryString["prefix"]);
+                        response.AddHeader("Content-Disposition", $"attachment; filename=\"{store}-export-{DateTime.UtcNow:yyyyMMdd-HHmmss}.json\"");
+                        response.AddHeader("X-Skipped-Entries", skipped.ToString());
+                        await WriteJsonResponseAsync(response, export);
+                        return;
+
+                    case ("import", "POST"):
+                        using (var reader = new StreamReader(request.InputStream))
+                        {
+                            var import = JsonConvert.DeserializeObject<DataExport>(await reader.ReadToEndAsync());
+                            if (import?.Store != null && import.Store != store)
+                            {
+                                response.StatusCode = 400;
+                                await WriteJsonResponseAsync(response, new { success = false, message = $"This file was exported from {import.Store}, not {store}" });
+                                return;
+                            }
+
+                            var result = await browser.ImportAsync(store, import, request.QueryString["overwrite"] == "true");
+                            _logger.LogSecurity($"{result.Imported} {store} entries imported by {username}");
+                            await WriteJsonResponseAsync(response, new { success = true, message = $"Imported {result.Imported}, skipped {result.Skipped}, failed {result.Errors.Count}", result });
+                        }
+                        return;
+                }
+
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+            }
+            catch (JsonException ex)
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON: " + ex.Message });
+            }
+            catch (Services.MiniDBException ex)
+            {
+                _logger.LogError($"Data {action} error: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in HandleDataAsync: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        /// <summary>
+        /// <c>GET</c> lists every editable setting with its section, limits and whether it needs a restart, plus the
+        /// recent change history. <c>PUT</c> takes an object of setting names to new values; nothing is saved unless
+        /// all of them are valid, and the response's <c>errors</c> maps each rejected setting to the reason.
+        /// </summary>
+        private async Task HandleConfigAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            try
+            {
+                if (request.HttpMethod == "GET")
+                {
+                    await WriteJsonResponseAsync(response, new { success = true, settings = _configManager.GetSettings(), history = _configManager.GetHistory() });
+                    return;
+                }
+                if (request.HttpMethod != "PUT")
+                {
+                    response.StatusCode = 405;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+                    return;
+                }
+
+                using var reader = new StreamReader(request.InputStream);
+                var body = JsonConvert.DeserializeObject<Dictionary<string, JToken>>(await reader.ReadToEndAsync());
+                string username = GetUsernameFromRequest(request);
+                var (success, message, errors, changes) = _configManager.UpdateSettings(body, username);
+
+                if (!success)
+                    response.StatusCode = 400;
+                else if (changes.Count > 0)
+                    _logger.LogSecurity($"Server settings changed by {username}: {string.Join(", ", changes.Select(c => c.Key))}");
+
+                await WriteJsonResponseAsync(response, new { success, message, errors, changes, settings = _configManager.GetSettings() });
+            }
+            catch (JsonException)
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON body" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in HandleConfigAsync: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        private async Task HandleSecurityStatusAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "GET")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only GET method is allowed." });
+                return;
+            }
+
+            await WriteJsonResponseAsync(response, new
+            {
+                success = true,
+                clientIp = DDoSProtectionService.ResolveClientIp(request),
+                limits = GetSecurityLimits(),
+                blocked = _ddosProtection.GetBlocked(),
+                bans = _ddosProtection.GetBans(),
+                allowList = _ddosProtection.GetAllowList(),
+                topRequesters = _ddosProtection.GetTopRequesters(20)
+            });
+        }
+
+        private object GetSecurityLimits() => new
+        {
+            requestsPerMinute = _ddosProtection.MaxRequestsPerMinute,
+            concurrentRequests = _ddosProtection.MaxConcurrentConnections,
+            blockMinutes = _ddosProtection.BlockMinutesBase
+        };
+
+        private void ApplyProtectionSettings(IReadOnlyList<string> keys)
+        {
+            var config = _configManager.Config;
+
+            if (keys.Contains(nameof(ServerConfig.RateLimitPerMinute)) || keys.Contains(nameof(ServerConfig.MaxConcurrentRequestsPerIp)) || keys.Contains(nameof(ServerConfig.BlockMinutesBase)))
+                _ddosProtection.UpdateLimits(config.RateLimitPerMinute, config.MaxConcurrentRequestsPerIp, config.BlockMinutesBase);
+            if (keys.Contains(nameof(ServerConfig.AllowedIps)))
+                _ddosProtection.SetAllowList(config.AllowedIps);
+            if (keys.Contains(nameof(ServerConfig.BannedIps)))
+                _ddosProtection.SetBans(config.BannedIps);
+        }
+
+        private async Task HandleSecurityLimitsAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "PUT")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only PUT method is allowed." });
+                return;
+            }
+
+            try
+            {
+                using var reader = new StreamReader(request.InputStream);
+                var body = JObject.Parse(await reader.ReadToEndAsync());
+                string username = GetUsernameFromRequest(request);
+
+                var changes = new Dictionary<string, JToken>();
+                if (body["requestsPerMinute"] != null) changes[nameof(ServerConfig.RateLimitPerMinute)] = body["requestsPerMinute"];
+                if (body["concurrentRequests"] != null) changes[nameof(ServerConfig.MaxConcurrentRequestsPerIp)] = body["concurrentRequests"];
+                if (body["blockMinutes"] != null) changes[nameof(ServerConfig.BlockMinutesBase)] = body["blockMinutes"];
+
+                var (success, message, errors, _) = _configManager.UpdateSettings(changes, username);
+                if (!success)
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success, message = string.Join(" ", errors.Values) });
+                    return;
+                }
+
+                _logger.LogSecurity($"Rate limits changed by {username}: {_ddosProtection.MaxRequestsPerMinute}/min, {_ddosProtection.MaxConcurrentConnections} concurrent, {_ddosProtection.BlockMinutesBase}m base block");
+                await WriteJsonResponseAsync(response, new { success = true, message = "Limits saved", limits = GetSecurityLimits() });
+            }
+            catch (JsonException)
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON body" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in HandleSecurityLimitsAsync: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        /// <summary>
+        /// <c>POST</c> adds and <c>DELETE</c> removes an entry, both with a JSON body naming the <c>range</c>
+        /// (a single address or CIDR). <c>bans</c> also takes a <c>reason</c> and optional <c>minutes</c>,
+        /// <c>allow-list</c> a <c>note</c>; <c>blocks</c> only supports <c>DELETE</c>, lifting an automatic block.
+        /// Ban and allow-list changes are saved to the config so they survive a restart.
+        /// </summary>
+        private async Task HandleSecurityListAsync(HttpListenerRequest request, HttpListenerResponse response, string list)
+        {
+            if (request.HttpMethod != "POST" && request.HttpMethod != "DELETE" || list == "blocks" && request.HttpMethod != "DELETE")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+                return;
+            }
+
+            try
+            {
+                using var reader = new StreamReader(request.InputStream);
+                var body = JsonConvert.DeserializeObject<Dictionary<string, string>>(await reader.ReadToEndAsync());
+                string range = body?.GetValueOrDefault("range")?.Trim();
+                string username = GetUsernameFromRequest(request);
+
+                if (!DDoSProtectionService.TryParseRange(range, out var network))
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Enter an IP address or a CIDR range such as 203.0.113.0/24" });
+                    return;
+                }
+
+                if (list == "blocks")
+                {
+                    bool removed = _ddosProtection.Unblock(range);
+                    if (removed)
+                        _logger.LogSecurity($"IP {range} unblocked by {username}");
+                    else
+                        response.StatusCode = 404;
+                    await WriteJsonResponseAsync(response, new { success = removed, message = removed ? $"{range} unblocked" : $"{range} is not blocked" });
+                    return;
+                }
+
+                var config = _configManager.Config;
+                string message;
+
+                if (list == "bans")
+                {
+                    var bans = _ddosProtection.GetBans().Where(b => !b.Range.Equals(range, StringComparison.OrdinalIgnoreCase)).ToList();
+
+                    if (request.HttpMethod == "POST")
+                    {
+                        if (IPAddress.TryParse(DDoSProtectionService.ResolveClientIp(request), out var own) &&
+                            network.Contains(own.IsIPv4MappedToIPv6 ? own.MapToIPv4() : own))
+                        {
+                            response.StatusCode = 400;
+                            await WriteJsonResponseAsync(response, new { success = false, message = "That range includes your own address" });
+                            return;
+                        }
+
+                        int minutes = int.TryParse(body.GetValueOrDefault("minutes"), out var m) ? m : 0;
+                        bans.Add(new IpBan
+                        {
+                            Range = range,
+                            Reason = body.GetValueOrDefault("reason")?.Trim() ?? "",
+                            CreatedBy = username,
+                            CreatedAt = DateTime.UtcNow,
+                            ExpiresAt = minutes > 0 ? DateTime.UtcNow.AddMinutes(minutes) : null
+                        });
+                        message = minutes > 0 ? $"{range} banned for {minutes} minutes" : $"{range} banned";
+                        _logger.LogSecurity($"{range} banned by {username}{(minutes > 0 ? $" for {minutes}m" : "")}");
+                    }
+                    else
+                    {
+                        message = $"Ban on {range} lifted";
+                        _logger.LogSecurity($"Ban on {range} lifted by {username}");
+                    }
+
+                    _ddosProtection.SetBans(bans);
+                    config.BannedIps = bans;
+                }
+                else
+                {
+                    var allowList = _ddosProtection.GetAllowList().Where(a => !a.Range.Equals(range, StringComparison.OrdinalIgnoreCase)).ToList();
+
+                    if (request.HttpMethod == "POST")
+                    {
+                        allowList.Add(new IpAllowEntry { Range = range, Note = body.GetValueOrDefault("note")?.Trim() ?? "" });
+                        message = $"{range} added to the allow-list";
+                        _logger.LogSecurity($"{range} allow-listed by {username}");
+                    }
+                    else
+                    {
+                        message = $"{range} removed from the allow-list";
+                        _logger.LogSecurity($"{range} removed from the allow-list by {username}");
+                    }
+
+                    _ddosProtection.SetAllowList(allowList);
+                    config.AllowedIps = allowList;
+                }
+
+                _configManager.SaveConfig();
+                await WriteJsonResponseAsync(response, new { success = true, message });
+            }
+            catch (JsonException)
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON body" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error in HandleSecurityListAsync: {ex.Message}");
                 response.StatusCode = 500;
-                await WriteJsonResponseAsync(response, new { success = false, message = "An internal error occurred while stopping the process." });
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
             }
         }
 
-        private async Task HandlePluginToggleAsync(HttpListenerRequest request, HttpListenerResponse response, string pluginId, bool enable)
+        private async Task HandleVideoUploadsAsync(HttpListenerRequest request, HttpListenerResponse response)
         {
-            await WriteJsonResponseAsync(response, new
+            try
             {
-                success = true,
-                message = $"Plugin {pluginId} {(enable ? "enabled" : "disabled")} successfully"
-            });
-        }
+                if (request.HttpMethod == "GET")
+                {
+                    await WriteJsonResponseAsync(response, new { success = true, maxChunkSize = _videoUploads.MaxChunkSize, uploads = _videoUploads.GetUploads() });
+                    return;
+                }
+                if (request.HttpMethod != "POST")
+                {
+                    response.StatusCode = 405;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+                    return;
+                }
 
+                using var reader = new StreamReader(request.InputStream);
+                var body = JsonConvert.DeserializeObject<VideoUpload>(await reader.ReadToEndAsync());
+                var (success, message, upload) = _videoUploads.CreateUpload(body?.FileName, body?.Size ?? 0, GetUsernameFromRequest(request));
 
-        private bool ValidateAdminAuthentication(HttpListenerRequest request)
-        {
-            string authHeader = request.Headers["Authorization"];
-            if (string.IsNullOrEmpty(authHeader) || !authHeader.StartsWith("Bearer "))
-            {
-                return false;
+                if (!success)
+                    response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success, message, upload });
             }
-
-            string token = authHeader.Substring("Bearer ".Length);
-            if (_authService.ValidateJwtToken(token))
-                if (_authService.GetRoleFromToken(token).ToLower() == "admin")
-                    return true;
-
-            return false;
-        }
-
-        private bool ValidateUserAuthentication(HttpListenerRequest request)
-        {
-            string authHeader = request.Headers["Authorization"];
-            if (string.IsNullOrEmpty(authHeader) || !authHeader.StartsWith("Bearer "))
+            catch (JsonException)
             {
-                return false;
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON body" });
             }
-
-            string token = authHeader.Substring("Bearer ".Length);
-            return _authService.ValidateJwtToken(token);
-        }
-
-        private void SendUnauthorized(HttpListenerResponse response)
-        {
-            response.StatusCode = 401;
-            response.AddHeader("WWW-Authenticate", "Bearer");
-        }
-
-
-        private async Task HandleStatsAsync(HttpListenerRequest request, HttpListenerResponse response)
-        {
-            var stats = new
+            catch (Exception ex)
             {
-                uptime = (DateTime.Now - Process.GetCurrentProcess().StartTime).ToString(@"hh\:mm\:ss"),
-                users = _userService.Users.Count,
-                maxConnections = _configManager.Config.MaxConnections,
-                protocol = 1
-            };
-            await WriteJsonResponseAsync(response, stats);
+                _logger.LogError($"Error in HandleVideoUploadsAsync: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
         }
 
-        private async Task HandleSystemAsync(HttpListenerRequest request, HttpListenerResponse response)
+        /// <summary>
+        /// <c>GET</c> returns how much of an upload is stored, <c>PUT ?offset=N</c> appends the request body as the
+        /// next chunk and <c>DELETE</c> discards the upload. A chunk at the wrong offset gets 409 with the stored
+        /// byte count so the client can continue from there.
+        /// </summary>
+        private async Task HandleVideoUploadChunkAsync(HttpListenerRequest request, HttpListenerResponse response, string id)
         {
-            var proc = Process.GetCurrentProcess();
-            double cpuUse = _lastCpuUsage;
-            double memUsage = proc.WorkingSet64 / 1024.0 / 1024.0;
-            object systemStats;
-
-            if (!OperatingSystem.IsWindows())
+            try
             {
-                try
+                if (request.HttpMethod == "GET")
                 {
-                    string memInfo = File.ReadAllText("/proc/meminfo");
-                    string totalLine = memInfo.Split('\n').FirstOrDefault(l => l.StartsWith("MemTotal:"));
-                    string freeLine = memInfo.Split('\n').FirstOrDefault(l => l.StartsWith("MemAvailable:"));
-                    double totalMem = totalLine != null ? double.Parse(new string(totalLine.Where(char.IsDigit).ToArray())) / 1024.0 : memUsage;
-                    double freeMem = freeLine != null ? double.Parse(new string(freeLine.Where(char.IsDigit).ToArray())) / 1024.0 : 0;
-                    memUsage = totalMem - freeMem;
-
-                    DriveInfo drive = new DriveInfo("/");
-                    long totalSpace = drive.TotalSize;
-                    long usedSpace = totalSpace - drive.AvailableFreeSpace;
-
-                    long totalBytesSent = 0, totalBytesReceived = 0;
-                    foreach (var nic in System.Net.NetworkInformation.NetworkInterface.GetAllNetworkInterfaces())
+                    var upload = _videoUploads.GetUpload(id);
+                    if (upload == null)
+                        response.StatusCode = 404;
+                    await WriteJsonResponseAsync(response, new { success = upload != null, message = upload == null ? "Upload not found" : null, upload });
+                }
+                else if (request.HttpMethod == "PUT")
+                {
+                    if (!long.TryParse(request.QueryString["offset"], out long offset))
                     {
-                        var nicStats = nic.GetIPv4Statistics();
-                        totalBytesSent += nicStats.BytesSent;
-                        totalBytesReceived += nicStats.BytesReceived;
+                        response.StatusCode = 400;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "offset is required" });
+                        return;
                     }
 
-                    systemStats = new { cpuUsage = cpuUse, memoryMB = memUsage, diskUsedGB = usedSpace / (1024.0 * 1024 * 1024), diskTotalGB = totalSpace / (1024.0 * 1024 * 1024), netSentMB = totalBytesSent / (1024.0 * 1024), netReceivedMB = totalBytesReceived / (1024.0 * 1024) };
+                    var (success, message, upload) = await _videoUploads.AppendChunkAsync(id, offset, request.InputStream, request.ContentLength64);
+                    if (!success)
+                        response.StatusCode = upload == null ? 404 : message.StartsWith("Offset") ? 409 : 413;
+                    await WriteJsonResponseAsync(response, new { success, message, upload, completed = success && upload.ReceivedBytes == upload.Size });
+                }
+                else if (request.HttpMethod == "DELETE")
+                {
+                    var (success, message) = _videoUploads.CancelUpload(id);
+                    if (!success)
+                        response.StatusCode = 404;
+                    await WriteJsonResponseAsync(response, new { success, message });
+                }
+                else
+                {
+                    response.StatusCode = 405;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
                 }
-                catch { systemStats = new { cpuUsage = cpuUse, memoryMB = memUsage }; }
             }
-            else
+            catch (Exception ex)
             {
-                systemStats = new { cpuUsage = cpuUse, memoryMB = memUsage };
+                _logger.LogError($"Video upload error for {id}: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
             }
-
-            await WriteJsonResponseAsync(response, systemStats);
-        }
-
-        private async Task HandleLogsAsync(HttpListenerRequest request, HttpListenerResponse response)
-        {
-            string logFile = Path.Combine(AppContext.BaseDirectory, "logs", "latest.log");
-            string[] lines = File.Exists(logFile) ? File.ReadLines(logFile).Reverse().Take(50).Reverse().ToArray() : Array.Empty<string>();
-            await WriteJsonResponseAsync(response, lines);
         }
 
-        private async Task HandleVideosAsync(HttpListenerRequest request, HttpListenerResponse response)
+        private async Task HandleVideoImportActionAsync(HttpListenerRequest request, HttpListenerResponse response, string id, string action)
         {
             try
             {
-                if (request.HttpMethod == "GET")
-                {
-                    string[] files = _videoService.GetVideoFiles();
-                    await WriteJsonResponseAsync(response, files);
-                }
+                (bool success, string message) result;
+                if (action == "cancel" && request.HttpMethod == "POST")
+                    result = _videoImports.Cancel(id);
+                else if (action == "retry" && request.HttpMethod == "POST")
+                    result = _videoImports.Retry(id);
+                else if (action == null && request.HttpMethod == "DELETE")
+                    result = _videoImports.Remove(id);
                 else
                 {
                     response.StatusCode = 405;
                     await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+                    return;
                 }
+
+                if (!result.success)
+                    response.StatusCode = result.message == "Import not found" ? 404 : 409;
+                await WriteJsonResponseAsync(response, new { success = result.success, message = result.message });
             }
             catch (Exception ex)
             {
-                _logger.LogError($"Error in HandleVideos: {ex.Message}");
+                _logger.LogError($"Video import {action ?? "remove"} error for {id}: {ex.Message}");
                 response.StatusCode = 500;
-                await WriteJsonResponseAsync(response, new { success = false, message = "Internal server error" });
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
             }
         }
 
-        private async Task HandleVideoUploadAsync(HttpListenerRequest request, HttpListenerResponse response)
+        /// <summary>
+        /// <c>GET {name}/thumbnail</c> serves the poster frame, <c>POST {name}/rename</c> renames a video and
+        /// <c>DELETE {name}</c> removes it together with its thumbnail and metadata.
+        /// </summary>
+        private async Task HandleVideoActionAsync(HttpListenerRequest request, HttpListenerResponse response, string fileName, string action)
         {
-            if (request.HttpMethod != "POST")
-            {
-                response.StatusCode = 405;
-                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST allowed" });
-                return;
-            }
-
             try
             {
-                using var reader = new StreamReader(request.InputStream);
-                string body = await reader.ReadToEndAsync();
-                var json = JsonConvert.DeserializeObject<Dictionary<string, string>>(body);
-
-                if (json != null && json.TryGetValue("url", out var videoUrl))
+                if (action == "thumbnail" && request.HttpMethod == "GET")
                 {
-                    var (success, message) = await _videoService.DownloadVideoFromUrl(videoUrl);
-                    if (success)
-                        await WriteJsonResponseAsync(response, new { success = true, message });
-                    else
+                    string thumbnailPath = _videoService.GetThumbnailPath(fileName);
+                    if (thumbnailPath == null)
                     {
-                        response.StatusCode = 400;
-                        await WriteJsonResponseAsync(response, new { success = false, message });
+                        response.StatusCode = 404;
+                        await WriteJsonResponseAsync(response, new { success = false, message = "Thumbnail not available" });
+                        return;
                     }
+
+                    byte[] image = await File.ReadAllBytesAsync(thumbnailPath);
+                    response.ContentType = "image/jpeg";
+                    response.AddHeader("Cache-Control", "private, max-age=3600");
+                    response.ContentLength64 = image.Length;
+                    await response.OutputStream.WriteAsync(image, 0, image.Length);
+                    return;
+                }
+
+                if (action == "link" && request.HttpMethod == "POST")
+                {
+                    await HandleVideoLinkAsync(request, response, fileName);
+                    return;
+                }
+
+                (bool success, string message) result;
+                if (action == "rename" && request.HttpMethod == "POST")
+                {
+                    using var reader = new StreamReader(request.InputStream);
+                    var body = JsonConvert.DeserializeObject<Dictionary<string, string>>(await reader.ReadToEndAsync());
+                    result = _videoService.RenameVideo(fileName, body?.GetValueOrDefault("newName"));
+                }
+                else if (action == null && request.HttpMethod == "DELETE")
+                {
+                    result = _videoService.DeleteVideo(fileName);
+                    if (result.success)
+                        _logger.LogSecurity($"Video {fileName} deleted by {GetUsernameFromRequest(request)}");
                 }
                 else
                 {
-                    response.StatusCode = 400;
-                    await WriteJsonResponseAsync(response, new { success = false, message = "Invalid JSON body - url required" });
+                    response.StatusCode = 405;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "Method not allowed" });
+                    return;
                 }
+
+                if (!result.success)
+                    response.StatusCode = result.message == "Video not found" ? 404 : 400;
+                await WriteJsonResponseAsync(response, new { success = result.success, message = result.message });
             }
             catch (Exception ex)
             {
-                _logger.LogError($"URL Download failed: {ex.Message}");
+                _logger.LogError($"Video {action ?? "delete"} error for {fileName}: {ex.Message}");
                 response.StatusCode = 500;
-                await WriteJsonResponseAsync(response, new { success = false, message = "Download failed: " + ex.Message });
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
+        /// <summary>
+        /// Issues a signed link to a video. The dashboard uses the default lifetime for playback; a longer one
+        /// (up to <c>MaxVideoLinkHours</c>) can be requested in minutes to share the video with an external player.
+        /// </summary>
+        private async Task HandleVideoLinkAsync(HttpListenerRequest request, HttpListenerResponse response, string fileName)
+        {
+            if (_videoService.GetVideoFilePath(fileName) == null)
+            {
+                response.StatusCode = 404;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Video not found" });
+                return;
+            }
+
+            using var reader = new StreamReader(request.InputStream);
+            var body = JsonConvert.DeserializeObject<Dictionary<string, double?>>(await reader.ReadToEndAsync());
+            double maxMinutes = Math.Max(1, _configManager.Config.MaxVideoLinkHours) * 60.0;
+            double minutes = body?.GetValueOrDefault("minutes") ?? _configManager.Config.VideoLinkMinutes;
+
+            if (minutes <= 0 || minutes > maxMinutes)
+            {
+                response.StatusCode = 400;
+                await WriteJsonResponseAsync(response, new { success = false, message = $"Links can last between 1 minute and {maxMinutes / 60:0} hours" });
+                return;
             }
+
+            var (path, expiresAt) = _videoService.CreateSignedPath(fileName, TimeSpan.FromMinutes(minutes));
+            if (body?.ContainsKey("minutes") == true)
+                _logger.LogSecurity($"Share link for video {fileName} issued to {GetUsernameFromRequest(request)}, valid until {expiresAt:u}");
+
+            await WriteJsonResponseAsync(response, new { success = true, path, expiresAt });
         }
 
+        /// <summary>
+        /// Rotates the signing key, invalidating every video link issued so far, the dashboard's own included.
+        /// </summary>
+        private async Task HandleRevokeVideoLinksAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "POST")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST method is allowed." });
+                return;
+            }
+
+            _videoService.RotateSigningKey();
+            _logger.LogSecurity($"All video links revoked by {GetUsernameFromRequest(request)}");
+            await WriteJsonResponseAsync(response, new { success = true, message = "All video links have been revoked" });
+        }
 
+        /// <summary>
+        /// Streams a video with single-range support, so players can start immediately and seek. Requests
+        /// are authorised either by an admin token or by a signed link from <see cref="HandleVideoLinkAsync"/>.
+        /// </summary>
         private async Task ServeVideoAsync(HttpListenerRequest request, HttpListenerResponse response)
         {
             try
@@ -1193,54 +3582,120 @@ namespace UltimateServer.Servers
                 string path = request.Url.AbsolutePath;
                 if (!path.StartsWith("/videos/")) { response.StatusCode = 400; await WriteStringResponseAsync(response, "Invalid URL format"); return; }
 
-                string fileName = path.Substring("/videos/".Length);
-                int queryIndex = fileName.IndexOf('?');
-                if (queryIndex > 0) { fileName = fileName.Substring(0, queryIndex); }
+                string fileName = Uri.UnescapeDataString(path.Substring("/videos/".Length));
+                bool signed = request.QueryString["sig"] != null;
+
+                if (signed && !_videoService.VerifySignature(fileName, request.QueryString["expires"], request.QueryString["sig"]))
+                {
+                    response.StatusCode = 403;
+                    await WriteStringResponseAsync(response, "This link has expired or is invalid");
+                    return;
+                }
 
                 string filePath = _videoService.GetVideoFilePath(fileName);
                 if (filePath == null) { response.StatusCode = 404; await WriteStringResponseAsync(response, "Video file not found"); return; }
 
-                string contentType = _videoService.GetContentType(filePath);
-                response.ContentType = contentType;
+                var file = new FileInfo(filePath);
+                long fileLength = file.Length;
+                DateTime lastModified = file.LastWriteTimeUtc;
+                string etag = $"\"{fileLength:x}-{lastModified.Ticks:x}\"";
+
+                response.ContentType = _videoService.GetContentType(filePath);
                 response.AddHeader("Accept-Ranges", "bytes");
-                long fileLength = new FileInfo(filePath).Length;
+                response.AddHeader("ETag", etag);
+                response.AddHeader("Last-Modified", lastModified.ToString("R"));
 
-                if (request.Headers["Range"] != null)
-                {
-                    string range = request.Headers["Range"].Replace("bytes=", "");
-                    string[] parts = range.Split('-');
-                    long start = parts.Length > 0 && long.TryParse(parts[0], out var s) ? s : 0;
-                    long end = parts.Length > 1 && long.TryParse(parts[1], out var e) ? e : fileLength - 1;
+                // A signed link can be cached until it expires; token-authorised requests are revalidated with the ETag.
+                if (signed && long.TryParse(request.QueryString["expires"], out long expires))
+                    response.AddHeader("Cache-Control", $"private, max-age={Math.Max(0, expires - DateTimeOffset.UtcNow.ToUnixTimeSeconds())}");
+                else
+                    response.AddHeader("Cache-Control", "private, no-cache");
 
-                    if (start >= fileLength || end >= fileLength || start > end) { response.StatusCode = 416; response.AddHeader("Content-Range", $"bytes */{fileLength}"); return; }
+                string ifNoneMatch = request.Headers["If-None-Match"];
+                if (ifNoneMatch != null && (ifNoneMatch.Trim() == "*" || ifNoneMatch.Split(',').Any(t => t.Trim() == etag)))
+                {
+                    response.StatusCode = 304;
+                    return;
+                }
 
-                    long contentLength = end - start + 1;
-                    response.StatusCode = 206;
-                    response.AddHeader("Content-Range", $"bytes {start}-{end}/{fileLength}");
-                    response.ContentLength64 = contentLength;
+                long start = 0, end = fileLength - 1;
+                string rangeHeader = request.Headers["Range"];
+                string ifRange = request.Headers["If-Range"];
+                bool rangeApplies = rangeHeader != null && (ifRange == null || ifRange == etag ||
+                    (DateTime.TryParse(ifRange, CultureInfo.InvariantCulture, DateTimeStyles.AdjustToUniversal | DateTimeStyles.AssumeUniversal, out var since) &&
+                     lastModified <= since.AddSeconds(1)));
 
-                    using (var fs = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read))
+                if (rangeApplies)
+                {
+                    if (!TryParseRange(rangeHeader, fileLength, out start, out end))
                     {
-                        fs.Seek(start, SeekOrigin.Begin);
-                        byte[] buffer = new byte[8192];
-                        int bytesRead;
-                        long bytesRemaining = contentLength;
-                        while (bytesRemaining > 0 && (bytesRead = await fs.ReadAsync(buffer, 0, (int)Math.Min(buffer.Length, bytesRemaining))) > 0)
-                        {
-                            await response.OutputStream.WriteAsync(buffer, 0, bytesRead);
-                            bytesRemaining -= bytesRead;
-                        }
+                        response.StatusCode = 416;
+                        response.AddHeader("Content-Range", $"bytes */{fileLength}");
+                        return;
                     }
+
+                    response.StatusCode = 206;
+                    response.AddHeader("Content-Range", $"bytes {start}-{end}/{fileLength}");
                 }
-                else
+
+                long contentLength = end - start + 1;
+                response.ContentLength64 = contentLength;
+                if (request.HttpMethod == "HEAD")
+                    return;
+
+                using var fs = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.ReadWrite | FileShare.Delete, 64 * 1024, useAsync: true);
+                fs.Seek(start, SeekOrigin.Begin);
+                byte[] buffer = new byte[64 * 1024];
+                long bytesRemaining = contentLength;
+                int bytesRead;
+                while (bytesRemaining > 0 && (bytesRead = await fs.ReadAsync(buffer, 0, (int)Math.Min(buffer.Length, bytesRemaining))) > 0)
                 {
-                    response.ContentLength64 = fileLength;
-                    using (var fs = File.OpenRead(filePath)) { await fs.CopyToAsync(response.OutputStream); }
+                    await response.OutputStream.WriteAsync(buffer, 0, bytesRead);
+                    bytesRemaining -= bytesRead;
                 }
             }
+            catch (HttpListenerException)
+            {
+                // The player dropped the connection, which it does every time the user seeks.
+            }
             catch (Exception ex) { _logger.LogError($"Error serving video: {ex.Message}"); response.StatusCode = 500; }
         }
 
+        /// <summary>
+        /// Parses a single <c>bytes=</c> range, including open-ended (<c>500-</c>) and suffix (<c>-500</c>) forms.
+        /// Ends past the file are clamped; multi-range requests are treated as unsatisfiable.
+        /// </summary>
+        private static bool TryParseRange(string header, long fileLength, out long start, out long end)
+        {
+            start = 0;
+            end = fileLength - 1;
+
+            if (!header.StartsWith("bytes=") || header.Contains(',') || fileLength == 0)
+                return false;
+
+            string[] parts = header.Substring("bytes=".Length).Trim().Split('-');
+            if (parts.Length != 2)
+                return false;
+
+            if (parts[0] == "")
+            {
+                if (!long.TryParse(parts[1], out long suffix) || suffix <= 0)
+                    return false;
+                start = Math.Max(0, fileLength - suffix);
+                return true;
+            }
+
+            if (!long.TryParse(parts[0], out start) || start >= fileLength)
+                return false;
+            if (parts[1] != "")
+            {
+                if (!long.TryParse(parts[1], out long last) || last < start)
+                    return false;
+                end = Math.Min(last, fileLength - 1);
+            }
+            return true;
+        }
+
         private async Task ServeDefaultPageAsync(HttpListenerRequest request, HttpListenerResponse response)
         {
             string htmlPath = Path.Combine(AppContext.BaseDirectory, "index.html");
@@ -1313,6 +3768,36 @@ namespace UltimateServer.Servers
         public string Name { get; set; } = "plugin";
         public string Description { get; set; } = "description";
         public string DownloadLink { get; set; } = "";
+        public string Category { get; set; } = "";
+        public string Author { get; set; } = "";
+
+        /// <summary>
+        /// Newest version; filled from <see cref="Versions"/> when a registry lists several.
+        /// </summary>
+        public string Version { get; set; } = "";
+        public string Changelog { get; set; } = "";
+        public string Sha256 { get; set; } = "";
+
+        /// <summary>
+        /// Base64 publisher signature over the DLL, checked against <see cref="ServerConfig.TrustedPluginKeys"/>.
+        /// </summary>
+        public string Signature { get; set; } = "";
+        public List<MarketPluginVersion> Versions { get; set; } = new();
+
+        /// <summary>
+        /// The registry this entry came from.
+        /// </summary>
+        public string Registry { get; set; } = "";
+    }
+
+    public class MarketPluginVersion
+    {
+        public string Version { get; set; } = "";
+        public string DownloadLink { get; set; } = "";
+        public string Changelog { get; set; } = "";
+        public string Sha256 { get; set; } = "";
+        public string Signature { get; set; } = "";
+        public DateTime? Released { get; set; }
     }
 
     public class DownloadJobProcessor
@@ -1321,13 +3806,17 @@ namespace UltimateServer.Servers
         private readonly SemaphoreSlim _signal = new SemaphoreSlim(0);
         private readonly Logger _logger;
         private readonly PluginManager _pluginManager;
+        private readonly MarketplaceService _marketplace;
+        private readonly PluginVerificationService _verification;
         private readonly CancellationTokenSource _cancellationTokenSource = new CancellationTokenSource();
         private Task _processingTask;
 
-        public DownloadJobProcessor(Logger logger, PluginManager pluginManager)
+        public DownloadJobProcessor(Logger logger, PluginManager pluginManager, MarketplaceService marketplace, PluginVerificationService verification)
         {
             _logger = logger;
             _pluginManager = pluginManager;
+            _marketplace = marketplace;
+            _verification = verification;
             _processingTask = Task.Run(ProcessJobsAsync);
         }
 
@@ -1371,28 +3860,41 @@ namespace UltimateServer.Servers
 
         private async Task ProcessDownloadJobAsync(MarketPlugin downloadRequest)
         {
-            string pluginsDirectory = Path.Combine(AppContext.BaseDirectory, "plugins");
-            string fileName = $"{downloadRequest.Name}.dll";
+            string pluginsDirectory = _pluginManager.PluginsDirectory;
+            string fileName = $"{Path.GetFileName(downloadRequest.Name)}.dll";
             string filePath = Path.Combine(pluginsDirectory, fileName);
+            string tempPath = filePath + ".download";
 
             Directory.CreateDirectory(pluginsDirectory);
 
-            using var client = new HttpClient();
-            var downloadResponse = await client.GetAsync(downloadRequest.DownloadLink, HttpCompletionOption.ResponseHeadersRead, _cancellationTokenSource.Token);
-
-            if (!downloadResponse.IsSuccessStatusCode)
+            try
+            {
+                using (var contentStream = await _marketplace.OpenDownloadAsync(downloadRequest.DownloadLink, _cancellationTokenSource.Token))
+                using (var fileStream = new FileStream(tempPath, FileMode.Create, FileAccess.Write, FileShare.None))
+                {
+                    await contentStream.CopyToAsync(fileStream, _cancellationTokenSource.Token);
+                }
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
             {
-                _logger.LogError($"Failed to download file from URL: {downloadRequest.DownloadLink}. Status: {downloadResponse.StatusCode}");
+                File.Delete(tempPath);
+                _logger.LogError($"Failed to download {downloadRequest.Name} v{downloadRequest.Version} from {downloadRequest.DownloadLink}: {ex.Message}");
                 return;
             }
 
-            using (var contentStream = await downloadResponse.Content.ReadAsStreamAsync())
-            using (var fileStream = new FileStream(filePath, FileMode.Create, FileAccess.Write, FileShare.None))
+            var verification = _verification.Verify(await File.ReadAllBytesAsync(tempPath), downloadRequest.Sha256, downloadRequest.Signature);
+            if (!verification.Valid || (_verification.RequireSignatures && !verification.Signed))
             {
-                await contentStream.CopyToAsync(fileStream, _cancellationTokenSource.Token);
+                File.Delete(tempPath);
+                _logger.LogSecurity($"Rejected marketplace download {downloadRequest.Name} v{downloadRequest.Version}: {verification.Error ?? "unsigned"}");
+                return;
             }
 
-            _logger.Log($"Successfully downloaded and saved plugin to: {filePath}");
+            // Only replace the installed DLL once the new one is complete and verified, so a failed upgrade leaves the old version in place.
+            File.Move(tempPath, filePath, overwrite: true);
+            await _verification.RecordAsync(filePath, verification, "marketplace");
+
+            _logger.Log($"Successfully downloaded {downloadRequest.Name} v{downloadRequest.Version} to: {filePath}");
             _logger.Log("🔄 Reloading plugins via Marketplace request...");
 
             await _pluginManager.UnloadAllPluginsAsync();
@@ -1400,7 +3902,7 @@ namespace UltimateServer.Servers
             _logger.Log("⏳ Waiting for file locks to be released...");
             await Task.Delay(1000, _cancellationTokenSource.Token);
 
-            await _pluginManager.LoadPluginsAsync();
+            await _pluginManager.LoadPluginsAsync(pluginsDirectory);
         }
 
         public async Task StopAsync()
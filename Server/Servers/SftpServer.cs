@@ -37,7 +37,15 @@ namespace UltimateServer.Services
         }
 
         internal static readonly string RootFolder = "/var/www/";
-        internal static readonly ConcurrentDictionary<string, (DateTime expiry, string username)> Sessions = new();
+        internal static readonly ConcurrentDictionary<string, (DateTime expiry, string username, string folder)> Sessions = new();
+
+        /// <summary>
+        /// One-time tickets issued by the dashboard, exchanged for a session by <c>/api/sso</c>.
+        /// </summary>
+        private static readonly ConcurrentDictionary<string, (DateTime expiry, string username, string folder)> Tickets = new();
+        private static readonly TimeSpan TicketLifetime = TimeSpan.FromSeconds(60);
+
+        public int Port => _port;
 
         public async Task Start()
         {
@@ -152,6 +160,10 @@ namespace UltimateServer.Services
                         await HandleLogoutAsync(request, response);
                         break;
 
+                    case "/api/sso":
+                        await HandleSsoAsync(request, response);
+                        break;
+
                     case "/api/files/list":
                         if (ValidateAuthentication(request))
                             await HandleFileListAsync(request, response);
@@ -455,13 +467,13 @@ namespace UltimateServer.Services
                     }
 
 
-                    if (_authenticationService.VerifyPassword(password, _user.Password) && _user.Role == "sftp user" || _user.Role == "admin")
+                    if (_authenticationService.VerifyPassword(password, _user.Password) && (_user.Role == "sftp user" || _user.Role == "admin"))
                     {
                         _authenticationService.ResetFailedLoginAttempts(_user.Username);
+                        var userPathSuffix = usersFolders.GetValueOrDefault(username, username);
                         var token = Guid.NewGuid().ToString("N");
-                        Sessions[token] = (DateTime.UtcNow.AddHours(2), username);
+                        Sessions[token] = (DateTime.UtcNow.AddHours(2), username, userPathSuffix);
 
-                        var userPathSuffix = usersFolders.GetValueOrDefault(username, username);
                         var userRootPath = Path.GetFullPath(Path.Combine(RootFolder, userPathSuffix));
                         Directory.CreateDirectory(userRootPath);
 
@@ -491,6 +503,46 @@ namespace UltimateServer.Services
             }
         }
 
+        private async Task HandleSsoAsync(HttpListenerRequest request, HttpListenerResponse response)
+        {
+            if (request.HttpMethod != "POST")
+            {
+                response.StatusCode = 405;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Only POST allowed" });
+                return;
+            }
+
+            try
+            {
+                using var reader = new StreamReader(request.InputStream);
+                string body = await reader.ReadToEndAsync();
+                var data = JsonConvert.DeserializeObject<Dictionary<string, string>>(body);
+
+                if (data == null || !data.TryGetValue("ticket", out var ticket) || string.IsNullOrEmpty(ticket) ||
+                    !Tickets.TryRemove(ticket, out var ticketData) || ticketData.expiry < DateTime.UtcNow)
+                {
+                    _logger.LogSecurity($"[SFTP SSO] Rejected an invalid or expired ticket from {request.RemoteEndPoint?.Address}");
+                    response.StatusCode = 401;
+                    await WriteJsonResponseAsync(response, new { success = false, message = "This link has expired. Open the file manager from the dashboard again." });
+                    return;
+                }
+
+                var token = Guid.NewGuid().ToString("N");
+                Sessions[token] = (DateTime.UtcNow.AddHours(2), ticketData.username, ticketData.folder);
+                Directory.CreateDirectory(Path.GetFullPath(Path.Combine(RootFolder, ticketData.folder)));
+
+                if (_serverConfig.DebugMode) _logger.Log($"✅ SFTP single sign-on: {ticketData.username}, folder: {ticketData.folder}");
+
+                await WriteJsonResponseAsync(response, new { success = true, token, username = ticketData.username, folder = ticketData.folder });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"SFTP SSO error: {ex.Message}");
+                response.StatusCode = 500;
+                await WriteJsonResponseAsync(response, new { success = false, message = "Server error" });
+            }
+        }
+
         private async Task HandleLogoutAsync(HttpListenerRequest request, HttpListenerResponse response)
         {
             if (request.HttpMethod != "POST")
@@ -666,6 +718,21 @@ namespace UltimateServer.Services
 
         #region Helper Methods
 
+        /// <summary>
+        /// Issues a single-use ticket that opens a file manager session for <paramref name="username"/>,
+        /// confined to <paramref name="folder"/> under <see cref="RootFolder"/>. The dashboard hands it to
+        /// <c>sftp.html</c> in the URL fragment, so it never reaches server logs and expires within a minute.
+        /// </summary>
+        public string IssueTicket(string username, string folder)
+        {
+            foreach (var expired in Tickets.Where(t => t.Value.expiry < DateTime.UtcNow).Select(t => t.Key).ToList())
+                Tickets.TryRemove(expired, out _);
+
+            var ticket = Convert.ToHexString(System.Security.Cryptography.RandomNumberGenerator.GetBytes(32)).ToLowerInvariant();
+            Tickets[ticket] = (DateTime.UtcNow.Add(TicketLifetime), username, folder.Trim('/'));
+            return ticket;
+        }
+
         public async Task CreateUser(string username, string password)
         {
             try
@@ -679,7 +746,7 @@ namespace UltimateServer.Services
                     uuid = Guid.NewGuid(),
                     Role = "sftp user",
                     RefreshToken = _authenticationService.GenerateRefreshToken(),
-                    RefreshTokenExpiry = DateTime.UtcNow.AddDays(7)
+                    RefreshTokenExpiry = DateTime.UtcNow.AddDays(_serverConfig.RefreshTokenDays)
                 };
                 _userService.Users.Add(newUser);
             }
@@ -724,10 +791,7 @@ namespace UltimateServer.Services
             if (!Sessions.TryGetValue(token, out var sessionData))
                 return null;
 
-            if (!usersFolders.TryGetValue(sessionData.username, out var pathSuffix))
-            {
-                pathSuffix = sessionData.username;
-            }
+            var pathSuffix = sessionData.folder;
 
             if (relativePath.Contains(".."))
                 return null;
@@ -736,7 +800,8 @@ namespace UltimateServer.Services
             var cleanRelativePath = (relativePath ?? "/").Trim('/').Replace('\\', '/');
             var fullPath = Path.GetFullPath(Path.Combine(userBasePath, cleanRelativePath));
 
-            if (!fullPath.StartsWith(userBasePath))
+            // "/var/www/site2" starts with "/var/www/site" too, so compare whole path segments.
+            if (fullPath != userBasePath && !fullPath.StartsWith(userBasePath.TrimEnd('/') + "/"))
                 return null;
 
             return fullPath;
@@ -20,6 +20,8 @@ namespace UltimateServer.Servers
         private ServerConfig _config;
         private ConcurrentDictionary<TcpClient, bool> _activeClients = new();
 
+        public int ClientCount => _activeClients.Count;
+
         public TcpServer(
             ServerSettings settings,
             ConfigManager configManager,
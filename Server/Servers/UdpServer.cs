@@ -2,6 +2,7 @@
 using System.Net;
 using System.Net.Sockets;
 using System.Text;
+using System.Text.RegularExpressions;
 using UltimateServer.Models;
 using UltimateServer.Services;
 
@@ -12,6 +13,11 @@ namespace UltimateServer.Servers
         public string Id { get; set; }
         public string Name { get; set; }
         public ConcurrentDictionary<IPEndPoint, bool> Clients { get; set; } = new();
+
+        /// <summary>
+        /// Set by an admin; voice packets sent in a muted channel are dropped. Other packet data still flows.
+        /// </summary>
+        public bool Muted { get; set; }
     }
 
     internal class Room
@@ -30,6 +36,59 @@ namespace UltimateServer.Servers
         }
     }
 
+    /// <summary>
+    /// Traffic seen from one endpoint since it joined a room. The rate is measured over five second windows
+    /// and drops to zero once the client goes quiet.
+    /// </summary>
+    internal class VoiceClientState
+    {
+        private static readonly TimeSpan Window = TimeSpan.FromSeconds(5);
+
+        private readonly object _lock = new();
+        private DateTime _windowStart = DateTime.UtcNow;
+        private int _windowPackets;
+        private double _packetsPerSecond;
+
+        public DateTime ConnectedAt { get; } = DateTime.UtcNow;
+        public DateTime LastSeen { get; private set; } = DateTime.UtcNow;
+        public long Packets { get; private set; }
+        public long Bytes { get; private set; }
+
+        public void Record(int bytes)
+        {
+            lock (_lock)
+            {
+                var now = DateTime.UtcNow;
+                var elapsed = now - _windowStart;
+                if (elapsed >= Window)
+                {
+                    _packetsPerSecond = _windowPackets / elapsed.TotalSeconds;
+                    _windowPackets = 0;
+                    _windowStart = now;
+                }
+
+                _windowPackets++;
+                Packets++;
+                Bytes += bytes;
+                LastSeen = now;
+            }
+        }
+
+        public double PacketsPerSecond
+        {
+            get
+            {
+                lock (_lock)
+                {
+                    var elapsed = DateTime.UtcNow - _windowStart;
+                    if (elapsed >= Window * 2)
+                        return 0;
+                    return elapsed >= Window ? _windowPackets / elapsed.TotalSeconds : _packetsPerSecond;
+                }
+            }
+        }
+    }
+
     internal enum MessageType : byte
     {
         VoiceData = 0,
@@ -55,6 +114,14 @@ namespace UltimateServer.Servers
 
         private readonly ConcurrentDictionary<string, Room> _rooms = new();
 
+        private readonly ConcurrentDictionary<IPEndPoint, VoiceClientState> _clientStates = new();
+
+        // Addresses kicked by an admin for a while; every packet from them is ignored until the kick runs out
+        private readonly ConcurrentDictionary<IPAddress, VoiceKick> _kicks = new();
+
+        // Room and channel ids arrive as raw packet bytes and end up in logs and the dashboard, so only plain names are accepted
+        private static readonly Regex IdPattern = new(@"^[A-Za-z0-9_-]{1,32}$", RegexOptions.Compiled);
+
         public UdpServer(ServerSettings settings, ConfigManager configManager, Logger logger)
         {
             _maxPacketSize = configManager.Config.MaxRequestSizeMB * 1024 * 3;
@@ -91,6 +158,12 @@ namespace UltimateServer.Servers
                         var sender = result.RemoteEndPoint;
                         var data = result.Buffer;
 
+                        if (IsKicked(sender.Address))
+                            continue;
+
+                        if (_clientStates.TryGetValue(sender, out var state))
+                            state.Record(data.Length);
+
                         if (data.Length > 0)
                         {
                             var messageType = (MessageType)data[0];
@@ -160,6 +233,9 @@ namespace UltimateServer.Servers
                 return;
             }
 
+            if (channel.Muted)
+                return;
+
             foreach (var clientEndpoint in channel.Clients.Keys)
             {
                 if (!clientEndpoint.Equals(sender))
@@ -229,6 +305,14 @@ namespace UltimateServer.Servers
             try
             {
                 var roomId = Encoding.UTF8.GetString(data.Skip(1).ToArray());
+                if (!IsValidId(roomId))
+                {
+                    await SendServerMessage(sender, "Room ids can only use letters, digits, '-' and '_' (up to 32 characters)");
+                    return;
+                }
+
+                // Switching rooms keeps the client's traffic stats
+                _clientStates.TryGetValue(sender, out var clientState);
 
                 if (_clientRooms.TryGetValue(sender, out var currentRoomId))
                 {
@@ -237,6 +321,7 @@ namespace UltimateServer.Servers
 
                 var room = _rooms.GetOrAdd(roomId, id => new Room(id, id));
                 _clientRooms.TryAdd(sender, roomId);
+                _clientStates.GetOrAdd(sender, _ => clientState ?? new VoiceClientState());
 
                 await HandleJoinChannel(sender, Encoding.UTF8.GetBytes($"{(byte)MessageType.JoinChannel}general"));
                 _logger.Log($"ℹ️ Client {sender.Address}:{sender.Port} joined room {roomId}");
@@ -257,10 +342,12 @@ namespace UltimateServer.Servers
         {
             try
             {
-                if (_clientRooms.TryRemove(sender, out var roomId) &&
+                if (_clientRooms.TryGetValue(sender, out var roomId) &&
                     _rooms.TryGetValue(roomId, out var room))
                 {
                     await HandleLeaveChannel(sender);
+                    _clientRooms.TryRemove(sender, out _);
+                    _clientStates.TryRemove(sender, out _);
 
                     _logger.Log($"ℹ️ Client {sender.Address}:{sender.Port} left room {roomId}");
 
@@ -290,6 +377,11 @@ namespace UltimateServer.Servers
                 }
 
                 var channelId = Encoding.UTF8.GetString(data.Skip(1).ToArray());
+                if (!IsValidId(channelId))
+                {
+                    await SendServerMessage(sender, "Channel ids can only use letters, digits, '-' and '_' (up to 32 characters)");
+                    return;
+                }
 
                 if (room.ClientChannels.TryGetValue(sender, out var currentChannelId))
                 {
@@ -389,6 +481,7 @@ namespace UltimateServer.Servers
         /// </summary>
         private void RemoveClient(IPEndPoint clientEndpoint)
         {
+            _clientStates.TryRemove(clientEndpoint, out _);
             if (_clientRooms.TryRemove(clientEndpoint, out var roomId) &&
                 _rooms.TryGetValue(roomId, out var room))
             {
@@ -400,6 +493,187 @@ namespace UltimateServer.Servers
             }
         }
 
+        /// <summary>
+        /// Rooms, channels and connected clients as shown in the dashboard's Voice tab.
+        /// </summary>
+        public VoiceStatus GetStatus()
+        {
+            var rooms = _rooms.Values.OrderBy(r => r.Id == "lobby" ? 0 : 1).ThenBy(r => r.Name).Select(room => new VoiceRoomInfo
+            {
+                Id = room.Id,
+                Name = room.Name,
+                Channels = room.Channels.Values.OrderBy(c => c.Id == "general" ? 0 : 1).ThenBy(c => c.Name).Select(channel => new VoiceChannelInfo
+                {
+                    Id = channel.Id,
+                    Name = channel.Name,
+                    Muted = channel.Muted,
+                    Clients = channel.Clients.Keys.Select(endpoint =>
+                    {
+                        _clientStates.TryGetValue(endpoint, out var state);
+                        return new VoiceClientInfo
+                        {
+                            Endpoint = endpoint.ToString(),
+                            ConnectedAt = state?.ConnectedAt,
+                            LastSeen = state?.LastSeen,
+                            PacketsPerSecond = Math.Round(state?.PacketsPerSecond ?? 0, 1),
+                            Packets = state?.Packets ?? 0,
+                            Bytes = state?.Bytes ?? 0
+                        };
+                    }).OrderBy(c => c.Endpoint).ToList()
+                }).ToList()
+            }).ToList();
+
+            foreach (var room in rooms)
+                room.ClientCount = room.Channels.Sum(c => c.Clients.Count);
+
+            return new VoiceStatus
+            {
+                Port = _port,
+                Running = _udpClient != null && !_cts.IsCancellationRequested,
+                TotalClients = rooms.Sum(r => r.ClientCount),
+                Rooms = rooms,
+                Kicks = _kicks.Values.Where(k => k.Until > DateTime.UtcNow).OrderBy(k => k.Until).ToList()
+            };
+        }
+
+        public (bool Success, string Message) CreateRoom(string id, string name)
+        {
+            if (!IsValidId(id))
+                return (false, "Room id can only use letters, digits, '-' and '_' (up to 32 characters)");
+
+            if (!_rooms.TryAdd(id, new Room(id, string.IsNullOrWhiteSpace(name) ? id : name)))
+                return (false, $"Room {id} already exists");
+
+            _logger.Log($"ℹ️ Room {id} created");
+            return (true, $"Room {id} created");
+        }
+
+        /// <summary>
+        /// Removes a room and sends everyone in it back to the lobby. Clients can still recreate it by joining it again;
+        /// kick anyone who shouldn't.
+        /// </summary>
+        public async Task<(bool Success, string Message)> CloseRoomAsync(string id)
+        {
+            if (id == "lobby")
+                return (false, "The lobby can't be closed");
+
+            if (!_rooms.TryRemove(id ?? "", out var room))
+                return (false, $"Room {id} not found");
+
+            var members = _clientRooms.Where(kvp => kvp.Value == id).Select(kvp => kvp.Key).ToList();
+            foreach (var member in members)
+            {
+                _clientRooms.TryRemove(member, out _);
+                await SendServerMessage(member, $"Room {id} was closed by an administrator");
+                await HandleJoinRoom(member, Encoding.UTF8.GetBytes($"{(byte)MessageType.JoinRoom}lobby"));
+            }
+
+            _logger.Log($"ℹ️ Room {id} closed, {members.Count} clients moved to the lobby");
+            return (true, members.Count > 0 ? $"Room {id} closed, {members.Count} clients moved to the lobby" : $"Room {id} closed");
+        }
+
+        public async Task<(bool Success, string Message)> MoveClientAsync(string endpoint, string roomId, string channelId)
+        {
+            if (!TryFindClient(endpoint, out var client))
+                return (false, $"{endpoint} is not connected");
+
+            channelId = string.IsNullOrWhiteSpace(channelId) ? "general" : channelId;
+            if (!_rooms.TryGetValue(roomId ?? "", out var room))
+                return (false, $"Room {roomId} not found");
+            if (!room.Channels.ContainsKey(channelId))
+                return (false, $"Channel {channelId} not found in room {roomId}");
+
+            if (!_clientRooms.TryGetValue(client, out var currentRoom) || currentRoom != roomId)
+                await HandleJoinRoom(client, Encoding.UTF8.GetBytes($"{(byte)MessageType.JoinRoom}{roomId}"));
+            if (!room.ClientChannels.TryGetValue(client, out var currentChannel) || currentChannel != channelId)
+                await HandleJoinChannel(client, Encoding.UTF8.GetBytes($"{(byte)MessageType.JoinChannel}{channelId}"));
+
+            return (true, $"{endpoint} moved to {roomId} / {channelId}");
+        }
+
+        /// <summary>
+        /// Disconnects a client. With <paramref name="minutes"/> above zero its whole address is ignored for that long,
+        /// otherwise it can rejoin straight away.
+        /// </summary>
+        public async Task<(bool Success, string Message)> KickClientAsync(string endpoint, int minutes, string kickedBy, string reason)
+        {
+            if (!TryFindClient(endpoint, out var client))
+                return (false, $"{endpoint} is not connected");
+
+            await SendServerMessage(client, string.IsNullOrWhiteSpace(reason)
+                ? "You were removed by an administrator"
+                : $"You were removed by an administrator: {reason}");
+            RemoveClient(client);
+
+            if (minutes <= 0)
+                return (true, $"{endpoint} kicked");
+
+            _kicks[client.Address] = new VoiceKick
+            {
+                Address = client.Address.ToString(),
+                Reason = reason ?? "",
+                KickedBy = kickedBy,
+                Until = DateTime.UtcNow.AddMinutes(minutes)
+            };
+
+            // Every port on that address is shut out, so drop any other connection it still has
+            foreach (var other in _clientStates.Keys.Where(e => e.Address.Equals(client.Address)).ToList())
+                RemoveClient(other);
+
+            return (true, $"{endpoint} kicked for {minutes} minutes");
+        }
+
+        public bool LiftKick(string address)
+        {
+            return IPAddress.TryParse(address, out var ip) && _kicks.TryRemove(ip, out _);
+        }
+
+        public async Task<(bool Success, string Message)> SetChannelMutedAsync(string roomId, string channelId, bool muted)
+        {
+            if (!_rooms.TryGetValue(roomId ?? "", out var room) || !room.Channels.TryGetValue(channelId ?? "", out var channel))
+                return (false, $"Channel {channelId} not found in room {roomId}");
+
+            channel.Muted = muted;
+            foreach (var member in channel.Clients.Keys)
+                await SendServerMessage(member, muted ? $"Channel {channelId} was muted by an administrator" : $"Channel {channelId} was unmuted");
+
+            _logger.Log($"ℹ️ Channel {channelId} in room {roomId} {(muted ? "muted" : "unmuted")}");
+            return (true, $"{channel.Name} {(muted ? "muted" : "unmuted")}");
+        }
+
+        private bool TryFindClient(string endpoint, out IPEndPoint client)
+        {
+            client = null;
+            return IPEndPoint.TryParse(endpoint ?? "", out var parsed) &&
+                   (client = _clientStates.Keys.FirstOrDefault(e => e.Equals(parsed))) != null;
+        }
+
+        private bool IsKicked(IPAddress address)
+        {
+            if (!_kicks.TryGetValue(address, out var kick))
+                return false;
+            if (kick.Until > DateTime.UtcNow)
+                return true;
+
+            _kicks.TryRemove(address, out _);
+            return false;
+        }
+
+        public static bool IsValidId(string id) => id != null && IdPattern.IsMatch(id);
+
+        private async Task SendServerMessage(IPEndPoint client, string message)
+        {
+            try
+            {
+                var response = Encoding.UTF8.GetBytes($"{(byte)MessageType.ServerMessage}{message}");
+                await _udpClient.SendAsync(response, response.Length, client);
+            }
+            catch (Exception ex)
+            {
+                _logger.Log($"❌ Failed to send server message to {client}: {ex.Message}");
+            }
+        }
+
         /// <summary>
         /// Stops the UDP server gracefully.
         /// </summary>
@@ -1,5 +1,6 @@
 ﻿using System;
 using System.Collections.Concurrent;
+using System.Globalization;
 using System.Net;
 using System.Net.WebSockets;
 using System.Text;
@@ -14,26 +15,57 @@ namespace UltimateServer.Servers
         public WebSocket Socket { get; }
         public string Id { get; }
         public DateTime ConnectedAt { get; }
+        public string RemoteAddress { get; }
 
-        public ClientConnection(WebSocket socket)
+        /// <summary>
+        /// Set when the client connected with a valid dashboard token (<c>/ws/?token=...</c>), otherwise null.
+        /// </summary>
+        public string Username { get; }
+
+        public DateTime LastActivity { get; private set; }
+        public long MessagesIn => Interlocked.Read(ref _messagesIn);
+        public long MessagesOut => Interlocked.Read(ref _messagesOut);
+
+        // WebSocket allows only one send at a time, and admins can now send while the receive loop replies
+        internal SemaphoreSlim SendLock { get; } = new(1, 1);
+
+        private long _messagesIn;
+        private long _messagesOut;
+
+        public ClientConnection(WebSocket socket, string remoteAddress = null, string username = null)
         {
             Socket = socket;
             Id = Guid.NewGuid().ToString("N");
             ConnectedAt = DateTime.UtcNow;
+            LastActivity = ConnectedAt;
+            RemoteAddress = remoteAddress;
+            Username = username;
         }
+
+        internal void RecordIn()
+        {
+            Interlocked.Increment(ref _messagesIn);
+            LastActivity = DateTime.UtcNow;
+        }
+
+        internal void RecordOut() => Interlocked.Increment(ref _messagesOut);
     }
 
     public class WebSocketServer
     {
         private readonly HttpListener _http;
         private readonly Logger _logger;
+        private readonly AuthenticationService _authService;
         private readonly CancellationTokenSource _cts = new();
         private readonly ConcurrentDictionary<string, ClientConnection> _clients = new();
         private readonly int _bufferSize = 4 * 1024;
 
-        public WebSocketServer(ServerSettings settings, Logger logger)
+        public int ClientCount => _clients.Count;
+
+        public WebSocketServer(ServerSettings settings, Logger logger, AuthenticationService authService)
         {
             _logger = logger;
+            _authService = authService;
             _http = new HttpListener();
             _http.Prefixes.Add($"http://*:{settings.httpPort}/ws/");
         }
@@ -121,9 +153,9 @@ namespace UltimateServer.Servers
                 return;
             }
 
-            var client = new ClientConnection(wsCtx.WebSocket);
+            var client = new ClientConnection(wsCtx.WebSocket, DDoSProtectionService.ResolveClientIp(ctx.Request), ResolveUsername(ctx.Request));
             _clients.TryAdd(client.Id, client);
-            _logger.Log($"🔵 Client connected: {client.Id}");
+            _logger.Log($"🔵 Client connected: {client.Id} from {client.RemoteAddress}{(client.Username != null ? $" as {client.Username}" : "")}");
 
             try
             {
@@ -163,7 +195,9 @@ namespace UltimateServer.Servers
 
                     if (result.MessageType == WebSocketMessageType.Close)
                     {
-                        await socket.CloseAsync(WebSocketCloseStatus.NormalClosure, "Closing", token);
+                        // Already Closed when this is the reply to a close we sent (see Disconnect)
+                        if (socket.State == WebSocketState.CloseReceived)
+                            await socket.CloseAsync(WebSocketCloseStatus.NormalClosure, "Closing", token);
                         return;
                     }
 
@@ -172,6 +206,7 @@ namespace UltimateServer.Servers
                 } while (!result.EndOfMessage);
 
                 string json = Encoding.UTF8.GetString(ms.ToArray());
+                client.RecordIn();
                 _logger.Log($"📥 [{client.Id}]: {json}");
 
                 Data? req = null;
@@ -208,10 +243,14 @@ namespace UltimateServer.Servers
         {
             string json = JsonConvert.SerializeObject(data);
             byte[] bytes = Encoding.UTF8.GetBytes(json);
+            var client = _clients.Values.FirstOrDefault(c => c.Socket == socket);
 
             try
             {
-                await socket.SendAsync(bytes, WebSocketMessageType.Text, true, token);
+                if (client != null)
+                    await SendToClient(client, bytes, token);
+                else
+                    await socket.SendAsync(bytes, WebSocketMessageType.Text, true, token);
                 _logger.Log($"📤 Sent: {json}");
             }
             catch (Exception ex)
@@ -220,10 +259,36 @@ namespace UltimateServer.Servers
             }
         }
 
-        public async Task Broadcast(Data data)
+        /// <summary>
+        /// Sends to one connected client by id. Returns false if it isn't connected or the send failed.
+        /// </summary>
+        public async Task<bool> Send(string clientId, Data data)
+        {
+            if (!_clients.TryGetValue(clientId ?? "", out var client) || client.Socket.State != WebSocketState.Open)
+                return false;
+
+            string json = JsonConvert.SerializeObject(data);
+            try
+            {
+                await SendToClient(client, Encoding.UTF8.GetBytes(json), CancellationToken.None);
+                _logger.Log($"📤 Sent to {client.Id}: {json}");
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"⚠ Send failed to {client.Id}: {ex}");
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Sends to every open connection and returns how many received it.
+        /// </summary>
+        public async Task<int> Broadcast(Data data)
         {
             string json = JsonConvert.SerializeObject(data);
             byte[] bytes = Encoding.UTF8.GetBytes(json);
+            int delivered = 0;
 
             foreach (var client in _clients.Values)
             {
@@ -231,7 +296,8 @@ namespace UltimateServer.Servers
                 {
                     try
                     {
-                        await client.Socket.SendAsync(bytes, WebSocketMessageType.Text, true, CancellationToken.None);
+                        await SendToClient(client, bytes, CancellationToken.None);
+                        delivered++;
                     }
                     catch (Exception ex)
                     {
@@ -240,7 +306,96 @@ namespace UltimateServer.Servers
                 }
             }
 
-            _logger.Log($"📣 Broadcast to {_clients.Count} clients: {json}");
+            _logger.Log($"📣 Broadcast to {delivered} of {_clients.Count} clients: {json}");
+            return delivered;
+        }
+
+        public IReadOnlyList<ClientConnection> GetClients()
+        {
+            return _clients.Values.OrderBy(c => c.ConnectedAt).ToList();
+        }
+
+        /// <summary>
+        /// Closes a connection with <paramref name="reason"/> as the close description. The receive loop removes
+        /// the client once the other side acknowledges; a client that doesn't within five seconds is aborted.
+        /// </summary>
+        public async Task<bool> Disconnect(string clientId, string reason)
+        {
+            if (!_clients.TryGetValue(clientId ?? "", out var client))
+                return false;
+
+            // The close description is limited to 123 bytes
+            reason = TrimToByteCount(reason ?? "", 123);
+
+            try
+            {
+                using var timeout = new CancellationTokenSource(TimeSpan.FromSeconds(5));
+                // The close frame must not interleave with a broadcast or reply already being written
+                await client.SendLock.WaitAsync(timeout.Token);
+                try
+                {
+                    await client.Socket.CloseOutputAsync(WebSocketCloseStatus.PolicyViolation, reason, timeout.Token);
+                }
+                finally
+                {
+                    client.SendLock.Release();
+                }
+                _ = Task.Delay(TimeSpan.FromSeconds(5)).ContinueWith(_ =>
+                {
+                    if (client.Socket.State != WebSocketState.Closed)
+                        client.Socket.Abort();
+                });
+            }
+            catch (Exception)
+            {
+                client.Socket.Abort();
+            }
+
+            _logger.Log($"🔴 Client {client.Id} disconnected by the server: {reason}");
+            return true;
+        }
+
+        /// <summary>
+        /// Cuts <paramref name="text"/> to at most <paramref name="maxBytes"/> UTF-8 bytes without splitting a
+        /// surrogate pair or combining sequence.
+        /// </summary>
+        private static string TrimToByteCount(string text, int maxBytes)
+        {
+            var length = 0;
+            var bytes = 0;
+            var elements = StringInfo.GetTextElementEnumerator(text);
+            while (elements.MoveNext())
+            {
+                var element = elements.GetTextElement();
+                bytes += Encoding.UTF8.GetByteCount(element);
+                if (bytes > maxBytes)
+                    break;
+                length += element.Length;
+            }
+            return text.Substring(0, length);
+        }
+
+        private async Task SendToClient(ClientConnection client, byte[] bytes, CancellationToken token)
+        {
+            await client.SendLock.WaitAsync(token);
+            try
+            {
+                await client.Socket.SendAsync(bytes, WebSocketMessageType.Text, true, token);
+                client.RecordOut();
+            }
+            finally
+            {
+                client.SendLock.Release();
+            }
+        }
+
+        private string ResolveUsername(HttpListenerRequest request)
+        {
+            string token = request.QueryString["token"];
+            if (string.IsNullOrEmpty(token) || !_authService.ValidateJwtToken(token))
+                return null;
+
+            return _authService.GetUsernameFromToken(token);
         }
     }
 }
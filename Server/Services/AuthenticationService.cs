@@ -19,6 +19,13 @@ namespace UltimateServer.Services
         private readonly Logger _logger;
         private readonly ConcurrentDictionary<string, int> _failedLoginAttempts = new();
         private readonly ConcurrentDictionary<string, DateTime> _lockedAccounts = new();
+        private readonly ConcurrentDictionary<string, (string username, DateTime expiry, int attempts)> _twoFactorChallenges = new();
+        private readonly ConcurrentDictionary<string, long> _lastTotpSteps = new();
+
+        private const string Base32Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+        private const int TotpStepSeconds = 30;
+        private const int TotpDigits = 6;
+        private const int MaxTwoFactorChallengeAttempts = 5;
 
         public AuthenticationService(string jwtSecret, ServerConfig config, Logger logger)
         {
@@ -158,6 +165,21 @@ namespace UltimateServer.Services
             return principal.Claims.FirstOrDefault(c => c.Type == ClaimTypes.Role)?.Value;
         }
 
+        public string GetUsernameFromToken(string token)
+        {
+            var tokenHandler = new JwtSecurityTokenHandler();
+            var principal = tokenHandler.ValidateToken(token, new TokenValidationParameters
+            {
+                ValidateIssuerSigningKey = true,
+                IssuerSigningKey = _jwtKey,
+                ValidateIssuer = false,
+                ValidateAudience = false,
+                ClockSkew = TimeSpan.Zero
+            }, out _);
+
+            return principal.Claims.FirstOrDefault(c => c.Type == ClaimTypes.Name)?.Value;
+        }
+
 
         public async Task<bool> IsAccountLocked(string username)
         {
@@ -176,7 +198,10 @@ namespace UltimateServer.Services
             return false;
         }
 
-        public void RecordFailedLoginAttempt(string username)
+        /// <summary>
+        /// Counts a failed login and returns true when this attempt is the one that locks the account.
+        /// </summary>
+        public bool RecordFailedLoginAttempt(string username)
         {
             var attempts = _failedLoginAttempts.AddOrUpdate(username, 1, (key, value) => value + 1);
 
@@ -185,7 +210,10 @@ namespace UltimateServer.Services
                 var lockTime = DateTime.UtcNow.AddMinutes(_config.LockoutDurationMinutes);
                 _lockedAccounts.AddOrUpdate(username, lockTime, (key, value) => lockTime);
                 _logger.Log($"🔒 Account {username} locked until {lockTime}");
+                return attempts == _config.MaxFailedLoginAttempts;
             }
+
+            return false;
         }
 
         public void ResetFailedLoginAttempts(string username)
@@ -217,5 +245,215 @@ namespace UltimateServer.Services
             rng.GetBytes(randomNumber);
             return Convert.ToBase64String(randomNumber).Replace("+", "-").Replace("/", "_").TrimEnd('=');
         }
+
+
+        /// <summary>
+        /// Creates a short-lived challenge for a user who passed the password step but still has to enter a 2FA code.
+        /// </summary>
+        public string CreateTwoFactorChallenge(string username)
+        {
+            foreach (var expired in _twoFactorChallenges.Where(c => c.Value.expiry <= DateTime.UtcNow).ToList())
+                _twoFactorChallenges.TryRemove(expired.Key, out _);
+
+            var challengeToken = GenerateResetToken();
+            _twoFactorChallenges[challengeToken] = (username, DateTime.UtcNow.AddMinutes(5), 0);
+            return challengeToken;
+        }
+
+        public string GetTwoFactorChallengeUser(string challengeToken)
+        {
+            if (string.IsNullOrEmpty(challengeToken) || !_twoFactorChallenges.TryGetValue(challengeToken, out var challenge))
+                return null;
+
+            if (challenge.expiry <= DateTime.UtcNow)
+            {
+                _twoFactorChallenges.TryRemove(challengeToken, out _);
+                return null;
+            }
+
+            return challenge.username;
+        }
+
+        public void RemoveTwoFactorChallenge(string challengeToken)
+        {
+            _twoFactorChallenges.TryRemove(challengeToken, out _);
+        }
+
+        /// <summary>
+        /// Counts a wrong code against the challenge and drops it once the attempt limit is reached.
+        /// Returns false when the challenge can no longer be used.
+        /// </summary>
+        public bool RecordTwoFactorChallengeFailure(string challengeToken)
+        {
+            if (!_twoFactorChallenges.TryGetValue(challengeToken, out var challenge))
+                return false;
+
+            var attempts = challenge.attempts + 1;
+            if (attempts >= MaxTwoFactorChallengeAttempts)
+            {
+                _twoFactorChallenges.TryRemove(challengeToken, out _);
+                return false;
+            }
+
+            _twoFactorChallenges.TryUpdate(challengeToken, (challenge.username, challenge.expiry, attempts), challenge);
+            return true;
+        }
+
+        /// <summary>
+        /// Generates a random Base32 secret for TOTP authenticator apps.
+        /// </summary>
+        public string GenerateTwoFactorSecret()
+        {
+            var secretBytes = new byte[20];
+            using var rng = RandomNumberGenerator.Create();
+            rng.GetBytes(secretBytes);
+            return Base32Encode(secretBytes);
+        }
+
+        public string GetTwoFactorSetupUri(string username, string secret)
+        {
+            const string issuer = "UltimateServer";
+            return $"otpauth://totp/{Uri.EscapeDataString(issuer)}:{Uri.EscapeDataString(username)}?secret={secret}&issuer={Uri.EscapeDataString(issuer)}&digits={TotpDigits}&period={TotpStepSeconds}";
+        }
+
+        /// <summary>
+        /// Verifies an RFC 6238 TOTP code, allowing one step of clock drift in either direction.
+        /// A time step that was already accepted for the same secret is rejected so codes cannot be replayed.
+        /// </summary>
+        public bool VerifyTwoFactorCode(string secret, string code)
+        {
+            if (string.IsNullOrWhiteSpace(secret) || string.IsNullOrWhiteSpace(code))
+                return false;
+
+            code = code.Replace(" ", "").Trim();
+            if (code.Length != TotpDigits || !code.All(char.IsDigit))
+                return false;
+
+            byte[] key;
+            try
+            {
+                key = Base32Decode(secret);
+            }
+            catch
+            {
+                return false;
+            }
+
+            long currentStep = DateTimeOffset.UtcNow.ToUnixTimeSeconds() / TotpStepSeconds;
+            for (long step = currentStep - 1; step <= currentStep + 1; step++)
+            {
+                var expected = ComputeTotp(key, step);
+                if (CryptographicOperations.FixedTimeEquals(Encoding.ASCII.GetBytes(expected), Encoding.ASCII.GetBytes(code)))
+                    return TryConsumeTotpStep(secret, step);
+            }
+
+            return false;
+        }
+
+        private bool TryConsumeTotpStep(string secret, long step)
+        {
+            while (true)
+            {
+                if (!_lastTotpSteps.TryGetValue(secret, out var lastStep))
+                {
+                    if (_lastTotpSteps.TryAdd(secret, step))
+                        return true;
+                    continue;
+                }
+
+                if (step <= lastStep)
+                    return false;
+
+                if (_lastTotpSteps.TryUpdate(secret, step, lastStep))
+                    return true;
+            }
+        }
+
+        /// <summary>
+        /// Generates one-time backup codes in the form xxxx-xxxx.
+        /// </summary>
+        public List<string> GenerateBackupCodes(int count = 8)
+        {
+            const string chars = "abcdefghjkmnpqrstuvwxyz23456789";
+            var codes = new List<string>();
+
+            for (int i = 0; i < count; i++)
+            {
+                var code = new StringBuilder();
+                for (int j = 0; j < 8; j++)
+                {
+                    if (j == 4) code.Append('-');
+                    code.Append(chars[RandomNumberGenerator.GetInt32(chars.Length)]);
+                }
+                codes.Add(code.ToString());
+            }
+
+            return codes;
+        }
+
+        private static string ComputeTotp(byte[] key, long step)
+        {
+            var counter = BitConverter.GetBytes(step);
+            if (BitConverter.IsLittleEndian)
+                Array.Reverse(counter);
+
+            using var hmac = new HMACSHA1(key);
+            var hash = hmac.ComputeHash(counter);
+
+            int offset = hash[^1] & 0x0F;
+            int binary = ((hash[offset] & 0x7F) << 24)
+                       | (hash[offset + 1] << 16)
+                       | (hash[offset + 2] << 8)
+                       | hash[offset + 3];
+
+            int otp = binary % (int)Math.Pow(10, TotpDigits);
+            return otp.ToString().PadLeft(TotpDigits, '0');
+        }
+
+        private static string Base32Encode(byte[] data)
+        {
+            var result = new StringBuilder();
+            int buffer = 0, bitsLeft = 0;
+
+            foreach (var b in data)
+            {
+                buffer = (buffer << 8) | b;
+                bitsLeft += 8;
+                while (bitsLeft >= 5)
+                {
+                    result.Append(Base32Alphabet[(buffer >> (bitsLeft - 5)) & 0x1F]);
+                    bitsLeft -= 5;
+                }
+            }
+
+            if (bitsLeft > 0)
+                result.Append(Base32Alphabet[(buffer << (5 - bitsLeft)) & 0x1F]);
+
+            return result.ToString();
+        }
+
+        private static byte[] Base32Decode(string input)
+        {
+            input = input.TrimEnd('=').Replace(" ", "").ToUpperInvariant();
+            var output = new List<byte>();
+            int buffer = 0, bitsLeft = 0;
+
+            foreach (var c in input)
+            {
+                int value = Base32Alphabet.IndexOf(c);
+                if (value < 0)
+                    throw new FormatException($"Invalid Base32 character '{c}'");
+
+                buffer = (buffer << 5) | value;
+                bitsLeft += 5;
+                if (bitsLeft >= 8)
+                {
+                    output.Add((byte)((buffer >> (bitsLeft - 8)) & 0xFF));
+                    bitsLeft -= 8;
+                }
+            }
+
+            return output.ToArray();
+        }
     }
 }
\ No newline at end of file
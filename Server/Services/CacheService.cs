@@ -1,6 +1,7 @@
 ﻿using System;
 using System.Collections.Concurrent;
 using System.Threading.Tasks;
+using Newtonsoft.Json;
 using UltimateServer.Models;
 using UltimateServer.Services;
 
@@ -12,6 +13,15 @@ namespace UltimateServer.Services
         private readonly ServerConfig _config;
         private readonly Logger _logger;
 
+        // Counted since startup or the last ResetStats. Expirations are entries that ran out of time,
+        // evictions are entries removed before that (by Remove, an admin or a flush).
+        private long _hits;
+        private long _misses;
+        private long _sets;
+        private long _expirations;
+        private long _evictions;
+        private DateTime _statsSince = DateTime.UtcNow;
+
         public CacheService(ServerConfig config, Logger logger)
         {
             _config = config;
@@ -33,19 +43,23 @@ namespace UltimateServer.Services
             {
                 if (item.Expiry > DateTime.UtcNow)
                 {
+                    Interlocked.Increment(ref _hits);
+                    item.Touch();
                     return (T)item.Value;
                 }
                 else
                 {
-                    _cache.TryRemove(key, out _);
+                    Expire(key, item);
                 }
             }
+            Interlocked.Increment(ref _misses);
             return default;
         }
 
         public void Set<T>(string key, T value, TimeSpan? expiry = null)
         {
             var expiration = expiry ?? TimeSpan.FromMinutes(_config.CacheExpiryMinutes);
+            Interlocked.Increment(ref _sets);
             _cache.AddOrUpdate(key,
                 new CacheItem { Value = value, Expiry = DateTime.UtcNow.Add(expiration) },
                 (k, v) => new CacheItem { Value = value, Expiry = DateTime.UtcNow.Add(expiration) });
@@ -53,7 +67,11 @@ namespace UltimateServer.Services
 
         public bool Remove(string key)
         {
-            return _cache.TryRemove(key, out _);
+            if (!_cache.TryRemove(key, out _))
+                return false;
+
+            Interlocked.Increment(ref _evictions);
+            return true;
         }
 
         public bool Exists(string key)
@@ -66,28 +84,119 @@ namespace UltimateServer.Services
                 }
                 else
                 {
-                    _cache.TryRemove(key, out _);
+                    Expire(key, item);
                 }
             }
             return false;
         }
 
+        /// <summary>
+        /// Removes every key starting with <paramref name="prefix"/>; an empty prefix flushes the whole cache.
+        /// </summary>
+        public int RemoveByPrefix(string prefix)
+        {
+            int removed = 0;
+            foreach (var key in _cache.Keys)
+            {
+                if (key.StartsWith(prefix ?? "", StringComparison.Ordinal) && _cache.TryRemove(key, out _))
+                    removed++;
+            }
+
+            Interlocked.Add(ref _evictions, removed);
+            return removed;
+        }
+
+        public int Clear() => RemoveByPrefix("");
+
+        public void ResetStats()
+        {
+            Interlocked.Exchange(ref _hits, 0);
+            Interlocked.Exchange(ref _misses, 0);
+            Interlocked.Exchange(ref _sets, 0);
+            Interlocked.Exchange(ref _expirations, 0);
+            Interlocked.Exchange(ref _evictions, 0);
+            _statsSince = DateTime.UtcNow;
+        }
+
+        public CacheStats GetStats()
+        {
+            var now = DateTime.UtcNow;
+            int entries = 0;
+            long bytes = 0;
+            foreach (var item in _cache.Values)
+            {
+                if (item.Expiry <= now)
+                    continue;
+                entries++;
+                bytes += item.GetSize();
+            }
+
+            long hits = Interlocked.Read(ref _hits);
+            long misses = Interlocked.Read(ref _misses);
+            return new CacheStats
+            {
+                Entries = entries,
+                ApproximateBytes = bytes,
+                Hits = hits,
+                Misses = misses,
+                HitRate = hits + misses == 0 ? 0 : Math.Round(hits * 100.0 / (hits + misses), 1),
+                Sets = Interlocked.Read(ref _sets),
+                Expirations = Interlocked.Read(ref _expirations),
+                Evictions = Interlocked.Read(ref _evictions),
+                DefaultExpiryMinutes = _config.CacheExpiryMinutes,
+                Since = _statsSince
+            };
+        }
+
+        /// <summary>
+        /// Lists live keys starting with <paramref name="prefix"/>, soonest to expire first, together with
+        /// how many matched before <paramref name="limit"/> was applied.
+        /// </summary>
+        public (List<CacheEntryInfo> Entries, int Total) GetEntries(string prefix, int limit)
+        {
+            var now = DateTime.UtcNow;
+            var matches = _cache
+                .Where(kvp => kvp.Value.Expiry > now && kvp.Key.StartsWith(prefix ?? "", StringComparison.Ordinal))
+                .OrderBy(kvp => kvp.Value.Expiry)
+                .ToList();
+
+            var entries = matches.Take(limit).Select(kvp => new CacheEntryInfo
+            {
+                Key = kvp.Key,
+                Type = DescribeType(kvp.Value.Value),
+                Size = kvp.Value.GetSize(),
+                CreatedAt = kvp.Value.CreatedAt,
+                ExpiresAt = kvp.Value.Expiry,
+                LastAccess = kvp.Value.LastAccess,
+                Hits = kvp.Value.Hits
+            }).ToList();
+
+            return (entries, matches.Count);
+        }
+
+        private void Expire(string key, CacheItem item)
+        {
+            // Only remove the exact item that expired, not a fresh value set for the same key in the meantime
+            if (_cache.TryRemove(new KeyValuePair<string, CacheItem>(key, item)))
+                Interlocked.Increment(ref _expirations);
+        }
+
         private void CleanupExpiredItems()
         {
             var now = DateTime.UtcNow;
-            var keysToRemove = new List<string>();
+            var keysToRemove = new List<KeyValuePair<string, CacheItem>>();
 
             foreach (var kvp in _cache)
             {
                 if (kvp.Value.Expiry <= now)
                 {
-                    keysToRemove.Add(kvp.Key);
+                    keysToRemove.Add(kvp);
                 }
             }
 
-            foreach (var key in keysToRemove)
+            foreach (var kvp in keysToRemove)
             {
-                _cache.TryRemove(key, out _);
+                Expire(kvp.Key, kvp.Value);
             }
 
             if (keysToRemove.Count > 0)
@@ -96,10 +205,65 @@ namespace UltimateServer.Services
             }
         }
 
+        private static string DescribeType(object value)
+        {
+            if (value == null)
+                return "null";
+
+            var type = value.GetType();
+            if (!type.IsGenericType)
+                return type.Name;
+
+            string name = type.Name.Substring(0, type.Name.IndexOf('`'));
+            return $"{name}<{string.Join(", ", type.GetGenericArguments().Select(t => t.Name))}>";
+        }
+
         private class CacheItem
         {
             public object Value { get; set; }
             public DateTime Expiry { get; set; }
+            public DateTime CreatedAt { get; } = DateTime.UtcNow;
+            public DateTime? LastAccess { get; private set; }
+            public long Hits => _hits;
+
+            private long _hits;
+            private long? _size;
+
+            public void Touch()
+            {
+                Interlocked.Increment(ref _hits);
+                LastAccess = DateTime.UtcNow;
+            }
+
+            /// <summary>
+            /// Rough size of the value, measured as its JSON length the first time anyone asks. Values that
+            /// can't be serialized count as 0. Items are replaced on every Set, so the figure only goes stale
+            /// if a caller mutates a cached object in place.
+            /// </summary>
+            public long GetSize()
+            {
+                if (_size.HasValue)
+                    return _size.Value;
+
+                long size;
+                try
+                {
+                    size = Value switch
+                    {
+                        null => 0,
+                        string text => text.Length * sizeof(char),
+                        byte[] bytes => bytes.Length,
+                        _ => JsonConvert.SerializeObject(Value, new JsonSerializerSettings { ReferenceLoopHandling = ReferenceLoopHandling.Ignore }).Length
+                    };
+                }
+                catch (Exception)
+                {
+                    size = 0;
+                }
+
+                _size = size;
+                return size;
+            }
         }
     }
 }
\ No newline at end of file
@@ -1,5 +1,7 @@
 ﻿using System.Collections.Concurrent;
 using System.Net;
+using System.Net.Sockets;
+using UltimateServer.Models;
 
 namespace UltimateServer.Services
 {
@@ -8,9 +10,9 @@ namespace UltimateServer.Services
         private readonly Logger _logger;
 
 
-        private readonly int _maxRequestsPerMinute;
-        private readonly int _maxConcurrentConnections;
-        private readonly int _blockMinutesBase;
+        private int _maxRequestsPerMinute;
+        private int _maxConcurrentConnections;
+        private int _blockMinutesBase;
         private readonly int _maxRequestSizeBytes;
         private readonly int _maxHeaderSizeBytes;
         private readonly int _maxTrackedIPs;
@@ -21,6 +23,11 @@ namespace UltimateServer.Services
         private readonly ConcurrentDictionary<string, int> _activeConnections = new();
         private readonly Timer _cleanupTimer;
 
+        // Replaced as a whole on every change, so request threads can read them without locking.
+        // Ranges are parsed once here instead of on every request.
+        private volatile (IpAllowEntry entry, IPNetwork network)[] _allowList = Array.Empty<(IpAllowEntry, IPNetwork)>();
+        private volatile (IpBan ban, IPNetwork network)[] _bans = Array.Empty<(IpBan, IPNetwork)>();
+
 
         private static readonly IPAddress[] TrustedProxies =
         {
@@ -51,10 +58,34 @@ namespace UltimateServer.Services
         }
 
 
+        public int MaxRequestsPerMinute => _maxRequestsPerMinute;
+        public int MaxConcurrentConnections => _maxConcurrentConnections;
+        public int BlockMinutesBase => _blockMinutesBase;
+
         public bool IsAllowed(HttpListenerRequest request)
         {
             var ip = ResolveClientIp(request);
             var now = DateTime.UtcNow;
+            var address = ParseAddress(ip);
+
+            // Bans and the allow list can't be checked without an address, so such requests are refused outright.
+            if (address == null)
+            {
+                _logger.LogSecurity($"Rejected request without a usable client address ({ip})");
+                return false;
+            }
+
+            if (FindBan(address, now) != null)
+                return false;
+
+            // Allow-listed clients are counted for the Security tab but never rate limited or blocked automatically.
+            if (IsAllowListed(address))
+            {
+                var allowed = _trackers.GetOrAdd(ip, _ => new IpTracker(_maxRequestsPerMinute));
+                allowed.Touch(now);
+                allowed.Count(now);
+                return true;
+            }
 
             if (IsBlocked(ip, now))
                 return false;
@@ -67,6 +98,7 @@ namespace UltimateServer.Services
 
             var tracker = _trackers.GetOrAdd(ip, _ => new IpTracker(_maxRequestsPerMinute));
             tracker.Touch(now);
+            tracker.Count(now);
 
             if (!tracker.TryConsume(now))
                 return Strike(ip, "Rate limit exceeded");
@@ -101,7 +133,7 @@ namespace UltimateServer.Services
             tracker.Strikes++;
 
             var blockMinutes = _blockMinutesBase * tracker.Strikes;
-            _blocked[ip] = new BlockEntry(DateTime.UtcNow.AddMinutes(blockMinutes));
+            _blocked[ip] = new BlockEntry(DateTime.UtcNow.AddMinutes(blockMinutes), reason);
 
             _logger.LogSecurity($"IP {ip} blocked for {blockMinutes}m | {reason}");
             return false;
@@ -120,6 +152,118 @@ namespace UltimateServer.Services
             return false;
         }
 
+        /// <summary>
+        /// Applies new limits to every client straight away; strikes and current blocks are kept.
+        /// </summary>
+        public void UpdateLimits(int maxRequestsPerMinute, int maxConcurrentConnections, int blockMinutesBase)
+        {
+            _maxRequestsPerMinute = maxRequestsPerMinute;
+            _maxConcurrentConnections = maxConcurrentConnections;
+            _blockMinutesBase = blockMinutesBase;
+
+            foreach (var tracker in _trackers.Values)
+                tracker.Resize(maxRequestsPerMinute);
+        }
+
+        public void SetAllowList(IEnumerable<IpAllowEntry> entries)
+            => _allowList = (entries ?? Enumerable.Empty<IpAllowEntry>())
+                .Select(e => TryParseRange(e.Range, out var network) ? (e, network) : ((IpAllowEntry, IPNetwork)?)null)
+                .Where(e => e.HasValue)
+                .Select(e => e.Value)
+                .ToArray();
+
+        public void SetBans(IEnumerable<IpBan> bans)
+            => _bans = (bans ?? Enumerable.Empty<IpBan>())
+                .Select(b => TryParseRange(b.Range, out var network) ? (b, network) : ((IpBan, IPNetwork)?)null)
+                .Where(b => b.HasValue)
+                .Select(b => b.Value)
+                .ToArray();
+
+        public IpAllowEntry[] GetAllowList() => _allowList.Select(a => a.entry).ToArray();
+
+        public IpBan[] GetBans() => _bans.Select(b => b.ban).Where(b => b.ExpiresAt == null || b.ExpiresAt > DateTime.UtcNow).ToArray();
+
+        /// <summary>
+        /// Lifts an automatic block and forgets the client's strikes and request budget, so it starts over.
+        /// </summary>
+        public bool Unblock(string ip)
+        {
+            _trackers.TryRemove(ip, out _);
+            return _blocked.TryRemove(ip, out _);
+        }
+
+        public List<BlockedClient> GetBlocked()
+        {
+            var now = DateTime.UtcNow;
+            return _blocked
+                .Where(b => b.Value.ExpiresAt > now)
+                .Select(b => new BlockedClient
+                {
+                    Ip = b.Key,
+                    Reason = b.Value.Reason,
+                    BlockedAt = b.Value.BlockedAt,
+                    ExpiresAt = b.Value.ExpiresAt,
+                    Strikes = _trackers.TryGetValue(b.Key, out var t) ? t.Strikes : 0
+                })
+                .OrderByDescending(b => b.BlockedAt)
+                .ToList();
+        }
+
+        /// <summary>
+        /// Clients with the most requests over roughly the last minute.
+        /// </summary>
+        public List<RequesterStats> GetTopRequesters(int count)
+        {
+            var now = DateTime.UtcNow;
+            return _trackers
+                .Select(t => new RequesterStats
+                {
+                    Ip = t.Key,
+                    RequestsPerMinute = t.Value.RequestsPerMinute(now),
+                    TotalRequests = t.Value.TotalRequests,
+                    Strikes = t.Value.Strikes,
+                    LastSeen = t.Value.LastSeen,
+                    AllowListed = ParseAddress(t.Key) is IPAddress a && IsAllowListed(a)
+                })
+                .Where(r => r.RequestsPerMinute > 0)
+                .OrderByDescending(r => r.RequestsPerMinute)
+                .Take(count)
+                .ToList();
+        }
+
+        /// <summary>
+        /// Accepts a single address or a CIDR range such as <c>10.0.0.0/8</c>.
+        /// </summary>
+        public static bool TryParseRange(string range, out IPNetwork network)
+        {
+            network = default;
+            if (string.IsNullOrWhiteSpace(range))
+                return false;
+
+            range = range.Trim();
+            if (!range.Contains('/'))
+            {
+                if (!IPAddress.TryParse(range, out var single))
+                    return false;
+                range += single.AddressFamily == AddressFamily.InterNetwork ? "/32" : "/128";
+            }
+
+            return IPNetwork.TryParse(range, out network);
+        }
+
+        private IpBan FindBan(IPAddress address, DateTime now)
+            => _bans.FirstOrDefault(b => (b.ban.ExpiresAt == null || b.ban.ExpiresAt > now) && b.network.Contains(address)).ban;
+
+        private bool IsAllowListed(IPAddress address)
+            => _allowList.Any(a => a.network.Contains(address));
+
+        private static IPAddress ParseAddress(string ip)
+        {
+            if (!IPAddress.TryParse(ip, out var address))
+                return null;
+            return address.IsIPv4MappedToIPv6 ? address.MapToIPv4() : address;
+        }
+
         private void Cleanup(object _)
         {
             var now = DateTime.UtcNow;
@@ -161,20 +305,39 @@ namespace UltimateServer.Services
             return size;
         }
 
-        private static string ResolveClientIp(HttpListenerRequest request)
+        /// <summary>
+        /// Behind a trusted proxy, X-Forwarded-For is read from the right: every proxy appends the address it
+        /// saw, so the right-most hop that isn't one of ours is the first one a client couldn't have forged.
+        /// Reading stops at an entry that isn't an address, and the last trusted hop is used instead.
+        /// </summary>
+        public static string ResolveClientIp(HttpListenerRequest request)
         {
-            var remote = request.RemoteEndPoint?.Address;
+            var remote = ParseAddress(request.RemoteEndPoint?.Address?.ToString());
+            if (remote == null)
+                return "unknown";
 
-            if (remote != null && TrustedProxies.Any(p => p.Equals(remote)))
+            var client = remote;
+            var xff = request.Headers["X-Forwarded-For"];
+            if (IsTrustedProxy(client) && !string.IsNullOrWhiteSpace(xff))
             {
-                var xff = request.Headers["X-Forwarded-For"];
-                if (!string.IsNullOrWhiteSpace(xff))
-                    return xff.Split(',')[0].Trim();
+                foreach (var hop in xff.Split(',').Reverse())
+                {
+                    var address = ParseAddress(hop.Trim());
+                    if (address == null)
+                        break;
+
+                    client = address;
+                    if (!IsTrustedProxy(address))
+                        break;
+                }
             }
 
-            return remote?.ToString() ?? "unknown";
+            return client.ToString();
         }
 
+        private static bool IsTrustedProxy(IPAddress address)
+            => TrustedProxies.Any(p => p.Equals(address));
+
         public void Dispose()
         {
             _cleanupTimer.Dispose();
@@ -184,17 +347,27 @@ namespace UltimateServer.Services
         private sealed class BlockEntry
         {
             public DateTime ExpiresAt;
-            public BlockEntry(DateTime expires) => ExpiresAt = expires;
+            public DateTime BlockedAt = DateTime.UtcNow;
+            public string Reason;
+            public BlockEntry(DateTime expires, string reason)
+            {
+                ExpiresAt = expires;
+                Reason = reason;
+            }
         }
 
         private sealed class IpTracker
         {
             private double _tokens;
-            private readonly double _capacity;
-            private readonly double _refillRate;
+            private double _capacity;
+            private double _refillRate;
             private DateTime _lastRefill;
+            private long _minute;
+            private int _currentMinuteCount;
+            private int _previousMinuteCount;
 
             public int Strikes;
+            public long TotalRequests;
             public DateTime LastSeen { get; private set; }
 
             public IpTracker(int maxPerMinute)
@@ -208,6 +381,41 @@ namespace UltimateServer.Services
 
             public void Touch(DateTime now) => LastSeen = now;
 
+            public void Resize(int maxPerMinute)
+            {
+                _capacity = maxPerMinute;
+                _refillRate = maxPerMinute / 60d;
+                _tokens = Math.Min(_tokens, _capacity);
+            }
+
+            public void Count(DateTime now)
+            {
+                Interlocked.Increment(ref TotalRequests);
+                RollMinute(now);
+                Interlocked.Increment(ref _currentMinuteCount);
+            }
+
+            /// <summary>
+            /// Sliding estimate: this minute's count plus the share of last minute's that still falls in the window.
+            /// </summary>
+            public int RequestsPerMinute(DateTime now)
+            {
+                RollMinute(now);
+                double elapsed = now.Second / 60d + now.Millisecond / 60000d;
+                return (int)Math.Round(_currentMinuteCount + _previousMinuteCount * (1 - elapsed));
+            }
+
+            private void RollMinute(DateTime now)
+            {
+                long minute = now.Ticks / TimeSpan.TicksPerMinute;
+                if (minute == _minute)
+                    return;
+
+                _previousMinuteCount = minute == _minute + 1 ? _currentMinuteCount : 0;
+                _currentMinuteCount = 0;
+                _minute = minute;
+            }
+
             public bool TryConsume(DateTime now)
             {
                 var elapsed = (now - _lastRefill).TotalSeconds;
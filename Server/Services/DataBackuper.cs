@@ -4,7 +4,9 @@ using System.IO;
 using System.IO.Compression;
 using System.Linq;
 using System.Text;
+using System.Text.RegularExpressions;
 using System.Threading.Tasks;
+using Newtonsoft.Json;
 using UltimateServer.Models;
 using UltimateServer.Services;
 
@@ -12,64 +14,170 @@ namespace UltimateServer.Services
 {
     class DataBackuper
     {
-        public List<string> _serverFiles;
-        public List<string> _siteDirectories;
+        public const string UsersComponent = "users";
+        public const string SitesComponent = "sites";
+        public const string DataComponent = "data";
+        public const string ConfigComponent = "config";
+        public const string LogsComponent = "logs";
+
+        /// <summary>
+        /// Components that can be put back by <see cref="RestoreAsync"/>; logs are only kept for reference.
+        /// </summary>
+        public static readonly string[] RestorableComponents = { UsersComponent, SitesComponent, DataComponent, ConfigComponent };
+
+        public const string PreRestoreTrigger = "pre-restore";
+
+        private const string ManifestEntry = "manifest.json";
+        private const string SitesRoot = "/var/www/";
+        private static readonly Regex SnapshotNamePattern = new(@"^Backup_[0-9_-]+(_\d+)?\.zip$", RegexOptions.Compiled);
+
+        private readonly Dictionary<string, List<string>> _componentFiles;
+        private readonly SemaphoreSlim _backupLock = new(1, 1);
+        private CancellationTokenSource _scheduleChanged = new();
 
-        private string _backupPath = "Backups";
-        private int _backupPerHour;
-        private bool _backupSites;
         private Logger _logger;
         private SitePress _sitePress;
+        private DataBox _dataBox;
+        private MiniDB _miniDB;
+        private UserService _userService;
+        private CacheService _cacheService;
+        private ConfigManager _configManager;
 
-        public DataBackuper(Logger logger, FilePaths filePaths, SitePress sitePress, DataBox dataBox, ConfigManager configManager)
+        public DataBackuper(Logger logger, FilePaths filePaths, SitePress sitePress, DataBox dataBox, MiniDB miniDB,
+            UserService userService, CacheService cacheService, ConfigManager configManager)
         {
             _logger = logger;
             _sitePress = sitePress;
-            _serverFiles = new List<string>();
-            _siteDirectories = new List<string>();
-
-            _backupPerHour = configManager.Config.BackupPerHour;
-            _backupPath = configManager.Config.BackupFolder;
-            _backupSites = configManager.Config.BackupSites;
+            _dataBox = dataBox;
+            _miniDB = miniDB;
+            _userService = userService;
+            _cacheService = cacheService;
+            _configManager = configManager;
 
-            _serverFiles.Add(filePaths.UsersFile);
-            _serverFiles.Add(filePaths.ConfigFile);
-            _serverFiles.Add(sitePress.sitesConfig);
-            _serverFiles.Add(dataBox._options.SaveFile);
-            _serverFiles.Add(configManager.Config.MiniDB_Options.IndexFile);
-            _serverFiles.Add(configManager.Config.MiniDB_Options.DatabaseFile);
-            _serverFiles.Add("sftp.json");
+            _componentFiles = new Dictionary<string, List<string>>
+            {
+                [UsersComponent] = new() { filePaths.UsersFile, "sftp.json" },
+                [SitesComponent] = new() { sitePress.sitesConfig },
+                [DataComponent] = new() { dataBox._options.SaveFile, configManager.Config.MiniDB_Options.IndexFile, configManager.Config.MiniDB_Options.DatabaseFile },
+                [ConfigComponent] = new() { filePaths.ConfigFile }
+            };
 
-            foreach (var file in Directory.GetFiles("logs"))
+            _configManager.SettingsChanged += keys =>
             {
-                _serverFiles.Add(file);
-            }
+                if (!keys.Contains(nameof(ServerConfig.BackupPerHour)) && !keys.Contains(nameof(ServerConfig.BackupRetention)))
+                    return;
+
+                WakeSchedule();
+                _logger.Log($"📼 Backup schedule updated: every {Config.BackupPerHour}h, keeping {Config.BackupRetention} snapshots");
+            };
         }
 
+        private ServerConfig Config => _configManager.Config;
+
+        public bool IsRunning => _backupLock.CurrentCount == 0;
+
+        /// <summary>
+        /// Runs a scheduled backup every <c>BackupPerHour</c> hours, counted from the newest snapshot, so a restart
+        /// doesn't trigger an extra backup. 0 turns the schedule off.
+        /// </summary>
         public async Task Start()
         {
             _ = Task.Run(async () =>
             {
                 while (true)
                 {
-                    await BackupServer();
-                    await Task.Delay(TimeSpan.FromHours(_backupPerHour));
+                    var wake = _scheduleChanged.Token;
+                    try
+                    {
+                        if (Config.BackupPerHour <= 0)
+                        {
+                            await Task.Delay(Timeout.Infinite, wake);
+                            continue;
+                        }
+
+                        var last = GetSnapshots().FirstOrDefault(s => s.Trigger != PreRestoreTrigger)?.CreatedAt;
+                        var wait = last.HasValue ? last.Value.AddHours(Config.BackupPerHour) - DateTime.Now : TimeSpan.Zero;
+                        if (wait > TimeSpan.Zero)
+                        {
+                            await Task.Delay(wait, wake);
+                            continue;
+                        }
+
+                        await CreateBackupAsync("scheduled");
+                    }
+                    catch (OperationCanceledException)
+                    {
+                        // The schedule changed; work out the next run again.
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError($"[DataBackuper] Scheduled backup failed: {ex.Message}");
+                        await Task.Delay(TimeSpan.FromMinutes(5));
+                    }
                 }
             });
         }
 
-        private async Task BackupServer()
+        private void WakeSchedule()
+        {
+            var previous = Interlocked.Exchange(ref _scheduleChanged, new CancellationTokenSource());
+            previous.Cancel();
+            previous.Dispose();
+        }
+
+        public List<BackupSnapshot> GetSnapshots()
         {
-            _siteDirectories.Clear();
+            if (!Directory.Exists(Config.BackupFolder))
+                return new List<BackupSnapshot>();
 
-            if (_backupSites)
+            return Directory.GetFiles(Config.BackupFolder, "Backup_*.zip")
+                .Where(path => SnapshotNamePattern.IsMatch(Path.GetFileName(path)))
+                .Select(ReadSnapshot)
+                .OrderByDescending(s => s.CreatedAt)
+                .ToList();
+        }
+
+        public string GetSnapshotPath(string name)
+        {
+            if (string.IsNullOrEmpty(name) || !SnapshotNamePattern.IsMatch(name))
+                return null;
+
+            string path = Path.Combine(Config.BackupFolder, name);
+            return File.Exists(path) ? path : null;
+        }
+
+        /// <summary>
+        /// Takes a snapshot and prunes old ones; <paramref name="keepName"/> names a snapshot that must survive the pruning.
+        /// </summary>
+        public async Task<BackupSnapshot> CreateBackupAsync(string trigger, string keepName = null)
+        {
+            await _backupLock.WaitAsync();
+            try
+            {
+                return await BackupServer(trigger, keepName);
+            }
+            finally
+            {
+                _backupLock.Release();
+            }
+        }
+
+        private async Task<BackupSnapshot> BackupServer(string trigger, string keepName)
+        {
+            // Flush what the services hold in memory so the copied files are current.
+            await _dataBox.Save();
+            await _miniDB.FlushAsync();
+            await _sitePress.SaveSites();
+
+            var siteDirectories = new List<string>();
+            if (Config.BackupSites)
             {
                 foreach (var site in _sitePress.sites)
                 {
-                    string sitePath = Path.Combine("/var/www/", site.Key);
+                    string sitePath = Path.Combine(SitesRoot, site.Key);
                     if (Directory.Exists(sitePath))
                     {
-                        _siteDirectories.Add(sitePath);
+                        siteDirectories.Add(sitePath);
                     }
                     else
                     {
@@ -78,39 +186,60 @@ namespace UltimateServer.Services
                 }
             }
 
-            try
-            {
-                if (!Directory.Exists(_backupPath)) Directory.CreateDirectory(_backupPath);
+            if (!Directory.Exists(Config.BackupFolder)) Directory.CreateDirectory(Config.BackupFolder);
 
-                string timestamp = DateTime.Now.ToString("yyyy-MM-dd_HH-mm-ss");
-                var destinationZipFilePath = Path.Combine(_backupPath, $"Backup_{timestamp}.zip");
+            var createdAt = DateTime.Now;
+            string timestamp = createdAt.ToString("yyyy-MM-dd_HH-mm-ss");
+            var destinationZipFilePath = Path.Combine(Config.BackupFolder, $"Backup_{timestamp}.zip");
+            for (int i = 2; File.Exists(destinationZipFilePath); i++)
+                destinationZipFilePath = Path.Combine(Config.BackupFolder, $"Backup_{timestamp}_{i}.zip");
+
+            var manifest = new BackupManifest { CreatedAt = createdAt, Trigger = trigger };
+            var components = new Dictionary<string, List<string>>(_componentFiles)
+            {
+                [LogsComponent] = Directory.Exists("logs") ? Directory.GetFiles("logs").ToList() : new List<string>()
+            };
 
+            try
+            {
                 using (FileStream zipToCreate = new FileStream(destinationZipFilePath, FileMode.Create))
                 using (ZipArchive archive = new ZipArchive(zipToCreate, ZipArchiveMode.Create))
                 {
-                    foreach (string fileToAdd in _serverFiles)
+                    foreach (var component in components)
                     {
-                        if (File.Exists(fileToAdd))
+                        foreach (string fileToAdd in component.Value)
                         {
-                            string entryName = Path.GetFileName(fileToAdd);
+                            if (File.Exists(fileToAdd))
+                            {
+                                string entryName = $"{component.Key}/{Path.GetFileName(fileToAdd)}";
+
+                                ZipArchiveEntry zipEntry = archive.CreateEntry(entryName);
 
-                            ZipArchiveEntry zipEntry = archive.CreateEntry(entryName);
+                                using (FileStream fileStream = new FileStream(fileToAdd, FileMode.Open, FileAccess.Read, FileShare.ReadWrite))
+                                using (Stream entryStream = zipEntry.Open())
+                                {
+                                    fileStream.CopyTo(entryStream);
+                                }
 
-                            using (FileStream fileStream = new FileStream(fileToAdd, FileMode.Open, FileAccess.Read))
-                            using (Stream entryStream = zipEntry.Open())
+                                manifest.Files[entryName] = fileToAdd;
+                                if (!manifest.Components.Contains(component.Key))
+                                    manifest.Components.Add(component.Key);
+                            }
+                            else
                             {
-                                fileStream.CopyTo(entryStream);
+                                _logger.LogWarning($"[DataBackuper] File not found and skipped: {fileToAdd}");
                             }
                         }
-                        else
-                        {
-                            _logger.LogWarning($"[DataBackuper] File not found and skipped: {fileToAdd}");
-                        }
                     }
 
-                    foreach (string directoryToAdd in _siteDirectories)
+                    foreach (string directoryToAdd in siteDirectories)
+                    {
+                        AddDirectoryToZip(archive, directoryToAdd, $"{SitesComponent}/www/{Path.GetFileName(directoryToAdd)}");
+                    }
+
+                    using (var writer = new StreamWriter(archive.CreateEntry(ManifestEntry).Open(), Encoding.UTF8))
                     {
-                        AddDirectoryToZip(archive, directoryToAdd, Path.GetFileName(directoryToAdd));
+                        writer.Write(JsonConvert.SerializeObject(manifest, Formatting.Indented));
                     }
                 }
 
@@ -119,7 +248,199 @@ namespace UltimateServer.Services
             catch (Exception ex)
             {
                 _logger.LogError($"[DataBackuper] An error occurred: {ex.Message}");
+                File.Delete(destinationZipFilePath);
+                throw;
             }
+
+            PruneSnapshots(keepName);
+            return ReadSnapshot(destinationZipFilePath);
+        }
+
+        /// <summary>
+        /// Puts the chosen components of a snapshot back in place and reloads the services that hold them,
+        /// after taking a pre-restore snapshot of the current state. Config is reloaded into the running
+        /// server, but settings that services read only at startup (ports, folders) need a restart.
+        /// </summary>
+        public async Task<(bool success, string message, BackupSnapshot safetySnapshot)> RestoreAsync(string name, List<string> components)
+        {
+            string path = GetSnapshotPath(name);
+            if (path == null)
+                return (false, "Backup not found", null);
+
+            components = components == null || components.Count == 0
+                ? RestorableComponents.ToList()
+                : components.Distinct().ToList();
+            if (components.Any(c => !RestorableComponents.Contains(c)))
+                return (false, $"Only {string.Join(", ", RestorableComponents)} can be restored", null);
+
+            var snapshot = ReadSnapshot(path);
+            var missing = components.Where(c => !snapshot.Components.Contains(c)).ToList();
+            if (missing.Count > 0)
+                return (false, $"This backup doesn't contain {string.Join(", ", missing)}", null);
+
+            // The snapshot being restored is read again below, so the safety snapshot must not prune it
+            var safetySnapshot = await CreateBackupAsync(PreRestoreTrigger, name);
+
+            await _backupLock.WaitAsync();
+            try
+            {
+                using var archive = ZipFile.OpenRead(path);
+                bool legacy = ReadManifest(archive) == null;
+
+                // Files go back to where this server keeps them today, never to a path named inside the archive.
+                foreach (var component in components)
+                {
+                    foreach (var destination in _componentFiles[component])
+                    {
+                        string fileName = Path.GetFileName(destination);
+                        var entry = archive.GetEntry(legacy ? fileName : $"{component}/{fileName}");
+                        if (entry != null)
+                            ExtractEntry(entry, destination);
+                    }
+                }
+
+                await ReloadServicesAsync(components);
+
+                if (components.Contains(SitesComponent))
+                    RestoreSiteDirectories(archive, legacy);
+            }
+            finally
+            {
+                _backupLock.Release();
+            }
+
+            _logger.Log($"📼 Restored {string.Join(", ", components)} from {name} (previous state saved as {safetySnapshot.Name})");
+            return (true, $"Restored {string.Join(", ", components)} from {name}", safetySnapshot);
+        }
+
+        private async Task ReloadServicesAsync(List<string> components)
+        {
+            if (components.Contains(ConfigComponent))
+                _configManager.ReloadConfig();
+
+            if (components.Contains(UsersComponent))
+            {
+                _cacheService.Remove("users");
+                await _userService.LoadUsersAsync();
+            }
+
+            if (components.Contains(SitesComponent))
+                _sitePress.sites = await _sitePress.LoadSites();
+
+            if (components.Contains(DataComponent))
+            {
+                await _dataBox.LoadAsync();
+                await _miniDB.ReloadAsync();
+            }
+        }
+
+        /// <summary>
+        /// Site folders are only restored for sites in the restored sites.json, and never outside /var/www.
+        /// Archives made before snapshots had a manifest keep each site folder at the top level.
+        /// </summary>
+        private void RestoreSiteDirectories(ZipArchive archive, bool legacy)
+        {
+            string prefix = legacy ? "" : $"{SitesComponent}/www/";
+            string root = Path.GetFullPath(SitesRoot);
+
+            foreach (var entry in archive.Entries.Where(e => e.FullName.StartsWith(prefix) && !string.IsNullOrEmpty(e.Name)))
+            {
+                string relative = entry.FullName.Substring(prefix.Length);
+                string siteName = relative.Split('/')[0];
+                if (relative == siteName || !_sitePress.sites.ContainsKey(siteName))
+                    continue;
+
+                string destination = Path.GetFullPath(Path.Combine(root, relative));
+                if (!destination.StartsWith(Path.Combine(root, siteName) + Path.DirectorySeparatorChar))
+                    continue;
+
+                ExtractEntry(entry, destination);
+            }
+        }
+
+        private static void ExtractEntry(ZipArchiveEntry entry, string destination)
+        {
+            string directory = Path.GetDirectoryName(Path.GetFullPath(destination));
+            if (!string.IsNullOrEmpty(directory))
+                Directory.CreateDirectory(directory);
+
+            // Write next to the target first so a failed extraction never leaves a half-written file in place.
+            string tempPath = destination + ".restore";
+            entry.ExtractToFile(tempPath, overwrite: true);
+            File.Move(tempPath, destination, overwrite: true);
+        }
+
+        private void PruneSnapshots(string keepName)
+        {
+            foreach (var old in SelectSnapshotsToPrune(GetSnapshots(), Config.BackupRetention, keepName))
+            {
+                try
+                {
+                    File.Delete(Path.Combine(Config.BackupFolder, old.Name));
+                    _logger.Log($"📼 Removed old backup {old.Name}");
+                }
+                catch (IOException ex)
+                {
+                    _logger.LogWarning($"[DataBackuper] Could not remove old backup {old.Name}: {ex.Message}");
+                }
+            }
+        }
+
+        /// <summary>
+        /// Picks the snapshots beyond the retention count, newest first. Pre-restore snapshots are counted
+        /// separately so restoring never pushes a regular backup out, and <paramref name="keepName"/> is never picked.
+        /// </summary>
+        public static List<BackupSnapshot> SelectSnapshotsToPrune(IEnumerable<BackupSnapshot> snapshots, int retention, string keepName)
+        {
+            if (retention <= 0)
+                return new List<BackupSnapshot>();
+
+            var ordered = snapshots.OrderByDescending(s => s.CreatedAt).ToList();
+            return ordered.Where(s => s.Trigger != PreRestoreTrigger).Skip(retention)
+                .Concat(ordered.Where(s => s.Trigger == PreRestoreTrigger).Skip(retention))
+                .Where(s => s.Name != keepName)
+                .ToList();
+        }
+
+        private BackupSnapshot ReadSnapshot(string path)
+        {
+            var file = new FileInfo(path);
+            var snapshot = new BackupSnapshot { Name = file.Name, CreatedAt = file.CreationTime, Size = file.Length };
+
+            try
+            {
+                using var archive = ZipFile.OpenRead(path);
+                var manifest = ReadManifest(archive);
+                if (manifest != null)
+                {
+                    snapshot.CreatedAt = manifest.CreatedAt;
+                    snapshot.Trigger = manifest.Trigger;
+                    snapshot.Components = manifest.Components;
+                }
+                else
+                {
+                    snapshot.Components = _componentFiles
+                        .Where(c => c.Value.Any(path => archive.GetEntry(Path.GetFileName(path)) != null))
+                        .Select(c => c.Key)
+                        .ToList();
+                }
+            }
+            catch (InvalidDataException ex)
+            {
+                _logger.LogWarning($"[DataBackuper] {file.Name} is not a readable archive: {ex.Message}");
+            }
+
+            return snapshot;
+        }
+
+        private static BackupManifest ReadManifest(ZipArchive archive)
+        {
+            var entry = archive.GetEntry(ManifestEntry);
+            if (entry == null)
+                return null;
+
+            using var reader = new StreamReader(entry.Open());
+            return JsonConvert.DeserializeObject<BackupManifest>(reader.ReadToEnd());
         }
 
         private void AddDirectoryToZip(ZipArchive archive, string sourceDirectoryName, string entryName)
@@ -153,4 +474,4 @@ namespace UltimateServer.Services
             }
         }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,375 @@
+﻿using System.Collections.Concurrent;
+using System.Runtime.Serialization;
+using System.Text;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+using UltimateServer.Models;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Lets the dashboard look inside MiniDB and DataBox without knowing the types plugins store in them.
+    /// MiniDB values are converted to JSON through their stored .NET type, so an edit has to fit that type;
+    /// DataBox values are kept as JSON and an edit has to keep the same JSON shape.
+    /// </summary>
+    class DataBrowserService
+    {
+        public const string MiniDBStore = "minidb";
+        public const string DataBoxStore = "databox";
+
+        private static readonly JsonSerializer StrictSerializer = JsonSerializer.Create(new JsonSerializerSettings
+        {
+            MissingMemberHandling = MissingMemberHandling.Error
+        });
+
+        private static readonly ConcurrentDictionary<string, Type> TypeCache = new();
+
+        private readonly MiniDB _miniDB;
+        private readonly DataBox _dataBox;
+        private readonly Logger _logger;
+
+        public DataBrowserService(MiniDB miniDB, DataBox dataBox, Logger logger)
+        {
+            _miniDB = miniDB;
+            _dataBox = dataBox;
+            _logger = logger;
+        }
+
+        public static bool IsKnownStore(string store) => store == MiniDBStore || store == DataBoxStore;
+
+        /// <summary>
+        /// Keys starting with <paramref name="prefix"/>, sorted, and the total number of matches before <paramref name="limit"/>.
+        /// </summary>
+        public async Task<(List<DataEntryInfo> entries, int total)> ListAsync(string store, string prefix, int limit)
+        {
+            var matches = new List<DataEntryInfo>();
+
+            if (store == MiniDBStore)
+            {
+                foreach (var (key, entry) in await _miniDB.GetIndexAsync())
+                {
+                    if (Matches(key, prefix))
+                        matches.Add(new DataEntryInfo { Key = key, Type = DescribeType(entry.TypeName), Size = entry.Length, LastModified = entry.LastModified });
+                }
+            }
+            else
+            {
+                foreach (var key in _dataBox.GetAllKeys().Where(k => Matches(k, prefix)))
+                    matches.Add(DescribeDataBoxEntry(key, await _dataBox.LoadData<object>(key)));
+            }
+
+            matches.Sort((a, b) => string.CompareOrdinal(a.Key, b.Key));
+
+            return (matches.Take(limit).ToList(), matches.Count);
+        }
+
+        public async Task<object> GetStatsAsync(string store)
+        {
+            if (store == MiniDBStore)
+            {
+                var stats = await _miniDB.GetStatsAsync();
+                long liveBytes = (await _miniDB.GetIndexAsync()).Values.Sum(e => (long)e.Length);
+                return new
+                {
+                    entries = stats.TotalEntries,
+                    databaseFileSize = stats.DatabaseFileSize,
+                    indexFileSize = stats.IndexFileSize,
+                    reclaimableBytes = Math.Max(0, stats.DatabaseFileSize - liveBytes),
+                    totalOperations = stats.TotalOperations,
+                    readOperations = stats.ReadOperations,
+                    writeOperations = stats.WriteOperations,
+                    lastModified = stats.LastModified == DateTime.MinValue ? (DateTime?)null : stats.LastModified
+                };
+            }
+
+            var file = new FileInfo(_dataBox._options.SaveFile);
+            return new
+            {
+                entries = _dataBox.GetAllKeys().Count(),
+                databaseFileSize = file.Exists ? file.Length : 0,
+                lastModified = file.Exists ? file.LastWriteTimeUtc : (DateTime?)null
+            };
+        }
+
+        /// <summary>
+        /// The value as JSON. A MiniDB entry whose type can't be resolved is returned as the raw stored XML instead.
+        /// </summary>
+        public async Task<(bool found, DataEntryInfo info, JToken value, string raw)> GetAsync(string store, string key)
+        {
+            if (store == DataBoxStore)
+            {
+                if (!await _dataBox.ContainsKey(key))
+                    return (false, null, null, null);
+
+                object stored = await _dataBox.LoadData<object>(key);
+                return (true, DescribeDataBoxEntry(key, stored), ToToken(stored), null);
+            }
+
+            try
+            {
+                var (entry, data) = await _miniDB.ReadRawAsync(key);
+                var info = new DataEntryInfo { Key = key, Type = DescribeType(entry.TypeName), Size = entry.Length, LastModified = entry.LastModified };
+
+                var type = ResolveType(entry.TypeName);
+                if (type == null)
+                    return (true, info, null, Encoding.UTF8.GetString(data));
+
+                return (true, info, ToToken(await _miniDB.GetDataAsync(key, type)), null);
+            }
+            catch (MiniDBKeyNotFoundException)
+            {
+                return (false, null, null, null);
+            }
+        }
+
+        /// <summary>
+        /// Replaces an existing value. New DataBox keys may also be created; new MiniDB keys need a type, so they
+        /// can only come from an import.
+        /// </summary>
+        public async Task<(bool success, string message)> SetAsync(string store, string key, JToken value)
+        {
+            if (string.IsNullOrWhiteSpace(key))
+                return (false, "Key is required");
+
+            if (store == DataBoxStore)
+            {
+                object stored = await _dataBox.ContainsKey(key) ? await _dataBox.LoadData<object>(key) : null;
+                var (valid, error, converted) = ConvertForDataBox(stored, value);
+                if (!valid)
+                    return (false, error);
+
+                await _dataBox.SaveData(key, converted);
+                return (true, $"{key} saved");
+            }
+
+            if (!await _miniDB.ContainsKeyAsync(key))
+                return (false, "Key not found. New MiniDB entries can only be added by importing an export, which records their type.");
+
+            var (entry, _) = await _miniDB.ReadRawAsync(key);
+            var type = ResolveType(entry.TypeName);
+            if (type == null)
+                return (false, $"Stored type {DescribeType(entry.TypeName)} isn't loaded, so this value can't be edited");
+
+            var (ok, message, obj) = ConvertToType(value, type);
+            if (!ok)
+                return (false, message);
+
+            await _miniDB.UpsertDataAsync(key, obj, type);
+            return (true, $"{key} saved");
+        }
+
+        public async Task<bool> DeleteAsync(string store, string key)
+        {
+            if (store == DataBoxStore)
+                return await _dataBox.RemoveData(key);
+
+            if (!await _miniDB.ContainsKeyAsync(key))
+                return false;
+
+            await _miniDB.DeleteAsync(key);
+            return true;
+        }
+
+        public async Task CompactAsync()
+        {
+            await _miniDB.CompactAsync();
+        }
+
+        /// <summary>
+        /// Every matching entry with its type, in the format <see cref="ImportAsync"/> reads. MiniDB entries whose
+        /// type isn't loaded are left out and counted in <c>skipped</c>.
+        /// </summary>
+        public async Task<(DataExport export, int skipped)> ExportAsync(string store, string prefix)
+        {
+            var (entries, _) = await ListAsync(store, prefix, int.MaxValue);
+            var export = new DataExport { Store = store, ExportedAt = DateTime.UtcNow };
+            var index = store == MiniDBStore ? await _miniDB.GetIndexAsync() : null;
+            int skipped = 0;
+
+            foreach (var entry in entries)
+            {
+                var (found, _, value, _) = await GetAsync(store, entry.Key);
+                if (!found || value == null)
+                {
+                    skipped++;
+                    continue;
+                }
+
+                export.Entries.Add(new DataExportEntry
+                {
+                    Key = entry.Key,
+                    Type = index != null && index.TryGetValue(entry.Key, out var indexEntry) ? indexEntry.TypeName : null,
+                    Value = value
+                });
+            }
+
+            return (export, skipped);
+        }
+
+        /// <summary>
+        /// Writes the entries of an export. Existing keys are kept unless <paramref name="overwrite"/> is set.
+        /// Each entry is checked on its own, so one bad entry doesn't stop the rest.
+        /// </summary>
+        public async Task<DataImportResult> ImportAsync(string store, DataExport export, bool overwrite)
+        {
+            var result = new DataImportResult();
+
+            foreach (var entry in export?.Entries ?? new List<DataExportEntry>())
+            {
+                if (string.IsNullOrWhiteSpace(entry.Key) || entry.Key.Contains('|'))
+                {
+                    result.Errors.Add($"{entry.Key}: invalid key");
+                    continue;
+                }
+
+                bool exists = store == MiniDBStore ? await _miniDB.ContainsKeyAsync(entry.Key) : await _dataBox.ContainsKey(entry.Key);
+                if (exists && !overwrite)
+                {
+                    result.Skipped++;
+                    continue;
+                }
+
+                try
+                {
+                    if (store == DataBoxStore)
+                    {
+                        object stored = exists ? await _dataBox.LoadData<object>(entry.Key) : null;
+                        var (valid, error, converted) = ConvertForDataBox(stored, entry.Value);
+                        if (!valid)
+                        {
+                            result.Errors.Add($"{entry.Key}: {error}");
+                            continue;
+                        }
+                        await _dataBox.SaveData(entry.Key, converted);
+                    }
+                    else
+                    {
+                        var type = string.IsNullOrEmpty(entry.Type) ? null : ResolveType(entry.Type);
+                        if (type == null)
+                        {
+                            result.Errors.Add($"{entry.Key}: type {entry.Type ?? "(missing)"} isn't loaded");
+                            continue;
+                        }
+
+                        var (ok, message, obj) = ConvertToType(entry.Value, type);
+                        if (!ok)
+                        {
+                            result.Errors.Add($"{entry.Key}: {message}");
+                            continue;
+                        }
+                        await _miniDB.UpsertDataAsync(entry.Key, obj, type);
+                    }
+
+                    result.Imported++;
+                }
+                catch (Exception ex) when (ex is MiniDBException || ex is SerializationException || ex is ArgumentException)
+                {
+                    result.Errors.Add($"{entry.Key}: {ex.Message}");
+                }
+            }
+
+            _logger.Log($"🗃️ Imported {result.Imported} {store} entries ({result.Skipped} skipped, {result.Errors.Count} failed)");
+            return result;
+        }
+
+        /// <summary>
+        /// DataBox keeps loaded values as JSON, so a new value must have the same JSON shape as the old one.
+        /// Values a plugin stored as a .NET object during this run are checked against that object's type.
+        /// </summary>
+        private static (bool valid, string error, object value) ConvertForDataBox(object stored, JToken value)
+        {
+            if (value == null)
+                return (false, "Value is required", null);
+
+            if (stored == null)
+                return (true, null, value);
+
+            if (stored is not JToken && (stored is string || stored.GetType().IsPrimitive))
+                stored = JToken.FromObject(stored);
+
+            if (stored is JToken token)
+            {
+                if (JsonKind(token.Type) != JsonKind(value.Type))
+                    return (false, $"Expected a JSON {JsonKind(token.Type)}, got a {JsonKind(value.Type)}", null);
+                return (true, null, value);
+            }
+
+            return ConvertToType(value, stored.GetType());
+        }
+
+        private static (bool success, string message, object value) ConvertToType(JToken value, Type type)
+        {
+            if (value == null || value.Type == JTokenType.Null)
+                return (false, "Value is required", null);
+
+            try
+            {
+                return (true, null, value.ToObject(type, StrictSerializer));
+            }
+            catch (Exception ex) when (ex is JsonException || ex is ArgumentException || ex is FormatException || ex is InvalidCastException || ex is OverflowException)
+            {
+                return (false, $"Doesn't match {type.Name}: {ex.Message}", null);
+            }
+        }
+
+        private static bool Matches(string key, string prefix) => string.IsNullOrEmpty(prefix) || key.StartsWith(prefix, StringComparison.Ordinal);
+
+        private static DataEntryInfo DescribeDataBoxEntry(string key, object value)
+        {
+            return new DataEntryInfo
+            {
+                Key = key,
+                Type = value is JToken token ? $"JSON {JsonKind(token.Type)}" : value?.GetType().Name ?? "null",
+                Size = value == null ? 0 : Encoding.UTF8.GetByteCount(JsonConvert.SerializeObject(value))
+            };
+        }
+
+        private static string JsonKind(JTokenType type) => type switch
+        {
+            JTokenType.Object => "object",
+            JTokenType.Array => "array",
+            JTokenType.Integer or JTokenType.Float => "number",
+            JTokenType.Boolean => "boolean",
+            JTokenType.Null or JTokenType.Undefined => "null",
+            _ => "string"
+        };
+
+        private static JToken ToToken(object value) => value == null ? JValue.CreateNull() : value as JToken ?? JToken.FromObject(value);
+
+        /// <summary>
+        /// "List&lt;MetricSample&gt;" rather than the full assembly-qualified name.
+        /// </summary>
+        private static string DescribeType(string typeName)
+        {
+            var type = ResolveType(typeName);
+            if (type == null)
+                return typeName.Split(',')[0];
+            if (!type.IsGenericType)
+                return type.Name;
+            return $"{type.Name.Split('`')[0]}<{string.Join(", ", type.GetGenericArguments().Select(a => a.Name))}>";
+        }
+
+        /// <summary>
+        /// Plugin assemblies are loaded from file, so their types aren't always found by <see cref="Type.GetType(string)"/>.
+        /// </summary>
+        private static Type ResolveType(string typeName)
+        {
+            if (TypeCache.TryGetValue(typeName, out var cached))
+                return cached;
+
+            var type = Type.GetType(typeName, throwOnError: false);
+            if (type == null)
+            {
+                string fullName = typeName.Split(", ")[0];
+                type = AppDomain.CurrentDomain.GetAssemblies()
+                    .Select(a => a.GetType(fullName, throwOnError: false))
+                    .FirstOrDefault(t => t != null);
+            }
+
+            // Misses aren't cached: the plugin that owns the type may be loaded later.
+            if (type != null)
+                TypeCache[typeName] = type;
+            return type;
+        }
+    }
+}
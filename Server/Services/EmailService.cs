@@ -7,25 +7,18 @@ namespace UltimateServer.Services
 {
     public class EmailService
     {
-        private readonly string _host;
-        private readonly int _port;
-        private readonly string _username;
-        private readonly string _password;
-        private readonly bool _useSsl;
+        // Read on every send, so SMTP changes from the Settings tab apply without a restart.
+        private readonly ServerConfig _config;
 
         public EmailService(ServerConfig config)
         {
-            _host = config.email_host;
-            _port = config.email_port;
-            _username = config.email_username;
-            _password = config.email_password;
-            _useSsl = config.email_useSsl;
+            _config = config;
         }
 
         public async Task SendAsync(string to, string subject, string body, bool isHtml = false)
         {
             var message = new MimeMessage();
-            message.From.Add(MailboxAddress.Parse(_username));
+            message.From.Add(MailboxAddress.Parse(_config.email_username));
             message.To.Add(MailboxAddress.Parse(to));
             message.Subject = subject;
 
@@ -38,8 +31,8 @@ namespace UltimateServer.Services
             message.Body = builder.ToMessageBody();
 
             using var client = new SmtpClient();
-            await client.ConnectAsync(_host, _port, _useSsl ? SecureSocketOptions.StartTls : SecureSocketOptions.None);
-            await client.AuthenticateAsync(_username, _password);
+            await client.ConnectAsync(_config.email_host, _config.email_port, _config.email_useSsl ? SecureSocketOptions.StartTls : SecureSocketOptions.None);
+            await client.AuthenticateAsync(_config.email_username, _config.email_password);
             await client.SendAsync(message);
             await client.DisconnectAsync(true);
         }
@@ -29,7 +29,8 @@ namespace UltimateServer.Services
         {
             await Task.Run(() =>
             {
-                _logger.Log($"🎬 Notification: Video '{eventData.FileName}' from URL '{eventData.SourceUrl}' has been uploaded and is ready for processing.");
+                string source = eventData.SourceUrl != null ? $"from URL '{eventData.SourceUrl}'" : "from the dashboard";
+                _logger.Log($"🎬 Notification: Video '{eventData.FileName}' {source} has been uploaded and is ready for processing.");
             });
         }
     }
@@ -0,0 +1,138 @@
+﻿using System.Collections.Concurrent;
+using System.Net;
+using System.Text;
+using System.Threading.Channels;
+using Newtonsoft.Json;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Pushes dashboard updates to connected clients over Server-Sent Events.
+    /// Each client gets its own bounded queue so a slow browser never blocks the publisher.
+    /// </summary>
+    public class EventStreamService
+    {
+        private readonly Logger _logger;
+        private readonly ConcurrentDictionary<string, EventStreamClient> _clients = new();
+        private readonly TimeSpan _heartbeatInterval = TimeSpan.FromSeconds(15);
+
+        public int ClientCount => _clients.Count;
+
+        public EventStreamService(Logger logger)
+        {
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Queues an event for every connected client.
+        /// </summary>
+        public void Broadcast(string eventName, object data)
+        {
+            if (_clients.IsEmpty)
+                return;
+
+            string frame = FormatEvent(eventName, data);
+            foreach (var client in _clients.Values)
+            {
+                client.Queue.Writer.TryWrite(frame);
+            }
+        }
+
+        /// <summary>
+        /// Holds the response open and streams queued events until the client disconnects,
+        /// the server shuts down or <paramref name="isAuthorized"/> stops returning true.
+        /// </summary>
+        public async Task StreamAsync(
+            HttpListenerResponse response,
+            Func<bool> isAuthorized,
+            IEnumerable<(string eventName, object data)> initialEvents,
+            CancellationToken cancellationToken)
+        {
+            response.StatusCode = 200;
+            response.ContentType = "text/event-stream";
+            response.SendChunked = true;
+            response.AddHeader("Cache-Control", "no-cache");
+            response.AddHeader("X-Accel-Buffering", "no");
+
+            var client = new EventStreamClient();
+            foreach (var (eventName, data) in initialEvents)
+            {
+                client.Queue.Writer.TryWrite(FormatEvent(eventName, data));
+            }
+
+            _clients[client.Id] = client;
+            _logger.Log($"📡 Live update client connected ({_clients.Count} active)");
+
+            var output = response.OutputStream;
+            try
+            {
+                await WriteFrameAsync(output, "retry: 5000\n\n", cancellationToken);
+                var nextAuthCheck = DateTime.UtcNow + _heartbeatInterval;
+
+                while (!cancellationToken.IsCancellationRequested)
+                {
+                    using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                    heartbeat.CancelAfter(_heartbeatInterval);
+
+                    string frame;
+                    try
+                    {
+                        frame = await client.Queue.Reader.ReadAsync(heartbeat.Token);
+                    }
+                    catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                    {
+                        frame = ": ping\n\n";
+                    }
+
+                    // Checked on a schedule rather than only when idle: stats are pushed every few seconds,
+                    // so a busy stream would otherwise outlive the token it was opened with.
+                    if (DateTime.UtcNow >= nextAuthCheck)
+                    {
+                        if (!isAuthorized())
+                        {
+                            await WriteFrameAsync(output, FormatEvent("auth-expired", new { }), cancellationToken);
+                            break;
+                        }
+
+                        nextAuthCheck = DateTime.UtcNow + _heartbeatInterval;
+                    }
+
+                    await WriteFrameAsync(output, frame, cancellationToken);
+                }
+            }
+            catch (OperationCanceledException) { }
+            catch (HttpListenerException) { }
+            catch (IOException) { }
+            catch (ObjectDisposedException) { }
+            finally
+            {
+                _clients.TryRemove(client.Id, out _);
+                client.Queue.Writer.TryComplete();
+                _logger.Log($"📡 Live update client disconnected ({_clients.Count} active)");
+            }
+        }
+
+        private static async Task WriteFrameAsync(Stream output, string frame, CancellationToken cancellationToken)
+        {
+            byte[] buffer = Encoding.UTF8.GetBytes(frame);
+            await output.WriteAsync(buffer, 0, buffer.Length, cancellationToken);
+            await output.FlushAsync(cancellationToken);
+        }
+
+        private static string FormatEvent(string eventName, object data)
+        {
+            return $"event: {eventName}\ndata: {JsonConvert.SerializeObject(data)}\n\n";
+        }
+
+        private sealed class EventStreamClient
+        {
+            public string Id { get; } = Guid.NewGuid().ToString("N");
+
+            public Channel<string> Queue { get; } = Channel.CreateBounded<string>(new BoundedChannelOptions(500)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest,
+                SingleReader = true
+            });
+        }
+    }
+}
@@ -0,0 +1,202 @@
+﻿using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+using UltimateServer.Models;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Reads and filters latest.log. Entry ids are byte offsets into the file, so a client can
+    /// resume from the cursor it was given instead of re-downloading the whole log. Cursors are
+    /// "fileId:offset" so an offset into a rotated file is never applied to its replacement.
+    /// </summary>
+    public class LogService
+    {
+        private static readonly Regex LinePattern = new(
+            @"^\[(?<timestamp>\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\] \[(?<level>[A-Z]+)\](?: \[(?<source>[A-Za-z0-9_.`+-]+)\])? (?<message>.*)$",
+            RegexOptions.Compiled);
+
+        private readonly Logger _logger;
+
+        public LogService(Logger logger)
+        {
+            _logger = logger;
+        }
+
+        public static LogEntry ParseLine(string line, long offset)
+        {
+            var match = LinePattern.Match(line);
+            if (!match.Success)
+                return new LogEntry { Id = offset, Message = line };
+
+            return new LogEntry
+            {
+                Id = offset,
+                Timestamp = DateTime.SpecifyKind(
+                    DateTime.ParseExact(match.Groups["timestamp"].Value, "yyyy-MM-dd HH:mm:ss", CultureInfo.InvariantCulture),
+                    DateTimeKind.Local),
+                Level = match.Groups["level"].Value,
+                Source = match.Groups["source"].Success ? match.Groups["source"].Value : "",
+                Message = match.Groups["message"].Value
+            };
+        }
+
+        public string FormatCursor(long offset) => $"{_logger.LogFileId}:{offset}";
+
+        public static bool TryParseCursor(string cursor, out string fileId, out long offset)
+        {
+            fileId = null;
+            offset = 0;
+            if (string.IsNullOrEmpty(cursor))
+                return false;
+
+            int separator = cursor.LastIndexOf(':');
+            if (separator <= 0 || !long.TryParse(cursor.AsSpan(separator + 1), NumberStyles.None, CultureInfo.InvariantCulture, out offset))
+                return false;
+
+            fileId = cursor.Substring(0, separator);
+            return true;
+        }
+
+        /// <summary>
+        /// With <see cref="LogQuery.Since"/> set, returns up to Limit matching entries written after that cursor.
+        /// Without it, returns the newest Limit matching entries. The returned cursor points just past the
+        /// last entry that was read; <c>reset</c> is true when the log was rotated and the old cursor is gone.
+        /// </summary>
+        public (List<LogEntry> entries, string cursor, bool reset, bool hasMore) Query(LogQuery query)
+        {
+            var entries = new List<LogEntry>();
+            bool rotated = query.Since.HasValue && query.SinceFileId != _logger.LogFileId;
+            if (!File.Exists(_logger.LogFilePath))
+                return (entries, FormatCursor(0), rotated || query.Since > 0, false);
+
+            using var stream = new FileStream(_logger.LogFilePath, FileMode.Open, FileAccess.Read, FileShare.ReadWrite | FileShare.Delete);
+            long length = stream.Length;
+            long start = query.Since ?? 0;
+            bool reset = false;
+
+            // The new file can already be longer than the old offset, so the length check alone misses a rotation
+            if (rotated || start > length)
+            {
+                start = 0;
+                reset = true;
+            }
+
+            long cursor = start;
+            bool hasMore = false;
+
+            foreach (var (entry, end) in ReadEntries(stream, start, length))
+            {
+                if (query.Since.HasValue && entries.Count >= query.Limit)
+                {
+                    hasMore = true;
+                    break;
+                }
+
+                cursor = end;
+                if (!Matches(entry, query))
+                    continue;
+
+                entries.Add(entry);
+                if (!query.Since.HasValue && entries.Count > query.Limit)
+                    entries.RemoveAt(0);
+            }
+
+            return (entries, FormatCursor(cursor), reset, hasMore);
+        }
+
+        /// <summary>
+        /// Returns every matching line in its original text form, for "download as file".
+        /// </summary>
+        public string Export(LogQuery query)
+        {
+            var builder = new StringBuilder();
+            if (!File.Exists(_logger.LogFilePath))
+                return "";
+
+            using var stream = new FileStream(_logger.LogFilePath, FileMode.Open, FileAccess.Read, FileShare.ReadWrite | FileShare.Delete);
+            foreach (var (entry, _) in ReadEntries(stream, 0, stream.Length))
+            {
+                if (!Matches(entry, query))
+                    continue;
+
+                builder.Append(entry.Timestamp.HasValue
+                    ? $"[{entry.Timestamp:yyyy-MM-dd HH:mm:ss}] [{entry.Level}] [{entry.Source}] {entry.Message}"
+                    : entry.Message);
+                builder.Append('\n');
+            }
+
+            return builder.ToString();
+        }
+
+        private static bool Matches(LogEntry entry, LogQuery query)
+        {
+            if (query.Levels.Count > 0 && !query.Levels.Contains(entry.Level))
+                return false;
+
+            if (query.From.HasValue && entry.Timestamp.HasValue && entry.Timestamp < query.From)
+                return false;
+
+            if (query.To.HasValue && entry.Timestamp.HasValue && entry.Timestamp > query.To)
+                return false;
+
+            if (!string.IsNullOrEmpty(query.Text) &&
+                entry.Message.IndexOf(query.Text, StringComparison.OrdinalIgnoreCase) < 0 &&
+                entry.Source.IndexOf(query.Text, StringComparison.OrdinalIgnoreCase) < 0)
+                return false;
+
+            return true;
+        }
+
+        /// <summary>
+        /// Yields entries between two byte offsets together with the offset just past each entry.
+        /// Lines that don't start with a timestamp (stack traces, multi-line messages) are folded into the entry above them.
+        /// </summary>
+        private static IEnumerable<(LogEntry entry, long end)> ReadEntries(FileStream stream, long start, long end)
+        {
+            stream.Seek(start, SeekOrigin.Begin);
+            using var buffered = new BufferedStream(stream, 64 * 1024);
+            var lineBytes = new MemoryStream();
+
+            LogEntry pending = null;
+            long pendingEnd = start;
+            long lineStart = start;
+            long position = start;
+
+            while (position < end)
+            {
+                int b = buffered.ReadByte();
+                if (b == -1)
+                    break;
+
+                position++;
+                if (b != '\n')
+                {
+                    lineBytes.WriteByte((byte)b);
+                    continue;
+                }
+
+                string line = Encoding.UTF8.GetString(lineBytes.GetBuffer(), 0, (int)lineBytes.Length).TrimEnd('\r');
+                lineBytes.SetLength(0);
+
+                var parsed = ParseLine(line, lineStart);
+                if (!parsed.Timestamp.HasValue && pending != null)
+                {
+                    pending.Message += "\n" + line;
+                }
+                else
+                {
+                    if (pending != null)
+                        yield return (pending, pendingEnd);
+                    pending = parsed;
+                }
+
+                pendingEnd = position;
+                lineStart = position;
+            }
+
+            if (pending != null)
+                yield return (pending, pendingEnd);
+        }
+    }
+}
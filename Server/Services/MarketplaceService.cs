@@ -0,0 +1,259 @@
+﻿using System.Reflection;
+using Newtonsoft.Json.Linq;
+using UltimateServer.Models;
+using UltimateServer.Servers;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Reads plugin catalogs from the registries in <see cref="ServerConfig.MarketplaceRegistries"/>.
+    /// A registry is an http(s) URL serving JSON, a local JSON file, or a local directory. A directory
+    /// uses its <c>registry.json</c> when present; otherwise every DLL in it is listed, so air-gapped
+    /// servers can be fed by copying plugin files into a folder.
+    /// </summary>
+    public class MarketplaceService
+    {
+        private const string RegistryFileName = "registry.json";
+
+        private static readonly HttpClient _httpClient = new() { Timeout = TimeSpan.FromSeconds(20) };
+
+        private readonly ServerConfig _config;
+        private readonly Logger _logger;
+
+        public MarketplaceService(ConfigManager configManager, Logger logger)
+        {
+            _config = configManager.Config;
+            _logger = logger;
+        }
+
+        public IReadOnlyList<string> Registries => _config.MarketplaceRegistries;
+
+        /// <summary>
+        /// Merges the catalogs of every registry. A plugin listed by several registries gets the union of
+        /// their versions; when two registries list the same version, the one configured first wins.
+        /// An unreachable registry is reported in <c>errors</c> instead of failing the whole catalog.
+        /// </summary>
+        public async Task<(List<MarketPlugin> plugins, List<string> errors)> GetCatalogAsync()
+        {
+            var merged = new Dictionary<string, MarketPlugin>(StringComparer.OrdinalIgnoreCase);
+            var errors = new List<string>();
+
+            foreach (var registry in _config.MarketplaceRegistries.Where(r => !string.IsNullOrWhiteSpace(r)))
+            {
+                List<MarketPlugin> plugins;
+                try
+                {
+                    plugins = await ReadRegistryAsync(registry.Trim());
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning($"Marketplace registry '{registry}' is unavailable: {ex.Message}");
+                    errors.Add($"{registry}: {ex.Message}");
+                    continue;
+                }
+
+                foreach (var plugin in plugins)
+                {
+                    if (!merged.TryGetValue(plugin.Name, out var existing))
+                    {
+                        merged[plugin.Name] = plugin;
+                        continue;
+                    }
+
+                    existing.Versions.AddRange(plugin.Versions.Where(v => !existing.Versions.Any(e => e.Version == v.Version)));
+                    SortVersions(existing);
+                }
+            }
+
+            return (merged.Values.OrderBy(p => p.Name).ToList(), errors);
+        }
+
+        /// <summary>
+        /// Finds a plugin version in the current catalog. Downloads are always resolved here so the
+        /// dashboard can only install what a configured registry offers.
+        /// </summary>
+        public async Task<(MarketPlugin plugin, MarketPluginVersion version, string error)> ResolveAsync(string name, string version)
+        {
+            var (plugins, _) = await GetCatalogAsync();
+            var plugin = plugins.FirstOrDefault(p => p.Name.Equals(name, StringComparison.OrdinalIgnoreCase));
+            if (plugin == null)
+                return (null, null, $"Plugin '{name}' is not offered by any configured registry");
+
+            var match = string.IsNullOrWhiteSpace(version)
+                ? plugin.Versions.FirstOrDefault()
+                : plugin.Versions.FirstOrDefault(v => v.Version == version);
+
+            if (match == null)
+                return (null, null, $"Version '{version}' of '{plugin.Name}' was not found");
+
+            return (plugin, match, null);
+        }
+
+        /// <summary>
+        /// Opens a download link from a catalog, which is either an http(s) URL or a local file path.
+        /// </summary>
+        public async Task<Stream> OpenDownloadAsync(string downloadLink, CancellationToken cancellationToken)
+        {
+            if (IsRemote(downloadLink))
+            {
+                var response = await _httpClient.GetAsync(downloadLink, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+                response.EnsureSuccessStatusCode();
+                return await response.Content.ReadAsStreamAsync(cancellationToken);
+            }
+
+            return File.OpenRead(ToLocalPath(downloadLink));
+        }
+
+        /// <summary>
+        /// Compares dotted version strings numerically, ignoring a leading "v" and any pre-release suffix.
+        /// Versions that can't be parsed are compared as text.
+        /// </summary>
+        public static int CompareVersions(string a, string b)
+        {
+            if (System.Version.TryParse(CleanVersion(a), out var left) && System.Version.TryParse(CleanVersion(b), out var right))
+                return left.CompareTo(right);
+
+            return string.Compare(a, b, StringComparison.OrdinalIgnoreCase);
+        }
+
+        private async Task<List<MarketPlugin>> ReadRegistryAsync(string registry)
+        {
+            if (IsRemote(registry))
+            {
+                string json = await _httpClient.GetStringAsync(registry);
+                return ParseCatalog(json, registry, link => new Uri(new Uri(registry), link).ToString());
+            }
+
+            string path = ToLocalPath(registry);
+
+            if (Directory.Exists(path))
+            {
+                string registryFile = Path.Combine(path, RegistryFileName);
+                if (!File.Exists(registryFile))
+                    return ScanDirectory(path, registry);
+
+                path = registryFile;
+            }
+
+            if (!File.Exists(path))
+                throw new FileNotFoundException($"'{path}' does not exist");
+
+            string baseDirectory = Path.GetDirectoryName(Path.GetFullPath(path));
+            return ParseCatalog(await File.ReadAllTextAsync(path), registry,
+                link => IsRemote(link) ? link : Path.GetFullPath(Path.Combine(baseDirectory, ToLocalPath(link))));
+        }
+
+        /// <summary>
+        /// Accepts either a JSON array of plugins or an object with a <c>plugins</c> array. Plugins without
+        /// a <c>Versions</c> list are treated as a single version using their top-level fields.
+        /// </summary>
+        private static List<MarketPlugin> ParseCatalog(string json, string registry, Func<string, string> resolveLink)
+        {
+            var token = JToken.Parse(json);
+            var array = token as JArray ?? token["plugins"] as JArray ?? token["Plugins"] as JArray
+                ?? throw new InvalidDataException("Registry JSON must be an array or contain a 'plugins' array");
+
+            var plugins = new List<MarketPlugin>();
+            foreach (var plugin in array.ToObject<List<MarketPlugin>>() ?? new List<MarketPlugin>())
+            {
+                if (string.IsNullOrWhiteSpace(plugin.Name))
+                    continue;
+
+                if (plugin.Versions.Count == 0 && !string.IsNullOrWhiteSpace(plugin.DownloadLink))
+                {
+                    plugin.Versions.Add(new MarketPluginVersion
+                    {
+                        Version = string.IsNullOrWhiteSpace(plugin.Version) ? "latest" : plugin.Version,
+                        DownloadLink = plugin.DownloadLink,
+                        Changelog = plugin.Changelog,
+                        Sha256 = plugin.Sha256,
+                        Signature = plugin.Signature
+                    });
+                }
+
+                plugin.Versions.RemoveAll(v => string.IsNullOrWhiteSpace(v.Version) || string.IsNullOrWhiteSpace(v.DownloadLink));
+                if (plugin.Versions.Count == 0)
+                    continue;
+
+                foreach (var version in plugin.Versions)
+                    version.DownloadLink = resolveLink(version.DownloadLink);
+
+                plugin.Registry = registry;
+                SortVersions(plugin);
+                plugins.Add(plugin);
+            }
+
+            return plugins;
+        }
+
+        private List<MarketPlugin> ScanDirectory(string directory, string registry)
+        {
+            var plugins = new List<MarketPlugin>();
+
+            foreach (var file in Directory.GetFiles(directory, "*.dll"))
+            {
+                string version;
+                try
+                {
+                    version = AssemblyName.GetAssemblyName(file).Version?.ToString() ?? "latest";
+                }
+                catch (BadImageFormatException)
+                {
+                    _logger.LogWarning($"Skipping '{file}' in marketplace registry: not a .NET assembly");
+                    continue;
+                }
+
+                // Sidecar files carry the publisher's checksum and signature; without a .sha256 file the
+                // directory itself is trusted and the checksum only guards against a change during the copy.
+                string sha256 = File.Exists(file + ".sha256")
+                    ? File.ReadAllText(file + ".sha256").Split((char[])null, StringSplitOptions.RemoveEmptyEntries).FirstOrDefault() ?? ""
+                    : PluginVerificationService.ComputeSha256(File.ReadAllBytes(file));
+                string signature = File.Exists(file + ".sig") ? File.ReadAllText(file + ".sig").Trim() : "";
+
+                plugins.Add(new MarketPlugin
+                {
+                    Name = Path.GetFileNameWithoutExtension(file),
+                    Description = $"Local plugin from {directory}",
+                    Category = "Local",
+                    Registry = registry,
+                    Versions = new List<MarketPluginVersion>
+                    {
+                        new() { Version = version, DownloadLink = file, Sha256 = sha256, Signature = signature, Released = File.GetLastWriteTimeUtc(file) }
+                    }
+                });
+            }
+
+            plugins.ForEach(SortVersions);
+            return plugins;
+        }
+
+        /// <summary>
+        /// Orders versions newest first and mirrors the newest one into the plugin's top-level fields.
+        /// </summary>
+        private static void SortVersions(MarketPlugin plugin)
+        {
+            plugin.Versions.Sort((a, b) => CompareVersions(b.Version, a.Version));
+
+            var latest = plugin.Versions[0];
+            plugin.Version = latest.Version;
+            plugin.DownloadLink = latest.DownloadLink;
+            plugin.Changelog = latest.Changelog;
+            plugin.Sha256 = latest.Sha256;
+            plugin.Signature = latest.Signature;
+        }
+
+        private static string CleanVersion(string version)
+        {
+            version = (version ?? "").Trim().TrimStart('v', 'V');
+            int suffix = version.IndexOfAny(new[] { '-', '+' });
+            return suffix >= 0 ? version[..suffix] : version;
+        }
+
+        private static bool IsRemote(string location)
+            => location.StartsWith("http://", StringComparison.OrdinalIgnoreCase) ||
+               location.StartsWith("https://", StringComparison.OrdinalIgnoreCase);
+
+        private static string ToLocalPath(string location)
+            => location.StartsWith("file://", StringComparison.OrdinalIgnoreCase) ? new Uri(location).LocalPath : location;
+    }
+}
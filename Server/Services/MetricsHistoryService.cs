@@ -0,0 +1,189 @@
+﻿using UltimateServer.Models;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Keeps a time series of system samples in MiniDB so charts survive reloads and restarts.
+    /// Samples are grouped into five-minute buckets; the open bucket lives in memory and is
+    /// written once it is complete, which keeps MiniDB's append-only file from growing on every sample.
+    /// </summary>
+    public class MetricsHistoryService
+    {
+        private const string KeyPrefix = "metrics_";
+        private const int BucketMinutes = 5;
+        private const int MaxPoints = 2000;
+
+        private readonly MiniDB _miniDB;
+        private readonly Logger _logger;
+        private readonly object _bucketLock = new();
+        private List<MetricSample> _openBucket = new();
+        private DateTime _openBucketStart;
+        private DateTime _lastPrune = DateTime.MinValue;
+
+        public TimeSpan SampleInterval { get; }
+        public TimeSpan Retention { get; }
+
+        public MetricsHistoryService(MiniDB miniDB, ConfigManager configManager, Logger logger)
+        {
+            _miniDB = miniDB;
+            _logger = logger;
+            SampleInterval = TimeSpan.FromSeconds(Math.Max(1, configManager.Config.MetricsSampleSeconds));
+            Retention = TimeSpan.FromDays(Math.Max(1, configManager.Config.MetricsRetentionDays));
+        }
+
+        public async Task RecordAsync(MetricSample sample)
+        {
+            DateTime bucketStart = GetBucketStart(sample.Timestamp);
+            List<MetricSample> completed = null;
+            DateTime completedStart = default;
+
+            lock (_bucketLock)
+            {
+                if (_openBucket.Count > 0 && bucketStart != _openBucketStart)
+                {
+                    completed = _openBucket;
+                    completedStart = _openBucketStart;
+                    _openBucket = new List<MetricSample>();
+                }
+
+                _openBucketStart = bucketStart;
+                _openBucket.Add(sample);
+            }
+
+            if (completed != null)
+                await PersistBucketAsync(completedStart, completed);
+
+            if (DateTime.UtcNow - _lastPrune > TimeSpan.FromDays(1))
+            {
+                _lastPrune = DateTime.UtcNow;
+                await PruneAsync();
+            }
+        }
+
+        /// <summary>
+        /// Writes the open bucket. Called on shutdown so the last few minutes are not lost.
+        /// </summary>
+        public async Task FlushAsync()
+        {
+            List<MetricSample> pending;
+            DateTime pendingStart;
+
+            lock (_bucketLock)
+            {
+                pending = _openBucket;
+                pendingStart = _openBucketStart;
+                _openBucket = new List<MetricSample>();
+            }
+
+            if (pending.Count > 0)
+                await PersistBucketAsync(pendingStart, pending);
+        }
+
+        /// <summary>
+        /// Returns samples between <paramref name="from"/> and <paramref name="to"/> (UTC), averaged into
+        /// <paramref name="step"/>-wide points. Online users and connections keep the peak of each point
+        /// rather than the average, since short spikes are what players notice.
+        /// The step is widened when needed so a response never holds more than 2000 points.
+        /// </summary>
+        public async Task<(List<MetricSample> samples, TimeSpan step)> QueryAsync(DateTime from, DateTime to, TimeSpan? step = null)
+        {
+            var samples = new List<MetricSample>();
+
+            for (var bucket = GetBucketStart(from); bucket <= to; bucket = bucket.AddMinutes(BucketMinutes))
+            {
+                string key = GetKey(bucket);
+                if (!await _miniDB.ContainsKeyAsync(key))
+                    continue;
+
+                try
+                {
+                    samples.AddRange(await _miniDB.GetDataAsync<List<MetricSample>>(key) ?? new List<MetricSample>());
+                }
+                catch (MiniDBException ex)
+                {
+                    _logger.LogWarning($"Skipping unreadable metrics bucket '{key}': {ex.Message}");
+                }
+            }
+
+            lock (_bucketLock)
+            {
+                samples.AddRange(_openBucket);
+            }
+
+            samples = samples
+                .Where(s => s.Timestamp >= from && s.Timestamp <= to)
+                .OrderBy(s => s.Timestamp)
+                .ToList();
+
+            var minimumStep = TimeSpan.FromTicks(Math.Max(SampleInterval.Ticks, (to - from).Ticks / MaxPoints));
+            var effectiveStep = step.HasValue && step.Value > minimumStep ? step.Value : minimumStep;
+
+            if (effectiveStep <= SampleInterval)
+                return (samples, effectiveStep);
+
+            var points = samples
+                .GroupBy(s => (s.Timestamp - from).Ticks / effectiveStep.Ticks)
+                .Select(g => new MetricSample
+                {
+                    Timestamp = from.AddTicks(g.Key * effectiveStep.Ticks),
+                    CpuUsage = Math.Round(g.Average(s => s.CpuUsage), 2),
+                    MemoryMB = Math.Round(g.Average(s => s.MemoryMB), 2),
+                    DiskUsedGB = Math.Round(g.Average(s => s.DiskUsedGB), 2),
+                    DiskTotalGB = g.Last().DiskTotalGB,
+                    NetReceivedKBps = Math.Round(g.Average(s => s.NetReceivedKBps), 2),
+                    NetSentKBps = Math.Round(g.Average(s => s.NetSentKBps), 2),
+                    OnlineUsers = g.Max(s => s.OnlineUsers),
+                    Connections = g.Max(s => s.Connections)
+                })
+                .ToList();
+
+            return (points, effectiveStep);
+        }
+
+        private async Task PersistBucketAsync(DateTime bucketStart, List<MetricSample> samples)
+        {
+            string key = GetKey(bucketStart);
+
+            try
+            {
+                // A restart inside the same five minutes leaves an earlier part of this bucket on disk.
+                if (await _miniDB.ContainsKeyAsync(key))
+                {
+                    var existing = await _miniDB.GetDataAsync<List<MetricSample>>(key) ?? new List<MetricSample>();
+                    samples = existing.Concat(samples).OrderBy(s => s.Timestamp).ToList();
+                }
+
+                await _miniDB.UpsertDataAsync(key, samples);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"❌ Failed to save metrics bucket '{key}': {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Runs at most once a day and drops buckets older than the retention window.
+        /// </summary>
+        private async Task PruneAsync()
+        {
+            string oldestKey = GetKey(GetBucketStart(DateTime.UtcNow - Retention));
+            var expired = (await _miniDB.GetAllKeysAsync())
+                .Where(k => k.StartsWith(KeyPrefix) && string.CompareOrdinal(k, oldestKey) < 0)
+                .ToList();
+
+            if (expired.Count == 0)
+                return;
+
+            await _miniDB.BatchOperationAsync(expired.Select(k => new BatchOperation { Key = k, Type = BatchOperationType.Delete }));
+            _logger.Log($"📈 Removed {expired.Count} expired metrics buckets");
+        }
+
+        private static DateTime GetBucketStart(DateTime timestamp)
+        {
+            long bucketTicks = TimeSpan.FromMinutes(BucketMinutes).Ticks;
+            return new DateTime(timestamp.Ticks - timestamp.Ticks % bucketTicks, DateTimeKind.Utc);
+        }
+
+        private static string GetKey(DateTime bucketStart) => $"{KeyPrefix}{bucketStart:yyyyMMddHHmm}";
+    }
+}
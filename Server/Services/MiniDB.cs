@@ -56,6 +56,21 @@ namespace UltimateServer.Services
             _logger.Log("📜 MiniDB has been stopped.");
         }
 
+        /// <summary>
+        /// Writes pending index changes to disk now, so a copy of the files is consistent.
+        /// </summary>
+        public Task FlushAsync() => SaveIndexAsync();
+
+        /// <summary>
+        /// Re-reads the index after the database files were replaced on disk, e.g. by a backup restore.
+        /// </summary>
+        public async Task ReloadAsync()
+        {
+            EnsureFilesExist();
+            await LoadIndexAsync();
+            _logger.Log("📜 MiniDB index reloaded.");
+        }
+
         /// <summary>
         /// Inserts a new object. Throws an exception if the key already exists.
         /// </summary>
@@ -95,7 +110,14 @@ namespace UltimateServer.Services
         /// <summary>
         /// Inserts a new object or updates it if the key already exists.
         /// </summary>
-        public async Task UpsertDataAsync<T>(string key, T obj, CancellationToken cancellationToken = default)
+        public Task UpsertDataAsync<T>(string key, T obj, CancellationToken cancellationToken = default)
+            => UpsertDataAsync(key, obj, typeof(T), cancellationToken);
+
+        /// <summary>
+        /// Non-generic <see cref="UpsertDataAsync{T}"/> for callers that only know the type at runtime, such as the
+        /// dashboard's data browser. The entry is stored as <paramref name="type"/>, which readers must then request.
+        /// </summary>
+        public async Task UpsertDataAsync(string key, object obj, Type type, CancellationToken cancellationToken = default)
         {
             ValidateKey(key);
             var stopwatch = Stopwatch.StartNew();
@@ -103,7 +125,7 @@ namespace UltimateServer.Services
             _lock.EnterWriteLock();
             try
             {
-                PerformWrite(key, obj);
+                PerformWrite(key, obj, type);
                 _isIndexDirty = true;
 
                 Interlocked.Increment(ref _totalOperations);
@@ -127,8 +149,34 @@ namespace UltimateServer.Services
         /// Retrieves an object by its key.
         /// </summary>
         public async Task<T?> GetDataAsync<T>(string key, CancellationToken cancellationToken = default)
+            => (T?)await GetDataAsync(key, typeof(T), cancellationToken);
+
+        /// <summary>
+        /// Non-generic <see cref="GetDataAsync{T}"/>; <paramref name="type"/> must still match the stored type.
+        /// </summary>
+        public async Task<object?> GetDataAsync(string key, Type type, CancellationToken cancellationToken = default)
         {
             var stopwatch = Stopwatch.StartNew();
+            var (entry, data) = await ReadRawAsync(key, cancellationToken);
+
+            if (entry.TypeName != type.AssemblyQualifiedName)
+            {
+                throw new MiniDBTypeMismatchException(key, type, Type.GetType(entry.TypeName)!);
+            }
+
+            Interlocked.Increment(ref _totalOperations);
+            Interlocked.Increment(ref _readOperations);
+            _metrics.Enqueue(new OperationMetric("Read", stopwatch.Elapsed, key));
+
+            return Deserialize(data, type);
+        }
+
+        /// <summary>
+        /// The serialized record behind a key, without deserializing it. Useful when the stored type
+        /// belongs to a plugin that isn't loaded.
+        /// </summary>
+        public async Task<(IndexEntry entry, byte[] data)> ReadRawAsync(string key, CancellationToken cancellationToken = default)
+        {
             IndexEntry entry;
 
             _lock.EnterReadLock();
@@ -144,27 +192,17 @@ namespace UltimateServer.Services
                 _lock.ExitReadLock();
             }
 
-            var requestedType = typeof(T);
-            if (entry.TypeName != requestedType.AssemblyQualifiedName)
-            {
-                throw new MiniDBTypeMismatchException(key, requestedType, Type.GetType(entry.TypeName)!);
-            }
-
             using var fs = new FileStream(_options.DatabaseFile, FileMode.Open, FileAccess.Read, FileShare.Read);
             fs.Seek(entry.Offset, SeekOrigin.Begin);
 
             byte[] lenBytes = new byte[4];
-            await fs.ReadAsync(lenBytes, 0, 4, cancellationToken);
+            await fs.ReadExactlyAsync(lenBytes, 0, 4, cancellationToken);
             int dataLength = BitConverter.ToInt32(lenBytes);
 
             byte[] data = new byte[dataLength];
-            await fs.ReadAsync(data, 0, dataLength, cancellationToken);
+            await fs.ReadExactlyAsync(data, 0, dataLength, cancellationToken);
 
-            Interlocked.Increment(ref _totalOperations);
-            Interlocked.Increment(ref _readOperations);
-            _metrics.Enqueue(new OperationMetric("Read", stopwatch.Elapsed, key));
-
-            return Deserialize<T>(data);
+            return (entry, data);
         }
 
         /// <summary>
@@ -272,6 +310,22 @@ namespace UltimateServer.Services
             }
         }
 
+        /// <summary>
+        /// A snapshot of the index: every key with its stored type, record size and last write.
+        /// </summary>
+        public async Task<Dictionary<string, IndexEntry>> GetIndexAsync(CancellationToken cancellationToken = default)
+        {
+            _lock.EnterReadLock();
+            try
+            {
+                return new Dictionary<string, IndexEntry>(_index);
+            }
+            finally
+            {
+                _lock.ExitReadLock();
+            }
+        }
+
         /// <summary>
         /// Gets database statistics and metrics.
         /// </summary>
@@ -320,11 +374,12 @@ namespace UltimateServer.Services
 
                         sourceFs.Seek(entry.Offset, SeekOrigin.Begin);
 
+                        // Synchronous I/O: the write lock belongs to this thread, and an await could resume elsewhere.
                         byte[] recordData = new byte[entry.Length];
-                        await sourceFs.ReadAsync(recordData, 0, entry.Length, cancellationToken);
+                        sourceFs.ReadExactly(recordData, 0, entry.Length);
 
                         long newOffset = destFs.Position;
-                        await destFs.WriteAsync(recordData, 0, entry.Length, cancellationToken);
+                        destFs.Write(recordData, 0, entry.Length);
 
                         newIndex[key] = entry with { Offset = newOffset };
                     }
@@ -348,12 +403,15 @@ namespace UltimateServer.Services
                 _lock.ExitWriteLock();
             }
 
-            await Task.CompletedTask;
+            // The old offsets on disk no longer match the rewritten database file.
+            await SaveIndexAsync();
         }
 
-        private void PerformWrite<T>(string key, T obj)
+        private void PerformWrite<T>(string key, T obj) => PerformWrite(key, obj, typeof(T));
+
+        private void PerformWrite(string key, object obj, Type type)
         {
-            byte[] data = Serialize(obj);
+            byte[] data = Serialize(obj, type);
             int dataLength = data.Length;
 
             using var fs = new FileStream(_options.DatabaseFile, FileMode.Append, FileAccess.Write, FileShare.Read);
@@ -363,7 +421,7 @@ namespace UltimateServer.Services
             fs.Write(lenPrefix);
             fs.Write(data);
 
-            _index[key] = new IndexEntry(offset, dataLength + 4, typeof(T).AssemblyQualifiedName!, DateTime.UtcNow);
+            _index[key] = new IndexEntry(offset, dataLength + 4, type.AssemblyQualifiedName!, DateTime.UtcNow);
         }
 
         private void ValidateKey(string key)
@@ -411,19 +469,19 @@ namespace UltimateServer.Services
             _isIndexDirty = false;
         }
 
-        private static byte[] Serialize<T>(T obj)
+        private static byte[] Serialize(object obj, Type type)
         {
             using var ms = new MemoryStream();
-            var serializer = new DataContractSerializer(typeof(T));
+            var serializer = new DataContractSerializer(type);
             serializer.WriteObject(ms, obj);
             return ms.ToArray();
         }
 
-        private static T Deserialize<T>(byte[] data)
+        private static object Deserialize(byte[] data, Type type)
         {
             using var ms = new MemoryStream(data);
-            var serializer = new DataContractSerializer(typeof(T));
-            return (T)serializer.ReadObject(ms)!;
+            var serializer = new DataContractSerializer(type);
+            return serializer.ReadObject(ms)!;
         }
 
         private async void AutoSaveCallback(object state)
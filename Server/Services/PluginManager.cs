@@ -1,7 +1,10 @@
 ﻿using Microsoft.Extensions.DependencyInjection;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
 using System.Reflection;
 using System.Runtime.Loader;
 using UltimateServer.Events;
+using UltimateServer.Models;
 using UltimateServer.Plugins;
 
 namespace UltimateServer.Services
@@ -13,23 +16,37 @@ namespace UltimateServer.Services
     {
         private readonly Logger _logger;
         private readonly IEventBus _eventBus;
+        private readonly PluginSettingsService _pluginSettings;
+        private readonly PluginVerificationService _verification;
         public IServiceProvider _serviceProvider;
 
         private readonly Dictionary<string, IPlugin> _loadedPlugins = new();
         private readonly Dictionary<string, PluginContext> _pluginContexts = new();
         private readonly Dictionary<string, PluginLoadContext> _loadContexts = new();
         private readonly Dictionary<string, string> _uniquePaths = new();
+        private readonly Dictionary<string, string> _pluginPaths = new();
+        private readonly Dictionary<string, string> _loadErrors = new();
+        private readonly HashSet<string> _disabledPlugins = new(StringComparer.OrdinalIgnoreCase);
+        private readonly object _sync = new();
+        private string _pluginsDirectory = Path.GetFullPath("plugins");
 
         /// <summary>
         /// Initializes a new instance of the PluginManager class.
         /// </summary>
-        public PluginManager(Logger logger, IEventBus eventBus, IServiceProvider serviceProvider)
+        public PluginManager(Logger logger, IEventBus eventBus, PluginSettingsService pluginSettings, PluginVerificationService verification, IServiceProvider serviceProvider)
         {
             _logger = logger;
             _eventBus = eventBus;
+            _pluginSettings = pluginSettings;
+            _verification = verification;
             _serviceProvider = serviceProvider;
         }
 
+        /// <summary>
+        /// The directory plugins were last loaded from.
+        /// </summary>
+        public string PluginsDirectory => _pluginsDirectory;
+
         /// <summary>
         /// Scans the specified directory for plugin DLLs and loads them.
         /// </summary>
@@ -45,6 +62,11 @@ namespace UltimateServer.Services
             var absDir = Path.GetFullPath(pluginsDirectory);
             _logger.Log($"🔌 Scanning for plugins in '{absDir}'...");
 
+            _pluginsDirectory = absDir;
+            LoadDisabledList();
+            await _verification.LoadAsync();
+            lock (_sync) _loadErrors.Clear();
+
             var tempDir = Path.Combine(absDir, ".plugin_temp");
             Directory.CreateDirectory(tempDir);
 
@@ -78,6 +100,14 @@ namespace UltimateServer.Services
                 if (!IsValidNetAssembly(absolutePath))
                     return;
 
+                if (_verification.RequireSignatures && !_verification.IsTrusted(absolutePath))
+                {
+                    var (status, _) = _verification.GetStatus(absolutePath);
+                    _logger.LogSecurity($"Refused to load plugin '{absolutePath}': verification status is '{status}'");
+                    RecordLoadError(absolutePath, $"Signatures are required and this file is {status}. Install it through the marketplace or a signed upload.");
+                    return;
+                }
+
                 Directory.CreateDirectory(tempDir);
 
                 var uniqueFileName = $"{Path.GetFileNameWithoutExtension(absolutePath)}_{Guid.NewGuid()}{Path.GetExtension(absolutePath)}";
@@ -100,6 +130,7 @@ namespace UltimateServer.Services
                 if (!pluginTypes.Any())
                 {
                     _logger.LogWarning($"⚠️ No plugin types found in '{absolutePath}'");
+                    RecordLoadError(absolutePath, "No IPlugin implementation found in this assembly.");
                     SafeDelete(uniquePath);
                     _uniquePaths.Remove(absolutePath);
                     return;
@@ -115,18 +146,44 @@ namespace UltimateServer.Services
                             continue;
                         }
 
-                        var context = new PluginContext(_logger, _eventBus, _serviceProvider);
-                        _pluginContexts[plugin.Name] = context;
+                        bool disabled;
+                        lock (_sync) disabled = _disabledPlugins.Contains(plugin.Name);
+
+                        if (disabled)
+                        {
+                            lock (_sync)
+                            {
+                                _loadedPlugins[plugin.Name] = plugin;
+                                _pluginPaths[plugin.Name] = absolutePath;
+                            }
+                            _logger.Log($"⏸️ Plugin {plugin.Name} v{plugin.Version} is disabled and was not started.");
+                            continue;
+                        }
 
-                        await plugin.OnLoadAsync(context);
+                        var context = await CreateContextAsync(plugin.Name);
+                        try
+                        {
+                            await plugin.OnLoadAsync(context);
+                        }
+                        catch
+                        {
+                            context.Detach();
+                            throw;
+                        }
 
-                        _loadedPlugins[plugin.Name] = plugin;
+                        lock (_sync)
+                        {
+                            _pluginContexts[plugin.Name] = context;
+                            _loadedPlugins[plugin.Name] = plugin;
+                            _pluginPaths[plugin.Name] = absolutePath;
+                        }
                         _logger.Log($"✅ Loaded plugin: {plugin.Name} v{plugin.Version}");
                         await _eventBus.PublishAsync(new PluginLoadedEvent(plugin));
                     }
                     catch (Exception ex)
                     {
                         _logger.LogError($"❌ Failed to instantiate or load plugin type {pluginType.Name}: {ex.Message}");
+                        RecordLoadError(absolutePath, $"{pluginType.Name}: {ex.Message}");
                     }
                 }
             }
@@ -136,10 +193,12 @@ namespace UltimateServer.Services
                     .Select(e => e.Message)
                     .ToArray() ?? Array.Empty<string>();
                 _logger.LogError($"❌ Reflection error loading '{dllFile}': {ex.Message}. Loader Exceptions: {string.Join(", ", loaderMessages)}");
+                RecordLoadError(Path.GetFullPath(dllFile), $"{ex.Message} {string.Join(" ", loaderMessages)}".Trim());
             }
             catch (Exception ex)
             {
                 _logger.LogError($"❌ Failed to load plugin from '{dllFile}': {ex.Message}");
+                RecordLoadError(Path.GetFullPath(dllFile), ex.Message);
                 _logger.LogError($"💡 This can happen if the file is locked, corrupted, or unsigned properly.");
             }
         }
@@ -149,12 +208,18 @@ namespace UltimateServer.Services
         /// </summary>
         public async Task UpdateLoadedPluginsAsync(CancellationToken cancellationToken = default)
         {
-            foreach (var pluginEntry in _loadedPlugins)
+            List<KeyValuePair<string, IPlugin>> plugins;
+            lock (_sync) plugins = _loadedPlugins.ToList();
+
+            foreach (var pluginEntry in plugins)
             {
                 try
                 {
                     var plugin = pluginEntry.Value;
-                    var context = _pluginContexts[plugin.Name];
+                    var context = GetPluginContext(plugin.Name);
+                    if (context == null)
+                        continue;
+
                     _ = Task.Run(async () => plugin.OnUpdateAsync(context));
                 }
                 catch (Exception ex)
@@ -165,15 +230,230 @@ namespace UltimateServer.Services
         }
 
         /// <summary>
-        /// Gets a read-only dictionary of all loaded plugins.
+        /// Gets a snapshot of all loaded plugins, including disabled ones.
         /// </summary>
-        public IReadOnlyDictionary<string, IPlugin> GetLoadedPlugins() => _loadedPlugins;
+        public IReadOnlyDictionary<string, IPlugin> GetLoadedPlugins()
+        {
+            lock (_sync) return new Dictionary<string, IPlugin>(_loadedPlugins);
+        }
 
         /// <summary>
-        /// Gets the context associated with a specific plugin.
+        /// Gets the context associated with a specific plugin. Disabled plugins have no context.
         /// </summary>
         public PluginContext? GetPluginContext(string pluginName)
-            => _pluginContexts.TryGetValue(pluginName, out var context) ? context : null;
+        {
+            lock (_sync) return _pluginContexts.TryGetValue(pluginName, out var context) ? context : null;
+        }
+
+        /// <summary>
+        /// Describes every loaded plugin and every DLL that failed to load.
+        /// </summary>
+        public List<PluginInfo> GetPluginInfos()
+        {
+            lock (_sync)
+            {
+                var infos = _loadedPlugins.Values.Select(plugin =>
+                {
+                    _pluginContexts.TryGetValue(plugin.Name, out var context);
+                    _pluginPaths.TryGetValue(plugin.Name, out var path);
+                    return new PluginInfo
+                    {
+                        Id = plugin.Name,
+                        Name = plugin.Name,
+                        Version = plugin.Version,
+                        Loaded = true,
+                        Enabled = context != null,
+                        AssemblyPath = path ?? "",
+                        Routes = context?.Routes.ToList() ?? new List<string>(),
+                        Subscriptions = context?.Subscriptions.ToList() ?? new List<string>(),
+                        Commands = context?.Commands.ToList() ?? new List<string>(),
+                        HasSettings = context?.Settings.Count > 0
+                    };
+                }).ToList();
+
+                infos.AddRange(_loadErrors.Select(error => new PluginInfo
+                {
+                    Id = Path.GetFileNameWithoutExtension(error.Key),
+                    Name = Path.GetFileName(error.Key),
+                    Loaded = false,
+                    AssemblyPath = error.Key,
+                    LoadError = error.Value
+                }));
+
+                return infos.OrderBy(i => i.Name).ToList();
+            }
+        }
+
+        /// <summary>
+        /// Returns the settings schema an enabled plugin registered, together with its saved values.
+        /// </summary>
+        public (bool success, string message, IReadOnlyList<PluginSetting> schema, IReadOnlyDictionary<string, object> values) GetPluginSettings(string pluginName)
+        {
+            var context = GetPluginContext(pluginName);
+            if (context == null)
+                return (false, $"Plugin '{pluginName}' is not loaded or is disabled", null, null);
+
+            return (true, "", context.Settings, context.SavedSettings);
+        }
+
+        /// <summary>
+        /// Validates and saves new settings, then hands them to the running plugin.
+        /// Nothing is saved when any field is invalid.
+        /// </summary>
+        public async Task<(bool success, string message, Dictionary<string, string> errors)> UpdatePluginSettingsAsync(string pluginName, IDictionary<string, JToken> input)
+        {
+            var context = GetPluginContext(pluginName);
+            if (context == null)
+                return (false, $"Plugin '{pluginName}' is not loaded or is disabled", new Dictionary<string, string>());
+            if (context.Settings.Count == 0)
+                return (false, $"Plugin '{pluginName}' has no settings", new Dictionary<string, string>());
+
+            var (values, errors) = PluginSettingsService.Validate(context.Settings, input ?? new Dictionary<string, JToken>(), context.SavedSettings);
+            if (errors.Count > 0)
+                return (false, "Some settings are invalid", errors);
+
+            if (!await _pluginSettings.SaveAsync(pluginName, values))
+                return (false, "Failed to save settings", errors);
+
+            await context.ApplySettingsAsync(values);
+            return (true, $"Settings for '{pluginName}' saved", errors);
+        }
+
+        /// <summary>
+        /// Starts a disabled plugin again with a fresh context and remembers that it is enabled.
+        /// </summary>
+        public async Task<(bool success, string message)> EnablePluginAsync(string pluginName)
+        {
+            IPlugin plugin;
+            lock (_sync)
+            {
+                if (!_loadedPlugins.TryGetValue(pluginName, out plugin))
+                    return (false, $"Plugin '{pluginName}' is not loaded");
+                if (_pluginContexts.ContainsKey(pluginName))
+                    return (false, $"Plugin '{pluginName}' is already enabled");
+            }
+
+            var context = await CreateContextAsync(plugin.Name);
+            try
+            {
+                await plugin.OnLoadAsync(context);
+            }
+            catch (Exception ex)
+            {
+                context.Detach();
+                _logger.LogError($"❌ Failed to enable plugin {pluginName}: {ex.Message}");
+                return (false, $"Plugin failed to start: {ex.Message}");
+            }
+
+            lock (_sync)
+            {
+                _pluginContexts[pluginName] = context;
+                _disabledPlugins.Remove(pluginName);
+            }
+            SaveDisabledList();
+
+            _logger.Log($"▶️ Plugin enabled: {pluginName}");
+            return (true, $"Plugin '{pluginName}' enabled");
+        }
+
+        /// <summary>
+        /// Stops a plugin and drops its routes and subscriptions but keeps it loaded.
+        /// The plugin stays disabled across restarts until it is enabled again.
+        /// </summary>
+        public async Task<(bool success, string message)> DisablePluginAsync(string pluginName)
+        {
+            lock (_sync)
+            {
+                if (!_loadedPlugins.ContainsKey(pluginName))
+                    return (false, $"Plugin '{pluginName}' is not loaded");
+                if (!_pluginContexts.ContainsKey(pluginName))
+                    return (false, $"Plugin '{pluginName}' is already disabled");
+            }
+
+            await StopPluginAsync(pluginName);
+
+            lock (_sync) _disabledPlugins.Add(pluginName);
+            SaveDisabledList();
+
+            _logger.Log($"⏸️ Plugin disabled: {pluginName}");
+            return (true, $"Plugin '{pluginName}' disabled");
+        }
+
+        /// <summary>
+        /// Removes a plugin from memory. Its DLL stays in the plugins directory, so it comes back on the next reload.
+        /// </summary>
+        public async Task<(bool success, string message)> UnloadPluginAsync(string pluginName)
+        {
+            string path;
+            lock (_sync)
+            {
+                if (!_loadedPlugins.ContainsKey(pluginName))
+                    return (false, $"Plugin '{pluginName}' is not loaded");
+                _pluginPaths.TryGetValue(pluginName, out path);
+            }
+
+            await StopPluginAsync(pluginName);
+
+            bool assemblyInUse;
+            lock (_sync)
+            {
+                _loadedPlugins.Remove(pluginName);
+                _pluginPaths.Remove(pluginName);
+                assemblyInUse = path != null && _pluginPaths.ContainsValue(path);
+            }
+
+            if (path != null && !assemblyInUse)
+                await UnloadAssemblyAsync(path);
+
+            _logger.Log($"⏏️ Plugin unloaded: {pluginName}");
+            return (true, $"Plugin '{pluginName}' unloaded");
+        }
+
+        /// <summary>
+        /// Unloads every plugin that came from the same DLL as <paramref name="pluginId"/> and deletes the DLL.
+        /// Also accepts the file name of a DLL that failed to load.
+        /// </summary>
+        public async Task<(bool success, string message)> UninstallPluginAsync(string pluginId)
+        {
+            string path;
+            lock (_sync)
+            {
+                if (!_pluginPaths.TryGetValue(pluginId, out path))
+                    path = _loadErrors.Keys.FirstOrDefault(p => Path.GetFileNameWithoutExtension(p).Equals(pluginId, StringComparison.OrdinalIgnoreCase));
+            }
+
+            if (path == null)
+                return (false, $"Plugin '{pluginId}' not found");
+
+            List<string> pluginNames;
+            lock (_sync) pluginNames = _pluginPaths.Where(p => p.Value == path).Select(p => p.Key).ToList();
+
+            foreach (var name in pluginNames)
+                await UnloadPluginAsync(name);
+
+            try
+            {
+                if (File.Exists(path))
+                    File.Delete(path);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"❌ Failed to delete plugin file '{path}': {ex.Message}");
+                return (false, $"Plugin was unloaded but its file could not be deleted: {ex.Message}");
+            }
+
+            lock (_sync)
+            {
+                _loadErrors.Remove(path);
+                foreach (var name in pluginNames)
+                    _disabledPlugins.Remove(name);
+            }
+            SaveDisabledList();
+            await _verification.RemoveAsync(path);
+
+            _logger.Log($"🗑️ Plugin uninstalled: {Path.GetFileName(path)}");
+            return (true, $"'{Path.GetFileName(path)}' uninstalled");
+        }
 
         /// <summary>
         /// Unloads all loaded plugins and cleans up resources.
@@ -182,20 +462,20 @@ namespace UltimateServer.Services
         {
             _logger.Log("🔌 Unloading all plugins...");
 
-            foreach (var plugin in _loadedPlugins.Values.ToList())
+            List<string> enabledPlugins;
+            lock (_sync) enabledPlugins = _pluginContexts.Keys.ToList();
+
+            foreach (var pluginName in enabledPlugins)
             {
-                try
-                {
-                    await plugin.OnUnloadAsync();
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogError($"❌ Error during OnUnloadAsync for plugin {plugin.Name}: {ex.Message}");
-                }
+                await StopPluginAsync(pluginName);
             }
 
-            _loadedPlugins.Clear();
-            _pluginContexts.Clear();
+            lock (_sync)
+            {
+                _loadedPlugins.Clear();
+                _pluginContexts.Clear();
+                _pluginPaths.Clear();
+            }
 
             foreach (var kv in _loadContexts.ToList())
             {
@@ -231,6 +511,109 @@ namespace UltimateServer.Services
             _logger.Log("🔌 All plugins unloaded.");
         }
 
+        /// <summary>
+        /// Loads the plugin's saved settings and builds its context.
+        /// </summary>
+        private async Task<PluginContext> CreateContextAsync(string pluginName)
+        {
+            var settings = await _pluginSettings.LoadAsync(pluginName);
+            return new PluginContext(_logger, _eventBus, _serviceProvider, settings, pluginName);
+        }
+
+        /// <summary>
+        /// Calls OnUnloadAsync and detaches the plugin's context.
+        /// </summary>
+        private async Task StopPluginAsync(string pluginName)
+        {
+            IPlugin plugin;
+            PluginContext context;
+            lock (_sync)
+            {
+                _loadedPlugins.TryGetValue(pluginName, out plugin);
+                if (!_pluginContexts.Remove(pluginName, out context))
+                    return;
+            }
+
+            try
+            {
+                await plugin.OnUnloadAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"❌ Error during OnUnloadAsync for plugin {pluginName}: {ex.Message}");
+            }
+
+            context.Detach();
+        }
+
+        /// <summary>
+        /// Unloads the load context of a single plugin DLL and deletes its temporary copy.
+        /// </summary>
+        private async Task UnloadAssemblyAsync(string absolutePath)
+        {
+            if (_loadContexts.Remove(absolutePath, out var loadContext))
+            {
+                try
+                {
+                    loadContext.Unload();
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError($"❌ Failed to unload PluginLoadContext for '{absolutePath}': {ex.Message}");
+                }
+            }
+
+            for (int i = 0; i < 3; i++)
+            {
+                GC.Collect();
+                GC.WaitForPendingFinalizers();
+                await Task.Delay(100);
+            }
+
+            if (_uniquePaths.Remove(absolutePath, out var uniquePath))
+                SafeDelete(uniquePath);
+        }
+
+        private void RecordLoadError(string absolutePath, string message)
+        {
+            lock (_sync) _loadErrors[absolutePath] = message;
+        }
+
+        private void LoadDisabledList()
+        {
+            var path = Path.Combine(_pluginsDirectory, "disabled.json");
+            try
+            {
+                if (!File.Exists(path))
+                    return;
+
+                var names = JsonConvert.DeserializeObject<List<string>>(File.ReadAllText(path)) ?? new List<string>();
+                lock (_sync)
+                {
+                    _disabledPlugins.Clear();
+                    _disabledPlugins.UnionWith(names);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"❌ Failed to read disabled plugins list: {ex.Message}");
+            }
+        }
+
+        private void SaveDisabledList()
+        {
+            try
+            {
+                List<string> names;
+                lock (_sync) names = _disabledPlugins.OrderBy(n => n).ToList();
+                File.WriteAllText(Path.Combine(_pluginsDirectory, "disabled.json"), JsonConvert.SerializeObject(names, Formatting.Indented));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"❌ Failed to save disabled plugins list: {ex.Message}");
+            }
+        }
+
         /// <summary>
         /// Determines if a file name represents a generated copy based on naming convention.
         /// </summary>
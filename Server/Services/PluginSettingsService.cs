@@ -0,0 +1,151 @@
+﻿using System.Globalization;
+using System.Text.RegularExpressions;
+using Newtonsoft.Json.Linq;
+using UltimateServer.Plugins;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Persists plugin settings in DataBox and validates submitted values against a plugin's schema.
+    /// </summary>
+    public class PluginSettingsService
+    {
+        private const string KeyPrefix = "plugin_settings_";
+
+        private readonly DataBox _dataBox;
+        private readonly Logger _logger;
+
+        public PluginSettingsService(DataBox dataBox, Logger logger)
+        {
+            _dataBox = dataBox;
+            _logger = logger;
+        }
+
+        public async Task<Dictionary<string, object>> LoadAsync(string pluginName)
+        {
+            return await _dataBox.LoadData<Dictionary<string, object>>(KeyPrefix + pluginName) ?? new Dictionary<string, object>();
+        }
+
+        public async Task<bool> SaveAsync(string pluginName, Dictionary<string, object> values)
+        {
+            bool saved = await _dataBox.SaveData(KeyPrefix + pluginName, values);
+            if (saved)
+                _logger.Log($"🔧 Saved settings for plugin {pluginName}");
+            return saved;
+        }
+
+        /// <summary>
+        /// Checks submitted values against the schema. Keys that are missing, null or empty fall back to
+        /// the default, except secrets, which keep their current value so the dashboard never needs to see them.
+        /// </summary>
+        public static (Dictionary<string, object> values, Dictionary<string, string> errors) Validate(
+            IEnumerable<PluginSetting> schema,
+            IDictionary<string, JToken> input,
+            IReadOnlyDictionary<string, object> current)
+        {
+            var values = new Dictionary<string, object>();
+            var errors = new Dictionary<string, string>();
+
+            foreach (var setting in schema)
+            {
+                input.TryGetValue(setting.Key, out var token);
+                bool empty = token == null || token.Type == JTokenType.Null ||
+                             (token.Type == JTokenType.String && string.IsNullOrEmpty(token.ToObject<string>()));
+
+                if (empty)
+                {
+                    if (setting.Secret && current.TryGetValue(setting.Key, out var secret))
+                        values[setting.Key] = secret;
+                    else if (setting.Required && setting.Default == null)
+                        errors[setting.Key] = $"{DisplayName(setting)} is required";
+                    continue;
+                }
+
+                var (value, error) = Convert(setting, token);
+                if (error != null)
+                    errors[setting.Key] = error;
+                else
+                    values[setting.Key] = value;
+            }
+
+            return (values, errors);
+        }
+
+        /// <summary>
+        /// Brings a stored value back to the CLR type its setting uses (string, double or bool).
+        /// Values read back from disk may have been stored as a different numeric type.
+        /// </summary>
+        public static object Normalize(PluginSetting setting, object value)
+        {
+            if (value == null)
+                return null;
+
+            try
+            {
+                return setting.Type switch
+                {
+                    PluginSettingType.Number => System.Convert.ToDouble(value, CultureInfo.InvariantCulture),
+                    PluginSettingType.Boolean => System.Convert.ToBoolean(value, CultureInfo.InvariantCulture),
+                    _ => System.Convert.ToString(value, CultureInfo.InvariantCulture)
+                };
+            }
+            catch (Exception)
+            {
+                return setting.Default;
+            }
+        }
+
+        private static (object value, string error) Convert(PluginSetting setting, JToken token)
+        {
+            string name = DisplayName(setting);
+
+            switch (setting.Type)
+            {
+                case PluginSettingType.Boolean:
+                    if (token.Type == JTokenType.Boolean)
+                        return (token.ToObject<bool>(), null);
+                    if (bool.TryParse(token.ToString(), out bool flag))
+                        return (flag, null);
+                    return (null, $"{name} must be true or false");
+
+                case PluginSettingType.Number:
+                    if (!double.TryParse(token.ToString(), NumberStyles.Float, CultureInfo.InvariantCulture, out double number))
+                        return (null, $"{name} must be a number");
+                    if (setting.Min.HasValue && number < setting.Min)
+                        return (null, $"{name} must be at least {setting.Min}");
+                    if (setting.Max.HasValue && number > setting.Max)
+                        return (null, $"{name} must be at most {setting.Max}");
+                    return (number, null);
+
+                case PluginSettingType.Select:
+                    string option = token.ToString();
+                    if (!setting.Options.Contains(option))
+                        return (null, $"{name} must be one of: {string.Join(", ", setting.Options)}");
+                    return (option, null);
+
+                default:
+                    string text = token.ToString();
+                    if (setting.Min.HasValue && text.Length < setting.Min)
+                        return (null, $"{name} must be at least {setting.Min} characters");
+                    if (setting.Max.HasValue && text.Length > setting.Max)
+                        return (null, $"{name} must be at most {setting.Max} characters");
+                    if (!string.IsNullOrEmpty(setting.Pattern))
+                    {
+                        try
+                        {
+                            if (!Regex.IsMatch(text, setting.Pattern, RegexOptions.None, TimeSpan.FromMilliseconds(200)))
+                                return (null, $"{name} has an invalid format");
+                        }
+                        catch (RegexMatchTimeoutException)
+                        {
+                            return (null, $"{name} has an invalid format");
+                        }
+                    }
+                    return (text, null);
+            }
+        }
+
+        private static string DisplayName(PluginSetting setting)
+            => string.IsNullOrEmpty(setting.Label) ? setting.Key : setting.Label;
+    }
+}
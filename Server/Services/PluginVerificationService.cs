@@ -0,0 +1,222 @@
+﻿using System.Collections.Concurrent;
+using System.Security.Cryptography;
+using UltimateServer.Models;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Checks plugin files against a SHA-256 checksum and an optional publisher signature before they
+    /// are placed in the plugins directory, and remembers the outcome per file so the dashboard can show it
+    /// and <see cref="PluginManager"/> can refuse files that changed afterwards.
+    /// Signatures are base64 over the raw file bytes, made with an RSA (PKCS#1 v1.5) or ECDSA key and SHA-256,
+    /// e.g. <c>openssl dgst -sha256 -sign key.pem plugin.dll | base64 -w0</c>.
+    /// </summary>
+    public class PluginVerificationService
+    {
+        private const string RecordsKey = "plugin_verifications";
+
+        private readonly ServerConfig _config;
+        private readonly DataBox _dataBox;
+        private readonly Logger _logger;
+        private readonly object _recordsLock = new();
+        private Dictionary<string, PluginVerification> _records;
+        private readonly ConcurrentDictionary<string, (DateTime modified, long length, string sha256)> _fileHashes = new();
+
+        public PluginVerificationService(ConfigManager configManager, DataBox dataBox, Logger logger)
+        {
+            _config = configManager.Config;
+            _dataBox = dataBox;
+            _logger = logger;
+        }
+
+        public bool RequireSignatures => _config.RequirePluginSignatures;
+
+        public async Task LoadAsync()
+        {
+            var records = await _dataBox.LoadData<Dictionary<string, PluginVerification>>(RecordsKey)
+                          ?? new Dictionary<string, PluginVerification>();
+
+            lock (_recordsLock)
+                _records = new Dictionary<string, PluginVerification>(records, StringComparer.OrdinalIgnoreCase);
+        }
+
+        /// <summary>
+        /// Hashes <paramref name="data"/> and checks it against the expected checksum and signature.
+        /// A missing signature is not an error here; callers decide whether unsigned files are acceptable.
+        /// </summary>
+        public PluginVerificationResult Verify(byte[] data, string expectedSha256, string signature)
+        {
+            var result = new PluginVerificationResult { Sha256 = ComputeSha256(data), Valid = true };
+
+            if (!string.IsNullOrWhiteSpace(expectedSha256))
+            {
+                if (!result.Sha256.Equals(expectedSha256.Trim(), StringComparison.OrdinalIgnoreCase))
+                    return Fail(result, $"SHA-256 mismatch: expected {expectedSha256.Trim().ToLowerInvariant()}, got {result.Sha256}");
+
+                result.ChecksumVerified = true;
+            }
+
+            if (string.IsNullOrWhiteSpace(signature))
+                return result;
+
+            byte[] signatureBytes;
+            try
+            {
+                signatureBytes = Convert.FromBase64String(signature.Trim());
+            }
+            catch (FormatException)
+            {
+                return Fail(result, "Signature is not valid base64");
+            }
+
+            foreach (var key in _config.TrustedPluginKeys)
+            {
+                if (VerifySignature(key, data, signatureBytes))
+                {
+                    result.Signed = true;
+                    result.Publisher = key.Name;
+                    return result;
+                }
+            }
+
+            return Fail(result, "Signature does not match any trusted key");
+        }
+
+        public async Task RecordAsync(string fileName, PluginVerificationResult result, string source)
+        {
+            var record = new PluginVerification
+            {
+                FileName = Path.GetFileName(fileName),
+                Sha256 = result.Sha256,
+                ChecksumVerified = result.ChecksumVerified,
+                Signed = result.Signed,
+                Publisher = result.Publisher,
+                Source = source,
+                VerifiedAt = DateTime.UtcNow
+            };
+
+            Dictionary<string, PluginVerification> snapshot;
+            lock (_recordsLock)
+            {
+                _records ??= new Dictionary<string, PluginVerification>(StringComparer.OrdinalIgnoreCase);
+                _records[record.FileName] = record;
+                snapshot = new Dictionary<string, PluginVerification>(_records);
+            }
+
+            await _dataBox.SaveData(RecordsKey, snapshot);
+        }
+
+        public async Task RemoveAsync(string fileName)
+        {
+            Dictionary<string, PluginVerification> snapshot;
+            lock (_recordsLock)
+            {
+                if (_records == null || !_records.Remove(Path.GetFileName(fileName)))
+                    return;
+                snapshot = new Dictionary<string, PluginVerification>(_records);
+            }
+
+            await _dataBox.SaveData(RecordsKey, snapshot);
+        }
+
+        /// <summary>
+        /// Describes a plugin file on disk: <c>signed</c>, <c>checksum</c> (checksum matched, no signature),
+        /// <c>unsigned</c> (accepted without either), <c>modified</c> (changed since it was verified)
+        /// or <c>unverified</c> (never went through upload or the marketplace).
+        /// </summary>
+        public (string status, PluginVerification record) GetStatus(string filePath)
+        {
+            PluginVerification record;
+            lock (_recordsLock)
+            {
+                if (_records == null || !_records.TryGetValue(Path.GetFileName(filePath), out record))
+                    return ("unverified", null);
+            }
+
+            if (!File.Exists(filePath) || !HashFile(filePath).Equals(record.Sha256, StringComparison.OrdinalIgnoreCase))
+                return ("modified", record);
+
+            if (record.Signed)
+                return ("signed", record);
+
+            return (record.ChecksumVerified ? "checksum" : "unsigned", record);
+        }
+
+        /// <summary>
+        /// True when the file is unchanged since it was verified with a trusted signature.
+        /// </summary>
+        public bool IsTrusted(string filePath) => GetStatus(filePath).status == "signed";
+
+        public static string ComputeSha256(byte[] data) => Convert.ToHexString(SHA256.HashData(data)).ToLowerInvariant();
+
+        /// <summary>
+        /// The plugin list is polled, so hashes are reused until the file's size or write time changes.
+        /// </summary>
+        private string HashFile(string filePath)
+        {
+            var info = new FileInfo(filePath);
+            if (_fileHashes.TryGetValue(filePath, out var cached) && cached.modified == info.LastWriteTimeUtc && cached.length == info.Length)
+                return cached.sha256;
+
+            string sha256 = ComputeSha256(File.ReadAllBytes(filePath));
+            _fileHashes[filePath] = (info.LastWriteTimeUtc, info.Length, sha256);
+            return sha256;
+        }
+
+        private bool VerifySignature(TrustedPluginKey key, byte[] data, byte[] signature)
+        {
+            if (string.IsNullOrWhiteSpace(key.PublicKey))
+                return false;
+
+            try
+            {
+                using (var ecdsa = ECDsa.Create())
+                {
+                    if (TryImport(ecdsa, key.PublicKey))
+                    {
+                        return ecdsa.VerifyData(data, signature, HashAlgorithmName.SHA256, DSASignatureFormat.Rfc3279DerSequence) ||
+                               ecdsa.VerifyData(data, signature, HashAlgorithmName.SHA256, DSASignatureFormat.IeeeP1363FixedFieldConcatenation);
+                    }
+                }
+
+                using (var rsa = RSA.Create())
+                {
+                    if (TryImport(rsa, key.PublicKey))
+                        return rsa.VerifyData(data, signature, HashAlgorithmName.SHA256, RSASignaturePadding.Pkcs1);
+                }
+            }
+            catch (CryptographicException ex)
+            {
+                _logger.LogWarning($"Trusted plugin key '{key.Name}' could not be used: {ex.Message}");
+            }
+
+            return false;
+        }
+
+        /// <summary>
+        /// Accepts a PEM public key or base64 SubjectPublicKeyInfo.
+        /// </summary>
+        private static bool TryImport(AsymmetricAlgorithm algorithm, string publicKey)
+        {
+            try
+            {
+                if (publicKey.Contains("-----BEGIN"))
+                    algorithm.ImportFromPem(publicKey);
+                else
+                    algorithm.ImportSubjectPublicKeyInfo(Convert.FromBase64String(publicKey.Trim()), out _);
+                return true;
+            }
+            catch (Exception ex) when (ex is CryptographicException || ex is ArgumentException || ex is FormatException)
+            {
+                return false;
+            }
+        }
+
+        private static PluginVerificationResult Fail(PluginVerificationResult result, string error)
+        {
+            result.Valid = false;
+            result.Error = error;
+            return result;
+        }
+    }
+}
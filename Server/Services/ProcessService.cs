@@ -0,0 +1,224 @@
+﻿using System.Collections.Concurrent;
+using System.Diagnostics;
+using UltimateServer.Models;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Lists host processes with their resource usage and sends signals to a single PID.
+    /// The server itself, PID 1, kernel threads and names in <see cref="ServerConfig.ProtectedProcesses"/> can't be signalled.
+    /// </summary>
+    public class ProcessService
+    {
+        private readonly Logger _logger;
+        private readonly ServerConfig _config;
+        private readonly ConcurrentDictionary<int, (TimeSpan cpu, DateTime sampledAt)> _lastCpuTimes = new();
+
+        public ProcessService(ConfigManager configManager, Logger logger)
+        {
+            _config = configManager.Config;
+            _logger = logger;
+        }
+
+        public IReadOnlyList<string> ProtectedNames => _config.ProtectedProcesses;
+
+        /// <summary>
+        /// CPU% is measured since the previous call, so the first listing shows the average since each process started.
+        /// </summary>
+        public List<ProcessInfo> GetProcesses()
+        {
+            var now = DateTime.UtcNow;
+            var userNames = ReadUserNames();
+            var result = new List<ProcessInfo>();
+            var seen = new HashSet<int>();
+
+            foreach (var process in Process.GetProcesses())
+            {
+                using (process)
+                {
+                    try
+                    {
+                        var info = new ProcessInfo
+                        {
+                            Pid = process.Id,
+                            Name = process.ProcessName,
+                            RssMB = Math.Round(process.WorkingSet64 / 1024.0 / 1024.0, 1)
+                        };
+
+                        try { info.StartTime = process.StartTime.ToUniversalTime(); } catch { }
+
+                        try
+                        {
+                            var cpu = process.TotalProcessorTime;
+                            if (_lastCpuTimes.TryGetValue(info.Pid, out var last) && cpu >= last.cpu)
+                                info.CpuPercent = ToPercent(cpu - last.cpu, now - last.sampledAt);
+                            else if (info.StartTime.HasValue)
+                                info.CpuPercent = ToPercent(cpu, now - info.StartTime.Value);
+
+                            _lastCpuTimes[info.Pid] = (cpu, now);
+                        }
+                        catch { }
+
+                        if (!OperatingSystem.IsWindows())
+                        {
+                            info.User = ReadUser(info.Pid, userNames);
+                            info.CommandLine = ReadCommandLine(info.Pid);
+                        }
+
+                        info.Protected = IsProtected(info.Pid, info.Name, info.CommandLine);
+                        seen.Add(info.Pid);
+                        result.Add(info);
+                    }
+                    catch (InvalidOperationException)
+                    {
+                        // The process exited while we were reading it.
+                    }
+                }
+            }
+
+            foreach (var pid in _lastCpuTimes.Keys.Where(pid => !seen.Contains(pid)))
+            {
+                _lastCpuTimes.TryRemove(pid, out _);
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// Sends SIGTERM or SIGKILL to one PID. <paramref name="expectedName"/> guards against the PID
+        /// having been reused by another process since the list was loaded.
+        /// </summary>
+        public async Task<(bool success, string message)> SendSignalAsync(int pid, string signal, string expectedName)
+        {
+            signal = (signal ?? "SIGTERM").ToUpperInvariant();
+            if (signal != "SIGTERM" && signal != "SIGKILL")
+                return (false, "Signal must be SIGTERM or SIGKILL");
+
+            Process process;
+            try
+            {
+                process = Process.GetProcessById(pid);
+            }
+            catch (ArgumentException)
+            {
+                return (false, $"No process with PID {pid}");
+            }
+
+            using (process)
+            {
+                string name = process.ProcessName;
+                if (!string.IsNullOrEmpty(expectedName) && !name.Equals(expectedName, StringComparison.Ordinal))
+                    return (false, $"PID {pid} is now '{name}', not '{expectedName}'. Refresh the list and try again.");
+
+                string commandLine = OperatingSystem.IsWindows() ? "" : ReadCommandLine(pid);
+                if (IsProtected(pid, name, commandLine))
+                {
+                    _logger.LogSecurity($"Blocked {signal} to protected process {name} ({pid})");
+                    return (false, $"'{name}' ({pid}) is protected and can't be stopped from the dashboard");
+                }
+
+                if (OperatingSystem.IsWindows())
+                {
+                    if (signal == "SIGTERM")
+                        return (false, "SIGTERM is not supported on Windows; use SIGKILL");
+
+                    process.Kill();
+                }
+                else
+                {
+                    var (exitCode, error) = await RunKillAsync(pid, signal == "SIGKILL" ? "KILL" : "TERM");
+                    if (exitCode != 0)
+                        return (false, string.IsNullOrWhiteSpace(error) ? $"kill exited with code {exitCode}" : error.Trim());
+                }
+
+                _logger.LogSecurity($"Sent {signal} to {name} ({pid})");
+                return (true, $"Sent {signal} to '{name}' ({pid})");
+            }
+        }
+
+        private bool IsProtected(int pid, string name, string commandLine)
+        {
+            if (pid <= 2 || pid == Environment.ProcessId)
+                return true;
+
+            // Kernel threads have no command line.
+            if (!OperatingSystem.IsWindows() && string.IsNullOrEmpty(commandLine))
+                return true;
+
+            return _config.ProtectedProcesses.Any(p => p.Equals(name, StringComparison.OrdinalIgnoreCase));
+        }
+
+        private static double ToPercent(TimeSpan cpu, TimeSpan elapsed)
+        {
+            if (elapsed.TotalMilliseconds <= 0)
+                return 0;
+
+            return Math.Round(cpu.TotalMilliseconds / (elapsed.TotalMilliseconds * Environment.ProcessorCount) * 100, 1);
+        }
+
+        private static async Task<(int exitCode, string error)> RunKillAsync(int pid, string signal)
+        {
+            var process = new Process();
+            process.StartInfo.FileName = "kill";
+            process.StartInfo.ArgumentList.Add("-s");
+            process.StartInfo.ArgumentList.Add(signal);
+            process.StartInfo.ArgumentList.Add(pid.ToString());
+            process.StartInfo.RedirectStandardError = true;
+            process.StartInfo.UseShellExecute = false;
+            process.StartInfo.CreateNoWindow = true;
+
+            using (process)
+            {
+                process.Start();
+                string error = await process.StandardError.ReadToEndAsync();
+                await process.WaitForExitAsync();
+                return (process.ExitCode, error);
+            }
+        }
+
+        private static string ReadCommandLine(int pid)
+        {
+            try
+            {
+                return File.ReadAllText($"/proc/{pid}/cmdline").Replace('\0', ' ').Trim();
+            }
+            catch
+            {
+                return "";
+            }
+        }
+
+        private static string ReadUser(int pid, Dictionary<string, string> userNames)
+        {
+            try
+            {
+                string uidLine = File.ReadLines($"/proc/{pid}/status").FirstOrDefault(l => l.StartsWith("Uid:"));
+                string uid = uidLine?.Split((char[])null, StringSplitOptions.RemoveEmptyEntries).ElementAtOrDefault(1);
+                if (uid == null)
+                    return "";
+
+                return userNames.TryGetValue(uid, out var name) ? name : uid;
+            }
+            catch
+            {
+                return "";
+            }
+        }
+
+        private static Dictionary<string, string> ReadUserNames()
+        {
+            var names = new Dictionary<string, string>();
+            if (OperatingSystem.IsWindows() || !File.Exists("/etc/passwd"))
+                return names;
+
+            foreach (var line in File.ReadLines("/etc/passwd"))
+            {
+                var parts = line.Split(':');
+                if (parts.Length > 2)
+                    names.TryAdd(parts[2], parts[0]);
+            }
+
+            return names;
+        }
+    }
+}
@@ -0,0 +1,196 @@
+﻿using System.Collections.Concurrent;
+using System.Diagnostics;
+using System.Net;
+using System.Net.Sockets;
+using System.Security.Cryptography.X509Certificates;
+using UltimateServer.Events;
+using UltimateServer.Models;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Probes every enabled site on a timer and keeps the latest result per site. Requests are sent to
+    /// this machine but carry the site's own host name, so the probe goes through the same server block
+    /// (and certificate, for TLS sites) that visitors hit, even when DNS points elsewhere.
+    /// </summary>
+    class SiteHealthService
+    {
+        private static readonly TimeSpan ProbeTimeout = TimeSpan.FromSeconds(10);
+
+        private static readonly HttpClient _probeClient = new(new SocketsHttpHandler
+        {
+            AllowAutoRedirect = false,
+            PooledConnectionLifetime = TimeSpan.Zero,
+            SslOptions = { RemoteCertificateValidationCallback = (_, _, _, _) => true },
+            ConnectCallback = async (context, cancellationToken) =>
+            {
+                var socket = new Socket(SocketType.Stream, ProtocolType.Tcp) { NoDelay = true };
+                try
+                {
+                    await socket.ConnectAsync(new IPEndPoint(IPAddress.Loopback, context.DnsEndPoint.Port), cancellationToken);
+                    return new NetworkStream(socket, ownsSocket: true);
+                }
+                catch
+                {
+                    socket.Dispose();
+                    throw;
+                }
+            }
+        })
+        { Timeout = ProbeTimeout };
+
+        private readonly SitePress _sitePress;
+        private readonly IEventBus _eventBus;
+        private readonly Logger _logger;
+        private readonly TimeSpan _interval;
+        private readonly ConcurrentDictionary<string, SiteHealth> _health = new();
+        private readonly CancellationTokenSource _cts = new();
+
+        public SiteHealthService(SitePress sitePress, IEventBus eventBus, ConfigManager configManager, Logger logger)
+        {
+            _sitePress = sitePress;
+            _eventBus = eventBus;
+            _logger = logger;
+            _interval = TimeSpan.FromSeconds(Math.Max(10, configManager.Config.SiteHealthCheckSeconds));
+        }
+
+        public void Start()
+        {
+            _ = Task.Run(async () =>
+            {
+                while (!_cts.Token.IsCancellationRequested)
+                {
+                    try
+                    {
+                        await CheckAllAsync();
+                        await Task.Delay(_interval, _cts.Token);
+                    }
+                    catch (OperationCanceledException)
+                    {
+                        break;
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError($"Site health check error: {ex.Message}");
+                    }
+                }
+            });
+        }
+
+        public void Stop() => _cts.Cancel();
+
+        /// <summary>
+        /// Latest known health of every site, without probing. Sites that haven't been checked yet
+        /// are returned with <see cref="SiteHealth.Up"/> unset.
+        /// </summary>
+        public List<SiteHealth> GetAll()
+        {
+            var sites = _sitePress.sites?.Values.ToList() ?? new List<Site>();
+
+            return sites
+                .OrderBy(s => s.Name)
+                .Select(site => _health.TryGetValue(site.Name, out var health) && health.Enabled == site.Enabled
+                    ? health
+                    : new SiteHealth { Name = site.Name, Enabled = site.Enabled, NginxActive = File.Exists(SitePress.GetNginxEnabledPath(site.Name)) })
+                .ToList();
+        }
+
+        public async Task<List<SiteHealth>> CheckAllAsync()
+        {
+            var sites = _sitePress.sites?.Values.ToList() ?? new List<Site>();
+
+            foreach (var removed in _health.Keys.Where(name => sites.All(s => s.Name != name)).ToList())
+                _health.TryRemove(removed, out _);
+
+            foreach (var site in sites)
+                await CheckAsync(site);
+
+            return GetAll();
+        }
+
+        public async Task<SiteHealth> CheckAsync(Site site)
+        {
+            _health.TryGetValue(site.Name, out var previous);
+
+            var health = new SiteHealth
+            {
+                Name = site.Name,
+                Enabled = site.Enabled,
+                NginxActive = File.Exists(SitePress.GetNginxEnabledPath(site.Name)),
+                CertificateExpiry = site.Tls ? ReadCertificateExpiry(site.Name) : null,
+                CheckedAt = DateTime.UtcNow
+            };
+
+            if (site.Enabled)
+            {
+                await ProbeAsync(site, health);
+                health.DownSince = health.Up == true ? null : previous?.DownSince ?? health.CheckedAt;
+
+                if (previous?.Up != health.Up && (previous?.Up != null || health.Up == false))
+                    await ReportChangeAsync(site, health);
+            }
+
+            _health[site.Name] = health;
+            return health;
+        }
+
+        /// <summary>
+        /// A site counts as up when it answers with anything below 500; redirects and 404s still
+        /// mean Nginx and the site's backend are serving requests.
+        /// </summary>
+        private static async Task ProbeAsync(Site site, SiteHealth health)
+        {
+            string host = site.Domains.FirstOrDefault(d => !d.StartsWith("*.")) ?? site.Name;
+            string url = site.Tls ? $"https://{host}/" : $"http://{host}:{site.Port}/";
+            var stopwatch = Stopwatch.StartNew();
+
+            try
+            {
+                using var response = await _probeClient.GetAsync(url, HttpCompletionOption.ResponseHeadersRead);
+                health.ResponseTimeMs = stopwatch.ElapsedMilliseconds;
+                health.StatusCode = (int)response.StatusCode;
+                health.Up = health.StatusCode < 500;
+                if (health.Up == false)
+                    health.Error = $"HTTP {health.StatusCode} {response.ReasonPhrase}";
+            }
+            catch (TaskCanceledException)
+            {
+                health.Up = false;
+                health.Error = $"No response within {ProbeTimeout.TotalSeconds:0} seconds";
+            }
+            catch (HttpRequestException ex)
+            {
+                health.Up = false;
+                health.Error = ex.InnerException?.Message ?? ex.Message;
+            }
+        }
+
+        private async Task ReportChangeAsync(Site site, SiteHealth health)
+        {
+            if (health.Up == true)
+                _logger.Log($"✅ Site {site.Name} is back up (HTTP {health.StatusCode}, {health.ResponseTimeMs} ms)");
+            else
+                _logger.LogWarning($"🔻 Site {site.Name} is down: {health.Error}");
+
+            await _eventBus.PublishAsync(new SiteStatusChangedEvent(site.Name, health.Up == true, health.Error));
+        }
+
+        private static DateTime? ReadCertificateExpiry(string siteName)
+        {
+            string path = $"/etc/letsencrypt/live/{siteName}/fullchain.pem";
+            if (!File.Exists(path))
+                return null;
+
+            try
+            {
+                var chain = new X509Certificate2Collection();
+                chain.ImportFromPemFile(path);
+                return chain.Count > 0 ? chain[0].NotAfter.ToUniversalTime() : null;
+            }
+            catch (Exception)
+            {
+                return null;
+            }
+        }
+    }
+}
@@ -1,6 +1,10 @@
 ﻿using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
 using Org.BouncyCastle.Asn1.Ocsp;
+using System.Net;
+using System.Net.Sockets;
 using System.Text;
+using System.Text.RegularExpressions;
 using System.Xml.Linq;
 using UltimateServer.Models;
 using UltimateServer.Services;
@@ -18,21 +22,30 @@ namespace UltimateServer.Services
         private SftpServer _sftpServer;
         private UserService _userService;
         private AuthenticationService _authenticationService;
+        private ServerSettings _serverSettings;
 
         private string templateFolder;
 
+        private const int MinSitePort = 1000;
+        private const int MaxSitePort = 50000;
+        private const int FirstSitePort = 11005;
+
+        private static readonly Regex SiteNamePattern = new(@"^[a-zA-Z0-9][a-zA-Z0-9.-]{3,99}$");
+        private static readonly Regex DomainPattern = new(@"^(\*\.)?([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)*[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$");
+        private static readonly Regex IndexFilePattern = new(@"^[\w.-]+( [\w.-]+)*$");
+
         /// <summary>
         /// Gets the path to the sites configuration file
         /// </summary>
         public string sitesConfig { get; private set; } = "sites.json";
 
         /// <summary>
-        /// Dictionary containing site names and their corresponding ports
+        /// Sites by name
         /// </summary>
-        public Dictionary<string, int> sites;
+        public Dictionary<string, Site> sites;
 
 
-        public SitePress(Logger logger, Nginx nginx, SftpServer sftpServer, UserService userService, AuthenticationService authenticationService)
+        public SitePress(Logger logger, Nginx nginx, SftpServer sftpServer, UserService userService, AuthenticationService authenticationService, ServerSettings serverSettings)
         {
             _logger = logger;
             _nginx = nginx;
@@ -40,6 +53,7 @@ namespace UltimateServer.Services
             templateFolder = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "Template");
             _userService = userService;
             _authenticationService = authenticationService;
+            _serverSettings = serverSettings;
         }
 
         /// <summary>
@@ -61,75 +75,404 @@ namespace UltimateServer.Services
         }
 
         /// <summary>
-        /// Creates a new website with the specified name and port
+        /// Creates a new website. Nginx must accept the generated config before the site is saved;
+        /// a failed certificate request leaves the site on plain HTTP instead of failing the whole creation.
         /// </summary>
-        public async Task<bool> CreateSite(string name, int port)
+        public async Task<(bool success, string message)> CreateSite(CreateSiteRequest request)
         {
-            var sitePath = "/var/www/" + name;
+            var site = ToSite(request);
+            site.CreatedAt = DateTime.UtcNow;
+
+            if (sites.ContainsKey(site.Name))
+                return (false, "Failed to create site - already exist");
+
+            var error = ValidateSite(site, null);
+            if (error != null)
+                return (false, error);
+
+            var sitePath = GetSitePath(site.Name);
 
             try
             {
                 Directory.CreateDirectory(sitePath);
                 CopyDirectory(templateFolder, sitePath);
 
-                await CreatePhpFpmPool(name, sitePath);
+                if (site.Type == SiteType.Php)
+                    await CreatePhpFpmPool(site.Name, sitePath);
 
-                var httpConfig = _nginx.configHttp
-                    .Replace("%SiteName%", name)
-                    .Replace("%SitePath%", sitePath)
-                    .Replace("%SitePort%", port.ToString());
+                var (applied, nginxOutput) = await ApplyNginxConfig(site, false);
+                if (!applied)
+                    throw new InvalidOperationException($"nginx rejected the configuration: {nginxOutput}");
 
-                var siteConf = $"/etc/nginx/sites-available/{name}.conf";
-                File.WriteAllText(siteConf, httpConfig);
+                if (request.EnableTls)
+                    site.Tls = await RequestCertificate(site);
 
-                await _nginx.RunCommand("sudo", $"ln -sf {siteConf} /etc/nginx/sites-enabled/");
-                await _nginx.RunCommand("sudo", "nginx -t");
-                await _nginx.RunCommand("sudo", "systemctl reload nginx");
+                sites.Add(site.Name, site);
+                await SaveSites();
 
-                await _nginx.RunCommand("sudo", $"certbot --nginx -d {name} --non-interactive --agree-tos -m admin@{name} --redirect");
+                var pass = SimplePasswordGenerator.Generate();
+                await _sftpServer.CreateUser(site.Name, pass);
 
-                var sslConfig = _nginx.configSSL
-                    .Replace("%SiteName%", name)
-                    .Replace("%SitePath%", sitePath);
+                _logger.Log($"👀 SitePress: SFTP user {site.Name} has been created with password: {pass}");
+                _logger.Log($"✅ Site {site.Name} created successfully ({site.Type}, port {site.Port})");
+                return (true, site.Tls || !request.EnableTls
+                    ? "Site created successfully"
+                    : "Site created, but the TLS certificate could not be issued. It is served over HTTP for now.");
+            }
+            catch (Exception e)
+            {
+                _logger.LogError($"Failed to create site {site.Name}: {e.Message}");
+                await DeletePhpFpmPool(site.Name);
+                RemoveNginxConfig(site.Name);
+                return (false, $"Failed to create site: {e.Message}");
+            }
+        }
 
-                File.WriteAllText(siteConf, sslConfig);
-                await _nginx.RunCommand("sudo", "nginx -t");
-                await _nginx.RunCommand("sudo", "systemctl reload nginx");
+        /// <summary>
+        /// Changes an existing site's port, domains, type, index file or custom directives. The previous
+        /// Nginx config is restored when the new one fails <c>nginx -t</c>. Sites can't be renamed.
+        /// </summary>
+        public async Task<(bool success, string message)> UpdateSite(CreateSiteRequest request)
+        {
+            if (request == null || string.IsNullOrEmpty(request.Name) || !sites.TryGetValue(request.Name, out var existing))
+                return (false, "Site not found");
+
+            var site = ToSite(request);
+            site.CreatedAt = existing.CreatedAt;
+            site.Enabled = existing.Enabled;
 
-                sites.Add(name, port);
+            var error = ValidateSite(site, existing);
+            if (error != null)
+                return (false, error);
+
+            var sitePath = GetSitePath(site.Name);
+            bool domainsChanged = !site.Domains.SequenceEqual(existing.Domains, StringComparer.OrdinalIgnoreCase);
+            bool keepCertificate = request.EnableTls && existing.Tls && !domainsChanged;
+
+            try
+            {
+                if (site.Type == SiteType.Php && existing.Type != SiteType.Php)
+                    await CreatePhpFpmPool(site.Name, sitePath);
+
+                var (applied, nginxOutput) = await ApplyNginxConfig(site, keepCertificate);
+                if (!applied)
+                {
+                    if (site.Type == SiteType.Php && existing.Type != SiteType.Php)
+                        await DeletePhpFpmPool(site.Name);
+                    return (false, $"nginx rejected the configuration, previous settings kept: {nginxOutput}");
+                }
+
+                site.Tls = keepCertificate;
+                if (request.EnableTls && !keepCertificate)
+                    site.Tls = await RequestCertificate(site);
+
+                if (existing.Type == SiteType.Php && site.Type != SiteType.Php)
+                    await DeletePhpFpmPool(site.Name);
+
+                sites[site.Name] = site;
                 await SaveSites();
 
-                var pass = SimplePasswordGenerator.Generate();
-                await _sftpServer.CreateUser(name, pass);
+                _logger.Log($"✅ Site {site.Name} updated ({site.Type}, port {site.Port})");
+                return (true, site.Tls || !request.EnableTls
+                    ? "Site updated successfully"
+                    : "Site updated, but the TLS certificate could not be issued. It is served over HTTP for now.");
+            }
+            catch (Exception e)
+            {
+                _logger.LogError($"Failed to update site {site.Name}: {e.Message}");
+                return (false, $"Failed to update site: {e.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Checks whether a site may listen on <paramref name="port"/>. The port a site already uses is
+        /// bound by Nginx, so <paramref name="currentSite"/> keeps it without the socket check.
+        /// </summary>
+        public (bool available, string message) CheckPort(int port, string currentSite = null)
+        {
+            if (port < MinSitePort || port > MaxSitePort)
+                return (false, $"Port must be between {MinSitePort} and {MaxSitePort}");
+
+            var reserved = new Dictionary<int, string>
+            {
+                [_serverSettings.tcpPort] = "game server",
+                [_serverSettings.httpPort] = "dashboard",
+                [_serverSettings.udpPort] = "voice chat",
+                [_serverSettings.sftpPort] = "SFTP server"
+            };
+            if (reserved.TryGetValue(port, out var service))
+                return (false, $"Port {port} is used by the {service}");
+
+            var owner = sites.Values.FirstOrDefault(s => s.Port == port);
+            if (owner != null)
+                return owner.Name == currentSite ? (true, "") : (false, $"Port {port} is already used by site {owner.Name}");
+
+            try
+            {
+                var listener = new TcpListener(IPAddress.Any, port);
+                listener.Start();
+                listener.Stop();
+            }
+            catch (SocketException)
+            {
+                return (false, $"Port {port} is already in use by another process");
+            }
+
+            return (true, "");
+        }
+
+        /// <summary>
+        /// Returns the first free port after the highest one in use by a site.
+        /// </summary>
+        public int SuggestPort()
+        {
+            int port = Math.Max(FirstSitePort, sites.Values.Select(s => s.Port + 1).DefaultIfEmpty(FirstSitePort).Max());
+            for (; port <= MaxSitePort; port++)
+            {
+                if (CheckPort(port).available)
+                    return port;
+            }
+
+            return 0;
+        }
+
+        private Site ToSite(CreateSiteRequest request)
+        {
+            var domains = (request.Domains ?? new List<string>())
+                .Select(d => d?.Trim().ToLowerInvariant())
+                .Where(d => !string.IsNullOrEmpty(d))
+                .Distinct()
+                .ToList();
+
+            return new Site
+            {
+                Name = request.Name?.Trim() ?? "",
+                Port = request.Port,
+                Domains = domains.Count > 0 ? domains : new List<string> { request.Name?.Trim().ToLowerInvariant() ?? "" },
+                Type = request.Type,
+                IndexFile = string.IsNullOrWhiteSpace(request.IndexFile)
+                    ? (request.Type == SiteType.Php ? "index.php index.html" : "index.html")
+                    : Regex.Replace(request.IndexFile.Trim(), @"\s+", " "),
+                Upstream = request.Type == SiteType.Proxy ? request.Upstream?.Trim() ?? "" : "",
+                CustomDirectives = request.CustomDirectives?.Trim() ?? ""
+            };
+        }
+
+        /// <summary>
+        /// Names, domains and index files end up in Nginx configs and shell commands, so they are restricted
+        /// to hostname characters. Custom directives are left to <c>nginx -t</c>.
+        /// </summary>
+        private string ValidateSite(Site site, Site existing)
+        {
+            if (!SiteNamePattern.IsMatch(site.Name))
+                return "Site name must be 4-100 letters, digits, dots or dashes";
+
+            var badDomain = site.Domains.FirstOrDefault(d => !DomainPattern.IsMatch(d));
+            if (badDomain != null)
+                return $"'{badDomain}' is not a valid domain";
+
+            var taken = sites.Values
+                .Where(s => s.Name != site.Name)
+                .SelectMany(s => s.Domains.Select(d => (site: s.Name, domain: d)))
+                .FirstOrDefault(d => site.Domains.Contains(d.domain, StringComparer.OrdinalIgnoreCase));
+            if (taken.domain != null)
+                return $"Domain {taken.domain} is already used by site {taken.site}";
+
+            var (available, portMessage) = CheckPort(site.Port, existing?.Name);
+            if (!available)
+                return portMessage;
+
+            if (!IndexFilePattern.IsMatch(site.IndexFile))
+                return "Index file must be a space-separated list of file names";
+
+            if (site.Type == SiteType.Proxy && !IsLocalUpstream(site.Upstream))
+                return "Upstream must be an http(s) URL on this machine or the private network, e.g. http://127.0.0.1:3000";
+
+            if (site.CustomDirectives.Length > 8000)
+                return "Custom directives are limited to 8000 characters";
+
+            if (site.CustomDirectives.Count(c => c == '{') != site.CustomDirectives.Count(c => c == '}'))
+                return "Custom directives have unbalanced braces";
+
+            return null;
+        }
 
-                _logger.Log($"👀 SitePress: SFTP user {name} has been created with password: {pass}");
-                _logger.Log($"✅ Site {name} created successfully with PHP-FPM isolation");
+        private static bool IsLocalUpstream(string upstream)
+        {
+            if (!Uri.TryCreate(upstream, UriKind.Absolute, out var uri) || (uri.Scheme != "http" && uri.Scheme != "https"))
+                return false;
+
+            if (uri.IsLoopback)
                 return true;
+
+            if (!IPAddress.TryParse(uri.Host.Trim('[', ']'), out var address))
+                return false;
+
+            var bytes = address.GetAddressBytes();
+            return address.AddressFamily == AddressFamily.InterNetwork &&
+                   (bytes[0] == 10 || (bytes[0] == 172 && bytes[1] >= 16 && bytes[1] <= 31) || (bytes[0] == 192 && bytes[1] == 168));
+        }
+
+        /// <summary>
+        /// Writes and enables a site's Nginx config, then reloads Nginx only if <c>nginx -t</c> passes.
+        /// Otherwise the previous config is put back (or the new one removed) and nginx's output is returned.
+        /// </summary>
+        private async Task<(bool success, string output)> ApplyNginxConfig(Site site, bool ssl)
+        {
+            var siteConf = GetNginxConfigPath(site.Name);
+            string previous = File.Exists(siteConf) ? await File.ReadAllTextAsync(siteConf) : null;
+
+            await File.WriteAllTextAsync(siteConf, _nginx.BuildSiteConfig(site, GetSitePath(site.Name), ssl));
+            if (site.Enabled)
+                await _nginx.RunCommand("sudo", $"ln -sf {siteConf} /etc/nginx/sites-enabled/");
+
+            var (ok, output) = await _nginx.TestConfig();
+            if (!ok)
+            {
+                if (previous != null)
+                    await File.WriteAllTextAsync(siteConf, previous);
+                else
+                    RemoveNginxConfig(site.Name);
+
+                _logger.LogWarning($"nginx -t failed for site {site.Name}: {output}");
+                return (false, output);
             }
-            catch (Exception e)
+
+            await _nginx.RunCommand("sudo", "systemctl reload nginx");
+            return (true, output);
+        }
+
+        /// <summary>
+        /// Asks certbot for a certificate covering every domain of the site, stored under the site's name,
+        /// and switches the site to its TLS config when one was issued.
+        /// </summary>
+        private async Task<bool> RequestCertificate(Site site)
+        {
+            var domains = string.Join(" ", site.Domains.Where(d => !d.StartsWith("*.")).Select(d => $"-d {d}"));
+            if (domains.Length == 0)
+                return false;
+
+            await _nginx.RunCommand("sudo", $"certbot --nginx --cert-name {site.Name} {domains} --non-interactive --agree-tos -m admin@{site.Domains[0]} --redirect");
+
+            if (!File.Exists($"/etc/letsencrypt/live/{site.Name}/fullchain.pem"))
             {
-                _logger.LogError($"Failed to create site {name}: {e.Message}");
-                await DeletePhpFpmPool(name);
+                _logger.LogWarning($"No certificate was issued for site {site.Name}; keeping HTTP config");
+                await ApplyNginxConfig(site, false);
                 return false;
             }
+
+            var (applied, _) = await ApplyNginxConfig(site, true);
+            if (!applied)
+                await ApplyNginxConfig(site, false);
+            return applied;
         }
 
+        /// <summary>
+        /// Links or unlinks a site's server block without touching its files, pool or SFTP user.
+        /// The change is undone if <c>nginx -t</c> fails afterwards.
+        /// </summary>
+        public async Task<(bool success, string message)> SetSiteEnabled(string name, bool enabled)
+        {
+            if (!sites.TryGetValue(name, out var site))
+                return (false, "Site not found");
+
+            if (site.Enabled == enabled)
+                return (true, enabled ? "Site is already enabled" : "Site is already disabled");
+
+            var siteConf = GetNginxConfigPath(name);
+            var enabledLink = GetNginxEnabledPath(name);
+
+            if (enabled)
+            {
+                if (!File.Exists(siteConf))
+                    return (false, "The site's Nginx config is missing. Save the site to recreate it.");
+                await _nginx.RunCommand("sudo", $"ln -sf {siteConf} /etc/nginx/sites-enabled/");
+            }
+            else
+            {
+                File.Delete(enabledLink);
+            }
+
+            var (ok, output) = await _nginx.TestConfig();
+            if (!ok)
+            {
+                if (enabled)
+                    File.Delete(enabledLink);
+                else
+                    await _nginx.RunCommand("sudo", $"ln -sf {siteConf} /etc/nginx/sites-enabled/");
+
+                _logger.LogWarning($"nginx -t failed while {(enabled ? "enabling" : "disabling")} site {name}: {output}");
+                return (false, $"nginx rejected the configuration, nothing was changed: {output}");
+            }
+
+            await _nginx.RunCommand("sudo", "systemctl reload nginx");
+
+            site.Enabled = enabled;
+            await SaveSites();
+
+            _logger.Log($"{(enabled ? "✅" : "⏸️")} Site {name} {(enabled ? "enabled" : "disabled")}");
+            return (true, enabled ? "Site enabled" : "Site disabled");
+        }
+
+        /// <summary>
+        /// Returns the last <paramref name="lines"/> lines of a site's Nginx access or error log.
+        /// Only the end of the file is read, so large logs are cheap to tail.
+        /// </summary>
+        public (bool found, List<string> lines) ReadSiteLog(string name, string kind, int lines)
+        {
+            var path = $"/var/log/nginx/{name}.{(kind == "error" ? "error" : "access")}.log";
+            if (!File.Exists(path))
+                return (false, new List<string>());
+
+            using var stream = new FileStream(path, FileMode.Open, FileAccess.Read, FileShare.ReadWrite | FileShare.Delete);
+            const int maxBytes = 512 * 1024;
+            long start = Math.Max(0, stream.Length - maxBytes);
+            stream.Seek(start, SeekOrigin.Begin);
+
+            using var reader = new StreamReader(stream, Encoding.UTF8);
+            var all = reader.ReadToEnd().Split('\n').Select(l => l.TrimEnd('\r')).ToList();
+
+            // The first line is usually cut in half when reading from the middle of the file.
+            if (start > 0 && all.Count > 0)
+                all.RemoveAt(0);
+            if (all.Count > 0 && all[^1].Length == 0)
+                all.RemoveAt(all.Count - 1);
+
+            return (true, all.Skip(Math.Max(0, all.Count - lines)).ToList());
+        }
+
+        private static void RemoveNginxConfig(string name)
+        {
+            try
+            {
+                File.Delete(GetNginxConfigPath(name));
+                File.Delete(GetNginxEnabledPath(name));
+            }
+            catch (Exception)
+            {
+                // Nothing was written yet, or the files are already gone.
+            }
+        }
+
+        private static string GetSitePath(string name) => "/var/www/" + name;
+
+        private static string GetNginxConfigPath(string name) => $"/etc/nginx/sites-available/{name}.conf";
+
+        internal static string GetNginxEnabledPath(string name) => $"/etc/nginx/sites-enabled/{name}.conf";
+
         /// <summary>
         /// Deletes an existing website
         /// </summary>
         public async Task<bool> DeleteSite(string name)
         {
-            var sitePath = "/var/www/" + name;
+            var sitePath = GetSitePath(name);
 
             if (!Directory.Exists(sitePath))
                 return false;
 
             try
             {
-                string siteConf = "/etc/nginx/sites-available/" + name + ".conf";
-
-                File.Delete(siteConf);
-                File.Delete("/etc/nginx/sites-enabled/" + name + ".conf");
+                RemoveNginxConfig(name);
 
                 await DeletePhpFpmPool(name);
 
@@ -192,17 +535,36 @@ namespace UltimateServer.Services
         }
 
         /// <summary>
-        /// Loads the sites configuration from a JSON file
+        /// Loads the sites configuration from a JSON file. Older files map each site name to its port;
+        /// those entries become PHP sites served on the name as their only domain.
         /// </summary>
-        public async Task<Dictionary<string, int>> LoadSites()
+        public async Task<Dictionary<string, Site>> LoadSites()
         {
-            if (File.Exists(sitesConfig))
+            var result = new Dictionary<string, Site>();
+            if (!File.Exists(sitesConfig))
+                return result;
+
+            var json = JsonConvert.DeserializeObject<JObject>(await File.ReadAllTextAsync(sitesConfig));
+            if (json == null)
+                return result;
+
+            foreach (var entry in json.Properties())
             {
-                var _sites = JsonConvert.DeserializeObject<Dictionary<string, int>>(await File.ReadAllTextAsync(sitesConfig));
-                if (_sites == null) return new Dictionary<string, int>();
-                else return _sites;
+                var site = entry.Value.Type == JTokenType.Integer
+                    ? new Site
+                    {
+                        Name = entry.Name,
+                        Port = entry.Value.ToObject<int>(),
+                        Domains = new List<string> { entry.Name },
+                        Tls = File.Exists($"/etc/letsencrypt/live/{entry.Name}/fullchain.pem")
+                    }
+                    : entry.Value.ToObject<Site>();
+
+                if (site != null)
+                    result[entry.Name] = site;
             }
-            return new Dictionary<string, int>();
+
+            return result;
         }
 
         /// <summary>
@@ -21,6 +21,11 @@ namespace UltimateServer.Services
 
         public List<User> Users { get; private set; }
 
+        /// <summary>
+        /// Roles the server knows how to treat; "sftp user" is what SftpServer grants file access to.
+        /// </summary>
+        public static readonly IReadOnlyList<string> KnownRoles = new[] { "admin", "user", "player", "sftp user" };
+
         public UserService(
             FilePaths filePaths,
             Logger logger,
@@ -129,7 +134,7 @@ namespace UltimateServer.Services
                     uuid = Guid.NewGuid(),
                     Role = "user",
                     RefreshToken = _authService.GenerateRefreshToken(),
-                    RefreshTokenExpiry = DateTime.UtcNow.AddDays(7)
+                    RefreshTokenExpiry = DateTime.UtcNow.AddDays(_serverConfig.RefreshTokenDays)
                 };
                 Users.Add(newUser);
             }
@@ -161,16 +166,26 @@ namespace UltimateServer.Services
                 return (null, "Invalid username or password");
             }
 
-            if (_authService.VerifyPassword(request.Password, user.Password))
+            if (user.LockedUntil.HasValue && user.LockedUntil > DateTime.UtcNow)
             {
-                _authService.ResetFailedLoginAttempts(request.Username);
+                return (null, "Account is locked by an administrator");
+            }
 
-                user.LastLogin = DateTime.UtcNow;
+            if (_authService.VerifyPassword(request.Password, user.Password))
+            {
+                // With 2FA the password alone is not a successful login, so the failure counters
+                // stay in place until CompleteTwoFactorLoginAsync runs after the code is verified.
+                if (!user.TwoFactorEnabled)
+                {
+                    _authService.ResetFailedLoginAttempts(request.Username);
+                    user.LastLogin = DateTime.UtcNow;
+                    user.FailedLoginAttempts = 0;
+                }
 
                 if (request.RememberMe || string.IsNullOrEmpty(user.RefreshToken) || user.RefreshTokenExpiry <= DateTime.UtcNow)
                 {
                     user.RefreshToken = _authService.GenerateRefreshToken();
-                    user.RefreshTokenExpiry = DateTime.UtcNow.AddDays(7);
+                    user.RefreshTokenExpiry = DateTime.UtcNow.AddDays(_serverConfig.RefreshTokenDays);
                 }
 
                 await SaveUsersAsync();
@@ -179,13 +194,23 @@ namespace UltimateServer.Services
             }
             else
             {
-                _authService.RecordFailedLoginAttempt(request.Username);
+                user.FailedLoginAttempts++;
+
+                // The counter is only written to disk when a lockout starts, so guessing passwords can't turn into a stream of users.json rewrites
+                if (_authService.RecordFailedLoginAttempt(request.Username))
+                    await SaveUsersAsync();
+
                 return (null, "Invalid username or password");
             }
         }
 
         public async Task<(User user, string message)> RefreshTokenAsync(RefreshTokenRequest request)
         {
+            if (string.IsNullOrEmpty(request?.RefreshToken))
+            {
+                return (null, "Invalid refresh token");
+            }
+
             var user = Users.FirstOrDefault(u => u.RefreshToken == request.RefreshToken);
 
             if (user == null)
@@ -198,8 +223,13 @@ namespace UltimateServer.Services
                 return (null, "Refresh token expired");
             }
 
+            if (user.LockedUntil.HasValue && user.LockedUntil > DateTime.UtcNow)
+            {
+                return (null, "Account is locked by an administrator");
+            }
+
             user.RefreshToken = _authService.GenerateRefreshToken();
-            user.RefreshTokenExpiry = DateTime.UtcNow.AddDays(7);
+            user.RefreshTokenExpiry = DateTime.UtcNow.AddDays(_serverConfig.RefreshTokenDays);
 
             await SaveUsersAsync();
             _logger.Log($"✅ Token refreshed for user: {user.Username}");
@@ -332,6 +362,7 @@ namespace UltimateServer.Services
 
             lock (_userLock)
             {
+                RevokeRefreshToken(user);
                 Users.Remove(user);
             }
 
@@ -372,24 +403,61 @@ namespace UltimateServer.Services
             return (true, "Logout successful");
         }
 
-        public async Task<(bool success, string message)> EnableTwoFactorAsync(string username)
+        public async Task<(bool success, string message, string secret, string setupUri)> BeginTwoFactorSetupAsync(string username)
         {
             var user = Users.FirstOrDefault(u => u.Username.Equals(username, StringComparison.OrdinalIgnoreCase));
 
             if (user == null)
             {
-                return (false, "User not found");
+                return (false, "User not found", null, null);
             }
 
-            user.TwoFactorSecret = Guid.NewGuid().ToString();
+            if (user.TwoFactorEnabled)
+            {
+                return (false, "Two-factor authentication is already enabled", null, null);
+            }
+
+            user.TwoFactorSecret = _authService.GenerateTwoFactorSecret();
+
+            await SaveUsersAsync();
+            return (true, "Scan the QR code with your authenticator app", user.TwoFactorSecret,
+                _authService.GetTwoFactorSetupUri(user.Username, user.TwoFactorSecret));
+        }
+
+        public async Task<(bool success, string message, List<string> backupCodes)> EnableTwoFactorAsync(string username, string code)
+        {
+            var user = Users.FirstOrDefault(u => u.Username.Equals(username, StringComparison.OrdinalIgnoreCase));
+
+            if (user == null)
+            {
+                return (false, "User not found", null);
+            }
+
+            if (user.TwoFactorEnabled)
+            {
+                return (false, "Two-factor authentication is already enabled", null);
+            }
+
+            if (string.IsNullOrEmpty(user.TwoFactorSecret))
+            {
+                return (false, "Two-factor setup has not been started", null);
+            }
+
+            if (!_authService.VerifyTwoFactorCode(user.TwoFactorSecret, code))
+            {
+                return (false, "Invalid verification code", null);
+            }
+
+            var backupCodes = _authService.GenerateBackupCodes();
+            user.TwoFactorBackupCodes = backupCodes.Select(c => _authService.HashPassword(c)).ToList();
             user.TwoFactorEnabled = true;
 
             await SaveUsersAsync();
             _logger.Log($"✅ 2FA enabled for user: {username}");
-            return (true, "Two-factor authentication enabled");
+            return (true, "Two-factor authentication enabled", backupCodes);
         }
 
-        public async Task<(bool success, string message)> DisableTwoFactorAsync(string username)
+        public async Task<(bool success, string message)> DisableTwoFactorAsync(string username, string code)
         {
             var user = Users.FirstOrDefault(u => u.Username.Equals(username, StringComparison.OrdinalIgnoreCase));
 
@@ -398,8 +466,20 @@ namespace UltimateServer.Services
                 return (false, "User not found");
             }
 
+            if (!user.TwoFactorEnabled)
+            {
+                return (false, "Two-factor authentication is not enabled");
+            }
+
+            var (verified, message) = await VerifyTwoFactorAsync(username, code);
+            if (!verified)
+            {
+                return (false, message);
+            }
+
             user.TwoFactorEnabled = false;
             user.TwoFactorSecret = "";
+            user.TwoFactorBackupCodes.Clear();
 
             await SaveUsersAsync();
             _logger.Log($"✅ 2FA disabled for user: {username}");
@@ -420,13 +500,40 @@ namespace UltimateServer.Services
                 return (false, "Two-factor authentication is not enabled");
             }
 
-            if (code != "123456")
+            if (string.IsNullOrWhiteSpace(code))
+            {
+                return (false, "Verification code is required");
+            }
+
+            if (_authService.VerifyTwoFactorCode(user.TwoFactorSecret, code))
+            {
+                _logger.Log($"✅ 2FA verified for user: {username}");
+                return (true, "Two-factor authentication verified");
+            }
+
+            var normalizedCode = code.Trim().ToLowerInvariant();
+            var usedBackupCode = user.TwoFactorBackupCodes.FirstOrDefault(hash => _authService.VerifyPassword(normalizedCode, hash));
+            if (usedBackupCode != null)
             {
-                return (false, "Invalid verification code");
+                user.TwoFactorBackupCodes.Remove(usedBackupCode);
+                await SaveUsersAsync();
+                _logger.LogSecurity($"2FA backup code used by {username} ({user.TwoFactorBackupCodes.Count} remaining)");
+                return (true, "Backup code accepted");
             }
 
-            _logger.Log($"✅ 2FA verified for user: {username}");
-            return (true, "Two-factor authentication verified");
+            return (false, "Invalid verification code");
+        }
+
+        public async Task CompleteTwoFactorLoginAsync(string username)
+        {
+            var user = Users.FirstOrDefault(u => u.Username.Equals(username, StringComparison.OrdinalIgnoreCase));
+            if (user == null)
+                return;
+
+            _authService.ResetFailedLoginAttempts(user.Username);
+            user.LastLogin = DateTime.UtcNow;
+            user.FailedLoginAttempts = 0;
+            await SaveUsersAsync();
         }
 
         public List<User> GetUsersByRole(string role)
@@ -434,6 +541,31 @@ namespace UltimateServer.Services
             return Users.Where(u => u.Role.Equals(role, StringComparison.OrdinalIgnoreCase)).ToList();
         }
 
+        public (List<User> users, int total) QueryUsers(string search, string role, int page, int pageSize)
+        {
+            IEnumerable<User> query;
+            lock (_userLock)
+            {
+                query = Users.ToList();
+            }
+
+            if (!string.IsNullOrWhiteSpace(search))
+            {
+                query = query.Where(u =>
+                    u.Username.Contains(search, StringComparison.OrdinalIgnoreCase) ||
+                    u.Email.Contains(search, StringComparison.OrdinalIgnoreCase) ||
+                    u.uuid.ToString().Equals(search, StringComparison.OrdinalIgnoreCase));
+            }
+
+            if (!string.IsNullOrWhiteSpace(role))
+            {
+                query = query.Where(u => u.Role.Equals(role, StringComparison.OrdinalIgnoreCase));
+            }
+
+            var filtered = query.OrderBy(u => u.Username, StringComparer.OrdinalIgnoreCase).ToList();
+            return (filtered.Skip((page - 1) * pageSize).Take(pageSize).ToList(), filtered.Count);
+        }
+
         public async Task<(bool success, string message)> ChangeUserRoleAsync(string username, string newRole)
         {
             var user = Users.FirstOrDefault(u => u.Username.Equals(username, StringComparison.OrdinalIgnoreCase));
@@ -443,6 +575,14 @@ namespace UltimateServer.Services
                 return (false, "User not found");
             }
 
+            var knownRole = KnownRoles.FirstOrDefault(r => r.Equals(newRole?.Trim(), StringComparison.OrdinalIgnoreCase));
+            if (knownRole == null)
+            {
+                return (false, $"Unknown role. Valid roles: {string.Join(", ", KnownRoles)}");
+            }
+
+            newRole = knownRole;
+
             if (user.Role == "admin" && newRole != "admin")
             {
                 var adminCount = Users.Count(u => u.Role == "admin");
@@ -452,6 +592,11 @@ namespace UltimateServer.Services
                 }
             }
 
+            if (user.Role != newRole)
+            {
+                RevokeRefreshToken(user);
+            }
+
             user.Role = newRole;
             await SaveUsersAsync();
 
@@ -469,12 +614,22 @@ namespace UltimateServer.Services
             }
 
             user.LockedUntil = DateTime.UtcNow.AddMinutes(lockDurationMinutes);
+            RevokeRefreshToken(user);
             await SaveUsersAsync();
 
             _logger.Log($"🔒 User locked: {username} until {user.LockedUntil}");
             return (true, $"User locked for {lockDurationMinutes} minutes");
         }
 
+        /// <summary>
+        /// Ends the user's ability to mint new access tokens; they have to sign in again once their current one runs out.
+        /// </summary>
+        private static void RevokeRefreshToken(User user)
+        {
+            user.RefreshToken = "";
+            user.RefreshTokenExpiry = DateTime.MinValue;
+        }
+
         public async Task<(bool success, string message)> UnlockUserAsync(string username)
         {
             var user = Users.FirstOrDefault(u => u.Username.Equals(username, StringComparison.OrdinalIgnoreCase));
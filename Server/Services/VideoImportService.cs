@@ -0,0 +1,318 @@
+﻿using System.Collections.Concurrent;
+using System.Diagnostics;
+using System.Net;
+using System.Net.Http.Headers;
+using UltimateServer.Events;
+using UltimateServer.Models;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Downloads videos from URLs in the background, one at a time, so an import keeps going after the
+    /// browser tab that started it is closed. Jobs are kept in memory; a failed job keeps its partial file
+    /// and a retry continues from there when the source supports range requests.
+    /// </summary>
+    public class VideoImportService
+    {
+        private const int MaxFinishedJobs = 50;
+        private static readonly TimeSpan StallTimeout = TimeSpan.FromMinutes(2);
+        private static readonly HttpClient _httpClient = new() { Timeout = Timeout.InfiniteTimeSpan };
+
+        private readonly ConcurrentDictionary<string, VideoImportJob> _jobs = new();
+        private readonly ConcurrentDictionary<string, CancellationTokenSource> _jobTokens = new();
+        private readonly ConcurrentQueue<VideoImportJob> _jobQueue = new();
+        private readonly SemaphoreSlim _signal = new(0);
+        private readonly CancellationTokenSource _cancellationTokenSource = new();
+        private readonly VideoService _videoService;
+        private readonly string _videosFolder;
+        private readonly Logger _logger;
+        private readonly IEventBus _eventBus;
+        private readonly Task _processingTask;
+
+        public VideoImportService(VideoService videoService, FilePaths filePaths, Logger logger, IEventBus eventBus)
+        {
+            _videoService = videoService;
+            _videosFolder = Path.Combine(AppContext.BaseDirectory, filePaths.VideosFolder);
+            _logger = logger;
+            _eventBus = eventBus;
+            _processingTask = Task.Run(ProcessJobsAsync);
+        }
+
+        public List<VideoImportJob> GetJobs() => _jobs.Values.OrderByDescending(j => j.CreatedAt).ToList();
+
+        public (bool success, string message, VideoImportJob job) StartImport(string videoUrl, string username)
+        {
+            if (string.IsNullOrWhiteSpace(videoUrl))
+                return (false, "URL cannot be empty", null);
+            if (!Uri.TryCreate(videoUrl.Trim(), UriKind.Absolute, out var uri) || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+                return (false, "Only http and https URLs can be imported", null);
+
+            var job = new VideoImportJob
+            {
+                Id = Guid.NewGuid().ToString("N").Substring(0, 12),
+                Url = uri.ToString(),
+                FileName = ReserveFileName(GetFileName(uri)),
+                StartedBy = username,
+                CreatedAt = DateTime.UtcNow
+            };
+
+            _jobs[job.Id] = job;
+            Enqueue(job);
+            _logger.Log($"📥 Queued import of {job.FileName} from {job.Url}");
+            return (true, $"Import of {job.FileName} started", job);
+        }
+
+        public (bool success, string message) Cancel(string id)
+        {
+            if (!_jobs.TryGetValue(id, out var job))
+                return (false, "Import not found");
+            if (job.Status != "queued" && job.Status != "downloading")
+                return (false, $"Import is already {job.Status}");
+
+            // Queued jobs have no token yet; ProcessJobsAsync skips them once they're marked cancelled.
+            if (_jobTokens.TryGetValue(id, out var cts))
+                cts.Cancel();
+            else
+                Finish(job, "cancelled", null);
+
+            return (true, $"Import of {job.FileName} cancelled");
+        }
+
+        public (bool success, string message) Retry(string id)
+        {
+            if (!_jobs.TryGetValue(id, out var job))
+                return (false, "Import not found");
+            if (job.Status != "failed" && job.Status != "cancelled")
+                return (false, "Only failed or cancelled imports can be retried");
+
+            job.Status = "queued";
+            job.Error = null;
+            job.BytesPerSecond = 0;
+            job.FinishedAt = null;
+            Enqueue(job);
+            return (true, $"Retrying import of {job.FileName}");
+        }
+
+        public (bool success, string message) Remove(string id)
+        {
+            if (!_jobs.TryGetValue(id, out var job))
+                return (false, "Import not found");
+            if (job.Status == "queued" || job.Status == "downloading")
+                return (false, "Cancel the import before removing it");
+
+            _jobs.TryRemove(id, out _);
+            DeletePartialFile(job);
+            return (true, "Import removed");
+        }
+
+        private void Enqueue(VideoImportJob job)
+        {
+            if (!_cancellationTokenSource.Token.IsCancellationRequested)
+            {
+                _jobQueue.Enqueue(job);
+                _signal.Release();
+            }
+        }
+
+        private async Task ProcessJobsAsync()
+        {
+            try
+            {
+                while (true)
+                {
+                    await _signal.WaitAsync(_cancellationTokenSource.Token);
+
+                    if (!_jobQueue.TryDequeue(out var job) || job.Status != "queued")
+                        continue;
+
+                    using var cts = CancellationTokenSource.CreateLinkedTokenSource(_cancellationTokenSource.Token);
+                    _jobTokens[job.Id] = cts;
+                    try
+                    {
+                        await DownloadAsync(job, cts.Token);
+                    }
+                    catch (OperationCanceledException) when (cts.IsCancellationRequested)
+                    {
+                        DeletePartialFile(job);
+                        Finish(job, "cancelled", null);
+                        _logger.Log($"⏹️ Import of {job.FileName} cancelled");
+                    }
+                    catch (Exception ex)
+                    {
+                        Finish(job, "failed", ex is HttpRequestException ? $"Download failed: {ex.Message}" : ex.Message);
+                        _logger.LogError($"Import of {job.FileName} from {job.Url} failed: {ex.Message}");
+                    }
+                    finally
+                    {
+                        _jobTokens.TryRemove(job.Id, out _);
+                    }
+                }
+            }
+            catch (OperationCanceledException) { }
+        }
+
+        private async Task DownloadAsync(VideoImportJob job, CancellationToken token)
+        {
+            Directory.CreateDirectory(_videosFolder);
+            string partPath = GetPartialPath(job);
+            long existing = File.Exists(partPath) ? new FileInfo(partPath).Length : 0;
+
+            using var request = new HttpRequestMessage(HttpMethod.Get, job.Url);
+            if (existing > 0)
+                request.Headers.Range = new RangeHeaderValue(existing, null);
+
+            using var stall = CancellationTokenSource.CreateLinkedTokenSource(token);
+            stall.CancelAfter(StallTimeout);
+
+            HttpResponseMessage sent;
+            try
+            {
+                sent = await _httpClient.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, stall.Token);
+            }
+            catch (OperationCanceledException) when (!token.IsCancellationRequested)
+            {
+                throw new TimeoutException($"The server didn't respond within {StallTimeout.TotalMinutes:0} minutes");
+            }
+
+            using var response = sent;
+            if (!response.IsSuccessStatusCode)
+                throw new HttpRequestException($"HTTP {(int)response.StatusCode} {response.ReasonPhrase}");
+
+            bool resumed = existing > 0 && response.StatusCode == HttpStatusCode.PartialContent;
+            if (!resumed)
+                existing = 0;
+
+            string contentType = response.Content.Headers.ContentType?.MediaType ?? "";
+            if (!contentType.StartsWith("video/") && !contentType.Contains("octet-stream"))
+                _logger.Log($"⚠️ Warning: Content type of {job.FileName} is {contentType}, but proceeding anyway");
+
+            long? length = response.Content.Headers.ContentLength;
+            job.TotalBytes = length.HasValue ? existing + length.Value : null;
+            job.DownloadedBytes = existing;
+            job.Status = "downloading";
+            UpdatePercent(job);
+            _logger.Log($"📥 {(resumed ? "Resuming" : "Starting")} download of {job.FileName} from {job.Url}");
+
+            using (var source = await response.Content.ReadAsStreamAsync(stall.Token))
+            using (var file = new FileStream(partPath, resumed ? FileMode.Append : FileMode.Create, FileAccess.Write, FileShare.None, 81920, useAsync: true))
+            {
+                byte[] buffer = new byte[81920];
+                var speedWindow = Stopwatch.StartNew();
+                long windowStart = job.DownloadedBytes;
+                int bytesRead;
+
+                while (true)
+                {
+                    stall.CancelAfter(StallTimeout);
+                    try
+                    {
+                        bytesRead = await source.ReadAsync(buffer, 0, buffer.Length, stall.Token);
+                    }
+                    catch (OperationCanceledException) when (!token.IsCancellationRequested)
+                    {
+                        throw new TimeoutException($"No data received for {StallTimeout.TotalMinutes:0} minutes");
+                    }
+                    if (bytesRead == 0)
+                        break;
+
+                    await file.WriteAsync(buffer, 0, bytesRead, token);
+                    job.DownloadedBytes += bytesRead;
+
+                    if (speedWindow.ElapsedMilliseconds >= 1000)
+                    {
+                        job.BytesPerSecond = (long)((job.DownloadedBytes - windowStart) / speedWindow.Elapsed.TotalSeconds);
+                        UpdatePercent(job);
+                        windowStart = job.DownloadedBytes;
+                        speedWindow.Restart();
+                    }
+                }
+            }
+
+            if (job.DownloadedBytes == 0)
+            {
+                DeletePartialFile(job);
+                throw new InvalidDataException("Downloaded file is empty");
+            }
+            if (job.TotalBytes.HasValue && job.DownloadedBytes < job.TotalBytes)
+                throw new IOException($"Connection closed after {job.DownloadedBytes} of {job.TotalBytes} bytes");
+
+            // Another video may have taken the name while this one was downloading.
+            string fileName = ReserveFileName(job.FileName, job);
+            File.Move(partPath, Path.Combine(_videosFolder, fileName));
+            job.FileName = fileName;
+            job.TotalBytes = job.DownloadedBytes;
+            UpdatePercent(job);
+            Finish(job, "completed", null);
+
+            _logger.Log($"✅ Video downloaded successfully: {fileName} ({job.DownloadedBytes} bytes)");
+            await _eventBus.PublishAsync(new VideoUploadedEvent(fileName, job.Url));
+        }
+
+        private void Finish(VideoImportJob job, string status, string error)
+        {
+            job.Status = status;
+            job.Error = error;
+            job.BytesPerSecond = 0;
+            job.FinishedAt = DateTime.UtcNow;
+
+            foreach (var old in _jobs.Values.Where(j => j.FinishedAt != null).OrderByDescending(j => j.FinishedAt).Skip(MaxFinishedJobs).ToList())
+            {
+                _jobs.TryRemove(old.Id, out _);
+                DeletePartialFile(old);
+            }
+        }
+
+        private static void UpdatePercent(VideoImportJob job)
+            => job.Percent = job.TotalBytes > 0 ? Math.Round((double)job.DownloadedBytes / job.TotalBytes.Value * 100, 1) : null;
+
+        private string GetFileName(Uri uri)
+        {
+            string fileName = string.Join("_", Path.GetFileName(uri.LocalPath).Split(Path.GetInvalidFileNameChars())).Trim();
+            if (string.IsNullOrEmpty(fileName) || fileName.StartsWith("."))
+                return "downloaded_" + DateTime.Now.Ticks + ".mp4";
+
+            return _videoService.IsVideoFile(fileName) ? fileName : fileName + ".mp4";
+        }
+
+        /// <summary>
+        /// Picks a name that isn't used by an existing video or by another import, adding " (2)", " (3)"...
+        /// </summary>
+        private string ReserveFileName(string fileName, VideoImportJob owner = null)
+        {
+            lock (_jobs)
+            {
+                string baseName = Path.GetFileNameWithoutExtension(fileName);
+                string extension = Path.GetExtension(fileName);
+                string candidate = fileName;
+
+                for (int i = 2; File.Exists(Path.Combine(_videosFolder, candidate)) ||
+                    _jobs.Values.Any(j => j != owner && j.Status != "completed" && j.FileName == candidate); i++)
+                {
+                    candidate = $"{baseName} ({i}){extension}";
+                }
+
+                return candidate;
+            }
+        }
+
+        private string GetPartialPath(VideoImportJob job) => Path.Combine(_videosFolder, $"{job.FileName}.{job.Id}.part");
+
+        private void DeletePartialFile(VideoImportJob job)
+        {
+            try
+            {
+                File.Delete(GetPartialPath(job));
+            }
+            catch (IOException ex)
+            {
+                _logger.LogError($"Could not delete partial download of {job.FileName}: {ex.Message}");
+            }
+        }
+
+        public async Task StopAsync()
+        {
+            _cancellationTokenSource.Cancel();
+            await _processingTask;
+        }
+    }
+}
@@ -1,4 +1,12 @@
 ﻿using System;
+using System.Collections.Concurrent;
+using System.ComponentModel;
+using System.Diagnostics;
+using System.Globalization;
+using System.Security.Cryptography;
+using System.Text;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
 using UltimateServer.Events;
 using UltimateServer.Models;
 
@@ -6,6 +14,20 @@ namespace UltimateServer.Services
 {
     public class VideoService
     {
+        /// <summary>
+        /// Poster frames and ffprobe results live next to the videos, in a folder the listing skips.
+        /// </summary>
+        private const string LibraryFolder = ".library";
+        private static readonly TimeSpan ToolTimeout = TimeSpan.FromMinutes(2);
+
+        // Shared across instances because the service is scoped; one ffmpeg at a time keeps the host responsive.
+        private static readonly ConcurrentDictionary<string, VideoInfo> _metadata = new();
+        private static readonly ConcurrentDictionary<string, bool> _pending = new();
+        private static readonly SemaphoreSlim _analyseLock = new(1, 1);
+        private static bool _toolsMissing;
+        private static byte[] _signingKey;
+        private static readonly object _signingKeyLock = new();
+
         private readonly string _videosFolder;
         private readonly Logger _logger;
         private readonly IEventBus _eventBus;
@@ -56,121 +78,359 @@ namespace UltimateServer.Services
             }
         }
 
-        public async Task<(bool success, string message)> DownloadVideoFromUrl(string videoUrl)
+        /// <summary>
+        /// Lists videos with their size, upload date and, once analysed, duration, resolution, codecs and
+        /// poster frame. Videos that haven't been analysed yet are queued and returned with <c>Processing</c> set.
+        /// </summary>
+        public List<VideoInfo> GetVideoInfos()
         {
-            if (string.IsNullOrWhiteSpace(videoUrl))
+            var infos = new List<VideoInfo>();
+
+            try
             {
-                return (false, "URL cannot be empty");
+                string videoDir = GetVideoDirectory();
+                Directory.CreateDirectory(videoDir);
+
+                foreach (var file in Directory.GetFiles(videoDir).Where(f => IsVideoFile(f)))
+                {
+                    var fileInfo = new FileInfo(file);
+                    var info = ReadMetadata(fileInfo);
+
+                    if (info == null)
+                    {
+                        info = new VideoInfo { FileName = fileInfo.Name, Processing = !_toolsMissing };
+                        QueueAnalysis(fileInfo.Name);
+                    }
+
+                    info.Size = fileInfo.Length;
+                    info.UploadedAt = fileInfo.LastWriteTimeUtc;
+                    info.HasThumbnail = File.Exists(GetLibraryPath(fileInfo.Name, ".jpg"));
+                    infos.Add(info);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error getting video details: {ex.Message}");
             }
 
-            string videoDir = Path.Combine(AppContext.BaseDirectory, _videosFolder);
-            Directory.CreateDirectory(videoDir);
+            return infos;
+        }
+
+        public string GetThumbnailPath(string fileName)
+        {
+            if (GetVideoFilePath(fileName) == null)
+                return null;
+
+            string thumbnail = GetLibraryPath(fileName, ".jpg");
+            return File.Exists(thumbnail) ? thumbnail : null;
+        }
+
+        public (bool success, string message) RenameVideo(string fileName, string newName)
+        {
+            string filePath = GetVideoFilePath(fileName);
+            if (filePath == null)
+                return (false, "Video not found");
+
+            newName = newName?.Trim() ?? "";
+            if (string.IsNullOrEmpty(Path.GetExtension(newName)))
+                newName += Path.GetExtension(fileName);
+
+            if (!IsSafeFileName(newName) || newName.StartsWith("."))
+                return (false, "The new name can't contain path characters");
+
+            if (!Path.GetExtension(newName).Equals(Path.GetExtension(fileName), StringComparison.OrdinalIgnoreCase))
+                return (false, $"The file extension must stay {Path.GetExtension(fileName)}");
 
-            string fileName = Path.GetFileName(new Uri(videoUrl).LocalPath);
-            if (string.IsNullOrEmpty(fileName) || !fileName.Contains('.'))
+            string newPath = Path.Combine(GetVideoDirectory(), newName);
+            if (File.Exists(newPath))
+                return (false, "A video with this name already exists");
+
+            File.Move(filePath, newPath);
+            foreach (var extension in new[] { ".jpg", ".json" })
+            {
+                if (File.Exists(GetLibraryPath(fileName, extension)))
+                    File.Move(GetLibraryPath(fileName, extension), GetLibraryPath(newName, extension), true);
+            }
+
+            if (_metadata.TryRemove(fileName, out var info))
             {
-                fileName = "downloaded_" + DateTime.Now.Ticks + ".mp4";
+                info.FileName = newName;
+                _metadata[newName] = info;
+                File.WriteAllText(GetLibraryPath(newName, ".json"), JsonConvert.SerializeObject(info));
             }
 
-            fileName = string.Join("_", fileName.Split(Path.GetInvalidFileNameChars()));
-            string filePath = Path.Combine(videoDir, fileName);
+            _logger.Log($"✏️ Video renamed: {fileName} -> {newName}");
+            return (true, $"Renamed to {newName}");
+        }
 
-            _logger.Log($"📥 Starting download from: {videoUrl}");
+        public (bool success, string message) DeleteVideo(string fileName)
+        {
+            string filePath = GetVideoFilePath(fileName);
+            if (filePath == null)
+                return (false, "Video not found");
 
-            using var httpClient = new HttpClient();
-            httpClient.Timeout = TimeSpan.FromMinutes(10);
+            File.Delete(filePath);
+            File.Delete(GetLibraryPath(fileName, ".jpg"));
+            File.Delete(GetLibraryPath(fileName, ".json"));
+            _metadata.TryRemove(fileName, out _);
 
-            try
+            _logger.Log($"🗑️ Video deleted: {fileName}");
+            return (true, $"Deleted {fileName}");
+        }
+
+        public bool IsVideoFile(string filePath)
+        {
+            if (string.IsNullOrWhiteSpace(filePath))
+                return false;
+
+            string extension = Path.GetExtension(filePath).ToLowerInvariant();
+            return extension == ".mp4" || extension == ".webm" || extension == ".ogg" ||
+                   extension == ".avi" || extension == ".mov" || extension == ".mkv";
+        }
+
+        public string GetVideoFilePath(string fileName)
+        {
+            if (!IsSafeFileName(fileName))
             {
-                using var responseMessage = await httpClient.GetAsync(videoUrl, HttpCompletionOption.ResponseHeadersRead);
+                _logger.Log($"❌ Invalid filename requested: {fileName}");
+                return null;
+            }
 
-                if (!responseMessage.IsSuccessStatusCode)
-                {
-                    _logger.LogError($"Download failed with status: {responseMessage.StatusCode}");
-                    return (false, $"Download failed: HTTP {responseMessage.StatusCode}");
-                }
+            string filePath = Path.Combine(AppContext.BaseDirectory, _videosFolder, fileName);
+            return File.Exists(filePath) ? filePath : null;
+        }
 
-                string contentType = responseMessage.Content.Headers.ContentType?.MediaType ?? "";
-                if (!contentType.StartsWith("video/") && !contentType.Contains("octet-stream"))
-                {
-                    _logger.Log($"⚠️ Warning: Content type is {contentType}, but proceeding anyway");
-                }
+        /// <summary>
+        /// Builds a <c>/videos/{name}</c> path that plays without an auth header until it expires, so it can be
+        /// set straight on a video element or handed to an external player. Renaming the video invalidates it.
+        /// </summary>
+        public (string path, DateTime expiresAt) CreateSignedPath(string fileName, TimeSpan lifetime)
+        {
+            var expiresAt = DateTime.UtcNow.Add(lifetime);
+            long expires = new DateTimeOffset(expiresAt).ToUnixTimeSeconds();
+            return ($"/videos/{Uri.EscapeDataString(fileName)}?expires={expires}&sig={Sign(fileName, expires)}", expiresAt);
+        }
 
-                using var responseStream = await responseMessage.Content.ReadAsStreamAsync();
-                using var fileStream = new FileStream(filePath, FileMode.Create, FileAccess.Write);
+        public bool VerifySignature(string fileName, string expires, string signature)
+        {
+            if (!long.TryParse(expires, out long expiresAt) || string.IsNullOrEmpty(signature))
+                return false;
+            if (DateTimeOffset.UtcNow.ToUnixTimeSeconds() > expiresAt)
+                return false;
 
-                long totalBytes = responseMessage.Content.Headers.ContentLength ?? 0;
-                long downloadedBytes = 0;
-                byte[] buffer = new byte[8192];
-                int bytesRead;
+            return CryptographicOperations.FixedTimeEquals(
+                Encoding.ASCII.GetBytes(Sign(fileName, expiresAt)),
+                Encoding.ASCII.GetBytes(signature));
+        }
 
-                while ((bytesRead = await responseStream.ReadAsync(buffer, 0, buffer.Length)) > 0)
-                {
-                    await fileStream.WriteAsync(buffer, 0, bytesRead);
-                    downloadedBytes += bytesRead;
+        private string Sign(string fileName, long expires)
+        {
+            using var hmac = new HMACSHA256(GetSigningKey());
+            byte[] hash = hmac.ComputeHash(Encoding.UTF8.GetBytes($"{fileName}\n{expires}"));
+            return Convert.ToBase64String(hash).TrimEnd('=').Replace('+', '-').Replace('/', '_');
+        }
+
+        /// <summary>
+        /// Replaces the link signing key, so every link handed out so far stops working.
+        /// </summary>
+        public void RotateSigningKey()
+        {
+            lock (_signingKeyLock)
+            {
+                _signingKey = RandomNumberGenerator.GetBytes(32);
+                File.WriteAllText(GetLibraryPath("signing", ".key"), Convert.ToBase64String(_signingKey));
+            }
+        }
 
-                    if (totalBytes > 0 && downloadedBytes % (1024 * 1024) == 0)
+        /// <summary>
+        /// The key is kept in the library folder so shared links survive a restart. It is cached for the life
+        /// of the process, so use <see cref="RotateSigningKey"/> to revoke links rather than deleting the file.
+        /// </summary>
+        private byte[] GetSigningKey()
+        {
+            lock (_signingKeyLock)
+            {
+                if (_signingKey != null)
+                    return _signingKey;
+
+                string keyPath = GetLibraryPath("signing", ".key");
+                if (File.Exists(keyPath))
+                {
+                    try
                     {
-                        double progress = (double)downloadedBytes / totalBytes * 100;
-                        _logger.Log($"📥 Download progress: {progress:F1}%");
+                        byte[] stored = Convert.FromBase64String(File.ReadAllText(keyPath).Trim());
+                        if (stored.Length >= 32)
+                            return _signingKey = stored;
                     }
+                    catch (FormatException) { }
                 }
 
-                await fileStream.FlushAsync();
+                _signingKey = RandomNumberGenerator.GetBytes(32);
+                File.WriteAllText(keyPath, Convert.ToBase64String(_signingKey));
+                return _signingKey;
+            }
+        }
 
-                if (new FileInfo(filePath).Length > 0)
-                {
-                    _logger.Log($"✅ Video downloaded successfully: {fileName} ({new FileInfo(filePath).Length} bytes)");
+        private static bool IsSafeFileName(string fileName)
+            => !string.IsNullOrWhiteSpace(fileName) && !fileName.Contains("..") && !fileName.Contains('/') && !fileName.Contains('\\') &&
+               fileName.IndexOfAny(Path.GetInvalidFileNameChars()) < 0;
+
+        private string GetVideoDirectory() => Path.Combine(AppContext.BaseDirectory, _videosFolder);
+
+        private string GetLibraryPath(string fileName, string extension)
+        {
+            string libraryDir = Path.Combine(GetVideoDirectory(), LibraryFolder);
+            Directory.CreateDirectory(libraryDir);
+            return Path.Combine(libraryDir, fileName + extension);
+        }
+
+        /// <summary>
+        /// Returns the cached analysis for a video, or null when there is none or the file has changed since.
+        /// </summary>
+        private VideoInfo ReadMetadata(FileInfo file)
+        {
+            if (_metadata.TryGetValue(file.Name, out var cached) && cached.Size == file.Length)
+                return cached;
+
+            string sidecar = GetLibraryPath(file.Name, ".json");
+            if (!File.Exists(sidecar))
+                return null;
 
-                    await _eventBus.PublishAsync(new VideoUploadedEvent(fileName, videoUrl));
+            try
+            {
+                var stored = JsonConvert.DeserializeObject<VideoInfo>(File.ReadAllText(sidecar));
+                if (stored == null || stored.Size != file.Length)
+                    return null;
+
+                _metadata[file.Name] = stored;
+                return stored;
+            }
+            catch (JsonException)
+            {
+                return null;
+            }
+        }
 
-                    return (true, $"Download successful: {fileName}");
+        private void QueueAnalysis(string fileName)
+        {
+            if (_toolsMissing || !_pending.TryAdd(fileName, true))
+                return;
+
+            _ = Task.Run(async () =>
+            {
+                await _analyseLock.WaitAsync();
+                try
+                {
+                    await AnalyseAsync(fileName);
+                }
+                catch (Win32Exception)
+                {
+                    _toolsMissing = true;
+                    _logger.LogWarning("ffprobe/ffmpeg not found. Install ffmpeg to get video thumbnails and metadata.");
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError($"Error analysing video {fileName}: {ex.Message}");
+                    MarkAnalysisFailed(fileName);
                 }
-                else
+                finally
                 {
-                    File.Delete(filePath);
-                    _logger.LogError("Downloaded file is empty");
-                    return (false, "Downloaded file is empty");
+                    _analyseLock.Release();
+                    _pending.TryRemove(fileName, out _);
                 }
+            });
+        }
+
+        private async Task AnalyseAsync(string fileName)
+        {
+            string filePath = GetVideoFilePath(fileName);
+            if (filePath == null)
+                return;
+
+            var info = new VideoInfo { FileName = fileName, Size = new FileInfo(filePath).Length };
+
+            var (exitCode, output) = await RunToolAsync("ffprobe", "-v", "quiet", "-print_format", "json", "-show_format", "-show_streams", filePath);
+            if (exitCode != 0 || string.IsNullOrWhiteSpace(output))
+            {
+                info.AnalysisFailed = true;
             }
-            catch (TaskCanceledException)
+            else
             {
-                _logger.LogError("Download timed out");
-                return (false, "Download timed out");
+                var probe = JObject.Parse(output);
+                if (double.TryParse(probe["format"]?["duration"]?.ToString(), NumberStyles.Float, CultureInfo.InvariantCulture, out var duration))
+                    info.Duration = duration;
+
+                var streams = probe["streams"] as JArray ?? new JArray();
+                var video = streams.FirstOrDefault(s => s["codec_type"]?.ToString() == "video");
+                var audio = streams.FirstOrDefault(s => s["codec_type"]?.ToString() == "audio");
+
+                info.VideoCodec = video?["codec_name"]?.ToString();
+                info.Width = video?["width"]?.ToObject<int?>();
+                info.Height = video?["height"]?.ToObject<int?>();
+                info.AudioCodec = audio?["codec_name"]?.ToString();
             }
-            catch (HttpRequestException httpEx)
+
+            // A frame a little way in is more representative than the first one, which is often black.
+            double seek = Math.Min((info.Duration ?? 0) * 0.1, 5);
+            string thumbnail = GetLibraryPath(fileName, ".jpg");
+            await RunToolAsync("ffmpeg", "-v", "error", "-y", "-ss", seek.ToString("0.###", CultureInfo.InvariantCulture),
+                "-i", filePath, "-frames:v", "1", "-vf", "scale=480:-2", "-q:v", "4", thumbnail);
+
+            await File.WriteAllTextAsync(GetLibraryPath(fileName, ".json"), JsonConvert.SerializeObject(info));
+            _metadata[fileName] = info;
+        }
+
+        /// <summary>
+        /// Stores a sidecar for the current file size so a video that breaks ffprobe/ffmpeg isn't
+        /// re-queued on every listing; ReadMetadata drops it as soon as the file is replaced.
+        /// </summary>
+        private void MarkAnalysisFailed(string fileName)
+        {
+            try
             {
-                _logger.LogError($"HTTP error during download: {httpEx.Message}");
-                return (false, $"Download failed: {httpEx.Message}");
+                string filePath = GetVideoFilePath(fileName);
+                if (filePath == null)
+                    return;
+
+                var info = new VideoInfo { FileName = fileName, Size = new FileInfo(filePath).Length, AnalysisFailed = true };
+                File.WriteAllText(GetLibraryPath(fileName, ".json"), JsonConvert.SerializeObject(info));
+                _metadata[fileName] = info;
             }
             catch (Exception ex)
             {
-                _logger.LogError($"URL Download failed: {ex.Message}");
-                return (false, $"Download failed: {ex.Message}");
+                _logger.LogError($"Error saving failed analysis for {fileName}: {ex.Message}");
             }
         }
 
-
-        public bool IsVideoFile(string filePath)
+        private static async Task<(int exitCode, string output)> RunToolAsync(string tool, params string[] arguments)
         {
-            if (string.IsNullOrWhiteSpace(filePath))
-                return false;
+            var startInfo = new ProcessStartInfo(tool)
+            {
+                RedirectStandardOutput = true,
+                RedirectStandardError = true,
+                UseShellExecute = false,
+                CreateNoWindow = true
+            };
+            foreach (var argument in arguments)
+                startInfo.ArgumentList.Add(argument);
 
-            string extension = Path.GetExtension(filePath).ToLowerInvariant();
-            return extension == ".mp4" || extension == ".webm" || extension == ".ogg" ||
-                   extension == ".avi" || extension == ".mov" || extension == ".mkv";
-        }
+            using var process = Process.Start(startInfo);
+            var outputTask = process.StandardOutput.ReadToEndAsync();
+            var errorTask = process.StandardError.ReadToEndAsync();
 
-        public string GetVideoFilePath(string fileName)
-        {
-            if (fileName.Contains("..") || fileName.Contains("/") || fileName.Contains("\\"))
+            using var timeout = new CancellationTokenSource(ToolTimeout);
+            try
             {
-                _logger.Log($"❌ Invalid filename requested: {fileName}");
-                return null;
+                await process.WaitForExitAsync(timeout.Token);
+            }
+            catch (OperationCanceledException)
+            {
+                process.Kill(true);
+                throw new TimeoutException($"{tool} did not finish within {ToolTimeout.TotalMinutes:0} minutes");
             }
 
-            string filePath = Path.Combine(AppContext.BaseDirectory, _videosFolder, fileName);
-            return File.Exists(filePath) ? filePath : null;
+            await errorTask;
+            return (process.ExitCode, await outputTask);
         }
 
         public string GetContentType(string filePath)
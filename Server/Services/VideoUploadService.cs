@@ -0,0 +1,220 @@
+﻿using System.Collections.Concurrent;
+using Newtonsoft.Json;
+using UltimateServer.Events;
+using UltimateServer.Models;
+
+namespace UltimateServer.Services
+{
+    /// <summary>
+    /// Receives local video files in chunks. Each upload is a partial file plus a small JSON record in the
+    /// videos folder, so the browser can pick up from the last stored byte after a dropped connection, a page
+    /// reload or a server restart. Chunks are capped at <c>MaxRequestSizeMB</c>; the file itself is not.
+    /// </summary>
+    public class VideoUploadService
+    {
+        private const string UploadsFolder = ".uploads";
+        private const int DefaultChunkSizeMB = 8;
+        private static readonly TimeSpan AbandonedAfter = TimeSpan.FromDays(7);
+
+        private readonly ConcurrentDictionary<string, SemaphoreSlim> _locks = new();
+        private readonly string _videosFolder;
+        private readonly string _uploadsFolder;
+        private readonly ValidationService _validation;
+        private readonly ConfigManager _configManager;
+        private readonly Logger _logger;
+        private readonly IEventBus _eventBus;
+
+        public VideoUploadService(FilePaths filePaths, ValidationService validation, ConfigManager configManager, Logger logger, IEventBus eventBus)
+        {
+            _videosFolder = Path.Combine(AppContext.BaseDirectory, filePaths.VideosFolder);
+            _uploadsFolder = Path.Combine(_videosFolder, UploadsFolder);
+            _validation = validation;
+            _configManager = configManager;
+            _logger = logger;
+            _eventBus = eventBus;
+            RemoveAbandonedUploads();
+        }
+
+        /// <summary>
+        /// Largest chunk a client may send, in bytes.
+        /// </summary>
+        public long MaxChunkSize => Math.Max(1, _configManager.Config.MaxRequestSizeMB) * 1024L * 1024L;
+
+        public List<VideoUpload> GetUploads()
+        {
+            if (!Directory.Exists(_uploadsFolder))
+                return new List<VideoUpload>();
+
+            return Directory.GetFiles(_uploadsFolder, "*.json")
+                .Select(path => GetUpload(Path.GetFileNameWithoutExtension(path)))
+                .Where(upload => upload != null)
+                .OrderByDescending(upload => upload.UpdatedAt)
+                .ToList();
+        }
+
+        public VideoUpload GetUpload(string id)
+        {
+            if (!IsValidId(id) || !File.Exists(GetRecordPath(id)))
+                return null;
+
+            try
+            {
+                var upload = JsonConvert.DeserializeObject<VideoUpload>(File.ReadAllText(GetRecordPath(id)));
+                if (upload == null)
+                    return null;
+
+                // The partial file is the source of truth; the record only notes when it was last written.
+                string partPath = GetPartPath(id);
+                upload.ReceivedBytes = File.Exists(partPath) ? new FileInfo(partPath).Length : 0;
+                return upload;
+            }
+            catch (JsonException)
+            {
+                return null;
+            }
+        }
+
+        public (bool success, string message, VideoUpload upload) CreateUpload(string fileName, long size, string username)
+        {
+            fileName = fileName?.Trim();
+            if (!_validation.IsValidFileName(fileName) || fileName.StartsWith("."))
+                return (false, "Invalid file name", null);
+            if (!_validation.IsVideoFile(fileName))
+                return (false, "Only MP4, WebM, OGG, AVI, MOV and MKV videos can be uploaded", null);
+            if (size <= 0)
+                return (false, "The file is empty", null);
+
+            var upload = new VideoUpload
+            {
+                Id = Guid.NewGuid().ToString("N"),
+                FileName = fileName,
+                Size = size,
+                ChunkSize = (int)Math.Min(MaxChunkSize, DefaultChunkSizeMB * 1024L * 1024L),
+                StartedBy = username,
+                CreatedAt = DateTime.UtcNow,
+                UpdatedAt = DateTime.UtcNow
+            };
+
+            Directory.CreateDirectory(_uploadsFolder);
+            File.WriteAllBytes(GetPartPath(upload.Id), Array.Empty<byte>());
+            SaveRecord(upload);
+
+            _logger.Log($"📤 Upload of {fileName} ({size} bytes) started by {username}");
+            return (true, $"Upload of {fileName} started", upload);
+        }
+
+        /// <summary>
+        /// Appends one chunk. The offset must equal the bytes already stored, which makes a repeated chunk
+        /// (sent again because its response was lost) harmless: the caller gets the real offset back and
+        /// continues from there.
+        /// </summary>
+        public async Task<(bool success, string message, VideoUpload upload)> AppendChunkAsync(string id, long offset, Stream content, long contentLength)
+        {
+            var upload = GetUpload(id);
+            if (upload == null)
+                return (false, "Upload not found", null);
+            if (contentLength > MaxChunkSize)
+                return (false, $"Chunks can be at most {_configManager.Config.MaxRequestSizeMB} MB", upload);
+
+            var gate = _locks.GetOrAdd(id, _ => new SemaphoreSlim(1, 1));
+            await gate.WaitAsync();
+            try
+            {
+                upload = GetUpload(id);
+                if (upload == null)
+                    return (false, "Upload not found", null);
+                if (offset != upload.ReceivedBytes)
+                    return (false, "Offset does not match the stored data", upload);
+
+                long written = 0;
+                using (var file = new FileStream(GetPartPath(id), FileMode.Append, FileAccess.Write, FileShare.None, 81920, useAsync: true))
+                {
+                    byte[] buffer = new byte[81920];
+                    int bytesRead;
+                    while ((bytesRead = await content.ReadAsync(buffer, 0, buffer.Length)) > 0)
+                    {
+                        if (written + bytesRead > MaxChunkSize || upload.ReceivedBytes + written + bytesRead > upload.Size)
+                        {
+                            file.SetLength(upload.ReceivedBytes);
+                            return (false, "Chunk is larger than allowed", upload);
+                        }
+
+                        await file.WriteAsync(buffer, 0, bytesRead);
+                        written += bytesRead;
+                    }
+                }
+
+                upload.ReceivedBytes += written;
+                upload.UpdatedAt = DateTime.UtcNow;
+                SaveRecord(upload);
+
+                if (upload.ReceivedBytes == upload.Size)
+                    await CompleteAsync(upload);
+
+                return (true, upload.ReceivedBytes == upload.Size ? $"Uploaded {upload.FileName}" : "Chunk stored", upload);
+            }
+            finally
+            {
+                gate.Release();
+            }
+        }
+
+        public (bool success, string message) CancelUpload(string id)
+        {
+            if (GetUpload(id) == null)
+                return (false, "Upload not found");
+
+            DeleteUploadFiles(id);
+            _locks.TryRemove(id, out _);
+            return (true, "Upload cancelled");
+        }
+
+        private async Task CompleteAsync(VideoUpload upload)
+        {
+            string baseName = Path.GetFileNameWithoutExtension(upload.FileName);
+            string extension = Path.GetExtension(upload.FileName);
+            string fileName = upload.FileName;
+            for (int i = 2; File.Exists(Path.Combine(_videosFolder, fileName)); i++)
+                fileName = $"{baseName} ({i}){extension}";
+
+            File.Move(GetPartPath(upload.Id), Path.Combine(_videosFolder, fileName));
+            File.Delete(GetRecordPath(upload.Id));
+            _locks.TryRemove(upload.Id, out _);
+            upload.FileName = fileName;
+
+            _logger.Log($"✅ Video uploaded successfully: {fileName} ({upload.Size} bytes)");
+            await _eventBus.PublishAsync(new VideoUploadedEvent(fileName, null));
+        }
+
+        private void RemoveAbandonedUploads()
+        {
+            try
+            {
+                foreach (var upload in GetUploads().Where(u => DateTime.UtcNow - u.UpdatedAt > AbandonedAfter))
+                {
+                    DeleteUploadFiles(upload.Id);
+                    _logger.Log($"🧹 Removed abandoned upload of {upload.FileName}");
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError($"Error cleaning up abandoned uploads: {ex.Message}");
+            }
+        }
+
+        private void SaveRecord(VideoUpload upload)
+            => File.WriteAllText(GetRecordPath(upload.Id), JsonConvert.SerializeObject(upload, Formatting.Indented));
+
+        private void DeleteUploadFiles(string id)
+        {
+            File.Delete(GetPartPath(id));
+            File.Delete(GetRecordPath(id));
+        }
+
+        private static bool IsValidId(string id) => !string.IsNullOrEmpty(id) && id.Length == 32 && id.All(Uri.IsHexDigit);
+
+        private string GetPartPath(string id) => Path.Combine(_uploadsFolder, id + ".part");
+
+        private string GetRecordPath(string id) => Path.Combine(_uploadsFolder, id + ".json");
+    }
+}
@@ -95,226 +95,411 @@
 // MARKETPLACE FUNCTIONALITY
 // =============================================================================
 
+const marketState = { plugins: [], installed: [], loaded: false };
+
 async function fetchMarketPlugins() {
     const marketPluginsList = document.getElementById('marketPluginsList');
-    marketPluginsList.innerHTML = `
+    if (!marketState.loaded) {
+        marketPluginsList.innerHTML = `
         <div class="empty-plugins">
             <i class="fas fa-download"></i>
             <h3>Loading Marketplace...</h3>
             <p>Please wait while we fetch the latest plugins.</p>
         </div>
     `;
+    }
 
     try {
-        // FIX: Use the full absolute URL instead of relative path
-        const response = await apiRequest('https://dashboard.voidgames.ir/api/marketplace');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        const [marketResponse, installedResponse] = await Promise.all([
+            apiRequest(`${CONFIG.baseUrl}/api/marketplace`),
+            apiRequest(`${CONFIG.baseUrl}/api/plugins`)
+        ]);
+        if (!marketResponse.ok) {
+            throw new Error(`HTTP error! status: ${marketResponse.status}`);
         }
-        
-        // FIX: The API returns an object, so we need to get the 'plugins' array from it.
-        const data = await response.json();
-        const plugins = data.plugins;
 
-        if (!plugins || plugins.length === 0) {
-            marketPluginsList.innerHTML = `
-                <div class="empty-plugins">
-                    <i class="fas fa-store-slash"></i>
-                    <h3>No Plugins Available</h3>
-                    <p>The marketplace is currently empty. Check back later!</p>
-                </div>
-            `;
-            return;
-        }
+        const data = await marketResponse.json();
+        const installed = installedResponse.ok ? await installedResponse.json() : {};
 
-        marketPluginsList.innerHTML = ''; // Clear loading message
-        plugins.forEach(plugin => {
-            const pluginCard = document.createElement('div');
-            pluginCard.className = 'market-plugin-card';
-            pluginCard.innerHTML = `
-                <div class="market-plugin-info">
-                    <h4>${plugin.Name}</h4>
-                    <p>${plugin.Description}</p>
-                </div>
-                <div class="market-plugin-actions">
-                    <button class="install-btn" onclick="installMarketPlugin('${encodeURIComponent(JSON.stringify(plugin))}')">
-                        <i class="fas fa-download"></i> Install
-                    </button>
-                </div>
-            `;
-            marketPluginsList.appendChild(pluginCard);
-        });
+        marketState.plugins = data.plugins || [];
+        marketState.installed = installed.success ? installed.plugins.filter(p => p.loaded) : [];
+        marketState.loaded = true;
+
+        document.getElementById('marketRegistryErrors').innerHTML = (data.errors || []).map(error => `
+            <div class="plugin-result error show" style="margin: 0 0 15px;">
+                <i class="fas fa-exclamation-circle"></i> Registry unavailable: ${escapeHtml(error)}
+            </div>
+        `).join('');
+
+        const categorySelect = document.getElementById('marketCategory');
+        const selected = categorySelect.value;
+        const categories = [...new Set(marketState.plugins.map(p => p.Category).filter(Boolean))].sort();
+        categorySelect.innerHTML = '<option value="">All categories</option>' +
+            categories.map(c => `<option value="${escapeHtml(c)}" ${c === selected ? 'selected' : ''}>${escapeHtml(c)}</option>`).join('');
 
+        renderMarketPlugins();
     } catch (error) {
         console.error('Error fetching market plugins:', error);
         marketPluginsList.innerHTML = `
             <div class="plugin-result error show" style="margin-top: 20px;">
-                <i class="fas fa-exclamation-circle"></i> Failed to load marketplace plugins. ${error.message}
+                <i class="fas fa-exclamation-circle"></i> Failed to load marketplace plugins. ${escapeHtml(error.message)}
             </div>
         `;
     }
 }
 
+function compareVersions(a, b) {
+    const parse = v => String(v || '').trim().replace(/^v/i, '').split(/[-+]/)[0].split('.').map(Number);
+    const left = parse(a);
+    const right = parse(b);
 
+    if (left.some(isNaN) || right.some(isNaN)) {
+        return String(a).localeCompare(String(b));
+    }
 
-window.installMarketPlugin = async function (encodedPlugin) {
-    let plugin;
-    try {
-        // Decode the JSON string passed from the onclick handler
-        plugin = JSON.parse(decodeURIComponent(encodedPlugin));
-    } catch (e) {
-        console.error("Failed to parse plugin data:", e);
-        showToast('Installation Failed', 'Invalid plugin data.', 'error');
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+// Marketplace names match either the plugin's own name or the DLL the marketplace saved it as.
+function findInstalledPlugin(marketPlugin) {
+    const name = marketPlugin.Name.toLowerCase();
+    return marketState.installed.find(p => {
+        const fileName = (p.assemblyPath || '').split(/[\\/]/).pop().replace(/\.dll$/i, '').toLowerCase();
+        return p.name.toLowerCase() === name || fileName === name;
+    });
+}
+
+function marketActionLabel(installedVersion, version) {
+    if (!installedVersion) return { text: 'Install', icon: 'download' };
+
+    const diff = compareVersions(version, installedVersion);
+    if (diff > 0) return { text: 'Update', icon: 'arrow-up' };
+    if (diff < 0) return { text: 'Roll back', icon: 'history' };
+    return { text: 'Reinstall', icon: 'redo' };
+}
+
+function renderMarketPlugins() {
+    const marketPluginsList = document.getElementById('marketPluginsList');
+    const search = document.getElementById('marketSearch').value.trim().toLowerCase();
+    const category = document.getElementById('marketCategory').value;
+    const updatesOnly = document.getElementById('marketUpdatesOnly').checked;
+
+    if (marketState.plugins.length === 0) {
+        marketPluginsList.innerHTML = `
+                <div class="empty-plugins">
+                    <i class="fas fa-store-slash"></i>
+                    <h3>No Plugins Available</h3>
+                    <p>The configured registries list no plugins.</p>
+                </div>
+            `;
+        return;
+    }
+
+    const rows = marketState.plugins.map((plugin, index) => {
+        const installed = findInstalledPlugin(plugin);
+        return { plugin, index, installed, updateAvailable: !!installed && compareVersions(plugin.Version, installed.version) > 0 };
+    }).filter(({ plugin, updateAvailable }) =>
+        (!category || plugin.Category === category) &&
+        (!updatesOnly || updateAvailable) &&
+        (!search || [plugin.Name, plugin.Description, plugin.Author].some(v => (v || '').toLowerCase().includes(search))));
+
+    if (rows.length === 0) {
+        marketPluginsList.innerHTML = `<p class="plugin-empty">No plugins match the current filters.</p>`;
         return;
     }
 
-    // Find the button that was clicked to disable it and show loading
-    const installBtn = event.target.closest('.install-btn');
+    marketPluginsList.innerHTML = rows.map(({ plugin, index, installed, updateAvailable }) => {
+        const action = marketActionLabel(installed && installed.version, plugin.Version);
+        const badge = updateAvailable
+            ? `<span class="market-badge update"><i class="fas fa-arrow-circle-up"></i> Update available: v${escapeHtml(plugin.Version)}</span>`
+            : installed ? `<span class="market-badge installed"><i class="fas fa-check"></i> Installed v${escapeHtml(installed.version)}</span>` : '';
+        const changelogs = plugin.Versions.filter(v => v.Changelog).map(v => `
+                        <div class="market-changelog-entry">
+                            <strong>v${escapeHtml(v.Version)}</strong>${v.Released ? ` <span>${new Date(v.Released).toLocaleDateString()}</span>` : ''}
+                            <p>${escapeHtml(v.Changelog)}</p>
+                        </div>`).join('');
+
+        return `
+            <div class="market-plugin-card">
+                <div class="market-plugin-info">
+                    <h4>${escapeHtml(plugin.Name)} <span class="market-version">v${escapeHtml(plugin.Version)}</span></h4>
+                    <div class="market-meta">
+                        ${plugin.Category ? `<span class="market-badge">${escapeHtml(plugin.Category)}</span>` : ''}
+                        ${plugin.Author ? `<span><i class="fas fa-user"></i> ${escapeHtml(plugin.Author)}</span>` : ''}
+                        ${badge}
+                        ${plugin.Signature
+                            ? '<span class="market-badge installed"><i class="fas fa-shield-alt"></i> Signed</span>'
+                            : plugin.Sha256 ? '<span class="market-badge"><i class="fas fa-fingerprint"></i> Checksum only</span>'
+                            : '<span class="market-badge update"><i class="fas fa-exclamation-triangle"></i> No checksum</span>'}
+                    </div>
+                    <p>${escapeHtml(plugin.Description)}</p>
+                    ${changelogs ? `<details class="market-changelog"><summary>Changelog</summary>${changelogs}</details>` : ''}
+                </div>
+                <div class="market-plugin-actions">
+                    <select id="market-version-${index}" onchange="updateMarketAction(${index})">
+                        ${plugin.Versions.map(v => `<option value="${escapeHtml(v.Version)}">v${escapeHtml(v.Version)}</option>`).join('')}
+                    </select>
+                    <button class="install-btn" id="market-install-${index}" onclick="installMarketPlugin(${index})">
+                        <i class="fas fa-${action.icon}"></i> ${action.text}
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+window.updateMarketAction = function (index) {
+    const plugin = marketState.plugins[index];
+    const installed = findInstalledPlugin(plugin);
+    const version = document.getElementById(`market-version-${index}`).value;
+    const action = marketActionLabel(installed && installed.version, version);
+    document.getElementById(`market-install-${index}`).innerHTML = `<i class="fas fa-${action.icon}"></i> ${action.text}`;
+};
+
+window.installMarketPlugin = async function (index) {
+    const plugin = marketState.plugins[index];
+    const version = document.getElementById(`market-version-${index}`).value;
+    const installBtn = document.getElementById(`market-install-${index}`);
     const originalBtnHtml = installBtn.innerHTML;
     installBtn.disabled = true;
     installBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Installing...';
 
     try {
-        const response = await apiRequest('/api/marketplace/download', {
+        const response = await apiRequest(`${CONFIG.baseUrl}/api/marketplace/download`, {
             method: 'POST',
-            body: JSON.stringify(plugin) // Send the full plugin object
+            body: JSON.stringify({ Name: plugin.Name, Version: version })
         });
 
         const result = await response.json();
 
         if (response.ok && result.success) {
-            showToast('Installation Successful', `Plugin "${plugin.Name}" has been installed.`, 'success');
-            // Change button to a success state
-            installBtn.innerHTML = '<i class="fas fa-check"></i> Installed';
-            installBtn.style.background = 'var(--text-dim)';
-            installBtn.disabled = true;
+            showToast('Installation Started', result.message, 'success');
+            installBtn.innerHTML = '<i class="fas fa-check"></i> Queued';
+            // The server downloads and reloads plugins in the background.
+            setTimeout(fetchMarketPlugins, 3000);
         } else {
-            // Restore button on failure
             installBtn.disabled = false;
             installBtn.innerHTML = originalBtnHtml;
             showToast('Installation Failed', result.message || `Could not install "${plugin.Name}".`, 'error');
         }
     } catch (error) {
         console.error('Error installing plugin:', error);
-        // Restore button on error
         installBtn.disabled = false;
         installBtn.innerHTML = originalBtnHtml;
         showToast('Installation Failed', `An error occurred: ${error.message}`, 'error');
     }
 };
 
+let marketSearchTimer = null;
+document.getElementById('marketSearch').addEventListener('input', () => {
+    clearTimeout(marketSearchTimer);
+    marketSearchTimer = setTimeout(renderMarketPlugins, 200);
+});
+document.getElementById('marketCategory').addEventListener('change', renderMarketPlugins);
+document.getElementById('marketUpdatesOnly').addEventListener('change', renderMarketPlugins);
+document.getElementById('marketRefreshBtn').addEventListener('click', fetchMarketPlugins);
+
+
+const processState = { items: [], sortKey: 'CpuPercent', sortDir: 'desc', serverPid: null, target: null };
+
+const processColumns = [
+    { key: 'Pid', label: 'PID' },
+    { key: 'Name', label: 'Name' },
+    { key: 'User', label: 'User' },
+    { key: 'CpuPercent', label: 'CPU %' },
+    { key: 'RssMB', label: 'RSS' },
+    { key: 'StartTime', label: 'Started' }
+];
 
 async function fetchProcess() {
     const processList = document.getElementById('processList');
-    processList.innerHTML = `
-        <div class="empty-process">
-            <i class="fas fa-download"></i>
-            <h3>Loading Process...</h3>
-            <p>Please wait while we fetch the latest process.</p>
-        </div>
-    `;
+    if (processState.items.length === 0) {
+        processList.innerHTML = `
+            <div class="empty-process">
+                <i class="fas fa-download"></i>
+                <h3>Loading Process...</h3>
+                <p>Please wait while we fetch the latest process.</p>
+            </div>
+        `;
+    }
 
     try {
-        // FIX: Corrected the typo from "proccess" to "process"
         const response = await apiRequest('/api/process/list');
-        
+
         // Check if the response is actually JSON
         const contentType = response.headers.get("content-type");
         if (!contentType || !contentType.includes("application/json")) {
             throw new Error("Server returned non-JSON response. Check if the API endpoint exists.");
         }
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        const processes = data.processesName; // Fixed variable name from "proccess" to "processes"
 
-        if (!processes || processes.length === 0) {
-            processList.innerHTML = `
-                <div class="empty-process">
-                    <i class="fas fa-store-slash"></i>
-                    <h3>No Process Available</h3>
-                    <p>The system process list is currently empty. Check back later!</p>
-                </div>
-            `;
-            return;
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || `HTTP error! status: ${response.status}`);
         }
 
-        processList.innerHTML = ''; // Clear loading message
-        processes.forEach(processName => {
-            const processCard = document.createElement('div');
-            processCard.className = 'process-card';
-            processCard.innerHTML = `
-                <div class="process-info">
-                    <h4>${processName}</h4>
-                </div>
-                <div class="process-actions">
-                    <button class="kill-btn" onclick="killProcess('${encodeURIComponent(processName)}')">
-                        <i class="fas fa-times-circle"></i> Kill Process
-                    </button>
-                </div>
-            `;
-            processList.appendChild(processCard);
-        });
-
+        processState.items = data.processes;
+        processState.serverPid = data.serverPid;
+        renderProcesses();
     } catch (error) {
         console.error('Error fetching processes:', error);
         processList.innerHTML = `
             <div class="process-result error show" style="margin-top: 20px;">
-                <i class="fas fa-exclamation-circle"></i> Failed to load processes. ${error.message}
+                <i class="fas fa-exclamation-circle"></i> Failed to load processes. ${escapeHtml(error.message)}
             </div>
         `;
     }
 }
 
-window.killProcess = async function (encodedProcessName) {
-    let processName;
-    try {
-        // Decode the process name passed from the onclick handler
-        processName = decodeURIComponent(encodedProcessName);
-    } catch (e) {
-        console.error("Failed to parse process name:", e);
-        showToast('Failed to Kill Process', 'Invalid process name.', 'error');
+function renderProcesses() {
+    const processList = document.getElementById('processList');
+    const filter = document.getElementById('processFilter').value.trim().toLowerCase();
+    const hideProtected = document.getElementById('processHideProtected').checked;
+
+    const visible = processState.items
+        .filter(p => !hideProtected || !p.Protected)
+        .filter(p => !filter ||
+            String(p.Pid) === filter ||
+            p.Name.toLowerCase().includes(filter) ||
+            p.User.toLowerCase().includes(filter) ||
+            p.CommandLine.toLowerCase().includes(filter))
+        .sort((a, b) => {
+            const x = a[processState.sortKey] ?? '';
+            const y = b[processState.sortKey] ?? '';
+            const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+            return processState.sortDir === 'asc' ? order : -order;
+        });
+
+    document.getElementById('processSummary').textContent =
+        `Showing ${visible.length} of ${processState.items.length} processes · Server PID ${processState.serverPid}`;
+
+    if (visible.length === 0) {
+        processList.innerHTML = `
+            <div class="empty-process">
+                <i class="fas fa-store-slash"></i>
+                <h3>No Process Available</h3>
+                <p>No process matches the current filter.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const headers = processColumns.map(c => {
+        const arrow = c.key === processState.sortKey
+            ? `<i class="fas fa-sort-${processState.sortDir === 'asc' ? 'up' : 'down'}"></i>`
+            : '';
+        return `<th data-sort="${c.key}">${c.label} ${arrow}</th>`;
+    }).join('');
+
+    const rows = visible.map(p => `
+        <tr class="${p.Pid === processState.serverPid ? 'process-self' : ''}">
+            <td>${p.Pid}</td>
+            <td>
+                <div class="user-cell-name">${escapeHtml(p.Name)}</div>
+                <div class="process-command" title="${escapeHtml(p.CommandLine)}">${escapeHtml(p.CommandLine)}</div>
+            </td>
+            <td>${escapeHtml(p.User || '-')}</td>
+            <td>${p.CpuPercent.toFixed(1)}</td>
+            <td>${p.RssMB.toFixed(1)} MB</td>
+            <td>${p.StartTime ? new Date(p.StartTime).toLocaleString() : '-'}</td>
+            <td>
+                ${p.Protected
+                    ? `<span class="user-badge locked" title="Protected processes can't be stopped from the dashboard"><i class="fas fa-lock"></i> Protected</span>`
+                    : `<button class="kill-btn" onclick="killProcess(${p.Pid})"><i class="fas fa-times-circle"></i> Stop</button>`}
+            </td>
+        </tr>
+    `).join('');
+
+    processList.innerHTML = `
+        <table class="users-table process-table">
+            <thead><tr>${headers}<th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+
+    processList.querySelectorAll('th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            const key = th.dataset.sort;
+            if (processState.sortKey === key) {
+                processState.sortDir = processState.sortDir === 'asc' ? 'desc' : 'asc';
+            } else {
+                processState.sortKey = key;
+                processState.sortDir = key === 'CpuPercent' || key === 'RssMB' ? 'desc' : 'asc';
+            }
+            renderProcesses();
+        });
+    });
+}
+
+window.killProcess = function (pid) {
+    const process = processState.items.find(p => p.Pid === pid);
+    if (!process) {
+        showToast('Failed to Stop Process', `PID ${pid} is no longer in the list.`, 'error');
         return;
     }
 
-    // Find the button that was clicked to disable it and show loading
-    const killBtn = event.target.closest('.kill-btn');
-    const originalBtnHtml = killBtn.innerHTML;
-    killBtn.disabled = true;
-    killBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Killing...';
+    processState.target = process;
+    document.getElementById('processSignalPid').textContent = process.Pid;
+    document.getElementById('processSignalName').textContent = process.Name;
+    document.getElementById('processSignalUser').textContent = process.User || '-';
+    document.getElementById('processSignalCommand').textContent = process.CommandLine || '-';
+    document.querySelector('input[name="processSignal"][value="SIGTERM"]').checked = true;
+    document.getElementById('processSignalModal').style.display = 'flex';
+};
+
+function closeProcessSignalModal() {
+    processState.target = null;
+    document.getElementById('processSignalModal').style.display = 'none';
+}
+
+document.getElementById('processSignalCancelBtn').addEventListener('click', e => {
+    e.preventDefault();
+    closeProcessSignalModal();
+});
+
+document.getElementById('processSignalConfirmBtn').addEventListener('click', async function () {
+    const process = processState.target;
+    if (!process) return;
+
+    const signal = document.querySelector('input[name="processSignal"]:checked').value;
+    const originalBtnHtml = this.innerHTML;
+    this.disabled = true;
+    this.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
 
     try {
-        // FIX: Corrected the typo from "proccess" to "process"
         const response = await apiRequest('/api/process/kill', {
             method: 'POST',
-            body: JSON.stringify({ ProcessName: processName }) // Fixed variable name
+            body: JSON.stringify({ Pid: process.Pid, ProcessName: process.Name, Signal: signal })
         });
 
         const result = await response.json();
 
         if (response.ok && result.success) {
-            showToast('Process Killed', `Process "${processName}" has been terminated.`, 'success');
-            // Change button to a success state
-            killBtn.innerHTML = '<i class="fas fa-check"></i> Killed';
-            killBtn.style.background = 'var(--text-dim)';
-            killBtn.disabled = true;
+            showToast('Signal Sent', result.message, 'success');
+            closeProcessSignalModal();
+            setTimeout(fetchProcess, 1000);
         } else {
-            // Restore button on failure
-            killBtn.disabled = false;
-            killBtn.innerHTML = originalBtnHtml;
-            showToast('Failed to Kill Process', result.message || `Could not kill "${processName}".`, 'error');
+            showToast('Failed to Stop Process', result.message || `Could not stop "${process.Name}".`, 'error');
         }
     } catch (error) {
-        console.error('Error killing process:', error);
-        // Restore button on error
-        killBtn.disabled = false;
-        killBtn.innerHTML = originalBtnHtml;
-        showToast('Failed to Kill Process', `An error occurred: ${error.message}`, 'error');
+        console.error('Error stopping process:', error);
+        showToast('Failed to Stop Process', `An error occurred: ${error.message}`, 'error');
+    } finally {
+        this.disabled = false;
+        this.innerHTML = originalBtnHtml;
     }
-}
+});
+
+let processFilterTimer = null;
+document.getElementById('processFilter').addEventListener('input', () => {
+    clearTimeout(processFilterTimer);
+    processFilterTimer = setTimeout(renderProcesses, 200);
+});
+document.getElementById('processHideProtected').addEventListener('change', renderProcesses);
+document.getElementById('processRefreshBtn').addEventListener('click', fetchProcess);
 
 
 
@@ -381,6 +566,12 @@ window.killProcess = async function (encodedProcessName) {
             document.getElementById('toast').classList.remove('show');
         });
 
+        function escapeHtml(value) {
+            const div = document.createElement('div');
+            div.textContent = value == null ? '' : String(value);
+            return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        }
+
         function showSessionExpiredModal() {
             document.getElementById('sessionModal').style.display = 'flex';
         }
@@ -448,7 +639,9 @@ window.killProcess = async function (encodedProcessName) {
 
                     const data = await response.json();
 
-                    if (data.success) {
+                    if (data.twoFactorRequired) {
+                        showTwoFactorChallenge(data.challengeToken, remember);
+                    } else if (data.success) {
                         AuthManager.setAuth(data.token, data.refreshToken, data.user, remember);
 
                         successMessage.textContent = 'Login successful! Redirecting to dashboard...';
@@ -477,6 +670,8 @@ window.killProcess = async function (encodedProcessName) {
             });
         }
 
+        let liveUpdates = null;
+
         function showDashboard() {
             document.getElementById('loginPage').style.display = 'none';
             document.getElementById('dashboardPage').style.display = 'flex';
@@ -501,6 +696,8 @@ window.killProcess = async function (encodedProcessName) {
         }
 
         async function logout() {
+            if (liveUpdates) liveUpdates.stop();
+
             try {
                 await apiRequest(`${CONFIG.baseUrl}/api/logout`, { method: 'POST' });
             } catch (error) {
@@ -661,582 +858,3918 @@ window.killProcess = async function (encodedProcessName) {
         }
 
         // =============================================================================
-        // DASHBOARD FUNCTIONALITY
+        // TWO-FACTOR AUTHENTICATION
         // =============================================================================
 
-        function initializeDashboard() {
-            const tabs = document.querySelectorAll('.nav-item');
-            const tabContents = document.querySelectorAll('.tab-content');
-            function activateTab(name) {
-                tabs.forEach(t => t.classList.remove('active'));
-                tabContents.forEach(c => c.classList.remove('active'));
-                const tab = document.querySelector(`.nav-item[data-tab="${name}"]`);
-                const content = document.getElementById(name);
-                if (tab && content) { tab.classList.add('active'); content.classList.add('active'); }
+        const twoFactorForm = document.getElementById('twoFactorForm');
+        let pendingTwoFactor = null;
+        let useBackupCode = false;
 
-                if (name === 'pluginsTab') {
-                    fetchPlugins();
-                } else if (name === 'sitesTab') {
-                    fetchSites();
-                } else if (name === 'marketTab') { // <-- ADD THIS ELSE IF BLOCK
-            fetchMarketPlugins();
+        function showTwoFactorChallenge(challengeToken, remember) {
+            pendingTwoFactor = { challengeToken, remember };
+            setBackupCodeMode(false);
+
+            loginForm.style.display = 'none';
+            twoFactorForm.style.display = 'block';
+            document.getElementById('twoFactorErrorMessage').style.display = 'none';
+            document.getElementById('twoFactorCode').value = '';
+            document.getElementById('twoFactorCode').focus();
         }
-            }
-            tabs.forEach(tab => tab.addEventListener('click', () => activateTab(tab.dataset.tab)));
 
-            function updateTime() {
-                const now = new Date();
-                document.getElementById('currentTime').textContent = now.toLocaleTimeString();
-            }
-            updateTime();
-            setInterval(updateTime, 1000);
+        function hideTwoFactorChallenge() {
+            pendingTwoFactor = null;
+            twoFactorForm.style.display = 'none';
+            loginForm.style.display = 'block';
+            document.getElementById('password').value = '';
+        }
 
-            const maxDataPoints = 20;
-            const cpuData = [], memoryData = [], chartLabels = [];
-            const cpuChart = new Chart(document.getElementById('cpuChart').getContext('2d'), {
-                type: 'line',
-                data: {
-                    labels: chartLabels,
-                    datasets: [{
-                        label: 'CPU Usage (%)',
-                        data: cpuData,
-                        borderColor: '#6366f1',
-                        backgroundColor: 'rgba(99, 102, 241, 0.1)',
-                        tension: 0.4,
-                        fill: true
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            max: 100,
-                            grid: { color: 'rgba(255, 255, 255, 0.1)' },
-                            ticks: { color: '#94a3b8' }
-                        },
-                        x: {
-                            grid: { color: 'rgba(255, 255, 255, 0.1)' },
-                            ticks: { color: '#94a3b8' }
-                        }
-                    },
-                    plugins: {
-                        legend: { display: false }
-                    }
-                }
-            });
+        function setBackupCodeMode(enabled) {
+            useBackupCode = enabled;
+            const codeInput = document.getElementById('twoFactorCode');
+
+            document.getElementById('twoFactorHint').textContent = enabled
+                ? 'Enter one of the backup codes you saved when enabling 2FA'
+                : 'Enter the 6-digit code from your authenticator app';
+            document.getElementById('twoFactorCodeLabel').textContent = enabled ? 'Backup Code' : 'Verification Code';
+            document.getElementById('useBackupCodeLink').textContent = enabled
+                ? 'Use authenticator app instead'
+                : 'Use a backup code instead';
+            codeInput.placeholder = enabled ? 'xxxx-xxxx' : '123456';
+            codeInput.inputMode = enabled ? 'text' : 'numeric';
+            codeInput.value = '';
+        }
 
-            const memoryChart = new Chart(document.getElementById('memoryChart').getContext('2d'), {
-                type: 'line',
-                data: {
-                    labels: chartLabels,
-                    datasets: [{
-                        label: 'Memory Usage (MB)',
-                        data: memoryData,
-                        borderColor: '#10b981',
-                        backgroundColor: 'rgba(16, 185, 129, 0.1)',
-                        tension: 0.4,
-                        fill: true
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            grid: { color: 'rgba(255, 255, 255, 0.1)' },
-                            ticks: { color: '#94a3b8' }
-                        },
-                        x: {
-                            grid: { color: 'rgba(255, 255, 255, 0.1)' },
-                            ticks: { color: '#94a3b8' }
-                        }
-                    },
-                    plugins: {
-                        legend: { display: false }
-                    }
-                }
-            });
+        document.getElementById('useBackupCodeLink').addEventListener('click', (e) => {
+            e.preventDefault();
+            setBackupCodeMode(!useBackupCode);
+            document.getElementById('twoFactorCode').focus();
+        });
 
-            function updateCharts(cpu, memory) {
-                const now = new Date().toLocaleTimeString();
-                chartLabels.push(now);
-                cpuData.push(cpu);
-                memoryData.push(memory);
-                if (chartLabels.length > maxDataPoints) {
-                    chartLabels.shift();
-                    cpuData.shift();
-                    memoryData.shift();
-                }
-                cpuChart.update('none');
-                memoryChart.update('none');
-            }
+        document.getElementById('twoFactorBackLink').addEventListener('click', (e) => {
+            e.preventDefault();
+            hideTwoFactorChallenge();
+        });
 
-            async function fetchStats() {
-                try {
-                    const data = await apiRequest(`${CONFIG.baseUrl}/stats`).then(r => r.json());
-                    document.getElementById("uptime").textContent = data.uptime || "N/A";
-                    document.getElementById("onlineUsers").textContent = data.users || "0";
-                    document.getElementById("maxConnections").textContent = data.maxConnections || "0";
-                } catch (error) { console.error('Error fetching stats:', error); }
+        document.getElementById('twoFactorVerifyForm').addEventListener('submit', async function (e) {
+            e.preventDefault();
+            if (!pendingTwoFactor) {
+                hideTwoFactorChallenge();
+                return;
             }
 
-            async function fetchSystem() {
-                try {
-                    const data = await apiRequest(`${CONFIG.baseUrl}/system`).then(r => r.json());
-                    const cpuUsage = (data.cpuUsage || 0).toFixed(2);
-                    const memoryUsage = (data.memoryMB || 0).toFixed(2);
-                    document.getElementById("cpuUsage").textContent = cpuUsage + "%";
-                    document.getElementById("memoryUsage").textContent = memoryUsage + " MB";
-                    document.getElementById("diskUsage").textContent = `${(data.diskUsedGB || 0).toFixed(2)} / ${(data.diskTotalGB || 0).toFixed(2)} GB`;
-                    document.getElementById("networkUsageD").textContent = `${(data.netReceivedMB || 0).toFixed(2)} MB ↓`;
-                    document.getElementById("networkUsageU").textContent = `${(data.netSentMB || 0).toFixed(2)} MB ↑`;
-                    updateCharts(parseFloat(cpuUsage), parseFloat(memoryUsage));
-                } catch (error) { console.error('Error fetching system data:', error); }
-            }
-            
-            let lastLogCount = 0;
-            async function fetchLogs() {
-    try {
-        const logs = await apiRequest(`${CONFIG.baseUrl}/logs`).then(r => r.json());
-        const logsEl = document.getElementById("serverLogs");
-        
-        // Only process new logs
-        const newLogs = logs.slice(lastLogCount);
-        lastLogCount = logs.length;
-        
-        // Add new logs to the container
-        newLogs.forEach(l => {
-            let className = 'log-info';            if (l.includes('[ERROR]')) className = 'log-error';
-            else if (l.includes('[WARNING]')) className = 'log-warning';
-            else if (l.includes('[SECURITY]')) className = 'log-security';
-            
-            const logEntry = document.createElement('div');
-            logEntry.className = className;
-            logEntry.textContent = l;
-            logsEl.appendChild(logEntry);
-        });
-        
-        // Auto-scroll to bottom if user hasn't scrolled up
-        if (logsEl.scrollTop + logsEl.clientHeight >= logsEl.scrollHeight - 50) {
-            logsEl.scrollTop = logsEl.scrollHeight;
-        }
-        
-        // Limit logs to prevent memory issues
-        while (logsEl.children.length > 500) {
-            logsEl.removeChild(logsEl.firstChild);
-        }
-    } catch (error) { 
-        console.error('Error fetching logs:', error); 
-    }
-}
+            const code = document.getElementById('twoFactorCode').value.trim();
+            const btn = document.getElementById('twoFactorBtn');
+            const btnText = document.getElementById('twoFactorBtnText');
+            const spinner = document.getElementById('twoFactorSpinner');
+            const errorMsg = document.getElementById('twoFactorErrorMessage');
 
-            async function fetchVideos() {
-                try {
-                    const videos = await apiRequest(`${CONFIG.baseUrl}/videos`).then(r => r.json());
-                    const videoList = document.getElementById("videoList");
-                    if (!videos || videos.length === 0) {
-                        videoList.innerHTML = "<p style='color: var(--text-dim); text-align: center; grid-column: 1/-1; padding: 20px;'>No videos uploaded yet.</p>";
-                        return;
+            btn.disabled = true;
+            btnText.textContent = 'Verifying...';
+            spinner.style.display = 'inline-block';
+            errorMsg.style.display = 'none';
+
+            try {
+                const response = await fetch(`${CONFIG.baseUrl}/api/verify-2fa`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ challengeToken: pendingTwoFactor.challengeToken, code })
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    AuthManager.setAuth(data.token, data.refreshToken, data.user, pendingTwoFactor.remember);
+                    if (data.message && data.message.startsWith('Backup')) {
+                        showToast('Backup Code Used', 'That backup code can no longer be used.', 'warning');
+                    }
+                    pendingTwoFactor = null;
+                    twoFactorForm.style.display = 'none';
+                    loginForm.style.display = 'block';
+                    showDashboard();
+                } else {
+                    errorMsg.textContent = data.message || 'Invalid verification code';
+                    errorMsg.style.display = 'block';
+                    if (data.sessionExpired) {
+                        setTimeout(hideTwoFactorChallenge, 1500);
                     }
-                    videoList.innerHTML = "";
-                    videos.forEach(v => {
-                        const div = document.createElement("div"); div.className = "video-card";
-                        const thumbnail = document.createElement("div"); thumbnail.className = "video-thumbnail";
-                        thumbnail.style.backgroundImage = `url('https://picsum.photos/seed/${v}/300/200.jpg')`;
-                        const title = document.createElement("p"); title.textContent = v;
-                        div.appendChild(thumbnail); div.appendChild(title);
-                        div.onclick = () => playVideo(v);
-                        videoList.appendChild(div);
-                    });
-                } catch (error) {
-                    console.error('Error fetching videos:', error);
-                    const videoList = document.getElementById("videoList");
-                    videoList.innerHTML = `<p style='color: var(--danger); text-align: center; grid-column: 1/-1; padding: 20px;'><i class='fas fa-exclamation-circle'></i> Error loading videos.</p>`;
                 }
+            } catch (error) {
+                console.error('2FA verification error:', error);
+                errorMsg.textContent = 'An error occurred. Please try again.';
+                errorMsg.style.display = 'block';
+            } finally {
+                btn.disabled = false;
+                btnText.textContent = 'Verify';
+                spinner.style.display = 'none';
             }
+        });
 
-            async function playVideo(fileName) {
-                const videoPlayer = document.getElementById("videoPlayer");
-                const loadingMsg = document.getElementById("loadingMsg");
-                const videoError = document.getElementById("videoError");
-                const videoErrorText = document.getElementById("videoErrorText");
+        const twoFactorModal = document.getElementById('twoFactorModal');
 
-                videoPlayer.style.display = "none"; videoError.style.display = "none";
-                loadingMsg.style.display = "block";
+        function showTwoFactorView(view) {
+            ['twoFactorStatusView', 'twoFactorSetupView', 'twoFactorBackupView'].forEach(id => {
+                document.getElementById(id).style.display = id === view ? 'block' : 'none';
+            });
+        }
 
-                const videoUrl = `${CONFIG.baseUrl}/videos/${fileName}`;
+        async function openTwoFactorModal() {
+            twoFactorModal.style.display = 'flex';
+            showTwoFactorView('twoFactorStatusView');
 
-                try {
-                    const response = await apiRequest(videoUrl);
-                    const blob = await response.blob();
-                    const blobUrl = URL.createObjectURL(blob);
+            const statusText = document.getElementById('twoFactorStatusText');
+            const startBtn = document.getElementById('twoFactorStartBtn');
+            const disableSection = document.getElementById('twoFactorDisableSection');
+            statusText.textContent = 'Loading...';
+            startBtn.style.display = 'none';
+            disableSection.style.display = 'none';
 
-                    videoPlayer.src = blobUrl;
-                    videoPlayer.oncanplay = () => { videoPlayer.style.display = "block"; loadingMsg.style.display = "none"; };
-                    videoPlayer.onerror = (e) => { loadingMsg.style.display = "none"; videoError.style.display = "block"; videoErrorText.textContent = "Error loading video."; };
-                    videoPlayer.onstalled = () => { loadingMsg.innerHTML = '<div class="loading"></div><p style="color: var(--warning);">Stalled, retrying...</p>'; videoPlayer.load(); };
-                    videoPlayer.onunload = () => URL.revokeObjectURL(blobUrl);
-                    videoPlayer.load();
-                } catch (err) {
-                    console.error('Error loading video:', err);
-                    loadingMsg.style.display = "none"; videoError.style.display = "block";
-                    videoErrorText.textContent = "Error loading video: " + err.message;
+            try {
+                const response = await apiRequest(`${CONFIG.baseUrl}/api/2fa/status`);
+                const data = await response.json();
+
+                if (data.enabled) {
+                    statusText.textContent = `Two-factor authentication is enabled. ${data.backupCodesRemaining} backup code(s) remaining. Enter a current code to turn it off.`;
+                    document.getElementById('twoFactorDisableCode').value = '';
+                    disableSection.style.display = 'block';
+                } else {
+                    statusText.textContent = 'Protect your account by requiring a code from an authenticator app at sign in.';
+                    startBtn.style.display = 'inline-flex';
                 }
+            } catch (error) {
+                console.error('Error loading 2FA status:', error);
+                statusText.textContent = 'Could not load two-factor status.';
             }
+        }
 
-            window.uploadVideoFromUrl = async function () {
-                const urlInput = document.getElementById("videoUrlInput");
-                const status = document.getElementById("urlUploadStatus");
-                const progressBar = document.getElementById("uploadProgress");
-                const uploadProgressBar = document.getElementById("uploadProgressBar");
-                const url = urlInput.value.trim();
+        function closeTwoFactorModal() {
+            twoFactorModal.style.display = 'none';
+            document.getElementById('twoFactorQr').innerHTML = '';
+            document.getElementById('twoFactorSecret').textContent = '';
+            document.getElementById('twoFactorBackupCodes').innerHTML = '';
+        }
 
-                if (!url) { status.innerHTML = "<i class='fas fa-exclamation-circle'></i> Please enter a URL"; return; }
+        document.getElementById('twoFactorMenuBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            document.getElementById('userDropdown').classList.remove('show');
+            openTwoFactorModal();
+        });
 
-                status.innerHTML = "<i class='fas fa-spinner fa-spin'></i> Downloading...";
-                progressBar.style.display = "block";
+        document.getElementById('twoFactorCloseBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            closeTwoFactorModal();
+        });
 
-                try {
-                    const response = await apiRequest(`${CONFIG.baseUrl}/upload-url`, { method: "POST", body: JSON.stringify({ url }) });
-                    const data = await response.json();
+        document.getElementById('twoFactorStartBtn').addEventListener('click', async () => {
+            try {
+                const response = await apiRequest(`${CONFIG.baseUrl}/api/2fa/setup`, { method: 'POST' });
+                const data = await response.json();
 
-                    if (data.success) {
-                        status.innerHTML = `<i class='fas fa-check-circle' style='color: var(--success);'></i> ${data.message}`;
-                        urlInput.value = ''; progressBar.style.display = "none";
-                        showToast('Upload Successful', data.message, 'success');
-                        setTimeout(fetchVideos, 1000);
-                    } else {
-                        status.innerHTML = `<i class='fas fa-exclamation-circle' style='color: var(--danger);'></i> ${data.message}`;
-                        progressBar.style.display = "none";
-                        showToast('Upload Failed', data.message, 'error');
-                    }
-                } catch (err) {
-                    console.error('Upload error:', err);
-                    status.innerHTML = `<i class='fas fa-exclamation-circle' style='color: var(--danger);'></i> Error: ${err.message}`;
-                    progressBar.style.display = "none";
-                    showToast('Upload Failed', err.message, 'error');
+                if (!data.success) {
+                    showToast('2FA Setup Failed', data.message || 'Could not start setup', 'error');
+                    return;
+                }
+
+                const qr = document.getElementById('twoFactorQr');
+                qr.innerHTML = '';
+                if (typeof QRCode !== 'undefined') {
+                    qr.style.display = '';
+                    new QRCode(qr, { text: data.setupUri, width: 180, height: 180 });
+                } else {
+                    qr.style.display = 'none';
+                }
+
+                document.getElementById('twoFactorSecret').textContent = data.secret;
+                document.getElementById('twoFactorSetupCode').value = '';
+                showTwoFactorView('twoFactorSetupView');
+                document.getElementById('twoFactorSetupCode').focus();
+            } catch (error) {
+                console.error('Error starting 2FA setup:', error);
+                showToast('2FA Setup Failed', 'An error occurred. Please try again.', 'error');
+            }
+        });
+
+        document.getElementById('twoFactorEnableBtn').addEventListener('click', async () => {
+            const code = document.getElementById('twoFactorSetupCode').value.trim();
+            if (!code) {
+                showToast('Code Required', 'Enter the code shown in your authenticator app', 'warning');
+                return;
+            }
+
+            try {
+                const response = await apiRequest(`${CONFIG.baseUrl}/api/2fa/enable`, {
+                    method: 'POST',
+                    body: JSON.stringify({ code })
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    const codesContainer = document.getElementById('twoFactorBackupCodes');
+                    codesContainer.innerHTML = '';
+                    data.backupCodes.forEach(backupCode => {
+                        const codeEl = document.createElement('span');
+                        codeEl.textContent = backupCode;
+                        codesContainer.appendChild(codeEl);
+                    });
+                    showTwoFactorView('twoFactorBackupView');
+                    showToast('2FA Enabled', 'Your account now requires a verification code at sign in', 'success');
+                } else {
+                    showToast('Verification Failed', data.message || 'Invalid verification code', 'error');
+                }
+            } catch (error) {
+                console.error('Error enabling 2FA:', error);
+                showToast('2FA Setup Failed', 'An error occurred. Please try again.', 'error');
+            }
+        });
+
+        document.getElementById('twoFactorDisableBtn').addEventListener('click', async () => {
+            const code = document.getElementById('twoFactorDisableCode').value.trim();
+            if (!code) {
+                showToast('Code Required', 'Enter a current code or a backup code', 'warning');
+                return;
+            }
+
+            try {
+                const response = await apiRequest(`${CONFIG.baseUrl}/api/2fa/disable`, {
+                    method: 'POST',
+                    body: JSON.stringify({ code })
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    showToast('2FA Disabled', data.message, 'info');
+                    closeTwoFactorModal();
+                } else {
+                    showToast('Could Not Disable 2FA', data.message || 'Invalid verification code', 'error');
+                }
+            } catch (error) {
+                console.error('Error disabling 2FA:', error);
+                showToast('Could Not Disable 2FA', 'An error occurred. Please try again.', 'error');
+            }
+        });
+
+        // =============================================================================
+        // USER MANAGEMENT
+        // =============================================================================
+
+        const defaultRoles = ['admin', 'user', 'player', 'sftp user'];
+        const usersState = { page: 1, pageSize: 25, total: 0, roles: defaultRoles };
+
+        function fillRoleSelect(select, roles, selected, includeAll) {
+            select.innerHTML = (includeAll ? '<option value="">All roles</option>' : '') +
+                roles.map(r => `<option value="${escapeHtml(r)}" ${r === selected ? 'selected' : ''}>${escapeHtml(r)}</option>`).join('');
+        }
+
+        async function fetchUsers() {
+            const tbody = document.getElementById('usersTableBody');
+            const params = new URLSearchParams({ page: usersState.page, pageSize: usersState.pageSize });
+            const search = document.getElementById('userSearch').value.trim();
+            const roleFilter = document.getElementById('userRoleFilter');
+            if (search) params.set('search', search);
+            if (roleFilter.value) params.set('role', roleFilter.value);
+
+            try {
+                const response = await apiRequest(`${CONFIG.baseUrl}/api/users?${params}`);
+                const data = await response.json();
+                if (!data.success) throw new Error(data.message || `HTTP error! status: ${response.status}`);
+
+                usersState.total = data.total;
+                usersState.roles = Array.from(new Set([...defaultRoles, ...data.roles]));
+                fillRoleSelect(roleFilter, usersState.roles, roleFilter.value, true);
+
+                const pages = Math.max(1, Math.ceil(data.total / usersState.pageSize));
+                document.getElementById('usersPageInfo').textContent = `Page ${usersState.page} of ${pages} · ${data.total} users`;
+                document.getElementById('usersPrevBtn').disabled = usersState.page <= 1;
+                document.getElementById('usersNextBtn').disabled = usersState.page >= pages;
+
+                if (data.users.length === 0) {
+                    tbody.innerHTML = `<tr><td colspan="6" style="text-align: center; color: var(--text-dim); padding: 20px;">No users match your search.</td></tr>`;
+                    return;
+                }
+
+                tbody.innerHTML = '';
+                data.users.forEach(user => {
+                    const row = document.createElement('tr');
+                    row.innerHTML = `
+                        <td>
+                            <div class="user-cell-name">${escapeHtml(user.username)}</div>
+                            <div class="user-cell-email">${escapeHtml(user.email)}</div>
+                        </td>
+                        <td>
+                            <select></select>
+                        </td>
+                        <td>${user.lastLogin ? new Date(user.lastLogin).toLocaleString() : 'Never'}</td>
+                        <td>${user.failedLoginAttempts}</td>
+                        <td>
+                            ${user.locked
+                                ? `<span class="user-badge locked" title="${user.lockedUntil ? 'Until ' + new Date(user.lockedUntil).toLocaleString() : ''}">Locked</span>`
+                                : '<span class="user-badge active">Active</span>'}
+                            ${user.twoFactorEnabled ? '<span class="user-badge twofa">2FA</span>' : ''}
+                        </td>
+                        <td>
+                            <div class="user-actions">
+                                ${user.locked
+                                    ? '<button class="site-action-btn lock"><i class="fas fa-lock-open"></i> Unlock</button>'
+                                    : '<button class="site-action-btn lock"><i class="fas fa-lock"></i> Lock</button>'}
+                                <button class="site-action-btn delete">
+                                    <i class="fas fa-trash"></i> Delete
+                                </button>
+                            </div>
+                        </td>
+                    `;
+                    // Handlers are bound here rather than inline so usernames never end up inside markup
+                    const roleSelect = row.querySelector('select');
+                    fillRoleSelect(roleSelect, usersState.roles, user.role, false);
+                    roleSelect.addEventListener('change', () => changeUserRole(user.username, roleSelect.value));
+                    row.querySelector('.site-action-btn.lock').addEventListener('click', () => user.locked ? unlockUser(user.username) : lockUser(user.username));
+                    row.querySelector('.site-action-btn.delete').addEventListener('click', () => deleteUser(user.username));
+                    tbody.appendChild(row);
+                });
+            } catch (error) {
+                console.error('Error fetching users:', error);
+                tbody.innerHTML = `<tr><td colspan="6"><div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error loading users: ${escapeHtml(error.message)}</div></td></tr>`;
+            }
+        }
+
+        async function sendUserAction(url, options, successTitle) {
+            try {
+                const response = await apiRequest(url, options);
+                const result = await response.json();
+
+                if (response.ok && result.success) {
+                    showToast(successTitle, result.message, 'success');
+                } else {
+                    showToast('Action Failed', result.message || 'Unknown error', 'error');
+                }
+            } catch (error) {
+                console.error('User action error:', error);
+                showToast('Action Failed', error.message, 'error');
+            } finally {
+                fetchUsers();
+            }
+        }
+
+        function changeUserRole(username, role) {
+            sendUserAction(`${CONFIG.baseUrl}/api/users/${encodeURIComponent(username)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ role })
+            }, 'Role Changed');
+        }
+
+        function lockUser(username) {
+            const minutes = prompt(`Lock ${username} for how many minutes?`, '30');
+            if (minutes === null) return;
+
+            const parsed = parseInt(minutes);
+            if (!parsed || parsed < 1) {
+                showToast('Invalid Duration', 'Enter a number of minutes greater than zero', 'warning');
+                return;
+            }
+
+            sendUserAction(`${CONFIG.baseUrl}/api/users/${encodeURIComponent(username)}/lock`, {
+                method: 'POST',
+                body: JSON.stringify({ minutes: parsed })
+            }, 'User Locked');
+        }
+
+        function unlockUser(username) {
+            sendUserAction(`${CONFIG.baseUrl}/api/users/${encodeURIComponent(username)}/unlock`, { method: 'POST' }, 'User Unlocked');
+        }
+
+        function deleteUser(username) {
+            if (!confirm(`Are you sure you want to delete ${username}? This cannot be undone.`)) return;
+            sendUserAction(`${CONFIG.baseUrl}/api/users/${encodeURIComponent(username)}`, { method: 'DELETE' }, 'User Deleted');
+        }
+
+        let userSearchTimer = null;
+        document.getElementById('userSearch').addEventListener('input', () => {
+            clearTimeout(userSearchTimer);
+            userSearchTimer = setTimeout(() => { usersState.page = 1; fetchUsers(); }, 300);
+        });
+
+        document.getElementById('userRoleFilter').addEventListener('change', () => {
+            usersState.page = 1;
+            fetchUsers();
+        });
+
+        document.getElementById('usersPrevBtn').addEventListener('click', () => {
+            if (usersState.page > 1) { usersState.page--; fetchUsers(); }
+        });
+
+        document.getElementById('usersNextBtn').addEventListener('click', () => {
+            usersState.page++;
+            fetchUsers();
+        });
+
+        document.getElementById('newUserBtn').addEventListener('click', () => {
+            const form = document.getElementById('createUserForm');
+            const opening = form.style.display === 'none';
+            form.style.display = opening ? 'flex' : 'none';
+            if (opening) fillRoleSelect(document.getElementById('newUserRole'), usersState.roles, 'player', false);
+        });
+
+        document.getElementById('createUserForm').addEventListener('submit', async function (e) {
+            e.preventDefault();
+            const submitBtn = document.getElementById('createUserBtn');
+            const originalBtnText = submitBtn.innerHTML;
+
+            submitBtn.disabled = true;
+            submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Creating...';
+
+            try {
+                const response = await apiRequest(`${CONFIG.baseUrl}/api/users`, {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        username: document.getElementById('newUserName').value.trim(),
+                        email: document.getElementById('newUserEmail').value.trim(),
+                        password: document.getElementById('newUserPassword').value,
+                        role: document.getElementById('newUserRole').value
+                    })
+                });
+                const result = await response.json();
+
+                if (response.ok && result.success) {
+                    showToast('User Created', result.message, 'success');
+                    this.reset();
+                    this.style.display = 'none';
+                    fetchUsers();
+                } else {
+                    showToast('Creation Failed', result.message || 'Failed to create user', 'error');
+                }
+            } catch (error) {
+                console.error('Error creating user:', error);
+                showToast('Creation Failed', error.message, 'error');
+            } finally {
+                submitBtn.disabled = false;
+                submitBtn.innerHTML = originalBtnText;
+            }
+        });
+
+        // =============================================================================
+        // DASHBOARD FUNCTIONALITY
+        // =============================================================================
+
+        function initializeDashboard() {
+            const tabs = document.querySelectorAll('.nav-item');
+            const tabContents = document.querySelectorAll('.tab-content');
+            function activateTab(name) {
+                tabs.forEach(t => t.classList.remove('active'));
+                tabContents.forEach(c => c.classList.remove('active'));
+                const tab = document.querySelector(`.nav-item[data-tab="${name}"]`);
+                const content = document.getElementById(name);
+                if (tab && content) { tab.classList.add('active'); content.classList.add('active'); }
+
+                if (name === 'pluginsTab') {
+                    fetchPlugins();
+                } else if (name === 'sitesTab') {
+                    fetchSites();
+                } else if (name === 'marketTab') { // <-- ADD THIS ELSE IF BLOCK
+            fetchMarketPlugins();
+        } else if (name === 'processTab') {
+                    fetchProcess();
+                } else if (name === 'usersTab') {
+                    fetchUsers();
+                } else if (name === 'backupsTab') {
+                    fetchBackups();
+                } else if (name === 'securityTab') {
+                    fetchSecurity();
+                } else if (name === 'voiceTab') {
+                    fetchVoice();
+                } else if (name === 'socketsTab') {
+                    fetchSockets();
+                } else if (name === 'consoleTab') {
+                    fetchCommands();
+                    renderConsoleHistory();
+                } else if (name === 'dataTab') {
+                    fetchDataEntries();
+                    fetchCache();
+                } else if (name === 'settingsTab') {
+                    fetchSettings();
+                }
+            }
+            tabs.forEach(tab => tab.addEventListener('click', () => activateTab(tab.dataset.tab)));
+
+            function updateTime() {
+                const now = new Date();
+                document.getElementById('currentTime').textContent = now.toLocaleTimeString();
+            }
+            updateTime();
+            setInterval(updateTime, 1000);
+
+            // Performance charts are drawn from the server's metrics history, so they survive reloads.
+            // "Live" shows the last 15 minutes and is extended by `metrics` events from the stream.
+            if (window.ChartZoom) Chart.register(window.ChartZoom);
+
+            const liveWindowMinutes = 15;
+            const metricsState = { range: 'live', from: null, to: null, zoomed: false, samples: [], applyingZoom: false };
+            const metricsStatus = document.getElementById('metricsStatus');
+
+            function createMetricsChart(canvasId, datasets, yOptions = {}) {
+                return new Chart(document.getElementById(canvasId).getContext('2d'), {
+                    type: 'line',
+                    data: {
+                        labels: [],
+                        datasets: datasets.map(d => ({
+                            label: d.label,
+                            data: [],
+                            borderColor: d.color,
+                            backgroundColor: d.fill,
+                            tension: 0.4,
+                            fill: true,
+                            pointRadius: 0,
+                            field: d.field
+                        }))
+                    },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        animation: false,
+                        interaction: { mode: 'index', intersect: false },
+                        scales: {
+                            y: {
+                                beginAtZero: true,
+                                grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                                ticks: { color: '#94a3b8' },
+                                ...yOptions
+                            },
+                            x: {
+                                grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                                ticks: { color: '#94a3b8', maxTicksLimit: 8, autoSkip: true }
+                            }
+                        },
+                        plugins: {
+                            legend: { display: datasets.length > 1, labels: { color: '#94a3b8' } },
+                            zoom: {
+                                zoom: {
+                                    drag: { enabled: true, backgroundColor: 'rgba(99, 102, 241, 0.2)' },
+                                    mode: 'x',
+                                    onZoomComplete: ({ chart }) => onMetricsZoom(chart)
+                                }
+                            }
+                        }
+                    }
+                });
+            }
+
+            const metricsCharts = [
+                createMetricsChart('cpuChart', [{ label: 'CPU Usage (%)', field: 'CpuUsage', color: '#6366f1', fill: 'rgba(99, 102, 241, 0.1)' }], { max: 100 }),
+                createMetricsChart('memoryChart', [{ label: 'Memory Usage (MB)', field: 'MemoryMB', color: '#10b981', fill: 'rgba(16, 185, 129, 0.1)' }]),
+                createMetricsChart('diskChart', [{ label: 'Disk Used (GB)', field: 'DiskUsedGB', color: '#f59e0b', fill: 'rgba(245, 158, 11, 0.1)' }]),
+                createMetricsChart('networkChart', [
+                    { label: 'Received', field: 'NetReceivedKBps', color: '#3b82f6', fill: 'rgba(59, 130, 246, 0.1)' },
+                    { label: 'Sent', field: 'NetSentKBps', color: '#ec4899', fill: 'rgba(236, 72, 153, 0.1)' }
+                ]),
+                createMetricsChart('onlineUsersChart', [{ label: 'Online Users', field: 'OnlineUsers', color: '#8b5cf6', fill: 'rgba(139, 92, 246, 0.1)' }], { ticks: { color: '#94a3b8', precision: 0 } }),
+                createMetricsChart('connectionsChart', [{ label: 'Connections', field: 'Connections', color: '#14b8a6', fill: 'rgba(20, 184, 166, 0.1)' }], { ticks: { color: '#94a3b8', precision: 0 } })
+            ];
+
+            function formatMetricsLabel(timestamp, spanMs) {
+                const date = new Date(timestamp);
+                if (spanMs > 86400000) {
+                    return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+                }
+                return date.toLocaleTimeString([], spanMs > 3600000 ? { hour: '2-digit', minute: '2-digit' } : {});
+            }
+
+            function drawMetrics() {
+                const samples = metricsState.samples;
+                const span = samples.length > 1
+                    ? new Date(samples[samples.length - 1].Timestamp) - new Date(samples[0].Timestamp)
+                    : 0;
+                const labels = samples.map(s => formatMetricsLabel(s.Timestamp, span));
+
+                metricsCharts.forEach(chart => {
+                    chart.data.labels = labels;
+                    chart.data.datasets.forEach(dataset => {
+                        dataset.data = samples.map(s => s[dataset.field]);
+                    });
+                    chart.update('none');
+                });
+            }
+
+            async function loadMetricsHistory() {
+                let from, to;
+                if (metricsState.zoomed) {
+                    from = metricsState.from;
+                    to = metricsState.to;
+                } else {
+                    const minutes = metricsState.range === 'live' ? liveWindowMinutes : parseInt(metricsState.range);
+                    to = new Date();
+                    from = new Date(to.getTime() - minutes * 60000);
+                }
+
+                const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/system/history?${params}`);
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message || `HTTP error! status: ${response.status}`);
+
+                    metricsState.samples = data.samples;
+                    drawMetrics();
+
+                    const stepText = data.step >= 60 ? `${Math.round(data.step / 60)} min` : `${data.step} s`;
+                    metricsStatus.textContent = data.samples.length === 0
+                        ? 'No samples recorded for this range yet.'
+                        : `${data.samples.length} points · ${stepText} resolution · Drag across a chart to zoom in.`;
+                } catch (error) {
+                    console.error('Error fetching metrics history:', error);
+                    metricsStatus.textContent = `Error loading history: ${error.message}`;
+                }
+            }
+
+            function onMetricsZoom(chart) {
+                if (metricsState.applyingZoom) return;
+
+                const scale = chart.scales.x;
+                const first = metricsState.samples[Math.max(0, Math.floor(scale.min))];
+                const last = metricsState.samples[Math.min(metricsState.samples.length - 1, Math.ceil(scale.max))];
+
+                metricsState.applyingZoom = true;
+                metricsCharts.forEach(c => c.resetZoom('none'));
+                metricsState.applyingZoom = false;
+
+                if (!first || !last || first === last) return;
+
+                // Re-query the selected window so the server can return it at a finer resolution.
+                metricsState.zoomed = true;
+                metricsState.from = new Date(first.Timestamp);
+                metricsState.to = new Date(last.Timestamp);
+                document.getElementById('metricsResetZoom').style.display = 'inline-flex';
+                loadMetricsHistory();
+            }
+
+            function onLiveMetricsSample(sample) {
+                if (metricsState.range !== 'live' || metricsState.zoomed) return;
+
+                const cutoff = Date.now() - liveWindowMinutes * 60000;
+                metricsState.samples.push(sample);
+                metricsState.samples = metricsState.samples.filter(s => new Date(s.Timestamp).getTime() >= cutoff);
+                drawMetrics();
+            }
+
+            document.querySelectorAll('#metricsRanges .metrics-range').forEach(button => {
+                button.addEventListener('click', () => {
+                    document.querySelectorAll('#metricsRanges .metrics-range').forEach(b => b.classList.toggle('active', b === button));
+                    metricsState.range = button.dataset.range;
+                    metricsState.zoomed = false;
+                    document.getElementById('metricsResetZoom').style.display = 'none';
+                    loadMetricsHistory();
+                });
+            });
+
+            document.getElementById('metricsResetZoom').addEventListener('click', function () {
+                metricsState.zoomed = false;
+                this.style.display = 'none';
+                loadMetricsHistory();
+            });
+
+            function renderStats(data) {
+                document.getElementById("uptime").textContent = data.uptime || "N/A";
+                document.getElementById("onlineUsers").textContent = data.users || "0";
+                document.getElementById("maxConnections").textContent = data.maxConnections || "0";
+            }
+
+            async function fetchStats() {
+                try {
+                    const data = await apiRequest(`${CONFIG.baseUrl}/stats`).then(r => r.json());
+                    renderStats(data);
+                } catch (error) { console.error('Error fetching stats:', error); }
+            }
+
+            function renderSystem(data) {
+                const cpuUsage = (data.cpuUsage || 0).toFixed(2);
+                const memoryUsage = (data.memoryMB || 0).toFixed(2);
+                document.getElementById("cpuUsage").textContent = cpuUsage + "%";
+                document.getElementById("memoryUsage").textContent = memoryUsage + " MB";
+                document.getElementById("diskUsage").textContent = `${(data.diskUsedGB || 0).toFixed(2)} / ${(data.diskTotalGB || 0).toFixed(2)} GB`;
+                document.getElementById("networkUsageD").textContent = `${(data.netReceivedMB || 0).toFixed(2)} MB ↓`;
+                document.getElementById("networkUsageU").textContent = `${(data.netSentMB || 0).toFixed(2)} MB ↑`;
+            }
+
+            async function fetchSystem() {
+                try {
+                    const data = await apiRequest(`${CONFIG.baseUrl}/system`).then(r => r.json());
+                    renderSystem(data);
+                } catch (error) { console.error('Error fetching system data:', error); }
+            }
+            
+            // Logs: the server hands out opaque file:offset cursors, so we only ever ask for entries
+            // after the last one we have. Live entries arrive over the event stream.
+            const logsEl = document.getElementById("serverLogs");
+            const logsStatus = document.getElementById("logsStatus");
+            const maxLogRows = 2000;
+            let logCursor = null;
+            let lastLogId = -1;
+            let logsPaused = false;
+            let pausedLogEntries = [];
+            let logsLoading = false;
+            let entriesDuringLoad = [];
+
+            function getLogFilters() {
+                const levels = Array.from(document.querySelectorAll('#logLevelToggles input:checked')).map(i => i.value);
+                const range = document.getElementById('logRange').value;
+                const filters = { levels, text: document.getElementById('logSearch').value.trim(), from: null, to: null };
+
+                if (range === 'custom') {
+                    const from = document.getElementById('logFrom').value;
+                    const to = document.getElementById('logTo').value;
+                    if (from) filters.from = new Date(from).toISOString();
+                    if (to) filters.to = new Date(to).toISOString();
+                } else if (range !== 'live') {
+                    filters.from = new Date(Date.now() - parseInt(range) * 60000).toISOString();
+                }
+
+                return filters;
+            }
+
+            function buildLogQuery(filters, extra = {}) {
+                const params = new URLSearchParams();
+                if (filters.levels.length < 4) params.set('level', filters.levels.join(','));
+                if (filters.text) params.set('q', filters.text);
+                if (filters.from) params.set('from', filters.from);
+                if (filters.to) params.set('to', filters.to);
+                Object.entries(extra).forEach(([key, value]) => params.set(key, value));
+                return params.toString();
+            }
+
+            function logEntryMatches(entry, filters) {
+                if (!filters.levels.includes(entry.Level)) return false;
+                if (filters.to) return false;
+                if (filters.from && entry.Timestamp && new Date(entry.Timestamp) < new Date(filters.from)) return false;
+                if (filters.text) {
+                    const text = filters.text.toLowerCase();
+                    if (!entry.Message.toLowerCase().includes(text) && !(entry.Source || '').toLowerCase().includes(text)) return false;
+                }
+                return true;
+            }
+
+            function appendHighlighted(target, text, term) {
+                if (!term) {
+                    target.textContent = text;
+                    return;
+                }
+
+                const lowerText = text.toLowerCase();
+                const lowerTerm = term.toLowerCase();
+                let position = 0;
+                let index = lowerText.indexOf(lowerTerm);
+
+                while (index !== -1) {
+                    target.appendChild(document.createTextNode(text.slice(position, index)));
+                    const mark = document.createElement('mark');
+                    mark.textContent = text.slice(index, index + term.length);
+                    target.appendChild(mark);
+                    position = index + term.length;
+                    index = lowerText.indexOf(lowerTerm, position);
+                }
+
+                target.appendChild(document.createTextNode(text.slice(position)));
+            }
+
+            function createLogRow(entry, term) {
+                const row = document.createElement('div');
+                row.className = `log-entry log-${(entry.Level || 'info').toLowerCase()}`;
+
+                const time = document.createElement('span');
+                time.className = 'log-time';
+                time.textContent = entry.Timestamp ? new Date(entry.Timestamp).toLocaleString() : '';
+
+                const level = document.createElement('span');
+                level.className = 'log-level';
+                level.textContent = entry.Level;
+
+                const source = document.createElement('span');
+                source.className = 'log-source';
+                appendHighlighted(source, entry.Source || '', term);
+
+                const message = document.createElement('span');
+                message.className = 'log-message';
+                appendHighlighted(message, entry.Message, term);
+
+                row.append(time, level, source, message);
+                return row;
+            }
+
+            function appendLogEntries(entries) {
+                const term = document.getElementById('logSearch').value.trim();
+                const atBottom = logsEl.scrollTop + logsEl.clientHeight >= logsEl.scrollHeight - 50;
+
+                entries.forEach(entry => {
+                    if (entry.Id <= lastLogId) return;
+                    lastLogId = entry.Id;
+                    logsEl.appendChild(createLogRow(entry, term));
+                });
+
+                // Auto-scroll to bottom if user hasn't scrolled up
+                if (atBottom) {
+                    logsEl.scrollTop = logsEl.scrollHeight;
+                }
+
+                // Limit logs to prevent memory issues
+                while (logsEl.children.length > maxLogRows) {
+                    logsEl.removeChild(logsEl.firstChild);
+                }
+            }
+
+            function updateLogsStatus(extra = '') {
+                const filters = getLogFilters();
+                const mode = filters.to ? 'Fixed range' : (logsPaused ? 'Paused' : 'Following');
+                logsStatus.textContent = `${mode} · ${logsEl.children.length} entries shown${extra ? ' · ' + extra : ''}`;
+            }
+
+            async function loadLogs() {
+                const filters = getLogFilters();
+                logsEl.innerHTML = '';
+                logCursor = null;
+                lastLogId = -1;
+                pausedLogEntries = [];
+                entriesDuringLoad = [];
+                logsLoading = true;
+                logsStatus.textContent = 'Loading...';
+
+                try {
+                    const data = await apiRequest(`${CONFIG.baseUrl}/logs?${buildLogQuery(filters, { limit: 500 })}`).then(r => r.json());
+                    if (!data.success) throw new Error(data.message);
+
+                    logCursor = data.cursor;
+                    appendLogEntries(data.entries.concat(entriesDuringLoad));
+                    logsEl.scrollTop = logsEl.scrollHeight;
+                    updateLogsStatus(data.entries.length === 0 ? 'no matching entries' : '');
+                } catch (error) {
+                    console.error('Error loading logs:', error);
+                    logsStatus.textContent = `Error loading logs: ${error.message}`;
+                } finally {
+                    logsLoading = false;
+                    entriesDuringLoad = [];
+                }
+            }
+
+            async function fetchLogs() {
+                if (logsLoading) return;
+                if (logCursor === null) return loadLogs();
+
+                const filters = getLogFilters();
+                if (filters.to) return;
+
+                try {
+                    let hasMore = true;
+                    while (hasMore) {
+                        const data = await apiRequest(`${CONFIG.baseUrl}/logs?${buildLogQuery(filters, { since: logCursor, limit: 500 })}`).then(r => r.json());
+                        if (!data.success) throw new Error(data.message);
+
+                        if (data.reset) {
+                            return loadLogs();
+                        }
+
+                        logCursor = data.cursor;
+                        hasMore = data.hasMore;
+                        receiveLogEntries(data.entries);
+                    }
+                } catch (error) {
+                    console.error('Error fetching logs:', error);
+                }
+            }
+
+            function receiveLogEntries(entries) {
+                if (logsPaused) {
+                    pausedLogEntries.push(...entries);
+                    document.getElementById('logPauseText').textContent = `Resume (${pausedLogEntries.length})`;
+                    return;
+                }
+
+                appendLogEntries(entries);
+                updateLogsStatus();
+            }
+
+            function onLiveLogEntry(entry) {
+                if (!logEntryMatches(entry, getLogFilters())) return;
+
+                if (logsLoading) {
+                    entriesDuringLoad.push(entry);
+                } else if (logCursor !== null) {
+                    receiveLogEntries([entry]);
+                }
+            }
+
+            document.getElementById('logPauseBtn').addEventListener('click', () => {
+                logsPaused = !logsPaused;
+                const btn = document.getElementById('logPauseBtn');
+                btn.querySelector('i').className = logsPaused ? 'fas fa-play' : 'fas fa-pause';
+                document.getElementById('logPauseText').textContent = logsPaused ? 'Resume' : 'Pause';
+
+                if (!logsPaused && pausedLogEntries.length > 0) {
+                    appendLogEntries(pausedLogEntries);
+                    pausedLogEntries = [];
+                }
+                updateLogsStatus();
+            });
+
+            let logSearchTimer = null;
+            document.getElementById('logSearch').addEventListener('input', () => {
+                clearTimeout(logSearchTimer);
+                logSearchTimer = setTimeout(loadLogs, 300);
+            });
+
+            document.querySelectorAll('#logLevelToggles input').forEach(input => input.addEventListener('change', loadLogs));
+
+            document.getElementById('logRange').addEventListener('change', (e) => {
+                document.getElementById('logCustomRange').style.display = e.target.value === 'custom' ? 'flex' : 'none';
+                loadLogs();
+            });
+
+            document.getElementById('logFrom').addEventListener('change', loadLogs);
+            document.getElementById('logTo').addEventListener('change', loadLogs);
+
+            document.getElementById('logDownloadBtn').addEventListener('click', async () => {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/logs?${buildLogQuery(getLogFilters(), { download: 'true' })}`);
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+                    const blob = await response.blob();
+                    const link = document.createElement('a');
+                    link.href = URL.createObjectURL(blob);
+                    link.download = `server-log-${new Date().toISOString().replace(/[:.]/g, '-')}.log`;
+                    link.click();
+                    URL.revokeObjectURL(link.href);
+                } catch (error) {
+                    console.error('Error downloading logs:', error);
+                    showToast('Download Failed', error.message, 'error');
+                }
+            });
+
+            async function fetchVideos() {
+                try {
+                    const videos = await apiRequest(`${CONFIG.baseUrl}/videos`).then(r => r.json());
+                    renderVideos(videos);
+                } catch (error) {
+                    console.error('Error fetching videos:', error);
+                    const videoList = document.getElementById("videoList");
+                    videoList.innerHTML = `<p style='color: var(--danger); text-align: center; grid-column: 1/-1; padding: 20px;'><i class='fas fa-exclamation-circle'></i> Error loading videos.</p>`;
+                }
+            }
+
+            const videoState = { videos: [], thumbnails: {} };
+
+            function formatDuration(seconds) {
+                if (seconds == null) return '';
+                const total = Math.round(seconds);
+                const h = Math.floor(total / 3600), m = Math.floor((total % 3600) / 60), s = total % 60;
+                return h > 0
+                    ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+                    : `${m}:${String(s).padStart(2, '0')}`;
+            }
+
+            function formatBytes(bytes) {
+                if (!bytes) return '0 B';
+                const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+                const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+                return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+            }
+
+            function renderVideos(videos) {
+                    videoState.videos = videos || [];
+                    releaseVideoThumbnails();
+                    const videoList = document.getElementById("videoList");
+                    if (videoState.videos.length === 0) {
+                        videoList.innerHTML = "<p style='color: var(--text-dim); text-align: center; grid-column: 1/-1; padding: 20px;'>No videos uploaded yet.</p>";
+                        return;
+                    }
+
+                    const search = document.getElementById('videoSearch').value.trim().toLowerCase();
+                    const sort = document.getElementById('videoSort').value;
+                    const sorters = {
+                        newest: (a, b) => new Date(b.UploadedAt) - new Date(a.UploadedAt),
+                        oldest: (a, b) => new Date(a.UploadedAt) - new Date(b.UploadedAt),
+                        name: (a, b) => a.FileName.localeCompare(b.FileName),
+                        size: (a, b) => b.Size - a.Size,
+                        duration: (a, b) => (b.Duration || 0) - (a.Duration || 0)
+                    };
+                    const visible = videoState.videos
+                        .filter(v => !search || v.FileName.toLowerCase().includes(search))
+                        .sort(sorters[sort] || sorters.newest);
+
+                    if (visible.length === 0) {
+                        videoList.innerHTML = "<p style='color: var(--text-dim); text-align: center; grid-column: 1/-1; padding: 20px;'>No videos match your search.</p>";
+                        return;
+                    }
+
+                    videoList.innerHTML = "";
+                    visible.forEach(v => {
+                        const div = document.createElement("div"); div.className = "video-card";
+                        const thumbnail = document.createElement("div"); thumbnail.className = "video-thumbnail";
+                        if (v.Duration != null) {
+                            const duration = document.createElement("span"); duration.className = "video-duration";
+                            duration.textContent = formatDuration(v.Duration);
+                            thumbnail.appendChild(duration);
+                        }
+                        if (v.HasThumbnail) loadVideoThumbnail(v, thumbnail);
+                        else if (v.Processing) thumbnail.classList.add('processing');
+
+                        const title = document.createElement("p"); title.className = "video-title"; title.textContent = v.FileName; title.title = v.FileName;
+
+                        const details = [
+                            v.Width && v.Height ? `${v.Width}×${v.Height}` : null,
+                            v.VideoCodec ? v.VideoCodec.toUpperCase() : null,
+                            formatBytes(v.Size),
+                            new Date(v.UploadedAt).toLocaleDateString()
+                        ].filter(Boolean);
+                        const meta = document.createElement("div"); meta.className = "video-meta";
+                        const status = v.Processing ? 'Analysing...' : v.AnalysisFailed ? 'Analysis failed' : null;
+                        meta.textContent = status ? `${status} · ${details.join(' · ')}` : details.join(' · ');
+
+                        const actions = document.createElement("div"); actions.className = "video-actions";
+                        actions.innerHTML = `
+                          <button class="site-action-btn" title="Copy share link"><i class="fas fa-link"></i></button>
+                          <button class="site-action-btn edit" title="Rename"><i class="fas fa-edit"></i></button>
+                          <button class="site-action-btn delete" title="Delete"><i class="fas fa-trash"></i></button>
+                        `;
+                        actions.children[0].onclick = e => { e.stopPropagation(); shareVideo(v.FileName); };
+                        actions.children[1].onclick = e => { e.stopPropagation(); renameVideo(v.FileName); };
+                        actions.children[2].onclick = e => { e.stopPropagation(); deleteVideo(v.FileName); };
+
+                        div.appendChild(thumbnail); div.appendChild(title); div.appendChild(meta); div.appendChild(actions);
+                        div.onclick = () => playVideo(v.FileName);
+                        videoList.appendChild(div);
+                    });
+            }
+
+            // Thumbnails need the auth header, so they are fetched as blobs and kept until the file changes.
+            async function loadVideoThumbnail(video, element) {
+                const key = `${video.FileName}|${video.Size}|${video.UploadedAt}`;
+                if (!videoState.thumbnails[key]) {
+                    videoState.thumbnails[key] = apiRequest(`${CONFIG.baseUrl}/api/videos/${encodeURIComponent(video.FileName)}/thumbnail`)
+                        .then(r => r.ok ? r.blob() : null)
+                        .then(blob => blob ? URL.createObjectURL(blob) : null)
+                        .catch(() => null);
+                }
+                const url = await videoState.thumbnails[key];
+                if (url) element.style.backgroundImage = `url('${url}')`;
+            }
+
+            // Blob URLs hold the image in memory until revoked, so drop the ones for videos that were renamed, replaced or deleted.
+            function releaseVideoThumbnails() {
+                const current = new Set(videoState.videos.map(v => `${v.FileName}|${v.Size}|${v.UploadedAt}`));
+                Object.keys(videoState.thumbnails).forEach(key => {
+                    if (current.has(key)) return;
+                    videoState.thumbnails[key].then(url => { if (url) URL.revokeObjectURL(url); });
+                    delete videoState.thumbnails[key];
+                });
+            }
+
+            async function renameVideo(fileName) {
+                const newName = prompt('New name for this video:', fileName);
+                if (!newName || newName.trim() === fileName) return;
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/videos/${encodeURIComponent(fileName)}/rename`, {
+                        method: 'POST',
+                        body: JSON.stringify({ newName: newName.trim() })
+                    });
+                    const result = await response.json();
+                    if (!response.ok || !result.success) throw new Error(result.message || 'Rename failed');
+                    showToast('Video Renamed', result.message, 'success');
+                    fetchVideos();
+                } catch (error) {
+                    console.error('Error renaming video:', error);
+                    showToast('Rename Failed', error.message, 'error');
+                }
+            }
+
+            async function deleteVideo(fileName) {
+                if (!confirm(`Delete ${fileName}? This can't be undone.`)) return;
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/videos/${encodeURIComponent(fileName)}`, { method: 'DELETE' });
+                    const result = await response.json();
+                    if (!response.ok || !result.success) throw new Error(result.message || 'Delete failed');
+                    showToast('Video Deleted', result.message, 'success');
+                    fetchVideos();
+                } catch (error) {
+                    console.error('Error deleting video:', error);
+                    showToast('Delete Failed', error.message, 'error');
+                }
+            }
+
+            document.getElementById('videoSearch').addEventListener('input', () => renderVideos(videoState.videos));
+            document.getElementById('videoSort').addEventListener('change', () => renderVideos(videoState.videos));
+
+            async function playVideo(fileName) {
+                const videoPlayer = document.getElementById("videoPlayer");
+                const loadingMsg = document.getElementById("loadingMsg");
+                const videoError = document.getElementById("videoError");
+                const videoErrorText = document.getElementById("videoErrorText");
+
+                videoPlayer.style.display = "none"; videoError.style.display = "none";
+                loadingMsg.style.display = "block";
+
+                try {
+                    // A signed link lets the video element stream and seek with range requests instead of
+                    // downloading the whole file through fetch first.
+                    const link = await createVideoLink(fileName);
+
+                    videoPlayer.src = `${CONFIG.baseUrl}${link.path}`;
+                    videoPlayer.oncanplay = () => { videoPlayer.style.display = "block"; loadingMsg.style.display = "none"; };
+                    videoPlayer.onerror = (e) => { loadingMsg.style.display = "none"; videoError.style.display = "block"; videoErrorText.textContent = "Error loading video."; };
+                    videoPlayer.load();
+                } catch (err) {
+                    console.error('Error loading video:', err);
+                    loadingMsg.style.display = "none"; videoError.style.display = "block";
+                    videoErrorText.textContent = "Error loading video: " + err.message;
+                }
+            }
+
+            async function createVideoLink(fileName, minutes) {
+                const response = await apiRequest(`${CONFIG.baseUrl}/api/videos/${encodeURIComponent(fileName)}/link`, {
+                    method: 'POST',
+                    body: JSON.stringify(minutes ? { minutes } : {})
+                });
+                const result = await response.json();
+                if (!response.ok || !result.success) throw new Error(result.message || 'Could not create a link');
+                return result;
+            }
+
+            async function shareVideo(fileName) {
+                const hours = prompt('How many hours should the link work for?', '24');
+                if (hours === null) return;
+                const minutes = Math.round(parseFloat(hours) * 60);
+                if (!minutes || minutes <= 0) { showToast('Share Failed', 'Enter a number of hours', 'error'); return; }
+
+                try {
+                    const link = await createVideoLink(fileName, minutes);
+                    const url = new URL(`${CONFIG.baseUrl}${link.path}`, window.location.href).href;
+                    const expires = new Date(link.expiresAt).toLocaleString();
+                    try {
+                        await navigator.clipboard.writeText(url);
+                        showToast('Link Copied', `Anyone with the link can watch ${fileName} until ${expires}`, 'success');
+                    } catch (clipboardError) {
+                        prompt(`Link valid until ${expires}:`, url);
+                    }
+                } catch (error) {
+                    console.error('Error sharing video:', error);
+                    showToast('Share Failed', error.message, 'error');
+                }
+            }
+
+            window.uploadVideoFromUrl = async function () {
+                const urlInput = document.getElementById("videoUrlInput");
+                const status = document.getElementById("urlUploadStatus");
+                const url = urlInput.value.trim();
+
+                if (!url) { status.innerHTML = "<i class='fas fa-exclamation-circle'></i> Please enter a URL"; return; }
+
+                status.innerHTML = "<i class='fas fa-spinner fa-spin'></i> Starting import...";
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/upload-url`, { method: "POST", body: JSON.stringify({ url }) });
+                    const data = await response.json();
+
+                    if (data.success) {
+                        status.innerHTML = '';
+                        urlInput.value = '';
+                        importState.seen[data.job.Id] = data.job.Status;
+                        renderImports([data.job, ...importState.jobs.filter(j => j.Id !== data.job.Id)]);
+                    } else {
+                        status.innerHTML = `<i class='fas fa-exclamation-circle' style='color: var(--danger);'></i> ${escapeHtml(data.message)}`;
+                        showToast('Import Failed', data.message, 'error');
+                    }
+                } catch (err) {
+                    console.error('Upload error:', err);
+                    status.innerHTML = `<i class='fas fa-exclamation-circle' style='color: var(--danger);'></i> Error: ${escapeHtml(err.message)}`;
+                    showToast('Import Failed', err.message, 'error');
+                }
+            };
+
+            // URL imports run on the server; this only mirrors their progress, so closing the tab doesn't stop them.
+            const importState = { jobs: [], seen: {} };
+            const importStatusLabels = { queued: 'Queued', downloading: 'Downloading', completed: 'Completed', failed: 'Failed', cancelled: 'Cancelled' };
+
+            function isImportActive(job) {
+                return job.Status === 'queued' || job.Status === 'downloading';
+            }
+
+            async function fetchImports() {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/videos/imports`);
+                    if (response.ok) renderImports(await response.json());
+                } catch (error) {
+                    console.error('Error fetching imports:', error);
+                }
+            }
+
+            function renderImports(jobs) {
+                importState.jobs = jobs || [];
+
+                importState.jobs.forEach(job => {
+                    const previous = importState.seen[job.Id];
+                    if (previous && previous !== job.Status) {
+                        if (job.Status === 'completed') {
+                            showToast('Import Complete', `${job.FileName} was added to the library`, 'success');
+                            fetchVideos();
+                        } else if (job.Status === 'failed') {
+                            showToast('Import Failed', `${job.FileName}: ${job.Error}`, 'error');
+                        }
+                    }
+                    importState.seen[job.Id] = job.Status;
+                });
+
+                const list = document.getElementById('videoImports');
+                list.innerHTML = '';
+                importState.jobs.forEach(job => {
+                    const item = document.createElement('div');
+                    item.className = `import-item ${job.Status}`;
+
+                    const size = job.TotalBytes != null
+                        ? `${formatBytes(job.DownloadedBytes)} of ${formatBytes(job.TotalBytes)}`
+                        : formatBytes(job.DownloadedBytes);
+                    const details = [
+                        importStatusLabels[job.Status] || job.Status,
+                        job.Status === 'queued' ? null : size,
+                        job.Status === 'downloading' && job.BytesPerSecond ? `${formatBytes(job.BytesPerSecond)}/s` : null,
+                        job.Error
+                    ].filter(Boolean);
+
+                    item.innerHTML = `
+                      <div class="import-header">
+                        <span class="import-name" title="${escapeHtml(job.Url)}">${escapeHtml(job.FileName)}</span>
+                        <span class="import-percent">${job.Percent != null ? `${job.Percent.toFixed(1)}%` : ''}</span>
+                        <div class="import-actions"></div>
+                      </div>
+                      <div class="progress-bar"><div class="progress" style="width: ${job.Percent || (job.Status === 'completed' ? 100 : 0)}%"></div></div>
+                      <div class="import-meta">${escapeHtml(details.join(' · '))}</div>
+                    `;
+
+                    const actions = item.querySelector('.import-actions');
+                    const addAction = (icon, title, className, handler) => {
+                        const button = document.createElement('button');
+                        button.className = `site-action-btn ${className}`;
+                        button.title = title;
+                        button.innerHTML = `<i class="fas ${icon}"></i>`;
+                        button.onclick = handler;
+                        actions.appendChild(button);
+                    };
+                    if (isImportActive(job)) addAction('fa-stop', 'Cancel', 'delete', () => importAction(job, 'cancel', 'POST'));
+                    if (job.Status === 'failed' || job.Status === 'cancelled') addAction('fa-redo', 'Retry', 'edit', () => importAction(job, 'retry', 'POST'));
+                    if (!isImportActive(job)) addAction('fa-times', 'Remove from list', '', () => importAction(job, null, 'DELETE'));
+
+                    list.appendChild(item);
+                });
+            }
+
+            async function importAction(job, action, method) {
+                try {
+                    const url = `${CONFIG.baseUrl}/api/videos/imports/${encodeURIComponent(job.Id)}${action ? `/${action}` : ''}`;
+                    const response = await apiRequest(url, { method });
+                    const result = await response.json();
+                    if (!response.ok || !result.success) throw new Error(result.message || 'Request failed');
+                    if (action === 'retry') importState.seen[job.Id] = 'queued';
+                    fetchImports();
+                } catch (error) {
+                    console.error('Error updating import:', error);
+                    showToast('Import', error.message, 'error');
+                }
+            }
+
+            // Local files are sent in chunks. The upload ID is remembered per file, so after a reload the same
+            // file can be picked again and only the missing part is sent.
+            const uploadState = { active: {}, pending: [], maxChunkSize: 0 };
+            const UPLOAD_IDS_KEY = 'videoUploadIds';
+            const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.ogg', '.avi', '.mov', '.mkv'];
+
+            function uploadFingerprint(file) {
+                return `${file.name}|${file.size}|${file.lastModified}`;
+            }
+
+            function getStoredUploadIds() {
+                try { return JSON.parse(localStorage.getItem(UPLOAD_IDS_KEY)) || {}; }
+                catch (error) { return {}; }
+            }
+
+            function setStoredUploadId(file, id) {
+                const ids = getStoredUploadIds();
+                if (id) ids[uploadFingerprint(file)] = id;
+                else delete ids[uploadFingerprint(file)];
+                localStorage.setItem(UPLOAD_IDS_KEY, JSON.stringify(ids));
+            }
+
+            async function fetchUploads() {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/videos/uploads`);
+                    const data = await response.json();
+                    if (!data.success) return;
+                    uploadState.pending = data.uploads;
+                    uploadState.maxChunkSize = data.maxChunkSize;
+                    renderUploads();
+                } catch (error) {
+                    console.error('Error fetching uploads:', error);
+                }
+            }
+
+            async function startFileUpload(file) {
+                const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+                if (!VIDEO_EXTENSIONS.includes(extension)) {
+                    showToast('Upload Failed', `${file.name} is not a supported video file`, 'error');
+                    return;
+                }
+
+                try {
+                    let upload = null;
+                    const storedId = getStoredUploadIds()[uploadFingerprint(file)];
+                    if (storedId) {
+                        if (uploadState.active[storedId]) return;
+                        const response = await apiRequest(`${CONFIG.baseUrl}/api/videos/uploads/${storedId}`);
+                        const data = await response.json();
+                        if (data.success && data.upload.Size === file.size) upload = data.upload;
+                    }
+
+                    if (!upload) {
+                        const response = await apiRequest(`${CONFIG.baseUrl}/api/videos/uploads`, {
+                            method: 'POST',
+                            body: JSON.stringify({ FileName: file.name, Size: file.size })
+                        });
+                        const data = await response.json();
+                        if (!data.success) throw new Error(data.message);
+                        upload = data.upload;
+                        setStoredUploadId(file, upload.Id);
+                    }
+
+                    const entry = { file, upload, controller: null, cancelled: false, speed: 0, status: 'uploading', error: null };
+                    uploadState.active[upload.Id] = entry;
+                    uploadState.pending = uploadState.pending.filter(u => u.Id !== upload.Id);
+                    renderUploads();
+                    await runUpload(entry);
+                } catch (error) {
+                    console.error('Error starting upload:', error);
+                    showToast('Upload Failed', `${file.name}: ${error.message}`, 'error');
+                }
+            }
+
+            async function runUpload(entry) {
+                const { file, upload } = entry;
+                let retryDelay = 1000;
+
+                while (!entry.cancelled && upload.ReceivedBytes < upload.Size) {
+                    const start = upload.ReceivedBytes;
+                    const chunk = file.slice(start, Math.min(start + upload.ChunkSize, upload.Size));
+                    const startedAt = performance.now();
+                    entry.controller = new AbortController();
+
+                    try {
+                        const response = await apiRequest(`${CONFIG.baseUrl}/api/videos/uploads/${upload.Id}?offset=${start}`, {
+                            method: 'PUT',
+                            headers: { 'Content-Type': 'application/octet-stream' },
+                            body: chunk,
+                            signal: entry.controller.signal
+                        });
+                        const data = await response.json();
+
+                        if (response.status === 409 && data.upload) {
+                            upload.ReceivedBytes = data.upload.ReceivedBytes;
+                            continue;
+                        }
+                        if (!response.ok || !data.success) {
+                            entry.status = 'failed'; entry.error = data.message || 'Upload failed';
+                            break;
+                        }
+
+                        upload.ReceivedBytes = data.upload.ReceivedBytes;
+                        entry.speed = chunk.size / ((performance.now() - startedAt) / 1000);
+                        entry.status = 'uploading'; entry.error = null;
+                        retryDelay = 1000;
+
+                        if (data.completed) {
+                            entry.status = 'completed';
+                            setStoredUploadId(file, null);
+                            showToast('Upload Complete', `${data.upload.FileName} was added to the library`, 'success');
+                            fetchVideos();
+                        }
+                    } catch (error) {
+                        if (entry.cancelled) break;
+                        // Network drop: wait and continue from whatever the server has stored.
+                        entry.status = 'retrying'; entry.error = `Connection lost, retrying in ${Math.round(retryDelay / 1000)}s`;
+                        renderUploads();
+                        await new Promise(resolve => setTimeout(resolve, retryDelay));
+                        retryDelay = Math.min(retryDelay * 2, 30000);
+                        try {
+                            const status = await apiRequest(`${CONFIG.baseUrl}/api/videos/uploads/${upload.Id}`).then(r => r.json());
+                            if (status.success) upload.ReceivedBytes = status.upload.ReceivedBytes;
+                        } catch (statusError) { /* still offline; the next attempt will tell */ }
+                    }
+                    renderUploads();
+                }
+
+                if (entry.status === 'failed') showToast('Upload Failed', `${file.name}: ${entry.error}`, 'error');
+                renderUploads();
+                if (entry.status === 'completed') setTimeout(() => { delete uploadState.active[upload.Id]; renderUploads(); }, 5000);
+            }
+
+            async function cancelUpload(id, name) {
+                const entry = uploadState.active[id];
+                if (entry) {
+                    entry.cancelled = true;
+                    if (entry.controller) entry.controller.abort();
+                    setStoredUploadId(entry.file, null);
+                    delete uploadState.active[id];
+                }
+                uploadState.pending = uploadState.pending.filter(u => u.Id !== id);
+                renderUploads();
+
+                try {
+                    await apiRequest(`${CONFIG.baseUrl}/api/videos/uploads/${id}`, { method: 'DELETE' });
+                    showToast('Upload Cancelled', name, 'info');
+                } catch (error) {
+                    console.error('Error cancelling upload:', error);
+                }
+            }
+
+            function renderUploads() {
+                const list = document.getElementById('videoUploads');
+                const rows = [
+                    ...Object.values(uploadState.active).map(entry => ({ upload: entry.upload, entry })),
+                    ...uploadState.pending.map(upload => ({ upload, entry: null }))
+                ];
+
+                list.innerHTML = '';
+                rows.forEach(({ upload, entry }) => {
+                    const status = entry ? entry.status : 'paused';
+                    const percent = upload.Size ? (upload.ReceivedBytes / upload.Size) * 100 : 0;
+                    const details = [
+                        `${formatBytes(upload.ReceivedBytes)} of ${formatBytes(upload.Size)}`,
+                        status === 'uploading' && entry.speed ? `${formatBytes(entry.speed)}/s` : null,
+                        status === 'completed' ? 'Completed' : null,
+                        status === 'paused' ? 'Interrupted - select the file again to resume' : null,
+                        entry && entry.error
+                    ].filter(Boolean);
+
+                    const item = document.createElement('div');
+                    item.className = `import-item ${status === 'completed' ? 'completed' : status === 'failed' ? 'failed' : ''}`;
+                    item.innerHTML = `
+                      <div class="import-header">
+                        <span class="import-name">${escapeHtml(upload.FileName)}</span>
+                        <span class="import-percent">${percent.toFixed(1)}%</span>
+                        <div class="import-actions"></div>
+                      </div>
+                      <div class="progress-bar"><div class="progress" style="width: ${percent}%"></div></div>
+                      <div class="import-meta">${escapeHtml(details.join(' · '))}</div>
+                    `;
+
+                    if (status !== 'completed') {
+                        const cancel = document.createElement('button');
+                        cancel.className = 'site-action-btn delete';
+                        cancel.title = status === 'paused' ? 'Discard' : 'Cancel';
+                        cancel.innerHTML = '<i class="fas fa-times"></i>';
+                        cancel.onclick = () => cancelUpload(upload.Id, upload.FileName);
+                        item.querySelector('.import-actions').appendChild(cancel);
+                    }
+                    list.appendChild(item);
+                });
+            }
+
+            const videoDropZone = document.getElementById('videoDropZone');
+            const videoFileInput = document.getElementById('videoFileInput');
+            videoFileInput.addEventListener('change', () => {
+                Array.from(videoFileInput.files).forEach(startFileUpload);
+                videoFileInput.value = '';
+            });
+            ['dragenter', 'dragover'].forEach(type => videoDropZone.addEventListener(type, e => {
+                e.preventDefault();
+                videoDropZone.classList.add('dragging');
+            }));
+            ['dragleave', 'drop'].forEach(type => videoDropZone.addEventListener(type, e => {
+                e.preventDefault();
+                videoDropZone.classList.remove('dragging');
+            }));
+            videoDropZone.addEventListener('drop', e => Array.from(e.dataTransfer.files).forEach(startFileUpload));
+            window.addEventListener('beforeunload', e => {
+                if (Object.values(uploadState.active).some(entry => entry.status !== 'completed' && entry.status !== 'failed')) e.preventDefault();
+            });
+            fetchUploads();
+
+            async function fetchPlugins() {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/plugins`);
+                    const data = await response.json();
+                    renderPlugins(data.success ? data.plugins : []);
+                } catch (error) {
+                    console.error('Error fetching plugins:', error);
+                    const pluginsList = document.getElementById('pluginsList');
+                    pluginsList.innerHTML = `
+            <div class="plugin-result error show">
+              <i class="fas fa-exclamation-circle"></i> Error loading plugins: ${error.message}
+            </div>
+          `;
+                }
+            }
+
+            function renderPlugins(plugins) {
+                    const pluginsList = document.getElementById('pluginsList');
+                    const openDetails = new Set(Array.from(pluginsList.querySelectorAll('.plugin-content.show')).map(el => el.dataset.pluginId));
+
+                    if (!plugins || plugins.length === 0) {
+                        pluginsList.innerHTML = `
+              <div class="empty-plugins">
+                <i class="fas fa-plug"></i>
+                <h3>No plugins installed</h3>
+                <p>Upload a plugin file to get started</p>
+              </div>
+            `;
+                        return;
+                    }
+
+                    pluginsList.innerHTML = '';
+                    plugins.forEach(plugin => {
+                        const status = !plugin.loaded ? 'error' : plugin.enabled ? 'active' : 'inactive';
+                        const statusText = !plugin.loaded ? 'Failed' : plugin.enabled ? 'Active' : 'Disabled';
+                        const routes = plugin.routes.length > 0
+                            ? `<ul class="plugin-list">${plugin.routes.map(r => `<li><code>${escapeHtml(r)}</code></li>`).join('')}</ul>`
+                            : `<p class="plugin-empty">${plugin.enabled ? 'No routes registered' : 'Routes are registered when the plugin is enabled'}</p>`;
+                        const verification = plugin.verification || { status: 'unverified' };
+                        const verificationText = {
+                            signed: `<i class="fas fa-shield-alt"></i> Signed by ${escapeHtml(verification.publisher)}`,
+                            checksum: '<i class="fas fa-fingerprint"></i> Checksum verified',
+                            unsigned: '<i class="fas fa-exclamation-triangle"></i> Unsigned',
+                            modified: '<i class="fas fa-times-circle"></i> Modified since install',
+                            unverified: '<i class="fas fa-question-circle"></i> Not verified'
+                        }[verification.status];
+                        const subscriptions = plugin.subscriptions.length > 0
+                            ? `<ul class="plugin-list">${plugin.subscriptions.map(s => `<li><code>${escapeHtml(s)}</code></li>`).join('')}</ul>`
+                            : `<p class="plugin-empty">No event subscriptions</p>`;
+                        const commands = plugin.commands.length > 0
+                            ? `<ul class="plugin-list">${plugin.commands.map(c => `<li><code>${escapeHtml(c)}</code></li>`).join('')}</ul>`
+                            : `<p class="plugin-empty">No commands</p>`;
+
+                        const pluginCard = document.createElement('div');
+                        pluginCard.className = 'plugin-card';
+                        pluginCard.innerHTML = `
+              <div class="plugin-header">
+                <div class="plugin-title">
+                  <i class="fas fa-cube"></i>
+                  <span>${escapeHtml(plugin.name)}</span>
+                </div>
+                <div class="plugin-status ${status}">
+                  ${statusText}
+                </div>
+              </div>
+              <div class="plugin-description">
+                ${plugin.loaded ? `Plugin version ${escapeHtml(plugin.version)} · ${plugin.routes.length} routes` : 'This DLL could not be loaded'}
+                <span class="plugin-verification ${verification.status}">${verificationText}</span>
+              </div>
+              ${plugin.loadError ? `<div class="plugin-result error show" style="margin: 0 0 15px;"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(plugin.loadError)}</div>` : ''}
+              <div class="plugin-actions">
+                ${plugin.loaded ? `
+                <button class="plugin-btn ${plugin.enabled ? 'secondary' : 'primary'}" data-plugin-action="${plugin.enabled ? 'disable' : 'enable'}">
+                  <i class="fas fa-${plugin.enabled ? 'pause' : 'play'}"></i> ${plugin.enabled ? 'Disable' : 'Enable'}
+                </button>
+                <button class="plugin-btn secondary" data-plugin-action="unload">
+                  <i class="fas fa-eject"></i> Unload
+                </button>` : ''}
+                <button class="plugin-btn danger" data-plugin-action="uninstall">
+                  <i class="fas fa-trash"></i> Uninstall
+                </button>
+                <button class="plugin-btn secondary" data-plugin-action="details">
+                  <i class="fas fa-info-circle"></i> Details
+                </button>
+              </div>
+              <div class="plugin-content ${openDetails.has(plugin.id) ? 'show' : ''}">
+                <div class="plugin-form">
+                  <div class="plugin-form-group">
+                    <label>Assembly</label>
+                    <input type="text" value="${escapeHtml(plugin.assemblyPath)}" readonly>
+                  </div>
+                  <div class="plugin-form-group">
+                    <label>SHA-256</label>
+                    <input type="text" value="${escapeHtml(verification.sha256 || 'No verification record')}" readonly>
+                  </div>
+                  <div class="plugin-form-group">
+                    <label>API Routes</label>
+                    ${routes}
+                  </div>
+                  <div class="plugin-form-group">
+                    <label>Event Subscriptions</label>
+                    ${subscriptions}
+                  </div>
+                  <div class="plugin-form-group">
+                    <label>Commands</label>
+                    ${commands}
+                  </div>
+                </div>
+                ${plugin.enabled && plugin.hasSettings ? '<div class="plugin-settings"></div>' : ''}
+              </div>
+            `;
+                        pluginCard.dataset.pluginId = plugin.id;
+                        pluginCard.querySelector('.plugin-content').dataset.pluginId = plugin.id;
+                        pluginsList.appendChild(pluginCard);
+
+                        if (openDetails.has(plugin.id) && plugin.enabled && plugin.hasSettings) {
+                            loadPluginSettings(pluginCard);
+                        }
+                    });
+            }
+
+            function renderPluginSettingField(setting) {
+                const key = escapeHtml(setting.key);
+                const description = setting.description ? `<small class="plugin-setting-help">${escapeHtml(setting.description)}</small>` : '';
+                const error = `<div class="plugin-setting-error" data-error-for="${key}"></div>`;
+                const label = `${escapeHtml(setting.label)}${setting.required ? ' *' : ''}`;
+                const value = setting.value === null || setting.value === undefined ? '' : setting.value;
+
+                if (setting.type === 'boolean') {
+                    return `
+                  <div class="plugin-form-group">
+                    <label class="plugin-setting-checkbox">
+                      <input type="checkbox" data-key="${key}" data-type="boolean" ${setting.value ? 'checked' : ''}>
+                      ${label}
+                    </label>
+                    ${description}${error}
+                  </div>`;
+                }
+
+                let input;
+                if (setting.type === 'select') {
+                    const options = setting.options.map(option =>
+                        `<option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option)}</option>`).join('');
+                    input = `<select data-key="${key}" data-type="select">${setting.required ? '' : '<option value="">—</option>'}${options}</select>`;
+                } else if (setting.type === 'number') {
+                    const min = setting.min !== null ? `min="${setting.min}"` : '';
+                    const max = setting.max !== null ? `max="${setting.max}"` : '';
+                    input = `<input type="number" step="any" ${min} ${max} data-key="${key}" data-type="number" value="${escapeHtml(String(value))}">`;
+                } else if (setting.secret) {
+                    const placeholder = setting.hasValue ? 'Saved — leave blank to keep the current value' : '';
+                    input = `<input type="password" autocomplete="new-password" data-key="${key}" data-type="string" placeholder="${placeholder}">`;
+                } else {
+                    input = `<input type="text" data-key="${key}" data-type="string" value="${escapeHtml(String(value))}">`;
+                }
+
+                return `
+                  <div class="plugin-form-group">
+                    <label>${label}</label>
+                    ${input}
+                    ${description}${error}
+                  </div>`;
+            }
+
+            async function loadPluginSettings(card) {
+                const container = card.querySelector('.plugin-settings');
+                if (!container) return;
+
+                container.innerHTML = `<p class="plugin-empty"><i class="fas fa-spinner fa-spin"></i> Loading settings...</p>`;
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/plugins/${encodeURIComponent(card.dataset.pluginId)}/settings`);
+                    const data = await response.json();
+
+                    if (!response.ok || !data.success) {
+                        container.innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(data.message || 'Failed to load settings')}</div>`;
+                        return;
+                    }
+
+                    container.innerHTML = `
+                <div class="plugin-form">
+                  <h4 class="plugin-settings-title"><i class="fas fa-sliders-h"></i> Settings</h4>
+                  ${data.settings.map(renderPluginSettingField).join('')}
+                  <div class="plugin-actions">
+                    <button class="plugin-btn primary" data-plugin-action="save">
+                      <i class="fas fa-save"></i> Save Settings
+                    </button>
+                  </div>
+                </div>
+              `;
+                    container.dataset.loaded = 'true';
+                } catch (error) {
+                    console.error('Error loading plugin settings:', error);
+                    container.innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(error.message)}</div>`;
+                }
+            }
+
+            async function savePluginSettings(card) {
+                const container = card.querySelector('.plugin-settings');
+                if (!container) return;
+
+                const values = {};
+                container.querySelectorAll('[data-key]').forEach(input => {
+                    if (input.dataset.type === 'boolean') {
+                        values[input.dataset.key] = input.checked;
+                    } else if (input.dataset.type === 'number') {
+                        values[input.dataset.key] = input.value === '' ? null : Number(input.value);
+                    } else {
+                        values[input.dataset.key] = input.value;
+                    }
+                });
+                container.querySelectorAll('.plugin-setting-error').forEach(el => el.textContent = '');
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/plugins/${encodeURIComponent(card.dataset.pluginId)}/settings`, {
+                        method: 'PUT',
+                        body: JSON.stringify({ values })
+                    });
+                    const result = await response.json();
+
+                    if (response.ok && result.success) {
+                        showToast('Settings Saved', result.message, 'success');
+                        loadPluginSettings(card);
+                        return;
+                    }
+
+                    Object.entries(result.errors || {}).forEach(([key, message]) => {
+                        const target = Array.from(container.querySelectorAll('.plugin-setting-error')).find(el => el.dataset.errorFor === key);
+                        if (target) target.textContent = message;
+                    });
+                    showToast('Save Failed', result.message || 'Unknown error', 'error');
+                } catch (error) {
+                    console.error('Error saving plugin settings:', error);
+                    showToast('Save Failed', error.message, 'error');
+                }
+            }
+
+            window.reloadPlugins = async function () {
+                const reloadBtn = document.querySelector('button[onclick="reloadPlugins()"]');
+                const originalHtml = reloadBtn.innerHTML;
+
+                reloadBtn.disabled = true;
+                reloadBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Reloading...';
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/plugins/reload`, { method: 'POST' });
+                    const result = await response.json();
+
+                    if (response.ok && result.success) {
+                        showToast('Plugins Reloaded', result.message || 'Plugins have been reloaded successfully.', 'success');
+                        fetchPlugins();
+                    } else {
+                        showToast('Reload Failed', result.message || 'Failed to reload plugins.', 'error');
+                    }
+                } catch (error) {
+                    console.error('Error reloading plugins:', error);
+                    showToast('Reload Failed', error.message, 'error');
+                } finally {
+                    reloadBtn.disabled = false;
+                    reloadBtn.innerHTML = originalHtml;
                 }
             };
 
-            async function fetchPlugins() {
+            async function sendPluginAction(pluginId, action, successTitle) {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/plugins/${encodeURIComponent(pluginId)}/${action}`, {
+                        method: 'POST'
+                    });
+                    const result = await response.json();
+
+                    if (response.ok && result.success) {
+                        showToast(successTitle, result.message, 'success');
+                    } else {
+                        showToast('Plugin Update Failed', result.message || 'Unknown error', 'error');
+                    }
+                } catch (error) {
+                    console.error(`Error during plugin ${action}:`, error);
+                    showToast('Plugin Update Failed', error.message, 'error');
+                } finally {
+                    fetchPlugins();
+                }
+            }
+
+            function unloadPlugin(pluginId) {
+                if (!confirm(`Unload ${pluginId}? It will be loaded again on the next reload or restart.`)) return;
+                sendPluginAction(pluginId, 'unload', 'Plugin Unloaded');
+            }
+
+            function uninstallPlugin(pluginId) {
+                if (!confirm(`Uninstall ${pluginId}? Its DLL will be deleted from the plugins directory.`)) return;
+                sendPluginAction(pluginId, 'uninstall', 'Plugin Uninstalled');
+            }
+
+            function configurePlugin(card) {
+                const content = card.querySelector('.plugin-content');
+                content.classList.toggle('show');
+
+                const settings = card.querySelector('.plugin-settings');
+                if (settings && content.classList.contains('show') && !settings.dataset.loaded) {
+                    loadPluginSettings(card);
+                }
+            }
+
+            // Each card keeps its plugin id in a data attribute; the buttons only say what to do with it
+            document.getElementById('pluginsList').addEventListener('click', e => {
+                const button = e.target.closest('[data-plugin-action]');
+                const card = button && button.closest('.plugin-card');
+                if (!card) return;
+
+                const pluginId = card.dataset.pluginId;
+                switch (button.dataset.pluginAction) {
+                    case 'enable': sendPluginAction(pluginId, 'enable', 'Plugin Updated'); break;
+                    case 'disable': sendPluginAction(pluginId, 'disable', 'Plugin Updated'); break;
+                    case 'unload': unloadPlugin(pluginId); break;
+                    case 'uninstall': uninstallPlugin(pluginId); break;
+                    case 'details': configurePlugin(card); break;
+                    case 'save': savePluginSettings(card); break;
+                }
+            });
+
+            const pluginFileInput = document.getElementById('pluginFileInput');
+            const pluginUploadStatus = document.getElementById('pluginUploadStatus');
+
+            pluginFileInput.addEventListener('change', async function (e) {
+                const file = e.target.files[0];
+                if (!file) return;
+
+                const fileName = file.name.toLowerCase();
+                if (!fileName.endsWith('.dll') && !fileName.endsWith('.zip')) {
+                    pluginUploadStatus.innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Invalid file format. Please upload a .dll or .zip file.</div>`;
+                    return;
+                }
+
+                pluginUploadStatus.innerHTML = `<div class="plugin-result show"><i class="fas fa-spinner fa-spin"></i> Uploading plugin...</div>`;
+                await uploadPlugin(file, false);
+            });
+
+            // Unsigned uploads come back with 409 and are only retried after the admin confirms the checksum.
+            async function uploadPlugin(file, allowUnsigned) {
+                const formData = new FormData();
+                formData.append('plugin', file);
+
+                const headers = { 'Authorization': `Bearer ${AuthManager.getAuth().token}` };
+                const checksum = document.getElementById('pluginChecksum').value.trim();
+                const signature = document.getElementById('pluginSignature').value.replace(/\s+/g, '');
+                if (checksum) headers['X-Plugin-Sha256'] = checksum;
+                if (signature) headers['X-Plugin-Signature'] = signature;
+
+                try {
+                    const response = await fetch(`${CONFIG.baseUrl}/api/plugins/upload${allowUnsigned ? '?allowUnsigned=true' : ''}`, {
+                        method: 'POST',
+                        headers,
+                        body: formData
+                    });
+
+                    const result = await response.json();
+
+                    if (response.status === 409 && result.requiresConfirmation) {
+                        const proceed = confirm(`${result.message}\n\nSHA-256: ${result.verification.sha256}\n\nOnly continue if you trust where this file came from.`);
+                        if (proceed) {
+                            await uploadPlugin(file, true);
+                        } else {
+                            pluginUploadStatus.innerHTML = `<div class="plugin-result error show"><i class="fas fa-ban"></i> Upload cancelled: the plugin is not signed.</div>`;
+                            pluginFileInput.value = '';
+                        }
+                        return;
+                    }
+
+                    if (response.ok && result.success) {
+                        const verification = result.verification || {};
+                        const detail = verification.signed
+                            ? `Signed by ${escapeHtml(verification.publisher)}`
+                            : verification.checksumVerified ? 'Checksum verified, unsigned' : 'Unsigned';
+                        pluginUploadStatus.innerHTML = `<div class="plugin-result success show"><i class="fas fa-check-circle"></i> Plugin uploaded successfully! ${detail}.</div>`;
+                        showToast('Plugin Uploaded', result.message || 'Plugin has been uploaded successfully', 'success');
+
+                        pluginFileInput.value = '';
+                        document.getElementById('pluginChecksum').value = '';
+                        document.getElementById('pluginSignature').value = '';
+
+                        fetchPlugins();
+                    } else {
+                        pluginUploadStatus.innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(result.message || 'Failed to upload plugin')}</div>`;
+                        showToast('Upload Failed', result.message || 'Failed to upload plugin', 'error');
+                    }
+                } catch (error) {
+                    console.error('Error uploading plugin:', error);
+                    pluginUploadStatus.innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error: ${escapeHtml(error.message)}</div>`;
+                    showToast('Upload Failed', error.message, 'error');
+                }
+            }
+
+            const siteTypeLabels = { php: 'PHP', static: 'Static', proxy: 'Reverse Proxy' };
+            let sitesCache = {};
+            let editingSite = null;
+            let sitePortCheckTimer = null;
+
+            async function fetchSites() {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites`);
+                    const data = await response.json();
+
+                    const sitesList = document.getElementById('sitesList');
+                    sitesCache = data || {};
+
+                    if (!document.getElementById('sitePort').value && !editingSite) {
+                        suggestSitePort();
+                    }
+
+                    if (Object.keys(sitesCache).length === 0) {
+                        sitesList.innerHTML = `
+              <div class="empty-plugins">
+                <i class="fas fa-globe"></i>
+                <h3>No sites configured</h3>
+                <p>Create your first site using the form above</p>
+              </div>
+            `;
+                        return;
+                    }
+
+                    sitesList.innerHTML = '';
+                    Object.values(sitesCache).forEach(site => {
+                        const name = escapeHtml(site.Name);
+                        const siteItem = document.createElement('div');
+                        siteItem.className = 'site-item';
+                        siteItem.innerHTML = `
+              <div class="site-info">
+                <div class="site-name">
+                  ${name}
+                  <span class="site-type-badge">${siteTypeLabels[site.Type] || escapeHtml(site.Type)}</span>
+                  ${site.Tls ? '<span class="site-tls-badge"><i class="fas fa-lock"></i> TLS</span>' : ''}
+                </div>
+                <div class="site-domains">${(site.Domains || []).map(d => escapeHtml(d)).join(', ')}</div>
+                <div class="site-port">Port: ${site.Port}${site.Type === 'proxy' ? ` &rarr; ${escapeHtml(site.Upstream)}` : ''}</div>
+                <div class="site-health">
+                  <span class="site-health-status pending"><i class="fas fa-circle-notch fa-spin"></i> Checking...</span>
+                </div>
+              </div>
+              <div class="site-actions">
+                <button class="site-action-btn" data-site-action="logs">
+                  <i class="fas fa-file-alt"></i> Logs
+                </button>
+                <button class="site-action-btn ${site.Enabled ? 'disable' : 'enable'}" data-site-action="toggle">
+                  <i class="fas fa-${site.Enabled ? 'pause' : 'play'}"></i> ${site.Enabled ? 'Disable' : 'Enable'}
+                </button>
+                <button class="site-action-btn sftpOpen" data-site-action="files">
+                  <i class="fas fa-folder-open"></i> Manage Files
+                </button>
+                <button class="site-action-btn edit" data-site-action="edit">
+                  <i class="fas fa-edit"></i> Edit
+                </button>
+                <button class="site-action-btn delete" data-site-action="delete">
+                  <i class="fas fa-trash"></i> Delete
+                </button>
+              </div>
+            `;
+                        siteItem.dataset.siteName = site.Name;
+                        sitesList.appendChild(siteItem);
+
+                        const logsPanel = document.createElement('div');
+                        logsPanel.className = 'site-logs';
+                        logsPanel.style.display = 'none';
+                        sitesList.appendChild(logsPanel);
+                    });
+
+                    fetchSiteHealth();
+                } catch (error) {
+                    console.error('Error fetching sites:', error);
+                    const sitesList = document.getElementById('sitesList');
+                    sitesList.innerHTML = `
+            <div class="plugin-result error show">
+              <i class="fas fa-exclamation-circle"></i> Error loading sites: ${escapeHtml(error.message)}
+            </div>
+          `;
+                }
+            }
+
+            // Last known Up value per site, so live updates can point out sites that just went down.
+            const siteHealthState = {};
+
+            async function fetchSiteHealth(refresh = false) {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites/health${refresh ? '?refresh=true' : ''}`);
+                    const data = await response.json();
+                    if (data.success) renderSiteHealth(data.sites);
+                } catch (error) {
+                    console.error('Error fetching site health:', error);
+                }
+            }
+
+            function renderSiteHealth(sites) {
+                (sites || []).forEach(health => {
+                    const previous = siteHealthState[health.Name];
+                    if (previous === true && health.Up === false) {
+                        showToast('Site Down', `${health.Name}: ${health.Error || 'not responding'}`, 'error');
+                    } else if (previous === false && health.Up === true) {
+                        showToast('Site Recovered', `${health.Name} is responding again`, 'success');
+                    }
+                    siteHealthState[health.Name] = health.Up;
+
+                    const item = findSiteItem(health.Name);
+                    if (!item) return;
+                    const element = item.querySelector('.site-health');
+
+                    let status;
+                    if (!health.Enabled) {
+                        status = '<span class="site-health-status disabled"><i class="fas fa-pause-circle"></i> Disabled</span>';
+                    } else if (health.Up === true) {
+                        status = `<span class="site-health-status up"><i class="fas fa-check-circle"></i> Up &middot; HTTP ${health.StatusCode} &middot; ${health.ResponseTimeMs} ms</span>`;
+                    } else if (health.Up === false) {
+                        const since = health.DownSince ? ` since ${new Date(health.DownSince).toLocaleString()}` : '';
+                        status = `<span class="site-health-status down" title="${escapeHtml(health.Error)}"><i class="fas fa-times-circle"></i> Down${since} &middot; ${escapeHtml(health.Error)}</span>`;
+                    } else {
+                        status = '<span class="site-health-status pending"><i class="fas fa-circle-notch fa-spin"></i> Checking...</span>';
+                    }
+
+                    const nginx = health.NginxActive
+                        ? '<span class="site-health-tag">Nginx: active</span>'
+                        : '<span class="site-health-tag warning">Nginx: inactive</span>';
+
+                    let certificate = '';
+                    if (health.CertificateExpiry) {
+                        const days = Math.floor((new Date(health.CertificateExpiry) - Date.now()) / 86400000);
+                        const level = days < 0 ? 'danger' : days < 14 ? 'warning' : '';
+                        const text = days < 0 ? `Certificate expired ${-days} days ago` : `Certificate expires in ${days} days`;
+                        certificate = `<span class="site-health-tag ${level}" title="${new Date(health.CertificateExpiry).toLocaleString()}"><i class="fas fa-lock"></i> ${text}</span>`;
+                    }
+
+                    element.innerHTML = status + nginx + certificate;
+                });
+            }
+
+            async function toggleSite(siteName) {
+                const site = sitesCache[siteName];
+                if (!site) return;
+
+                const action = site.Enabled ? 'disable' : 'enable';
+                if (action === 'disable' && !confirm(`Disable ${siteName}? Its files and settings are kept, but Nginx stops serving it.`)) return;
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites/${encodeURIComponent(siteName)}/${action}`, { method: 'POST' });
+                    const result = await response.json();
+
+                    if (response.ok && result.success) {
+                        showToast(action === 'enable' ? 'Site Enabled' : 'Site Disabled', result.message, 'success');
+                        fetchSites();
+                    } else {
+                        showToast('Action Failed', result.message || `Failed to ${action} site`, 'error');
+                    }
+                } catch (error) {
+                    console.error(`Error trying to ${action} site:`, error);
+                    showToast('Action Failed', error.message, 'error');
+                }
+            }
+
+            function findSiteItem(siteName) {
+                return Array.from(document.querySelectorAll('#sitesList .site-item'))
+                    .find(item => item.dataset.siteName === siteName);
+            }
+
+            function toggleSiteLogs(siteName) {
+                const item = findSiteItem(siteName);
+                const panel = item && item.nextElementSibling;
+                if (!panel || !panel.classList.contains('site-logs')) return;
+
+                if (panel.style.display !== 'none') {
+                    panel.style.display = 'none';
+                    return;
+                }
+
+                panel.style.display = '';
+                panel.innerHTML = `
+              <div class="site-logs-toolbar">
+                <select class="site-logs-type">
+                  <option value="access">Access log</option>
+                  <option value="error">Error log</option>
+                </select>
+                <button class="site-action-btn">
+                  <i class="fas fa-sync-alt"></i> Refresh
+                </button>
+              </div>
+              <pre class="site-logs-output">Loading...</pre>
+            `;
+                panel.querySelector('select').addEventListener('change', () => loadSiteLogs(panel, siteName));
+                panel.querySelector('button').addEventListener('click', () => loadSiteLogs(panel, siteName));
+                loadSiteLogs(panel, siteName);
+            }
+
+            async function loadSiteLogs(panel, siteName) {
+                const type = panel.querySelector('.site-logs-type').value;
+                const output = panel.querySelector('.site-logs-output');
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites/${encodeURIComponent(siteName)}/logs?type=${type}&lines=200`);
+                    const result = await response.json();
+                    if (!response.ok || !result.success) throw new Error(result.message || 'Failed to load logs');
+
+                    output.textContent = result.found
+                        ? (result.lines.length ? result.lines.join('\n') : 'The log is empty.')
+                        : result.message;
+                    output.scrollTop = output.scrollHeight;
+                } catch (error) {
+                    console.error('Error loading site logs:', error);
+                    output.textContent = `Error: ${error.message}`;
+                }
+            }
+
+            // Site names reach the page from sites.json, so the row keeps its name in a data attribute for these buttons
+            document.getElementById('sitesList').addEventListener('click', e => {
+                const button = e.target.closest('[data-site-action]');
+                const item = button && button.closest('.site-item');
+                if (!item) return;
+
+                const siteName = item.dataset.siteName;
+                switch (button.dataset.siteAction) {
+                    case 'logs': toggleSiteLogs(siteName); break;
+                    case 'toggle': toggleSite(siteName); break;
+                    case 'files': openSiteFiles(siteName); break;
+                    case 'edit': editSite(siteName); break;
+                    case 'delete': deleteSite(siteName); break;
+                }
+            });
+
+            document.getElementById('siteHealthRefreshBtn').addEventListener('click', () => fetchSiteHealth(true));
+
+            async function checkSitePort() {
+                const port = document.getElementById('sitePort').value;
+                const status = document.getElementById('sitePortStatus');
+                const params = new URLSearchParams({ port });
+                if (editingSite) params.set('site', editingSite);
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites/port-check?${params}`);
+                    const result = await response.json();
+                    if (!result.success) return null;
+
+                    status.className = `site-port-status ${result.available ? 'available' : 'unavailable'}`;
+                    status.innerHTML = result.available
+                        ? '<i class="fas fa-check-circle"></i> Port is available'
+                        : `<i class="fas fa-times-circle"></i> ${escapeHtml(result.message)}${result.suggested ? ` &middot; try ${result.suggested}` : ''}`;
+                    return result;
+                } catch (error) {
+                    console.error('Error checking port:', error);
+                    return null;
+                }
+            }
+
+            async function suggestSitePort() {
+                const result = await checkSitePort();
+                if (result && result.suggested) {
+                    document.getElementById('sitePort').value = result.suggested;
+                    await checkSitePort();
+                }
+            }
+
+            function updateSiteTypeFields() {
+                const type = document.getElementById('siteType').value;
+                document.getElementById('siteUpstreamGroup').style.display = type === 'proxy' ? '' : 'none';
+                document.getElementById('siteIndexGroup').style.display = type === 'proxy' ? 'none' : '';
+                document.getElementById('siteIndexFile').placeholder = type === 'php' ? 'index.php index.html' : 'index.html';
+            }
+
+            function resetSiteForm() {
+                editingSite = null;
+                createSiteForm.reset();
+                document.getElementById('siteName').readOnly = false;
+                document.getElementById('createSiteBtn').innerHTML = '<i class="fas fa-plus-circle"></i> Create Site';
+                document.getElementById('cancelSiteEditBtn').style.display = 'none';
+                document.getElementById('sitePortStatus').innerHTML = '';
+                updateSiteTypeFields();
+                suggestSitePort();
+            }
+
+            const createSiteForm = document.getElementById('createSiteForm');
+
+            document.getElementById('siteType').addEventListener('change', updateSiteTypeFields);
+            document.getElementById('sitePortSuggestBtn').addEventListener('click', suggestSitePort);
+            document.getElementById('cancelSiteEditBtn').addEventListener('click', resetSiteForm);
+            document.getElementById('sitePort').addEventListener('input', function () {
+                clearTimeout(sitePortCheckTimer);
+                sitePortCheckTimer = setTimeout(checkSitePort, 400);
+            });
+
+            // The file manager runs on its own port, so the dashboard token is traded for a one-time
+            // ticket instead of being passed along. The tab is opened first so popup blockers allow it.
+            async function openSiteFiles(siteName) {
+                const fileManager = window.open('', '_blank');
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites/${encodeURIComponent(siteName)}/files`, { method: 'POST' });
+                    const result = await response.json();
+                    if (!response.ok || !result.success) throw new Error(result.message || 'Could not open the file manager');
+
+                    if (fileManager) {
+                        fileManager.opener = null;
+                        fileManager.location = result.url;
+                    } else {
+                        window.location.href = result.url;
+                    }
+                } catch (error) {
+                    if (fileManager) fileManager.close();
+                    console.error('Error opening file manager:', error);
+                    showToast('File Manager', error.message, 'error');
+                }
+            }
+
+            function editSite(siteName) {
+                const site = sitesCache[siteName];
+                if (!site) return;
+
+                editingSite = site.Name;
+                document.getElementById('siteName').value = site.Name;
+                document.getElementById('siteName').readOnly = true;
+                document.getElementById('siteDomains').value = (site.Domains || []).join(', ');
+                document.getElementById('sitePort').value = site.Port;
+                document.getElementById('siteType').value = site.Type;
+                document.getElementById('siteUpstream').value = site.Upstream || '';
+                document.getElementById('siteIndexFile').value = site.IndexFile || '';
+                document.getElementById('siteDirectives').value = site.CustomDirectives || '';
+                document.getElementById('siteTls').checked = site.Tls;
+                document.getElementById('createSiteBtn').innerHTML = '<i class="fas fa-save"></i> Save Changes';
+                document.getElementById('cancelSiteEditBtn').style.display = '';
+                document.getElementById('createSiteStatus').innerHTML = '';
+                updateSiteTypeFields();
+                checkSitePort();
+                createSiteForm.scrollIntoView({ behavior: 'smooth' });
+            }
+
+            createSiteForm.addEventListener('submit', async function (e) {
+                e.preventDefault();
+
+                const siteName = document.getElementById('siteName').value.trim();
+                const statusDiv = document.getElementById('createSiteStatus');
+                const submitBtn = document.getElementById('createSiteBtn');
+                const originalBtnText = submitBtn.innerHTML;
+                const editing = editingSite !== null;
+
+                document.getElementById('siteNameError').style.display = 'none';
+
+                let hasError = false;
+
+                if (!/^[a-zA-Z0-9][a-zA-Z0-9.-]{3,99}$/.test(siteName)) {
+                    document.getElementById('siteNameError').style.display = 'block';
+                    hasError = true;
+                }
+
+                if (hasError) return;
+
+                submitBtn.disabled = true;
+                submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${editing ? 'Saving...' : 'Creating...'}`;
+                statusDiv.innerHTML = '';
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites`, {
+                        method: editing ? 'PUT' : 'POST',
+                        body: JSON.stringify({
+                            name: siteName,
+                            port: parseInt(document.getElementById('sitePort').value, 10) || 0,
+                            domains: document.getElementById('siteDomains').value.split(',').map(d => d.trim()).filter(Boolean),
+                            type: document.getElementById('siteType').value,
+                            upstream: document.getElementById('siteUpstream').value.trim(),
+                            indexFile: document.getElementById('siteIndexFile').value.trim(),
+                            customDirectives: document.getElementById('siteDirectives').value,
+                            enableTls: document.getElementById('siteTls').checked
+                        })
+                    });
+
+                    const contentType = response.headers.get('content-type');
+                    if (!contentType || !contentType.includes('application/json')) {
+                        throw new Error('Server returned non-JSON response');
+                    }
+
+                    const result = await response.json();
+                    const fallback = editing ? 'Site updated successfully' : 'Site created successfully';
+
+                    if (response.ok && result.success) {
+                        statusDiv.innerHTML = `
+            <div class="plugin-result success show">
+              <i class="fas fa-check-circle"></i> ${escapeHtml(result.message || fallback)}
+            </div>
+          `;
+                        showToast(editing ? 'Site Updated' : 'Site Created', result.message || fallback, 'success');
+                        resetSiteForm();
+                        fetchSites();
+                    } else {
+                        const failure = editing ? 'Failed to update site' : 'Failed to create site';
+                        statusDiv.innerHTML = `
+            <div class="plugin-result error show">
+              <i class="fas fa-exclamation-circle"></i> ${escapeHtml(result.message || failure)}
+            </div>
+          `;
+                        showToast(editing ? 'Update Failed' : 'Creation Failed', result.message || failure, 'error');
+                    }
+                } catch (error) {
+                    console.error('Error saving site:', error);
+                    statusDiv.innerHTML = `
+          <div class="plugin-result error show">
+            <i class="fas fa-exclamation-circle"></i> Error: ${escapeHtml(error.message)}
+          </div>
+        `;
+                    showToast(editing ? 'Update Failed' : 'Creation Failed', error.message, 'error');
+                } finally {
+                    submitBtn.disabled = false;
+                    if (submitBtn.innerHTML.includes('fa-spinner')) submitBtn.innerHTML = originalBtnText;
+                }
+            });
+
+            async function deleteSite(siteName) {
+                if (!confirm(`Are you sure you want to delete ${siteName}?`)) return;
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites`, {
+                        method: 'DELETE',
+                        body: JSON.stringify({ name: siteName })
+                    });
+
+                    const contentType = response.headers.get('content-type');
+                    if (!contentType || !contentType.includes('application/json')) {
+                        throw new Error('Server returned non-JSON response');
+                    }
+
+                    const result = await response.json();
+
+                    if (response.ok && result.success) {
+                        showToast('Site Deleted', result.message || 'Site has been deleted successfully', 'success');
+                        if (editingSite === siteName) resetSiteForm();
+                        fetchSites();
+                    } else {
+                        showToast('Deletion Failed', result.message || 'Failed to delete site', 'error');
+                    }
+                } catch (error) {
+                    console.error('Error deleting site:', error);
+                    showToast('Deletion Failed', error.message, 'error');
+                }
+            }
+
+            // Backups: snapshots are zips in the backup folder; restoring one first saves the current state as a
+            // "pre-restore" snapshot, so a wrong choice can be rolled back from the same list.
+            const backupState = { snapshots: [], restorable: [], restoreTarget: null };
+            const backupComponentLabels = { users: 'Users', sites: 'Sites', data: 'DataBox & MiniDB', config: 'Config', logs: 'Logs' };
+            const backupTriggerLabels = { scheduled: 'Scheduled', manual: 'Manual', 'pre-restore': 'Pre-restore', '': 'Legacy' };
+
+            async function fetchBackups() {
+                const tbody = document.getElementById('backupsTableBody');
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/backups`);
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message || `HTTP error! status: ${response.status}`);
+
+                    backupState.snapshots = data.snapshots;
+                    backupState.restorable = data.restorableComponents;
+                    document.getElementById('backupInterval').value = data.settings.intervalHours;
+                    document.getElementById('backupRetention').value = data.settings.retention;
+                    document.getElementById('backupIncludeSites').checked = data.settings.includeSites;
+
+                    const total = data.snapshots.reduce((sum, s) => sum + s.Size, 0);
+                    const schedule = data.settings.intervalHours > 0 ? `every ${data.settings.intervalHours}h` : 'schedule off';
+                    document.getElementById('backupStatus').textContent = data.running
+                        ? 'Backup in progress...'
+                        : `${data.snapshots.length} snapshots · ${formatBytes(total)} · ${schedule}`;
+
+                    if (data.snapshots.length === 0) {
+                        tbody.innerHTML = `<tr><td colspan="5" style="text-align: center; color: var(--text-dim); padding: 20px;">No backups yet.</td></tr>`;
+                        return;
+                    }
+
+                    tbody.innerHTML = '';
+                    data.snapshots.forEach(snapshot => {
+                        const row = document.createElement('tr');
+                        row.dataset.backupName = snapshot.Name;
+                        row.innerHTML = `
+                            <td>
+                                <div class="user-cell-name">${new Date(snapshot.CreatedAt).toLocaleString()}</div>
+                                <div class="user-cell-email">${escapeHtml(snapshot.Name)}</div>
+                            </td>
+                            <td><span class="user-badge backup-trigger ${escapeHtml(snapshot.Trigger || 'legacy')}">${escapeHtml(backupTriggerLabels[snapshot.Trigger] || snapshot.Trigger)}</span></td>
+                            <td>${formatBytes(snapshot.Size)}</td>
+                            <td>${snapshot.Components.map(c => escapeHtml(backupComponentLabels[c] || c)).join(', ') || '-'}</td>
+                            <td>
+                                <div class="user-actions">
+                                    <button class="site-action-btn" data-backup-action="download"><i class="fas fa-download"></i> Download</button>
+                                    <button class="site-action-btn lock" data-backup-action="restore"><i class="fas fa-history"></i> Restore</button>
+                                </div>
+                            </td>
+                        `;
+                        tbody.appendChild(row);
+                    });
+                } catch (error) {
+                    console.error('Error fetching backups:', error);
+                    tbody.innerHTML = `<tr><td colspan="5"><div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error loading backups: ${escapeHtml(error.message)}</div></td></tr>`;
+                }
+            }
+
+            async function downloadBackup(name) {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/backups/${encodeURIComponent(name)}/download`);
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+                    const blob = await response.blob();
+                    const link = document.createElement('a');
+                    link.href = URL.createObjectURL(blob);
+                    link.download = name;
+                    link.click();
+                    URL.revokeObjectURL(link.href);
+                } catch (error) {
+                    console.error('Error downloading backup:', error);
+                    showToast('Download Failed', error.message, 'error');
+                }
+            }
+
+            function openBackupRestore(name) {
+                const snapshot = backupState.snapshots.find(s => s.Name === name);
+                if (!snapshot) return;
+
+                backupState.restoreTarget = snapshot;
+                document.getElementById('backupRestoreName').textContent = new Date(snapshot.CreatedAt).toLocaleString();
+                document.getElementById('backupRestoreComponents').innerHTML = backupState.restorable.map(c => `
+                    <label>
+                        <input type="checkbox" value="${escapeHtml(c)}" ${snapshot.Components.includes(c) ? 'checked' : 'disabled'}>
+                        <span><strong>${escapeHtml(backupComponentLabels[c] || c)}</strong>${snapshot.Components.includes(c) ? '' : ' &mdash; not in this backup'}</span>
+                    </label>
+                `).join('');
+                document.getElementById('backupRestoreModal').style.display = 'flex';
+            }
+
+            document.getElementById('backupsTableBody').addEventListener('click', e => {
+                const button = e.target.closest('[data-backup-action]');
+                const row = button && button.closest('tr');
+                if (!row) return;
+
+                if (button.dataset.backupAction === 'download') downloadBackup(row.dataset.backupName);
+                else if (button.dataset.backupAction === 'restore') openBackupRestore(row.dataset.backupName);
+            });
+
+            function closeBackupRestore() {
+                backupState.restoreTarget = null;
+                document.getElementById('backupRestoreModal').style.display = 'none';
+            }
+
+            document.getElementById('backupRestoreCancelBtn').addEventListener('click', e => {
+                e.preventDefault();
+                closeBackupRestore();
+            });
+
+            document.getElementById('backupRestoreConfirmBtn').addEventListener('click', async function () {
+                const snapshot = backupState.restoreTarget;
+                const components = Array.from(document.querySelectorAll('#backupRestoreComponents input:checked')).map(i => i.value);
+                if (!snapshot) return;
+                if (components.length === 0) {
+                    showToast('Nothing Selected', 'Choose at least one part of the backup to restore', 'warning');
+                    return;
+                }
+
+                const originalBtnHtml = this.innerHTML;
+                this.disabled = true;
+                this.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Restoring...';
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/backups/${encodeURIComponent(snapshot.Name)}/restore`, {
+                        method: 'POST',
+                        body: JSON.stringify({ components })
+                    });
+                    const result = await response.json();
+
+                    if (response.ok && result.success) {
+                        showToast('Backup Restored', `${result.message}. The previous state was saved as ${result.safetySnapshot.Name}.`, 'success');
+                        closeBackupRestore();
+                    } else {
+                        showToast('Restore Failed', result.message || 'Unknown error', 'error');
+                    }
+                } catch (error) {
+                    console.error('Error restoring backup:', error);
+                    showToast('Restore Failed', error.message, 'error');
+                } finally {
+                    this.disabled = false;
+                    this.innerHTML = originalBtnHtml;
+                    fetchBackups();
+                }
+            });
+
+            document.getElementById('backupNowBtn').addEventListener('click', async function () {
+                const originalBtnHtml = this.innerHTML;
+                this.disabled = true;
+                this.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Backing up...';
+                document.getElementById('backupStatus').textContent = 'Backup in progress...';
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/backups`, { method: 'POST' });
+                    const result = await response.json();
+                    if (response.ok && result.success) showToast('Backup Created', result.message, 'success');
+                    else showToast('Backup Failed', result.message || 'Unknown error', 'error');
+                } catch (error) {
+                    console.error('Error creating backup:', error);
+                    showToast('Backup Failed', error.message, 'error');
+                } finally {
+                    this.disabled = false;
+                    this.innerHTML = originalBtnHtml;
+                    fetchBackups();
+                }
+            });
+
+            document.getElementById('backupRefreshBtn').addEventListener('click', fetchBackups);
+
+            document.getElementById('backupSettingsForm').addEventListener('submit', async function (e) {
+                e.preventDefault();
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/backups/settings`, {
+                        method: 'PUT',
+                        body: JSON.stringify({
+                            intervalHours: parseInt(document.getElementById('backupInterval').value),
+                            retention: parseInt(document.getElementById('backupRetention').value),
+                            includeSites: document.getElementById('backupIncludeSites').checked
+                        })
+                    });
+                    const result = await response.json();
+                    if (response.ok && result.success) showToast('Schedule Saved', result.message, 'success');
+                    else showToast('Save Failed', result.message || 'Unknown error', 'error');
+                } catch (error) {
+                    console.error('Error saving backup settings:', error);
+                    showToast('Save Failed', error.message, 'error');
+                } finally {
+                    fetchBackups();
+                }
+            });
+
+            // Security: automatic blocks come from the rate limiter and expire on their own; bans and the
+            // allow-list are kept in the server config. Both take single addresses or CIDR ranges.
+            const securityEmptyRow = (colspan, text) => `<tr><td colspan="${colspan}" style="text-align: center; color: var(--text-dim); padding: 20px;">${text}</td></tr>`;
+
+            async function fetchSecurity() {
+                const blockedBody = document.getElementById('securityBlockedBody');
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/security`);
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message || `HTTP error! status: ${response.status}`);
+
+                    const limitsForm = document.getElementById('securityLimitsForm');
+                    if (!limitsForm.contains(document.activeElement)) {
+                        document.getElementById('securityPerMinute').value = data.limits.requestsPerMinute;
+                        document.getElementById('securityConcurrent').value = data.limits.concurrentRequests;
+                        document.getElementById('securityBlockMinutes').value = data.limits.blockMinutes;
+                    }
+                    document.getElementById('securityClientIp').textContent = `Your address: ${data.clientIp}`;
+
+                    const rows = [
+                        ...data.blocked.map(b => ({ address: b.Ip, type: 'Automatic', reason: `${b.Reason} (strike ${b.Strikes})`, since: b.BlockedAt, expires: b.ExpiresAt, list: 'blocks', action: 'Unblock' })),
+                        ...data.bans.map(b => ({ address: b.Range, type: 'Ban', reason: b.Reason || '-', since: b.CreatedAt, expires: b.ExpiresAt, list: 'bans', action: 'Lift', by: b.CreatedBy }))
+                    ];
+                    blockedBody.innerHTML = rows.length === 0 ? securityEmptyRow(6, 'Nobody is blocked.') : rows.map(r => `
+                        <tr>
+                            <td><code>${escapeHtml(r.address)}</code></td>
+                            <td><span class="user-badge security-${r.list}">${r.type}</span></td>
+                            <td>${escapeHtml(r.reason)}${r.by ? `<div class="user-cell-email">by ${escapeHtml(r.by)}</div>` : ''}</td>
+                            <td>${new Date(r.since).toLocaleString()}</td>
+                            <td>${r.expires ? new Date(r.expires).toLocaleString() : 'Never'}</td>
+                            <td>
+                                <div class="user-actions">
+                                    <button class="site-action-btn edit" data-security-remove="${r.list}" data-range="${escapeHtml(r.address)}"><i class="fas fa-unlock"></i> ${r.action}</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('');
+
+                    document.getElementById('securityRequestersBody').innerHTML = data.topRequesters.length === 0
+                        ? securityEmptyRow(6, 'No requests in the last minute.')
+                        : data.topRequesters.map(r => `
+                        <tr>
+                            <td><code>${escapeHtml(r.Ip)}</code>${r.AllowListed ? ' <span class="user-badge security-allowed">Allowed</span>' : ''}</td>
+                            <td>${r.RequestsPerMinute} <span class="user-cell-email">/ ${data.limits.requestsPerMinute}</span></td>
+                            <td>${r.TotalRequests}</td>
+                            <td>${r.Strikes}</td>
+                            <td>${new Date(r.LastSeen).toLocaleTimeString()}</td>
+                            <td>
+                                <div class="user-actions">
+                                    <button class="site-action-btn delete" data-security-ban="${escapeHtml(r.Ip)}"><i class="fas fa-ban"></i> Ban</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('');
+
+                    document.getElementById('securityAllowBody').innerHTML = data.allowList.length === 0
+                        ? securityEmptyRow(3, 'The allow-list is empty.')
+                        : data.allowList.map(a => `
+                        <tr>
+                            <td><code>${escapeHtml(a.Range)}</code></td>
+                            <td>${escapeHtml(a.Note || '-')}</td>
+                            <td>
+                                <div class="user-actions">
+                                    <button class="site-action-btn delete" data-security-remove="allow-list" data-range="${escapeHtml(a.Range)}"><i class="fas fa-trash"></i> Remove</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('');
+                } catch (error) {
+                    console.error('Error fetching security status:', error);
+                    blockedBody.innerHTML = `<tr><td colspan="6"><div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error loading security status: ${escapeHtml(error.message)}</div></td></tr>`;
+                }
+            }
+
+            async function sendSecurityChange(list, method, body, title) {
                 try {
-                    const response = await apiRequest(`${CONFIG.baseUrl}/api/plugins`);
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/security/${list}`, { method, body: JSON.stringify(body) });
+                    const result = await response.json();
+                    if (response.ok && result.success) showToast(title, result.message, 'success');
+                    else showToast(`${title} Failed`, result.message || 'Unknown error', 'error');
+                    return response.ok && result.success;
+                } catch (error) {
+                    console.error(`Error updating security ${list}:`, error);
+                    showToast(`${title} Failed`, error.message, 'error');
+                    return false;
+                } finally {
+                    fetchSecurity();
+                }
+            }
+
+            function removeSecurityEntry(list, range) {
+                const titles = { blocks: 'Unblocked', bans: 'Ban Lifted', 'allow-list': 'Allow-List Updated' };
+                sendSecurityChange(list, 'DELETE', { range }, titles[list]);
+            }
+
+            function prefillSecurityBan(ip) {
+                const input = document.getElementById('securityBanRange');
+                input.value = ip;
+                input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                document.getElementById('securityBanReason').focus();
+            }
+
+            // Addresses come from request headers, so rows carry them in escaped data attributes rather than inline handlers.
+            ['securityBlockedBody', 'securityRequestersBody', 'securityAllowBody'].forEach(id => {
+                document.getElementById(id).addEventListener('click', e => {
+                    const remove = e.target.closest('[data-security-remove]');
+                    if (remove) removeSecurityEntry(remove.dataset.securityRemove, remove.dataset.range);
+
+                    const ban = e.target.closest('[data-security-ban]');
+                    if (ban) prefillSecurityBan(ban.dataset.securityBan);
+                });
+            });
+
+            document.getElementById('securityLimitsForm').addEventListener('submit', async function (e) {
+                e.preventDefault();
+                document.activeElement.blur();
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/security/limits`, {
+                        method: 'PUT',
+                        body: JSON.stringify({
+                            requestsPerMinute: parseInt(document.getElementById('securityPerMinute').value),
+                            concurrentRequests: parseInt(document.getElementById('securityConcurrent').value),
+                            blockMinutes: parseInt(document.getElementById('securityBlockMinutes').value)
+                        })
+                    });
+                    const result = await response.json();
+                    if (response.ok && result.success) showToast('Limits Saved', result.message, 'success');
+                    else showToast('Save Failed', result.message || 'Unknown error', 'error');
+                } catch (error) {
+                    console.error('Error saving rate limits:', error);
+                    showToast('Save Failed', error.message, 'error');
+                } finally {
+                    fetchSecurity();
+                }
+            });
+
+            document.getElementById('securityBanForm').addEventListener('submit', async function (e) {
+                e.preventDefault();
+                const banned = await sendSecurityChange('bans', 'POST', {
+                    range: document.getElementById('securityBanRange').value.trim(),
+                    reason: document.getElementById('securityBanReason').value.trim(),
+                    minutes: document.getElementById('securityBanMinutes').value || '0'
+                }, 'Banned');
+                if (banned) this.reset();
+            });
+
+            document.getElementById('securityAllowForm').addEventListener('submit', async function (e) {
+                e.preventDefault();
+                const added = await sendSecurityChange('allow-list', 'POST', {
+                    range: document.getElementById('securityAllowRange').value.trim(),
+                    note: document.getElementById('securityAllowNote').value.trim()
+                }, 'Allow-List Updated');
+                if (added) this.reset();
+            });
+
+            document.getElementById('securityRefreshBtn').addEventListener('click', fetchSecurity);
+
+            // Voice: rooms and channels of the UDP voice server. Room and channel ids come from clients, so buttons
+            // carry them (and "ip:port" endpoints) in escaped data attributes read by one delegated click handler.
+            const voiceState = { status: null, action: null };
+
+            function renderVoiceClient(client, room, channel) {
+                const now = Date.now();
+                const target = `data-endpoint="${escapeHtml(client.Endpoint)}" data-room="${escapeHtml(room.Id)}" data-channel="${escapeHtml(channel.Id)}"`;
+                const lastSeen = client.LastSeen ? (now - new Date(client.LastSeen)) / 1000 : null;
+                return `
+                    <tr>
+                        <td><code>${escapeHtml(client.Endpoint)}</code></td>
+                        <td>${client.ConnectedAt ? new Date(client.ConnectedAt).toLocaleTimeString() : '-'}</td>
+                        <td class="${lastSeen !== null && lastSeen > 30 ? 'voice-idle' : ''}">${lastSeen === null ? '-' : `${formatDuration(lastSeen)} ago`}</td>
+                        <td>${client.PacketsPerSecond}</td>
+                        <td>${formatBytes(client.Bytes)}</td>
+                        <td>
+                            <div class="user-actions">
+                                <button class="site-action-btn edit" data-voice-action="move" ${target}><i class="fas fa-exchange-alt"></i> Move</button>
+                                <button class="site-action-btn delete" data-voice-action="kick" ${target}><i class="fas fa-user-slash"></i> Kick</button>
+                            </div>
+                        </td>
+                    </tr>
+                `;
+            }
+
+            function renderVoice(status) {
+                voiceState.status = status;
+                document.getElementById('voiceStatus').innerHTML = status.Running
+                    ? `<i class="fas fa-circle" style="color: var(--success);"></i> Listening on UDP ${status.Port} &middot; ${status.TotalClients} connected`
+                    : `<i class="fas fa-circle" style="color: var(--danger);"></i> Not running on UDP ${status.Port}`;
+
+                document.getElementById('voiceRooms').innerHTML = status.Rooms.map(room => {
+                    const roomId = escapeHtml(room.Id);
+                    const channels = room.Channels.map(channel => `
+                        <div class="voice-channel ${channel.Muted ? 'muted' : ''}">
+                            <div class="voice-channel-header">
+                                <span><i class="fas fa-${channel.Muted ? 'volume-mute' : 'volume-up'}"></i> ${escapeHtml(channel.Name)}</span>
+                                ${channel.Muted ? '<span class="user-badge voice-muted">Muted</span>' : ''}
+                                <button class="site-action-btn lock" data-voice-action="${channel.Muted ? 'unmute' : 'mute'}" data-room="${roomId}" data-channel="${escapeHtml(channel.Id)}">
+                                    <i class="fas fa-${channel.Muted ? 'volume-up' : 'volume-mute'}"></i> ${channel.Muted ? 'Unmute' : 'Mute'}
+                                </button>
+                            </div>
+                            ${channel.Clients.length === 0 ? '<p class="voice-empty">No one here</p>' : `
+                                <div class="users-table-wrapper">
+                                    <table class="users-table">
+                                        <thead>
+                                            <tr><th>Client</th><th>Joined</th><th>Last Packet</th><th>Packets/s</th><th>Traffic</th><th></th></tr>
+                                        </thead>
+                                        <tbody>${channel.Clients.map(client => renderVoiceClient(client, room, channel)).join('')}</tbody>
+                                    </table>
+                                </div>
+                            `}
+                        </div>
+                    `).join('');
+
+                    return `
+                        <div class="voice-room">
+                            <div class="voice-room-header">
+                                <h4>${escapeHtml(room.Name)} ${room.Name !== room.Id ? `<code>${escapeHtml(room.Id)}</code>` : ''}</h4>
+                                <span class="user-badge voice-count">${room.ClientCount} connected</span>
+                                ${room.Id === 'lobby' ? '' : `<button class="site-action-btn delete" data-voice-action="close" data-room="${roomId}"><i class="fas fa-times"></i> Close Room</button>`}
+                            </div>
+                            ${channels}
+                        </div>
+                    `;
+                }).join('');
+
+                document.getElementById('voiceKicksBody').innerHTML = status.Kicks.length === 0
+                    ? '<tr><td colspan="5" style="text-align: center; color: var(--text-dim); padding: 20px;">No one is kicked right now.</td></tr>'
+                    : status.Kicks.map(kick => `
+                        <tr>
+                            <td><code>${escapeHtml(kick.Address)}</code></td>
+                            <td>${escapeHtml(kick.Reason || '-')}</td>
+                            <td>${escapeHtml(kick.KickedBy || '-')}</td>
+                            <td>${new Date(kick.Until).toLocaleString()}</td>
+                            <td>
+                                <div class="user-actions">
+                                    <button class="site-action-btn edit" data-voice-action="lift" data-address="${escapeHtml(kick.Address)}"><i class="fas fa-undo"></i> Lift</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('');
+            }
+
+            async function fetchVoice() {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/voice`);
                     const data = await response.json();
+                    if (!data.success) throw new Error(data.message || `HTTP error! status: ${response.status}`);
+                    renderVoice(data.voice);
+                } catch (error) {
+                    console.error('Error fetching voice status:', error);
+                    document.getElementById('voiceRooms').innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error loading voice rooms: ${escapeHtml(error.message)}</div>`;
+                }
+            }
 
-                    const pluginsList = document.getElementById('pluginsList');
+            async function sendVoiceChange(path, method, body, title) {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/voice/${path}`, { method, body: JSON.stringify(body) });
+                    const result = await response.json();
+                    if (result.voice) renderVoice(result.voice);
+                    if (response.ok && result.success) {
+                        showToast(title, result.message, 'success');
+                        return true;
+                    }
+                    showToast(`${title} Failed`, result.message || 'Unknown error', 'error');
+                } catch (error) {
+                    console.error('Error updating voice:', error);
+                    showToast(`${title} Failed`, error.message, 'error');
+                }
+                return false;
+            }
 
-                    if (!data.success || !data.plugins || data.plugins.length === 0) {
-                        pluginsList.innerHTML = `
-              <div class="empty-plugins">
-                <i class="fas fa-plug"></i>
-                <h3>No plugins installed</h3>
-                <p>Upload a plugin file to get started</p>
-              </div>
-            `;
+            function fillVoiceChannels(roomId, selected) {
+                const room = voiceState.status.Rooms.find(r => r.Id === roomId);
+                document.getElementById('voiceMoveChannel').innerHTML = (room ? room.Channels : []).map(channel =>
+                    `<option value="${escapeHtml(channel.Id)}" ${channel.Id === selected ? 'selected' : ''}>${escapeHtml(channel.Name)}</option>`
+                ).join('');
+            }
+
+            function openVoiceClient(mode, endpoint, room, channel) {
+                const action = { mode, endpoint, room, channel };
+                voiceState.action = action;
+
+                document.getElementById('voiceClientTitle').textContent = mode === 'move' ? 'Move Client' : 'Kick Client';
+                document.getElementById('voiceClientEndpoint').textContent = action.endpoint;
+                document.getElementById('voiceClientLocation').textContent = `${action.room} / ${action.channel}`;
+                document.getElementById('voiceMoveFields').style.display = mode === 'move' ? '' : 'none';
+                document.getElementById('voiceKickFields').style.display = mode === 'kick' ? '' : 'none';
+
+                const confirmBtn = document.getElementById('voiceClientConfirmBtn');
+                confirmBtn.className = mode === 'kick' ? 'two-factor-danger-btn' : '';
+                confirmBtn.innerHTML = mode === 'move' ? '<i class="fas fa-exchange-alt"></i> Move' : '<i class="fas fa-user-slash"></i> Kick';
+
+                if (mode === 'move') {
+                    document.getElementById('voiceMoveRoom').innerHTML = voiceState.status.Rooms.map(room =>
+                        `<option value="${escapeHtml(room.Id)}" ${room.Id === action.room ? 'selected' : ''}>${escapeHtml(room.Name)}</option>`
+                    ).join('');
+                    fillVoiceChannels(action.room, action.channel);
+                } else {
+                    document.getElementById('voiceKickMinutes').value = 0;
+                    document.getElementById('voiceKickReason').value = '';
+                }
+
+                document.getElementById('voiceClientModal').style.display = 'flex';
+            }
+
+            function closeVoiceClientModal() {
+                voiceState.action = null;
+                document.getElementById('voiceClientModal').style.display = 'none';
+            }
+
+            document.getElementById('voiceMoveRoom').addEventListener('change', function () {
+                fillVoiceChannels(this.value, 'general');
+            });
+
+            document.getElementById('voiceClientCancelBtn').addEventListener('click', e => {
+                e.preventDefault();
+                closeVoiceClientModal();
+            });
+
+            document.getElementById('voiceClientConfirmBtn').addEventListener('click', async function () {
+                const action = voiceState.action;
+                if (!action) return;
+
+                const originalBtnHtml = this.innerHTML;
+                this.disabled = true;
+                this.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Working...';
+
+                const done = action.mode === 'move'
+                    ? await sendVoiceChange('move', 'POST', {
+                        client: action.endpoint,
+                        room: document.getElementById('voiceMoveRoom').value,
+                        channel: document.getElementById('voiceMoveChannel').value
+                    }, 'Client Moved')
+                    : await sendVoiceChange('kick', 'POST', {
+                        client: action.endpoint,
+                        minutes: document.getElementById('voiceKickMinutes').value || '0',
+                        reason: document.getElementById('voiceKickReason').value
+                    }, 'Client Kicked');
+
+                this.disabled = false;
+                this.innerHTML = originalBtnHtml;
+                if (done) closeVoiceClientModal();
+            });
+
+            function closeVoiceRoom(id) {
+                if (!confirm(`Close room ${id}? Everyone in it is moved to the lobby.`)) return;
+                sendVoiceChange('rooms', 'DELETE', { id }, 'Room Closed');
+            }
+
+            function setVoiceChannelMuted(room, channel, muted) {
+                sendVoiceChange('mute', 'PUT', { room, channel, muted: String(muted) }, muted ? 'Channel Muted' : 'Channel Unmuted');
+            }
+
+            function liftVoiceKick(address) {
+                sendVoiceChange('kick', 'DELETE', { address }, 'Kick Lifted');
+            }
+
+            ['voiceRooms', 'voiceKicksBody'].forEach(id => {
+                document.getElementById(id).addEventListener('click', e => {
+                    const button = e.target.closest('[data-voice-action]');
+                    if (!button) return;
+
+                    const { voiceAction, endpoint, room, channel, address } = button.dataset;
+                    if (voiceAction === 'move' || voiceAction === 'kick') openVoiceClient(voiceAction, endpoint, room, channel);
+                    else if (voiceAction === 'mute' || voiceAction === 'unmute') setVoiceChannelMuted(room, channel, voiceAction === 'mute');
+                    else if (voiceAction === 'close') closeVoiceRoom(room);
+                    else if (voiceAction === 'lift') liftVoiceKick(address);
+                });
+            });
+
+            document.getElementById('voiceRoomForm').addEventListener('submit', async e => {
+                e.preventDefault();
+                const done = await sendVoiceChange('rooms', 'POST', {
+                    id: document.getElementById('voiceRoomId').value.trim(),
+                    name: document.getElementById('voiceRoomName').value.trim()
+                }, 'Room Created');
+                if (done) e.target.reset();
+            });
+
+            document.getElementById('voiceRefreshBtn').addEventListener('click', fetchVoice);
+
+            // WebSockets: clients connected to /ws/. Messages use the same Data envelope clients send, so a game client
+            // handles an announcement like any other command; jsonData is always a string.
+            function renderSocketTargets(clients) {
+                const select = document.getElementById('socketsTarget');
+                const selected = select.value;
+                select.innerHTML = '<option value="">All connected clients</option>' + clients.map(client =>
+                    `<option value="${client.Id}">${escapeHtml(client.Username || client.RemoteAddress || client.Id)} (${client.Id.slice(0, 8)})</option>`
+                ).join('');
+                if (selected && !clients.some(client => client.Id === selected)) {
+                    showToast('Client Disconnected', 'The selected client left; messages now go to everyone', 'warning');
+                } else {
+                    select.value = selected;
+                }
+            }
+
+            async function fetchSockets() {
+                const tbody = document.getElementById('socketsTableBody');
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/websockets`);
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message || `HTTP error! status: ${response.status}`);
+
+                    const signedIn = data.clients.filter(client => client.Username).length;
+                    document.getElementById('socketsSummary').textContent = `${data.clients.length} connected, ${signedIn} signed in`;
+                    renderSocketTargets(data.clients);
+
+                    if (data.clients.length === 0) {
+                        tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: var(--text-dim); padding: 20px;">No WebSocket clients connected.</td></tr>';
                         return;
                     }
 
-                    pluginsList.innerHTML = '';
-                    data.plugins.forEach(plugin => {
-                        const pluginCard = document.createElement('div');
-                        pluginCard.className = 'plugin-card';
-                        pluginCard.innerHTML = `
-              <div class="plugin-header">
-                <div class="plugin-title">
-                  <i class="fas fa-cube"></i>
-                  <span>${plugin.name}</span>
-                </div>
-                <div class="plugin-status ${plugin.enabled ? 'active' : 'inactive'}">
-                  ${plugin.enabled ? 'Active' : 'Inactive'}
-                </div>
-              </div>
-              <div class="plugin-description">
-                Plugin version ${plugin.version}
-              </div>
-              <div class="plugin-actions">
-              </div>
-              <div class="plugin-content" id="plugin-${plugin.id}-content">
-                <div class="plugin-form">
-                  <div class="plugin-form-group">
-                    <label>Version</label>
-                    <input type="text" value="${plugin.version || 'Unknown'}" readonly>
-                  </div>
-                  <div class="plugin-form-group">
-                    <label>API Routes</label>
-                    <div class="plugin-result show">
-                      <p>This plugin registers API routes with the server</p>
+                    const now = Date.now();
+                    tbody.innerHTML = data.clients.map(client => `
+                        <tr data-client-id="${escapeHtml(client.Id)}">
+                            <td><code title="${escapeHtml(client.Id)}">${escapeHtml(client.Id.slice(0, 8))}</code>${client.State !== 'Open' ? ` <span class="user-badge locked">${escapeHtml(client.State)}</span>` : ''}</td>
+                            <td>${escapeHtml(client.RemoteAddress || '-')}</td>
+                            <td>${client.Username ? escapeHtml(client.Username) : '<span style="color: var(--text-dim);">Anonymous</span>'}</td>
+                            <td title="${new Date(client.ConnectedAt).toLocaleString()}">${formatDuration((now - new Date(client.ConnectedAt)) / 1000)}</td>
+                            <td>${client.MessagesIn > 0 ? `${formatDuration((now - new Date(client.LastActivity)) / 1000)} ago` : 'None yet'}</td>
+                            <td>${client.MessagesIn} / ${client.MessagesOut}</td>
+                            <td>
+                                <div class="user-actions">
+                                    <button class="site-action-btn edit" data-socket-action="message"><i class="fas fa-paper-plane"></i> Message</button>
+                                    <button class="site-action-btn delete" data-socket-action="disconnect"><i class="fas fa-power-off"></i> Disconnect</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('');
+                } catch (error) {
+                    console.error('Error fetching WebSocket clients:', error);
+                    tbody.innerHTML = `<tr><td colspan="7"><div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error loading clients: ${escapeHtml(error.message)}</div></td></tr>`;
+                }
+            }
+
+            function messageSocketClient(clientId) {
+                document.getElementById('socketsTarget').value = clientId;
+                document.getElementById('socketsCommand').focus();
+                document.getElementById('socketsSendForm').scrollIntoView({ behavior: 'smooth' });
+            }
+
+            async function disconnectSocketClient(clientId) {
+                if (!confirm(`Disconnect client ${clientId.slice(0, 8)}? It may reconnect on its own.`)) return;
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/websockets/disconnect`, {
+                        method: 'POST',
+                        body: JSON.stringify({ clientId })
+                    });
+                    const result = await response.json();
+                    if (response.ok && result.success) showToast('Client Disconnected', result.message, 'success');
+                    else showToast('Disconnect Failed', result.message || 'Unknown error', 'error');
+                } catch (error) {
+                    console.error('Error disconnecting WebSocket client:', error);
+                    showToast('Disconnect Failed', error.message, 'error');
+                } finally {
+                    setTimeout(fetchSockets, 500);
+                }
+            }
+
+            document.getElementById('socketsTableBody').addEventListener('click', e => {
+                const button = e.target.closest('[data-socket-action]');
+                const row = button && button.closest('tr');
+                if (!row) return;
+
+                if (button.dataset.socketAction === 'message') messageSocketClient(row.dataset.clientId);
+                else if (button.dataset.socketAction === 'disconnect') disconnectSocketClient(row.dataset.clientId);
+            });
+
+            document.getElementById('socketsJsonData').addEventListener('input', function () {
+                const hint = document.getElementById('socketsJsonHint');
+                const text = this.value.trim();
+                let valid = true;
+                if (text.startsWith('{') || text.startsWith('[')) {
+                    try { JSON.parse(text); } catch (parseError) { valid = false; }
+                }
+                hint.textContent = valid ? 'Sent as a string, exactly as typed.' : 'This looks like JSON but doesn\'t parse. It will still be sent as typed.';
+                hint.classList.toggle('invalid', !valid);
+            });
+
+            document.getElementById('socketsSendForm').addEventListener('submit', async e => {
+                e.preventDefault();
+                const clientId = document.getElementById('socketsTarget').value;
+                const payload = {
+                    theCommand: document.getElementById('socketsCommand').value.trim(),
+                    jsonData: document.getElementById('socketsJsonData').value
+                };
+                if (!clientId && !confirm(`Send "${payload.theCommand}" to every connected client?`)) return;
+
+                const btn = document.getElementById('socketsSendBtn');
+                const originalBtnHtml = btn.innerHTML;
+                btn.disabled = true;
+                btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/websockets/${clientId ? 'send' : 'broadcast'}`, {
+                        method: 'POST',
+                        body: JSON.stringify(clientId ? { clientId, ...payload } : payload)
+                    });
+                    const result = await response.json();
+                    if (response.ok && result.success) showToast(clientId ? 'Message Sent' : 'Broadcast Sent', result.message, result.delivered > 0 ? 'success' : 'warning');
+                    else showToast('Send Failed', result.message || 'Unknown error', 'error');
+                } catch (error) {
+                    console.error('Error sending WebSocket message:', error);
+                    showToast('Send Failed', error.message, 'error');
+                } finally {
+                    btn.disabled = false;
+                    btn.innerHTML = originalBtnHtml;
+                    fetchSockets();
+                }
+            });
+
+            document.getElementById('socketsRefreshBtn').addEventListener('click', fetchSockets);
+
+            // Console: runs CommandHandler commands (built-in and plugin ones) as the signed-in admin. History is kept in
+            // localStorage so it survives reloads; it may contain payloads, so it never leaves this browser.
+            const CONSOLE_HISTORY_KEY = 'consoleHistory';
+            const consoleState = { commands: [] };
+
+            function loadConsoleHistory() {
+                try { return JSON.parse(localStorage.getItem(CONSOLE_HISTORY_KEY)) || []; }
+                catch (e) { return []; }
+            }
+
+            function renderConsoleHistory() {
+                const history = loadConsoleHistory();
+                const list = document.getElementById('consoleHistory');
+                list.innerHTML = history.length === 0
+                    ? '<li class="console-history-empty">Commands you run appear here.</li>'
+                    : history.map((entry, index) => `
+                        <li class="${entry.ok ? '' : 'failed'}" onclick="reuseConsoleHistory(${index})" title="Load into the console">
+                            <code>${escapeHtml(entry.command)}</code>
+                            <span class="console-history-data">${escapeHtml(entry.jsonData.length > 80 ? entry.jsonData.slice(0, 80) + '…' : entry.jsonData)}</span>
+                            <span class="console-history-time">${new Date(entry.at).toLocaleString()}</span>
+                        </li>
+                    `).join('');
+            }
+
+            function addConsoleHistory(command, jsonData, ok) {
+                const history = loadConsoleHistory().filter(entry => entry.command !== command || entry.jsonData !== jsonData);
+                history.unshift({ command, jsonData, ok, at: new Date().toISOString() });
+                localStorage.setItem(CONSOLE_HISTORY_KEY, JSON.stringify(history.slice(0, 50)));
+                renderConsoleHistory();
+            }
+
+            window.reuseConsoleHistory = function (index) {
+                const entry = loadConsoleHistory()[index];
+                if (!entry) return;
+                document.getElementById('consoleCommand').value = entry.command;
+                document.getElementById('consolePayload').value = entry.jsonData;
+                updateConsoleHints();
+                document.getElementById('consoleForm').scrollIntoView({ behavior: 'smooth' });
+            };
+
+            function findConsoleCommand(name) {
+                return consoleState.commands.find(command => command.Name.toLowerCase() === name.trim().toLowerCase());
+            }
+
+            function updateConsoleHints() {
+                const name = document.getElementById('consoleCommand').value;
+                const command = findConsoleCommand(name);
+                const commandHint = document.getElementById('consoleCommandHint');
+                commandHint.textContent = command ? command.Description : (name.trim() ? 'Not a registered command' : '');
+                commandHint.classList.toggle('invalid', !command && name.trim() !== '');
+                document.getElementById('consoleExampleBtn').disabled = !command || !command.Example;
+
+                const text = document.getElementById('consolePayload').value.trim();
+                let valid = true;
+                if (text.startsWith('{') || text.startsWith('[')) {
+                    try { JSON.parse(text); } catch (parseError) { valid = false; }
+                }
+                const payloadHint = document.getElementById('consolePayloadHint');
+                payloadHint.textContent = valid ? 'Ctrl+Enter runs the command.' : 'This looks like JSON but doesn\'t parse. It will still be sent as typed.';
+                payloadHint.classList.toggle('invalid', !valid);
+            }
+
+            async function fetchCommands() {
+                const tbody = document.getElementById('consoleCommandsBody');
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/commands`);
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message || `HTTP error! status: ${response.status}`);
+
+                    consoleState.commands = data.commands;
+                    document.getElementById('consoleCommandList').innerHTML = data.commands.map(command =>
+                        `<option value="${escapeHtml(command.Name)}">${escapeHtml(command.Description)}</option>`
+                    ).join('');
+                    updateConsoleHints();
+
+                    tbody.innerHTML = data.commands.map(command => `
+                        <tr>
+                            <td><code>${escapeHtml(command.Name)}</code></td>
+                            <td>${escapeHtml(command.Description || '-')}</td>
+                            <td><span class="user-badge ${command.Source === 'server' ? 'console-builtin' : 'console-plugin'}">${escapeHtml(command.Source)}</span></td>
+                            <td>
+                                <div class="user-actions">
+                                    <button class="site-action-btn edit" data-console-command="${escapeHtml(command.Name)}"><i class="fas fa-terminal"></i> Use</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('');
+                } catch (error) {
+                    console.error('Error fetching commands:', error);
+                    tbody.innerHTML = `<tr><td colspan="4"><div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error loading commands: ${escapeHtml(error.message)}</div></td></tr>`;
+                }
+            }
+
+            function useConsoleCommand(name) {
+                const command = findConsoleCommand(name);
+                if (!command) return;
+                document.getElementById('consoleCommand').value = command.Name;
+                document.getElementById('consolePayload').value = command.Example || '';
+                updateConsoleHints();
+                document.getElementById('consolePayload').focus();
+                document.getElementById('consoleForm').scrollIntoView({ behavior: 'smooth' });
+            }
+
+            // Plugin command names are free-form, so the row hands them over through a data attribute
+            document.getElementById('consoleCommandsBody').addEventListener('click', e => {
+                const button = e.target.closest('[data-console-command]');
+                if (button) useConsoleCommand(button.dataset.consoleCommand);
+            });
+
+            function renderConsoleOutput(command, result, ok) {
+                const output = document.getElementById('consoleOutput');
+                if (!ok) {
+                    output.innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(command)}: ${escapeHtml(result.message || 'Unknown error')}</div>`;
+                    return;
+                }
+
+                // jsonData is a string; show it pretty-printed when it holds JSON
+                let body = result.response.jsonData || '';
+                try { body = JSON.stringify(JSON.parse(body), null, 2); } catch (parseError) { }
+
+                output.innerHTML = `
+                    <div class="console-output-meta">
+                        <span><i class="fas fa-reply"></i> <code>${escapeHtml(result.response.theCommand || '')}</code></span>
+                        <span>${result.durationMs} ms</span>
                     </div>
-                  </div>
-                </div>
-              </div>
-            `;
-                        pluginsList.appendChild(pluginCard);
+                    <pre>${escapeHtml(body) || '<span class="console-history-empty">(empty jsonData)</span>'}</pre>
+                `;
+            }
+
+            document.getElementById('consoleCommand').addEventListener('input', updateConsoleHints);
+            document.getElementById('consolePayload').addEventListener('input', updateConsoleHints);
+
+            document.getElementById('consolePayload').addEventListener('keydown', e => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    document.getElementById('consoleForm').requestSubmit();
+                }
+            });
+
+            document.getElementById('consoleFormatBtn').addEventListener('click', () => {
+                const payload = document.getElementById('consolePayload');
+                try {
+                    payload.value = JSON.stringify(JSON.parse(payload.value), null, 2);
+                    updateConsoleHints();
+                } catch (parseError) {
+                    showToast('Not JSON', parseError.message, 'warning');
+                }
+            });
+
+            document.getElementById('consoleExampleBtn').addEventListener('click', () => {
+                const command = findConsoleCommand(document.getElementById('consoleCommand').value);
+                if (!command || !command.Example) return;
+                document.getElementById('consolePayload').value = command.Example;
+                updateConsoleHints();
+            });
+
+            document.getElementById('consoleForm').addEventListener('submit', async e => {
+                e.preventDefault();
+                const command = document.getElementById('consoleCommand').value.trim();
+                const jsonData = document.getElementById('consolePayload').value;
+
+                const btn = document.getElementById('consoleRunBtn');
+                const originalBtnHtml = btn.innerHTML;
+                btn.disabled = true;
+                btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Running...';
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/commands/run`, {
+                        method: 'POST',
+                        body: JSON.stringify({ command, jsonData })
                     });
+                    const result = await response.json();
+                    const ok = response.ok && result.success;
+                    renderConsoleOutput(command, result, ok);
+                    addConsoleHistory(command, jsonData, ok);
                 } catch (error) {
-                    console.error('Error fetching plugins:', error);
-                    const pluginsList = document.getElementById('pluginsList');
-                    pluginsList.innerHTML = `
-            <div class="plugin-result error show">
-              <i class="fas fa-exclamation-circle"></i> Error loading plugins: ${error.message}
-            </div>
-          `;
+                    console.error('Error running command:', error);
+                    renderConsoleOutput(command, { message: error.message }, false);
+                } finally {
+                    btn.disabled = false;
+                    btn.innerHTML = originalBtnHtml;
+                }
+            });
+
+            document.getElementById('consoleClearHistoryBtn').addEventListener('click', () => {
+                if (!confirm('Clear the command history in this browser?')) return;
+                localStorage.removeItem(CONSOLE_HISTORY_KEY);
+                renderConsoleHistory();
+            });
+
+            // Data: browses MiniDB and DataBox. MiniDB values are edited as JSON but must still fit the .NET type
+            // they were stored as; DataBox values must keep their JSON shape. Both checks happen on the server.
+            const dataState = { store: 'minidb', entries: [], editing: null };
+            let dataPrefixTimer = null;
+
+            const dataQuery = (extra = {}) => new URLSearchParams({ store: dataState.store, ...extra }).toString();
+
+            function renderDataStats(stats, total, truncated) {
+                const items = [
+                    ['Entries', stats.entries],
+                    ['Data file', formatBytes(stats.databaseFileSize)]
+                ];
+                if (dataState.store === 'minidb') {
+                    items.push(['Index file', formatBytes(stats.indexFileSize)]);
+                    items.push(['Reclaimable', formatBytes(stats.reclaimableBytes)]);
+                    items.push(['Reads / writes', `${stats.readOperations} / ${stats.writeOperations}`]);
+                }
+                items.push(['Last change', stats.lastModified ? new Date(stats.lastModified).toLocaleString() : '-']);
+                if (truncated) items.push(['Showing', `${dataState.entries.length} of ${total} matches`]);
+
+                document.getElementById('dataStats').innerHTML = items.map(([label, value]) => `
+                    <div class="data-stat"><span>${label}</span><strong>${escapeHtml(String(value))}</strong></div>
+                `).join('');
+            }
+
+            async function fetchDataEntries() {
+                const tbody = document.getElementById('dataTableBody');
+                const prefix = document.getElementById('dataPrefixInput').value;
+                document.getElementById('dataCompactBtn').style.display = dataState.store === 'minidb' ? '' : 'none';
+                document.getElementById('dataNewBtn').style.display = dataState.store === 'databox' ? '' : 'none';
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/data?${dataQuery({ prefix })}`);
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message || `HTTP error! status: ${response.status}`);
+
+                    dataState.entries = data.entries;
+                    renderDataStats(data.stats, data.total, data.truncated);
+
+                    if (data.entries.length === 0) {
+                        tbody.innerHTML = `<tr><td colspan="5" style="text-align: center; color: var(--text-dim); padding: 20px;">${prefix ? 'No keys match this prefix.' : 'This store is empty.'}</td></tr>`;
+                        return;
+                    }
+
+                    tbody.innerHTML = data.entries.map(entry => {
+                        const key = escapeHtml(entry.Key);
+                        return `
+                            <tr>
+                                <td><code class="data-key">${escapeHtml(entry.Key)}</code></td>
+                                <td><span class="user-badge data-type">${escapeHtml(entry.Type)}</span></td>
+                                <td>${formatBytes(entry.Size)}</td>
+                                <td>${entry.LastModified ? new Date(entry.LastModified).toLocaleString() : '-'}</td>
+                                <td>
+                                    <div class="user-actions">
+                                        <button class="site-action-btn edit" data-data-action="open" data-key="${key}"><i class="fas fa-edit"></i> Open</button>
+                                        <button class="site-action-btn delete" data-data-action="delete" data-key="${key}"><i class="fas fa-trash"></i> Delete</button>
+                                    </div>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('');
+                } catch (error) {
+                    console.error('Error fetching data entries:', error);
+                    tbody.innerHTML = `<tr><td colspan="5"><div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error loading data: ${escapeHtml(error.message)}</div></td></tr>`;
+                }
+            }
+
+            function showDataEntryModal({ key, isNew, meta, text, readOnly }) {
+                dataState.editing = { key, isNew };
+                document.getElementById('dataEntryTitle').textContent = isNew ? 'New DataBox Key' : key;
+                document.getElementById('dataEntryKeyGroup').style.display = isNew ? '' : 'none';
+                document.getElementById('dataEntryKey').value = key || '';
+                document.getElementById('dataEntryMeta').textContent = meta;
+                const textarea = document.getElementById('dataEntryValue');
+                textarea.value = text;
+                textarea.readOnly = readOnly;
+                document.getElementById('dataEntrySaveBtn').style.display = readOnly ? 'none' : '';
+                document.getElementById('dataEntryError').textContent = '';
+                document.getElementById('dataEntryModal').style.display = 'flex';
+            }
+
+            function closeDataEntry() {
+                dataState.editing = null;
+                document.getElementById('dataEntryModal').style.display = 'none';
+            }
+
+            async function openDataEntry(key) {
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/data/entry?${dataQuery({ key })}`);
+                    const result = await response.json();
+                    if (!response.ok || !result.success) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+
+                    const meta = [result.entry.Type, formatBytes(result.entry.Size), result.entry.LastModified ? `modified ${new Date(result.entry.LastModified).toLocaleString()}` : null].filter(Boolean).join(' · ');
+                    if (result.raw !== null) {
+                        showDataEntryModal({ key, meta: `${meta} · type not loaded, showing stored XML (read-only)`, text: result.raw, readOnly: true });
+                    } else {
+                        showDataEntryModal({ key, meta, text: JSON.stringify(result.value, null, 2), readOnly: false });
+                    }
+                } catch (error) {
+                    console.error('Error loading data entry:', error);
+                    showToast('Load Failed', error.message, 'error');
+                }
+            }
+
+            async function deleteDataEntry(key) {
+                if (!confirm(`Delete ${key}? This can't be undone.`)) return;
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/data/entry?${dataQuery({ key })}`, { method: 'DELETE' });
+                    const result = await response.json();
+                    if (response.ok && result.success) showToast('Key Deleted', result.message, 'success');
+                    else showToast('Delete Failed', result.message || 'Unknown error', 'error');
+                } catch (error) {
+                    console.error('Error deleting data entry:', error);
+                    showToast('Delete Failed', error.message, 'error');
+                } finally {
+                    fetchDataEntries();
+                }
+            }
+
+            // Keys are arbitrary strings, so rows carry them in escaped data attributes rather than inline handlers.
+            document.getElementById('dataTableBody').addEventListener('click', e => {
+                const button = e.target.closest('[data-data-action]');
+                if (!button) return;
+                if (button.dataset.dataAction === 'open') openDataEntry(button.dataset.key);
+                else deleteDataEntry(button.dataset.key);
+            });
+
+            document.getElementById('dataEntryValue').addEventListener('input', function () {
+                if (this.readOnly) return;
+                try {
+                    JSON.parse(this.value);
+                    document.getElementById('dataEntryError').textContent = '';
+                } catch (parseError) {
+                    document.getElementById('dataEntryError').textContent = parseError.message;
                 }
-            }
+            });
 
-            window.reloadPlugins = async function () {
-                const reloadBtn = document.querySelector('button[onclick="reloadPlugins()"]');
-                const originalHtml = reloadBtn.innerHTML;
+            document.getElementById('dataEntrySaveBtn').addEventListener('click', async function () {
+                const editing = dataState.editing;
+                if (!editing) return;
 
-                reloadBtn.disabled = true;
-                reloadBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Reloading...';
+                const key = editing.isNew ? document.getElementById('dataEntryKey').value.trim() : editing.key;
+                const text = document.getElementById('dataEntryValue').value;
+                const errorEl = document.getElementById('dataEntryError');
+                if (!key) {
+                    errorEl.textContent = 'Key is required';
+                    return;
+                }
+                try {
+                    JSON.parse(text);
+                } catch (parseError) {
+                    errorEl.textContent = parseError.message;
+                    return;
+                }
+
+                const originalBtnHtml = this.innerHTML;
+                this.disabled = true;
+                this.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
 
                 try {
-                    const response = await apiRequest(`${CONFIG.baseUrl}/api/plugins/reload`, { method: 'POST' });
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/data/entry?${dataQuery({ key })}`, { method: 'PUT', body: text });
                     const result = await response.json();
-
                     if (response.ok && result.success) {
-                        showToast('Plugins Reloaded', result.message || 'Plugins have been reloaded successfully.', 'success');
-                        fetchPlugins();
+                        showToast('Saved', result.message, 'success');
+                        closeDataEntry();
+                        fetchDataEntries();
                     } else {
-                        showToast('Reload Failed', result.message || 'Failed to reload plugins.', 'error');
+                        errorEl.textContent = result.message || 'Unknown error';
                     }
                 } catch (error) {
-                    console.error('Error reloading plugins:', error);
-                    showToast('Reload Failed', error.message, 'error');
+                    console.error('Error saving data entry:', error);
+                    errorEl.textContent = error.message;
                 } finally {
-                    reloadBtn.disabled = false;
-                    reloadBtn.innerHTML = originalHtml;
+                    this.disabled = false;
+                    this.innerHTML = originalBtnHtml;
                 }
-            };
+            });
 
-            window.togglePlugin = async function (pluginId, enable) {
-                try {
-                    const response = await apiRequest(`${CONFIG.baseUrl}/api/plugins/${pluginId}/${enable ? 'enable' : 'disable'}`, {
-                        method: 'POST'
-                    });
+            document.getElementById('dataEntryCloseBtn').addEventListener('click', e => {
+                e.preventDefault();
+                closeDataEntry();
+            });
 
-                    if (response.ok) {
-                        showToast('Plugin Updated', `Plugin ${enable ? 'enabled' : 'disabled'} successfully`, 'success');
-                        fetchPlugins();
-                    } else {
-                        const error = await response.json();
-                        showToast('Plugin Update Failed', error.message || 'Unknown error', 'error');
-                    }
-                } catch (error) {
-                    console.error('Error toggling plugin:', error);
-                    showToast('Plugin Update Failed', error.message, 'error');
-                }
-            };
+            document.getElementById('dataNewBtn').addEventListener('click', () => {
+                // MiniDB keys need a stored .NET type, so new ones can only come from an import
+                if (dataState.store !== 'databox') return;
+                showDataEntryModal({ key: document.getElementById('dataPrefixInput').value, isNew: true, meta: 'Any JSON value', text: '{\n  \n}', readOnly: false });
+            });
 
-            window.configurePlugin = function (pluginId) {
-                const content = document.getElementById(`plugin-${pluginId}-content`);
-                content.classList.toggle('show');
-            };
+            document.getElementById('dataStoreSelect').addEventListener('change', function () {
+                dataState.store = this.value;
+                fetchDataEntries();
+            });
 
-            const pluginFileInput = document.getElementById('pluginFileInput');
-            const pluginUploadStatus = document.getElementById('pluginUploadStatus');
+            document.getElementById('dataPrefixInput').addEventListener('input', () => {
+                clearTimeout(dataPrefixTimer);
+                dataPrefixTimer = setTimeout(fetchDataEntries, 300);
+            });
 
-            pluginFileInput.addEventListener('change', async function (e) {
-                const file = e.target.files[0];
-                if (!file) return;
+            document.getElementById('dataRefreshBtn').addEventListener('click', fetchDataEntries);
 
-                const fileName = file.name.toLowerCase();
-                if (!fileName.endsWith('.dll') && !fileName.endsWith('.zip')) {
-                    pluginUploadStatus.innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Invalid file format. Please upload a .dll or .zip file.</div>`;
-                    return;
+            document.getElementById('dataExportBtn').addEventListener('click', async () => {
+                try {
+                    const prefix = document.getElementById('dataPrefixInput').value;
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/data/export?${dataQuery({ prefix })}`);
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+                    const skipped = parseInt(response.headers.get('X-Skipped-Entries') || '0');
+                    const blob = await response.blob();
+                    const link = document.createElement('a');
+                    link.href = URL.createObjectURL(blob);
+                    link.download = `${dataState.store}${prefix ? '-' + prefix.replace(/[^\w.-]+/g, '_') : ''}-export.json`;
+                    link.click();
+                    URL.revokeObjectURL(link.href);
+
+                    if (skipped > 0) showToast('Export Incomplete', `${skipped} entries were skipped because their type isn't loaded`, 'warning');
+                } catch (error) {
+                    console.error('Error exporting data:', error);
+                    showToast('Export Failed', error.message, 'error');
                 }
+            });
 
-                const formData = new FormData();
-                formData.append('plugin', file);
+            document.getElementById('dataImportBtn').addEventListener('click', () => document.getElementById('dataImportFile').click());
 
-                pluginUploadStatus.innerHTML = ` class="plugin-result show"><i class="fas fa-spinner fa-spin"></i> Uploading plugin...</div>`;
+            document.getElementById('dataImportFile').addEventListener('change', async function () {
+                const file = this.files[0];
+                this.value = '';
+                if (!file) return;
 
                 try {
-                    const response = await fetch(`${CONFIG.baseUrl}/api/plugins/upload`, {
-                        method: 'POST',
-                        headers: {
-                            'Authorization': `Bearer ${AuthManager.getAuth().token}`
-                        },
-                        body: formData
-                    });
+                    const text = await file.text();
+                    const parsed = JSON.parse(text);
+                    const count = (parsed.Entries || []).length;
+                    if (!confirm(`Import ${count} entries into ${dataState.store === 'minidb' ? 'MiniDB' : 'DataBox'}?`)) return;
+                    const overwrite = confirm('Overwrite keys that already exist?\n\nOK overwrites them, Cancel keeps the current values.');
 
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/data/import?${dataQuery({ overwrite })}`, { method: 'POST', body: text });
                     const result = await response.json();
-
                     if (response.ok && result.success) {
-                        pluginUploadStatus.innerHTML = `<div class="plugin-result success show"><i class="fas fa-check-circle"></i> Plugin uploaded successfully!</div>`;
-                        showToast('Plugin Uploaded', result.message || 'Plugin has been uploaded successfully', 'success');
-
-                        pluginFileInput.value = '';
-
-                        fetchPlugins();
+                        showToast('Import Finished', result.message, result.result.Errors.length > 0 ? 'warning' : 'success');
+                        result.result.Errors.forEach(error => console.warn('Import error:', error));
                     } else {
-                        pluginUploadStatus.innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> ${result.message || 'Failed to upload plugin'}</div>`;
-                        showToast('Upload Failed', result.message || 'Failed to upload plugin', 'error');
+                        showToast('Import Failed', result.message || 'Unknown error', 'error');
                     }
                 } catch (error) {
-                    console.error('Error uploading plugin:', error);
-                    pluginUploadStatus.innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error: ${error.message}</div>`;
-                    showToast('Upload Failed', error.message, 'error');
+                    console.error('Error importing data:', error);
+                    showToast('Import Failed', error.message, 'error');
+                } finally {
+                    fetchDataEntries();
                 }
             });
 
-            async function fetchSites() {
+            document.getElementById('dataCompactBtn').addEventListener('click', async function () {
+                if (!confirm('Compact MiniDB now? Reads and writes wait until it finishes.')) return;
+
+                const originalBtnHtml = this.innerHTML;
+                this.disabled = true;
+                this.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Compacting...';
+
                 try {
-                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites`);
-                    const data = await response.json();
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/data/compact?${dataQuery()}`, { method: 'POST' });
+                    const result = await response.json();
+                    if (response.ok && result.success) showToast('Compacted', `${result.message}. Data file is now ${formatBytes(result.stats.databaseFileSize)}.`, 'success');
+                    else showToast('Compaction Failed', result.message || 'Unknown error', 'error');
+                } catch (error) {
+                    console.error('Error compacting MiniDB:', error);
+                    showToast('Compaction Failed', error.message, 'error');
+                } finally {
+                    this.disabled = false;
+                    this.innerHTML = originalBtnHtml;
+                    fetchDataEntries();
+                }
+            });
 
-                    const sitesList = document.getElementById('sitesList');
+            // Cache: in-memory CacheService. Expired keys that nobody asked for again show up as expirations, so a low
+            // hit rate with many expirations usually means CacheExpiryMinutes is shorter than the gap between reads.
+            async function fetchCache() {
+                const tbody = document.getElementById('cacheTableBody');
+                const prefix = document.getElementById('cachePrefixInput').value;
 
-                    if (!data || Object.keys(data).length === 0) {
-                        sitesList.innerHTML = `
-              <div class="empty-plugins">
-                <i class="fas fa-globe"></i>
-                <h3>No sites configured</h3>
-                <p>Create your first site using the form above</p>
-              </div>
-            `;
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/cache?${new URLSearchParams({ prefix })}`);
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message || `HTTP error! status: ${response.status}`);
+
+                    const stats = data.stats;
+                    const items = [
+                        ['Keys', stats.Entries],
+                        ['Approx. size', formatBytes(stats.ApproximateBytes)],
+                        ['Hit rate', stats.Hits + stats.Misses > 0 ? `${stats.HitRate}%` : '-'],
+                        ['Hits / misses', `${stats.Hits} / ${stats.Misses}`],
+                        ['Writes', stats.Sets],
+                        ['Expired', stats.Expirations],
+                        ['Evicted', stats.Evictions],
+                        ['Default expiry', `${stats.DefaultExpiryMinutes} min`],
+                        ['Counting since', new Date(stats.Since).toLocaleString()]
+                    ];
+                    if (data.truncated) items.push(['Showing', `${data.entries.length} of ${data.total} matches`]);
+                    document.getElementById('cacheStats').innerHTML = items.map(([label, value]) => `
+                        <div class="data-stat"><span>${label}</span><strong>${escapeHtml(String(value))}</strong></div>
+                    `).join('');
+
+                    if (data.entries.length === 0) {
+                        tbody.innerHTML = `<tr><td colspan="7" style="text-align: center; color: var(--text-dim); padding: 20px;">${prefix ? 'No cached keys match this prefix.' : 'The cache is empty.'}</td></tr>`;
                         return;
                     }
 
-                    sitesList.innerHTML = '';
-                    Object.entries(data).forEach(([name, port]) => {
-                        const siteItem = document.createElement('div');
-                        siteItem.className = 'site-item';
-                        siteItem.innerHTML = `
-              <div class="site-info">
-                <div class="site-name">${name}</div>
-                <div class="site-port">Port: ${port}</div>
-              </div>
-              <div class="site-actions">
-                <a href="https://sftp.voidgames.ir">
-                  <button class="site-action-btn sftpOpen">
-                    Manage Files
-                  </button>
-                </a>
-                <button class="site-action-btn delete" onclick="deleteSite('${name}')">
-                  <i class="fas fa-trash"></i> Delete
-                </button>
-              </div>
-            `;
-                        sitesList.appendChild(siteItem);
-                    });
+                    const now = Date.now();
+                    tbody.innerHTML = data.entries.map(entry => `
+                        <tr>
+                            <td><code class="data-key">${escapeHtml(entry.Key)}</code></td>
+                            <td><span class="user-badge data-type">${escapeHtml(entry.Type)}</span></td>
+                            <td>${formatBytes(entry.Size)}</td>
+                            <td>${entry.Hits}</td>
+                            <td>${entry.LastAccess ? new Date(entry.LastAccess).toLocaleTimeString() : 'Never'}</td>
+                            <td title="${new Date(entry.ExpiresAt).toLocaleString()}">in ${formatDuration(Math.max(0, (new Date(entry.ExpiresAt) - now) / 1000))}</td>
+                            <td>
+                                <div class="user-actions">
+                                    <button class="site-action-btn delete" data-cache-key="${escapeHtml(entry.Key)}"><i class="fas fa-times"></i> Evict</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('');
                 } catch (error) {
-                    console.error('Error fetching sites:', error);
-                    const sitesList = document.getElementById('sitesList');
-                    sitesList.innerHTML = `
-            <div class="plugin-result error show">
-              <i class="fas fa-exclamation-circle"></i> Error loading sites: ${error.message}
-            </div>
-          `;
+                    console.error('Error fetching cache:', error);
+                    tbody.innerHTML = `<tr><td colspan="7"><div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error loading cache: ${escapeHtml(error.message)}</div></td></tr>`;
                 }
             }
 
-            const createSiteForm = document.getElementById('createSiteForm');
-            createSiteForm.addEventListener('submit', async function (e) {
-                e.preventDefault();
+            async function sendCacheChange(url, method, title) {
+                try {
+                    const response = await apiRequest(url, { method });
+                    const result = await response.json();
+                    if (response.ok && result.success) showToast(title, result.message, 'success');
+                    else showToast(`${title} Failed`, result.message || 'Unknown error', 'error');
+                } catch (error) {
+                    console.error('Error updating cache:', error);
+                    showToast(`${title} Failed`, error.message, 'error');
+                } finally {
+                    fetchCache();
+                }
+            }
 
-                const siteName = document.getElementById('siteName').value.trim();
-                const statusDiv = document.getElementById('createSiteStatus');
-                const submitBtn = document.getElementById('createSiteBtn');
-                const originalBtnText = submitBtn.innerHTML;
+            function evictCacheKey(key) {
+                sendCacheChange(`${CONFIG.baseUrl}/api/cache/entry?${new URLSearchParams({ key })}`, 'DELETE', 'Key Evicted');
+            }
 
-                document.getElementById('siteNameError').style.display = 'none';
+            document.getElementById('cacheTableBody').addEventListener('click', e => {
+                const button = e.target.closest('[data-cache-key]');
+                if (button) evictCacheKey(button.dataset.cacheKey);
+            });
 
-                let hasError = false;
+            document.getElementById('cacheEvictPrefixBtn').addEventListener('click', () => {
+                const prefix = document.getElementById('cachePrefixInput').value;
+                if (!prefix) {
+                    showToast('Prefix Required', 'Enter a key prefix, or use Flush All to clear everything', 'warning');
+                    return;
+                }
+                if (!confirm(`Evict every cached key starting with "${prefix}"?`)) return;
+                sendCacheChange(`${CONFIG.baseUrl}/api/cache?${new URLSearchParams({ prefix })}`, 'DELETE', 'Prefix Evicted');
+            });
 
-                if (!siteName || siteName.length < 1) {
-                    document.getElementById('siteNameError').style.display = 'block';
-                    hasError = true;
+            document.getElementById('cacheFlushBtn').addEventListener('click', () => {
+                if (!confirm('Flush the whole cache? Services will reload their data on the next request.')) return;
+                sendCacheChange(`${CONFIG.baseUrl}/api/cache`, 'DELETE', 'Cache Flushed');
+            });
+
+            document.getElementById('cacheResetStatsBtn').addEventListener('click', () => {
+                sendCacheChange(`${CONFIG.baseUrl}/api/cache/reset-stats`, 'POST', 'Counters Reset');
+            });
+
+            let cachePrefixTimer = null;
+            document.getElementById('cachePrefixInput').addEventListener('input', () => {
+                clearTimeout(cachePrefixTimer);
+                cachePrefixTimer = setTimeout(fetchCache, 300);
+            });
+
+            // Settings: every field is rendered from the server's description of ServerConfig, so new settings
+            // show up here without dashboard changes. Only fields that differ from the loaded values are sent.
+            const settingsState = { settings: [] };
+
+            const settingInputValue = setting => {
+                const input = document.getElementById(`setting-${setting.Key}`);
+                if (setting.Type === 'bool') return input.checked;
+                if (setting.Type === 'int') return input.value.trim() === '' ? null : Number(input.value);
+                return input.value;
+            };
+
+            const settingLoadedValue = setting => setting.Type === 'list' ? (setting.Value || []).join('\n') : setting.Value;
+
+            function changedSettings() {
+                return settingsState.settings.filter(setting => settingInputValue(setting) !== settingLoadedValue(setting));
+            }
+
+            function validateSetting(setting) {
+                const value = settingInputValue(setting);
+                if (setting.Type === 'int') {
+                    if (value === null || !Number.isInteger(value)) return `${setting.Label} must be a whole number`;
+                    if (setting.Min !== null && (value < setting.Min || value > setting.Max)) return `${setting.Label} must be between ${setting.Min} and ${setting.Max}`;
                 }
+                if (setting.Required && typeof value === 'string' && value.trim() === '') return `${setting.Label} is required`;
+                return null;
+            }
 
-                if (hasError) return;
+            function showSettingError(key, message) {
+                const error = document.getElementById(`setting-error-${key}`);
+                if (!error) return;
+                error.textContent = message || '';
+                error.closest('.settings-field').classList.toggle('invalid', !!message);
+            }
 
-                submitBtn.disabled = true;
-                submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Creating...';
-                statusDiv.innerHTML = '';
+            function updateSettingsStatus() {
+                const changed = changedSettings();
+                const pending = settingsState.settings.filter(s => s.PendingRestart);
+                settingsState.settings.forEach(setting => {
+                    document.getElementById(`setting-${setting.Key}`).closest('.settings-field').classList.toggle('changed', changed.includes(setting));
+                });
+                document.getElementById('settingsSaveBtn').disabled = changed.length === 0;
+                document.getElementById('settingsResetBtn').disabled = changed.length === 0;
+
+                const parts = [];
+                if (changed.length > 0) parts.push(`${changed.length} unsaved change${changed.length === 1 ? '' : 's'}`);
+                if (pending.length > 0) parts.push(`${pending.length} setting${pending.length === 1 ? '' : 's'} waiting for a restart`);
+                document.getElementById('settingsStatus').textContent = parts.join(' · ') || 'All settings are in effect';
+            }
+
+            function renderSettingField(setting) {
+                const id = `setting-${setting.Key}`;
+                const badges = `
+                    <span class="user-badge settings-apply ${setting.RequiresRestart ? 'restart' : 'live'}">${setting.RequiresRestart ? 'Restart' : 'Live'}</span>
+                    ${setting.PendingRestart ? '<span class="user-badge settings-apply pending" title="Saved, but the running server still uses the old value">Restart pending</span>' : ''}
+                `;
+                const hint = setting.Description ? `<small>${escapeHtml(setting.Description)}</small>` : '';
+                const error = `<small class="settings-error" id="setting-error-${setting.Key}"></small>`;
+
+                if (setting.Type === 'bool') {
+                    return `
+                        <div class="settings-field">
+                            <label class="sites-form-check"><input type="checkbox" id="${id}" ${setting.Value ? 'checked' : ''}> ${escapeHtml(setting.Label)} ${badges}</label>
+                            ${hint}${error}
+                        </div>
+                    `;
+                }
+
+                let input;
+                if (setting.Type === 'list') {
+                    input = `<textarea id="${id}" rows="4">${escapeHtml((setting.Value || []).join('\n'))}</textarea>`;
+                } else if (setting.Type === 'int') {
+                    input = `<input type="number" id="${id}" value="${setting.Value}" step="1" ${setting.Min !== null ? `min="${setting.Min}" max="${setting.Max}"` : ''}>`;
+                } else {
+                    input = `<input type="${setting.Secret ? 'password' : 'text'}" id="${id}" value="${escapeHtml(setting.Value || '')}" autocomplete="off">`;
+                }
+
+                return `
+                    <div class="settings-field sites-form-group">
+                        <label for="${id}">${escapeHtml(setting.Label)} ${badges}</label>
+                        ${input}${hint}${error}
+                    </div>
+                `;
+            }
+
+            function renderSettings() {
+                const sections = [];
+                settingsState.settings.forEach(setting => {
+                    let section = sections.find(s => s.name === setting.Section);
+                    if (!section) sections.push(section = { name: setting.Section, settings: [] });
+                    section.settings.push(setting);
+                });
+
+                document.getElementById('settingsForm').innerHTML = sections.map(section => `
+                    <fieldset class="settings-section">
+                        <legend>${escapeHtml(section.name)}</legend>
+                        ${section.settings.map(renderSettingField).join('')}
+                    </fieldset>
+                `).join('');
+                updateSettingsStatus();
+            }
+
+            function renderSettingsHistory(history) {
+                const container = document.getElementById('settingsHistory');
+                if (history.length === 0) {
+                    container.innerHTML = '<p class="settings-empty">No changes have been made from the dashboard yet.</p>';
+                    return;
+                }
+
+                container.innerHTML = history.map(entry => `
+                    <div class="settings-history-entry">
+                        <div class="settings-history-meta">
+                            <strong>${escapeHtml(entry.ChangedBy || 'unknown')}</strong>
+                            <span>${new Date(entry.ChangedAt).toLocaleString()}</span>
+                        </div>
+                        <ul>
+                            ${entry.Changes.map(change => `
+                                <li>
+                                    <span class="settings-history-label">${escapeHtml(change.Label || change.Key)}</span>
+                                    <del>${escapeHtml(change.OldValue) || '<em>empty</em>'}</del>
+                                    <i class="fas fa-arrow-right"></i>
+                                    <ins>${escapeHtml(change.NewValue) || '<em>empty</em>'}</ins>
+                                    ${change.RequiresRestart ? '<span class="user-badge settings-apply restart">Restart</span>' : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `).join('');
+            }
+
+            async function fetchSettings() {
+                const form = document.getElementById('settingsForm');
+                if (changedSettings().length > 0 && !confirm('Discard your unsaved settings changes?')) return;
 
                 try {
-                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites`, {
-                        method: 'POST',
-                        body: JSON.stringify({
-                            name: siteName,
-                            port: 11005
-                        })
-                    });
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/config`);
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message || `HTTP error! status: ${response.status}`);
 
-                    const contentType = response.headers.get('content-type');
-                    if (!contentType || !contentType.includes('application/json')) {
-                        throw new Error('Server returned non-JSON response');
-                    }
+                    settingsState.settings = data.settings;
+                    renderSettings();
+                    renderSettingsHistory(data.history);
+                } catch (error) {
+                    console.error('Error fetching settings:', error);
+                    form.innerHTML = `<div class="plugin-result error show"><i class="fas fa-exclamation-circle"></i> Error loading settings: ${escapeHtml(error.message)}</div>`;
+                }
+            }
+
+            document.getElementById('settingsForm').addEventListener('input', e => {
+                const setting = settingsState.settings.find(s => `setting-${s.Key}` === e.target.id);
+                if (!setting) return;
+                showSettingError(setting.Key, validateSetting(setting));
+                updateSettingsStatus();
+            });
 
+            document.getElementById('settingsForm').addEventListener('submit', e => e.preventDefault());
+
+            document.getElementById('settingsResetBtn').addEventListener('click', () => {
+                renderSettings();
+            });
+
+            document.getElementById('settingsRefreshBtn').addEventListener('click', fetchSettings);
+
+            document.getElementById('settingsSaveBtn').addEventListener('click', async function () {
+                const changed = changedSettings();
+                let valid = true;
+                changed.forEach(setting => {
+                    const message = validateSetting(setting);
+                    showSettingError(setting.Key, message);
+                    if (message) valid = false;
+                });
+                if (!valid) {
+                    showToast('Invalid Settings', 'Fix the highlighted fields before saving', 'warning');
+                    return;
+                }
+
+                const body = {};
+                changed.forEach(setting => { body[setting.Key] = settingInputValue(setting); });
+
+                const originalBtnHtml = this.innerHTML;
+                this.disabled = true;
+                this.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+
+                try {
+                    const response = await apiRequest(`${CONFIG.baseUrl}/api/config`, { method: 'PUT', body: JSON.stringify(body) });
                     const result = await response.json();
 
                     if (response.ok && result.success) {
-                        statusDiv.innerHTML = `
-            <div class="plugin-result success show">
-              <i class="fas fa-check-circle"></i> ${result.message || 'Site created successfully!'}
-            </div>
-          `;
-                        createSiteForm.reset();
-                        showToast('Site Created', result.message || 'Site has been created successfully', 'success');
-                        fetchSites();
+                        showToast('Settings Saved', result.message, result.changes.some(c => c.RequiresRestart) ? 'warning' : 'success');
+                        fetchSettings();
                     } else {
-                        statusDiv.innerHTML = `
-            <div class="plugin-result error show">
-              <i class="fas fa-exclamation-circle"></i> ${result.message || 'Failed to create site'}
-            </div>
-          `;
-                        showToast('Creation Failed', result.message || 'Failed to create site', 'error');
+                        Object.entries(result.errors || {}).forEach(([key, message]) => showSettingError(key, message));
+                        showToast('Save Failed', result.message || 'Unknown error', 'error');
                     }
                 } catch (error) {
-                    console.error('Error creating site:', error);
-                    statusDiv.innerHTML = `
-          <div class="plugin-result error show">
-            <i class="fas fa-exclamation-circle"></i> Error: ${error.message}
-          </div>
-        `;
-                    showToast('Creation Failed', error.message, 'error');
+                    console.error('Error saving settings:', error);
+                    showToast('Save Failed', error.message, 'error');
                 } finally {
-                    submitBtn.disabled = false;
-                    submitBtn.innerHTML = originalBtnText;
+                    this.innerHTML = originalBtnHtml;
+                    updateSettingsStatus();
                 }
             });
 
-            window.deleteSite = async function (siteName) {
-                if (!confirm(`Are you sure you want to delete ${siteName}?`)) return;
+            // Live updates arrive over a single Server-Sent Events stream. While the stream is
+            // down we fall back to slow polling and keep retrying with exponential backoff.
+            let eventSource = null;
+            let reconnectTimer = null;
+            let reconnectDelay = 1000;
+            let pollingTimers = [];
+
+            function setLiveStatus(state, text) {
+                const liveStatus = document.getElementById('liveStatus');
+                liveStatus.className = `live-status ${state}`;
+                document.getElementById('liveStatusText').textContent = text;
+            }
 
-                try {
-                    const response = await apiRequest(`${CONFIG.baseUrl}/api/sites`, {
-                        method: 'DELETE',
-                        body: JSON.stringify({ name: siteName })
-                    });
+            function startPolling() {
+                if (pollingTimers.length > 0) return;
+                fetchStats(); fetchSystem(); fetchLogs(); fetchVideos(); fetchImports();
+                pollingTimers = [
+                    setInterval(() => { fetchStats(); fetchSystem(); fetchLogs(); }, 5000),
+                    setInterval(fetchVideos, 15000),
+                    setInterval(() => { if (importState.jobs.some(isImportActive)) fetchImports(); }, 3000),
+                    setInterval(() => { if (document.getElementById('sitesTab').classList.contains('active')) fetchSiteHealth(); }, 15000),
+                    setInterval(() => { if (metricsState.range === 'live' && !metricsState.zoomed) loadMetricsHistory(); }, 15000)
+                ];
+                setLiveStatus('polling', 'Polling');
+            }
 
-                    const contentType = response.headers.get('content-type');
-                    if (!contentType || !contentType.includes('application/json')) {
-                        throw new Error('Server returned non-JSON response');
-                    }
+            function stopPolling() {
+                pollingTimers.forEach(clearInterval);
+                pollingTimers = [];
+            }
 
-                    const result = await response.json();
+            function scheduleReconnect() {
+                clearTimeout(reconnectTimer);
+                reconnectTimer = setTimeout(connectLiveUpdates, reconnectDelay);
+                reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+            }
 
-                    if (response.ok && result.success) {
-                        showToast('Site Deleted', result.message || 'Site has been deleted successfully', 'success');
-                        fetchSites();
-                    } else {
-                        showToast('Deletion Failed', result.message || 'Failed to delete site', 'error');
+            function onLiveEvent(name, handler) {
+                eventSource.addEventListener(name, e => {
+                    try { handler(JSON.parse(e.data)); }
+                    catch (error) { console.error(`Error handling live ${name} event:`, error); }
+                });
+            }
+
+            function connectLiveUpdates() {
+                const auth = AuthManager.getAuth();
+                if (!auth.token) return;
+
+                if (typeof EventSource === 'undefined') {
+                    startPolling();
+                    return;
+                }
+
+                if (eventSource) eventSource.close();
+                eventSource = new EventSource(`${CONFIG.baseUrl}/api/events?access_token=${encodeURIComponent(auth.token)}`);
+
+                eventSource.onopen = () => {
+                    reconnectDelay = 1000;
+                    stopPolling();
+                    setLiveStatus('live', 'Live');
+                    fetchLogs();
+                    if (metricsState.range === 'live' && !metricsState.zoomed) loadMetricsHistory();
+                };
+
+                onLiveEvent('stats', renderStats);
+                onLiveEvent('system', renderSystem);
+                onLiveEvent('metrics', onLiveMetricsSample);
+                onLiveEvent('log', onLiveLogEntry);
+                onLiveEvent('videos', renderVideos);
+                onLiveEvent('imports', renderImports);
+                onLiveEvent('plugins', renderPlugins);
+                onLiveEvent('sites', renderSiteHealth);
+
+                eventSource.addEventListener('auth-expired', async () => {
+                    eventSource.close();
+                    try {
+                        await AuthManager.refreshAuthToken();
+                        connectLiveUpdates();
+                    } catch (error) {
+                        console.error('Token refresh failed:', error);
+                        showSessionExpiredModal();
                     }
-                } catch (error) {
-                    console.error('Error deleting site:', error);
-                    showToast('Deletion Failed', error.message, 'error');
+                });
+
+                eventSource.onerror = () => {
+                    eventSource.close();
+                    startPolling();
+                    scheduleReconnect();
+                };
+            }
+
+            liveUpdates = {
+                stop() {
+                    clearTimeout(reconnectTimer);
+                    stopPolling();
+                    if (eventSource) eventSource.close();
+                    eventSource = null;
                 }
             };
 
-            fetchStats(); fetchSystem(); fetchLogs(); fetchVideos(); fetchProcess();
+            loadLogs(); fetchProcess(); loadMetricsHistory();
+            connectLiveUpdates();
+
+            setInterval(() => {
+                if (document.getElementById('processTab').classList.contains('active')) fetchProcess();
+            }, 60000);
+
+            setInterval(() => {
+                if (document.getElementById('securityTab').classList.contains('active')) fetchSecurity();
+            }, 10000);
+
+            setInterval(() => {
+                if (document.getElementById('dataTab').classList.contains('active')) fetchCache();
+            }, 10000);
 
-            setInterval(() => { fetchStats(); fetchSystem(); fetchLogs();}, 1000);
-            setInterval(() => { fetchProcess();}, 60000);
+            setInterval(() => {
+                if (document.getElementById('voiceTab').classList.contains('active')) fetchVoice();
+            }, 5000);
 
-            setInterval(fetchVideos, 5000);
+            setInterval(() => {
+                if (document.getElementById('socketsTab').classList.contains('active')) fetchSockets();
+            }, 5000);
         }